@@ -0,0 +1,276 @@
+const fs = require("fs");
+const os = require("os");
+const http = require("http");
+const https = require("https");
+const { spawn } = require("child_process");
+const { URL } = require("url");
+const { computeStats } = require("./stats");
+
+// Phases a rule can watch: those that record one sample per probe, so the
+// same rule works on a run's samples and on the monitor's rolling window.
+const ALERT_MODES = ["dns", "tcp-tls", "cold", "keepalive", "h2", "h2-ping", "ws-handshake", "ws-ping"];
+const MODE_ALIASES = { ka: "keepalive", handshake: "ws-handshake", ping: "ws-ping" };
+
+// Latency metrics are in ms; any pN percentile works too. Rate metrics are
+// the share of failed probes in %; "loss" reads better for ws-ping.
+const LATENCY_METRICS = ["avg", "median", "min", "max", "stddev", "jitter", "trimmedMean"];
+const RATE_METRICS = ["errors", "loss"];
+
+const OPS = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+};
+
+const NOTIFIER_TYPES = ["webhook", "command", "log"];
+
+const NOTIFY_TIMEOUT_MS = 10000;
+
+// ── Rules ───────────────────────────────────────────────────────────
+// "[endpoint:] <mode> <metric> <op> <value>[ms|%]", e.g. "keepalive p95 > 80ms",
+// "CLOB API: cold errors > 2%" or "ws-ping loss > 0". Returns null when the
+// text does not have that shape; config validation checks the parts.
+const RULE_RE = /^(?:(.+?)\s*:\s*)?([a-z0-9-]+)\s+([a-z0-9.]+)\s*(>=|<=|>|<)\s*(\d+(?:\.\d+)?)\s*(ms|%)?$/i;
+
+function parseRule(text) {
+  const m = RULE_RE.exec(String(text).trim());
+  if (!m) return null;
+  return { endpoint: m[1] ?? null, mode: m[2], metric: m[3], op: m[4], threshold: Number(m[5]), unit: m[6] ?? null };
+}
+
+const canonicalMode = (mode) => MODE_ALIASES[String(mode).toLowerCase()] ?? String(mode).toLowerCase();
+
+const isRateMetric = (metric) => RATE_METRICS.includes(metric);
+
+function isMetric(metric) {
+  if (LATENCY_METRICS.includes(metric) || isRateMetric(metric)) return true;
+  const p = /^p(\d+(?:\.\d+)?)$/.exec(metric);
+  return Boolean(p) && Number(p[1]) > 0 && Number(p[1]) <= 100;
+}
+
+function ruleText(rule) {
+  const unit = isRateMetric(rule.metric) ? "%" : "ms";
+  return `${rule.endpoint ? `${rule.endpoint}: ` : ""}${rule.mode} ${rule.metric} ${rule.op} ${rule.threshold}${unit}`;
+}
+
+// ── Observations ────────────────────────────────────────────────────
+// What a rule is checked against: one endpoint + phase with its successful
+// values and the number of probes that failed.
+const sampleField = (phase) => (["cold", "keepalive", "h2"].includes(phase) ? "ttfb" : "total");
+
+// From the raw samples of a run. Per-IP samples and retries are left out, as
+// in the report's stats; `baseNames` maps family-expanded names back to the
+// configured one.
+function observationsFromSamples(samples, baseNames = new Map()) {
+  const groups = new Map();
+  for (const s of samples) {
+    if (s.address || s.attempt > 1 || !ALERT_MODES.includes(s.phase)) continue;
+    const key = `${s.endpoint}\u0000${s.phase}`;
+    if (!groups.has(key)) {
+      groups.set(key, { endpoint: s.endpoint, base: baseNames.get(s.endpoint) ?? s.endpoint, phase: s.phase, values: [], errors: 0, total: 0 });
+    }
+    const g = groups.get(key);
+    const value = s[sampleField(s.phase)];
+    g.total++;
+    if (s.error) g.errors++;
+    else if (value != null) g.values.push(value);
+  }
+  return [...groups.values()];
+}
+
+function metricValue(metric, obs, stats) {
+  if (isRateMetric(metric)) return obs.total ? (obs.errors / obs.total) * 100 : null;
+  if (!stats) return null;
+  if (/^p/.test(metric)) return stats.histogram.percentile(Number(metric.slice(1)));
+  return stats[metric];
+}
+
+// One result per rule and matching endpoint. value is null when there was
+// nothing to measure, which leaves the alert state as it was.
+function evaluateRules(rules, observations, percentiles) {
+  const results = [];
+  for (const rule of rules) {
+    for (const obs of observations) {
+      if (obs.phase !== rule.mode) continue;
+      if (rule.endpoint && rule.endpoint !== obs.endpoint && rule.endpoint !== obs.base) continue;
+      const value = metricValue(rule.metric, obs, computeStats(obs.values, { percentiles }));
+      results.push({ rule, endpoint: obs.endpoint, value, breached: value != null && OPS[rule.op](value, rule.threshold) });
+    }
+  }
+  return results;
+}
+
+// ── Notifiers ───────────────────────────────────────────────────────
+function notifyWebhook(notifier, payload) {
+  const url = new URL(notifier.url);
+  const body = JSON.stringify(payload);
+  const client = url.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(body), "User-Agent": "latency-tester/2.0", ...notifier.headers },
+      timeout: notifier.timeoutMs ?? NOTIFY_TIMEOUT_MS,
+    }, (res) => {
+      res.resume();
+      res.on("end", () => (res.statusCode >= 200 && res.statusCode < 300 ? resolve() : reject(new Error(`HTTP ${res.statusCode}`))));
+    });
+    req.on("timeout", () => req.destroy(new Error("timeout")));
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+// Runs through the shell with the payload as JSON on stdin and the main
+// fields as ALERT_* environment variables.
+function notifyCommand(notifier, payload) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(notifier.command, {
+      shell: true,
+      stdio: ["pipe", "ignore", "pipe"],
+      env: {
+        ...process.env,
+        ALERT_STATUS: payload.status,
+        ALERT_RULE: payload.rule,
+        ALERT_ENDPOINT: payload.endpoint,
+        ALERT_VALUE: String(payload.value ?? ""),
+        ALERT_THRESHOLD: String(payload.threshold),
+      },
+    });
+    let stderr = "";
+    const timer = setTimeout(() => child.kill("SIGKILL"), notifier.timeoutMs ?? NOTIFY_TIMEOUT_MS);
+    child.stderr.on("data", (chunk) => { stderr = (stderr + chunk).slice(-500); });
+    child.stdin.on("error", () => {});
+    child.on("error", (err) => { clearTimeout(timer); reject(err); });
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) resolve();
+      else reject(new Error(`${signal ? `killed by ${signal}` : `exit ${code}`}${stderr.trim() ? `: ${stderr.trim()}` : ""}`));
+    });
+    child.stdin.end(JSON.stringify(payload) + "\n");
+  });
+}
+
+function notifyLog(notifier, payload) {
+  return fs.promises.appendFile(notifier.file, JSON.stringify(payload) + "\n");
+}
+
+const NOTIFIERS = { webhook: notifyWebhook, command: notifyCommand, log: notifyLog };
+
+// A webhook URL fit for logs: credentials, the query and everything past the
+// first path segment (where Slack and Discord put the token) are masked.
+function redactURL(url) {
+  const u = new URL(url);
+  const segments = u.pathname.split("/").filter(Boolean);
+  const pathname = segments.length > 1 ? `/${segments[0]}/***` : u.pathname;
+  return `${u.protocol}//${u.username || u.password ? "***@" : ""}${u.host}${pathname}${u.search ? "?***" : ""}`;
+}
+
+const notifierLabel = (n) => `${n.type} ${n.url ? redactURL(n.url) : n.command ?? n.file}`;
+
+// ── Alert state ─────────────────────────────────────────────────────
+// Per rule + endpoint: an alert fires after `fireAfter` breaching evaluations
+// in a row and resolves after `recoverAfter` clean ones. With a state file
+// the counters survive between runs, so cron'd runs debounce the same way a
+// monitor does between cycles.
+function loadState(file) {
+  if (!file) return new Map();
+  try {
+    return new Map(Object.entries(JSON.parse(fs.readFileSync(file, "utf8"))));
+  } catch (err) {
+    if (err.code === "ENOENT") return new Map();
+    throw new Error(`Cannot read alert state ${file}: ${err.message}`);
+  }
+}
+
+function createAlerter(alerts, { percentiles, onNotifyError = () => {} } = {}) {
+  const state = loadState(alerts.stateFile);
+  const host = os.hostname();
+
+  const payload = (status, result, entry, now) => ({
+    status,
+    rule: ruleText(result.rule),
+    name: result.rule.name ?? null,
+    endpoint: result.endpoint,
+    mode: result.rule.mode,
+    metric: result.rule.metric,
+    value: result.value == null ? null : +result.value.toFixed(2),
+    threshold: result.rule.threshold,
+    unit: isRateMetric(result.rule.metric) ? "%" : "ms",
+    since: entry.since,
+    host,
+    timestamp: new Date(now).toISOString(),
+  });
+
+  async function notify(event) {
+    const settled = await Promise.allSettled(alerts.notify.map((n) => NOTIFIERS[n.type](n, event)));
+    settled.forEach((r, i) => { if (r.status === "rejected") onNotifyError(notifierLabel(alerts.notify[i]), r.reason, event); });
+  }
+
+  return {
+    state,
+
+    // Checks the rules against fresh observations, updates the state, sends
+    // notifications and returns the results and the events that were sent.
+    async evaluate(observations, now = Date.now()) {
+      const results = evaluateRules(alerts.rules, observations, percentiles);
+      const events = [];
+
+      // Forget rules that were removed or changed since the state was saved.
+      const current = new Set(alerts.rules.map(ruleText));
+      for (const key of state.keys()) if (!current.has(key.split("\u0000")[0])) state.delete(key);
+
+      for (const result of results) {
+        const key = `${ruleText(result.rule)}\u0000${result.endpoint}`;
+        const entry = state.get(key) ?? { status: "ok", breaches: 0, clears: 0, since: null, notifiedAt: null };
+        state.set(key, entry);
+        result.state = entry;
+        if (result.value == null) continue;
+        entry.value = result.value;
+
+        if (result.breached) {
+          entry.breaches++;
+          entry.clears = 0;
+          if (entry.status === "ok" && entry.breaches >= alerts.fireAfter) {
+            entry.status = "firing";
+            entry.since = new Date(now).toISOString();
+            events.push(payload("firing", result, entry, now));
+            entry.notifiedAt = now;
+          } else if (entry.status === "firing" && alerts.repeatSec && now - entry.notifiedAt >= alerts.repeatSec * 1000) {
+            events.push({ ...payload("firing", result, entry, now), repeat: true });
+            entry.notifiedAt = now;
+          }
+        } else {
+          entry.clears++;
+          entry.breaches = 0;
+          if (entry.status === "firing" && entry.clears >= alerts.recoverAfter) {
+            events.push(payload("resolved", result, entry, now));
+            Object.assign(entry, { status: "ok", since: null, notifiedAt: null });
+          }
+        }
+      }
+
+      for (const event of events) await notify(event);
+      if (alerts.stateFile) fs.writeFileSync(alerts.stateFile, JSON.stringify(Object.fromEntries(state), null, 2) + "\n");
+      return { results, events };
+    },
+  };
+}
+
+module.exports = {
+  ALERT_MODES,
+  MODE_ALIASES,
+  LATENCY_METRICS,
+  RATE_METRICS,
+  OPS,
+  NOTIFIER_TYPES,
+  parseRule,
+  canonicalMode,
+  isMetric,
+  isRateMetric,
+  ruleText,
+  redactURL,
+  observationsFromSamples,
+  evaluateRules,
+  createAlerter,
+};
@@ -0,0 +1,136 @@
+const crypto = require("crypto");
+const { sleep, createKeepAliveAgent, measureHTTPKeepAlive } = require("./measure");
+const { HTTPStatusError, errorFields } = require("./errors");
+
+// Read-only market data steps, run for every configured token.
+const MARKET_STEPS = {
+  book: (tokenId) => `/book?token_id=${encodeURIComponent(tokenId)}`,
+  price: (tokenId, side) => `/price?token_id=${encodeURIComponent(tokenId)}&side=${side}`,
+  midpoint: (tokenId) => `/midpoint?token_id=${encodeURIComponent(tokenId)}`,
+};
+
+// ── L2 authentication ───────────────────────────────────────────────
+// HMAC-SHA256 over timestamp + method + path (no query) + body, keyed with
+// the base64 API secret and sent url-safe base64 encoded, as the official
+// CLOB clients do.
+function l2Signature(secret, timestamp, method, requestPath, body = "") {
+  return crypto
+    .createHmac("sha256", Buffer.from(secret, "base64"))
+    .update(`${timestamp}${method}${requestPath}${body}`)
+    .digest("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_");
+}
+
+function l2Headers(creds, method, path, body) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  return {
+    POLY_ADDRESS: creds.address,
+    POLY_SIGNATURE: l2Signature(creds.secret, timestamp, method, path.split("?")[0], body),
+    POLY_TIMESTAMP: String(timestamp),
+    POLY_API_KEY: creds.apiKey,
+    POLY_PASSPHRASE: creds.passphrase,
+  };
+}
+
+const hasCredentials = (clob) => Boolean(clob.apiKey && clob.secret && clob.passphrase);
+
+// ── Probe ───────────────────────────────────────────────────────────
+// Everything goes over one keep-alive connection, like a trading client.
+// Market steps run `rounds` times per token; the order round trip posts each
+// order once and cancels it straight away, timing both requests.
+async function runClob(clob, { rounds, warmupRounds = 0, delayMs = 0, timeout = 10000, onSample = () => {} }) {
+  const ep = { name: clob.name, url: clob.url };
+  const agent = createKeepAliveAgent(ep);
+  const signed = hasCredentials(clob);
+
+  const request = async (method, path, body) => {
+    // Node only chunks POST/PUT bodies, so DELETE needs an explicit length.
+    const headers = { "Content-Type": "application/json" };
+    if (body) headers["Content-Length"] = Buffer.byteLength(body);
+    if (signed) Object.assign(headers, l2Headers(clob, method, path, body));
+    const m = await measureHTTPKeepAlive({ ...ep, method, path, headers, body }, agent, timeout, { keepBody: true });
+    if (m.status < 200 || m.status >= 300) throw new HTTPStatusError(m, m.body.slice(0, 200));
+    return m;
+  };
+
+  // Runs one timed request and records it; returns the measurement or null.
+  const step = async (entry, round, method, path, body) => {
+    try {
+      const m = await request(method, path, body);
+      entry.times.push(m.total);
+      onSample({ step: entry.step, round, ttfb: m.ttfb, total: m.total, status: m.status, size: m.size, error: null });
+      return m;
+    } catch (err) {
+      entry.errors.push(err.message);
+      onSample({ step: entry.step, round, ...errorFields(err) });
+      return null;
+    }
+  };
+
+  const steps = [];
+  const orders = {
+    post: { step: "order-post", times: [], errors: [] },
+    cancel: { step: "order-cancel", times: [], errors: [] },
+    roundTrip: [],
+    rejected: [],
+    leftOpen: [],
+  };
+
+  try {
+    for (let i = 0; i < warmupRounds; i++) {
+      try { await request("GET", "/time"); } catch {}
+    }
+
+    if (signed) {
+      const entry = { step: "api-keys", tokenId: null, times: [], errors: [] };
+      steps.push(entry);
+      for (let i = 0; i < rounds; i++) {
+        await step(entry, i + 1, "GET", "/auth/api-keys");
+        await sleep(delayMs);
+      }
+    }
+
+    for (const tokenId of clob.tokenIds) {
+      for (const [name, path] of Object.entries(MARKET_STEPS)) {
+        const entry = { step: name, tokenId, times: [], errors: [] };
+        steps.push(entry);
+        for (let i = 0; i < rounds; i++) {
+          await step(entry, i + 1, "GET", path(tokenId, clob.side));
+          await sleep(delayMs);
+        }
+      }
+    }
+
+    for (let i = 0; i < clob.orders.length; i++) {
+      const body = JSON.stringify({ order: clob.orders[i], owner: clob.apiKey, orderType: clob.orderType });
+      const posted = await step(orders.post, i + 1, "POST", "/order", body);
+      if (!posted) continue;
+      const reply = parseJSON(posted.body);
+      const orderID = reply?.orderID ?? reply?.orderId;
+      if (!reply?.success || !orderID) {
+        orders.rejected.push(reply?.errorMsg || "no order ID in reply");
+        continue;
+      }
+      const cancelled = await step(orders.cancel, i + 1, "DELETE", "/order", JSON.stringify({ orderID }));
+      const ok = cancelled && (parseJSON(cancelled.body)?.canceled || []).includes(orderID);
+      if (ok) orders.roundTrip.push(posted.total + cancelled.total);
+      else orders.leftOpen.push(orderID);
+      await sleep(delayMs);
+    }
+  } finally {
+    agent.destroy();
+  }
+
+  return { name: clob.name, url: clob.url, signed, dryRun: clob.dryRun, steps, orders };
+}
+
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { MARKET_STEPS, l2Signature, l2Headers, hasCredentials, runClob };
@@ -0,0 +1,169 @@
+const dgram = require("dgram");
+const net = require("net");
+const { computeStats } = require("./stats");
+
+// ── SNTP (RFC 4330) ─────────────────────────────────────────────────
+const NTP_EPOCH_OFFSET = 2208988800; // seconds from 1900 to 1970
+const NTP_PACKET = 48;
+const NTP_INTERVAL_MS = 1000;        // between queries: pool servers rate-limit
+
+function writeTimestamp(buf, offset, ms) {
+  const secs = Math.floor(ms / 1000);
+  buf.writeUInt32BE(secs + NTP_EPOCH_OFFSET, offset);
+  buf.writeUInt32BE(Math.min(0xffffffff, Math.round(((ms - secs * 1000) / 1000) * 2 ** 32)), offset + 4);
+}
+
+const readTimestamp = (buf, offset) => (buf.readUInt32BE(offset) - NTP_EPOCH_OFFSET) * 1000 + (buf.readUInt32BE(offset + 4) / 2 ** 32) * 1000;
+
+// 16.16 fixed-point seconds (root delay and dispersion), in ms.
+const readShort = (buf, offset) => (buf.readUInt16BE(offset) + buf.readUInt16BE(offset + 2) / 65536) * 1000;
+
+// One client/server exchange against the local wall clock (Date.now, what
+// the other phases stamp with). offset is server − local: add it to a local
+// time to get the server's. delay is the round trip minus the server's hold
+// time.
+function queryNTP({ host, port = 123 }, timeout = 2000) {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket(net.isIPv6(host) ? "udp6" : "udp4");
+    const request = Buffer.alloc(NTP_PACKET);
+    request[0] = (4 << 3) | 3; // LI 0, version 4, client mode
+    let t1 = null;
+
+    // A send error or a reply can race the timer; only the first one settles.
+    let settled = false;
+    const timer = setTimeout(() => done(new Error("Timeout")), timeout);
+    const done = (err, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      socket.close();
+      if (err) reject(err);
+      else resolve(value);
+    };
+
+    socket.on("error", done);
+    socket.on("message", (msg) => {
+      const t4 = Date.now();
+      // Replies to other requests (late or spoofed) echo a different originate time.
+      if (msg.length < NTP_PACKET || !msg.subarray(24, 32).equals(request.subarray(40, 48))) return;
+      const mode = msg[0] & 7;
+      const stratum = msg[1];
+      if (mode !== 4) return done(new Error(`Unexpected NTP mode ${mode}`));
+      if (stratum === 0) return done(new Error(`NTP kiss-o'-death ${msg.toString("ascii", 12, 16).replace(/\0/g, "")}`));
+      if ((msg[0] >> 6) === 3) return done(new Error("NTP server is not synchronised"));
+      const t2 = readTimestamp(msg, 32);
+      const t3 = readTimestamp(msg, 40);
+      done(null, {
+        offset: ((t2 - t1) + (t3 - t4)) / 2,
+        delay: Math.max(0, (t4 - t1) - (t3 - t2)),
+        stratum,
+        rootDelay: readShort(msg, 4),
+        rootDispersion: readShort(msg, 8),
+      });
+    });
+
+    t1 = Date.now();
+    writeTimestamp(request, 40, t1);
+    socket.send(request, port, host, (err) => { if (err) done(err); });
+  });
+}
+
+// `samples` queries a second apart; the one with the shortest round trip is
+// kept, since it leaves the least room for path asymmetry. The offset is
+// within ± uncertainty of the server's clock: half the round trip plus the
+// server's own distance from its reference (root delay / 2 + dispersion).
+// onSample sees every query as { round, result?, error? }.
+async function measureClockOffset(server, { samples = 4, timeout = 2000, onSample = () => {} } = {}) {
+  const results = [];
+  const errors = [];
+  for (let i = 0; i < samples; i++) {
+    if (i) await new Promise((r) => setTimeout(r, NTP_INTERVAL_MS));
+    try {
+      const result = await queryNTP(server, timeout);
+      results.push(result);
+      onSample({ round: i + 1, result });
+    } catch (err) {
+      errors.push(err.message);
+      onSample({ round: i + 1, error: err });
+    }
+  }
+  const source = `${net.isIPv6(server.host) ? `[${server.host}]` : server.host}:${server.port}`;
+  if (!results.length) return { server: source, offset: null, uncertainty: null, samples: 0, errors, error: errors[errors.length - 1] };
+
+  const best = results.reduce((a, b) => (b.delay < a.delay ? b : a));
+  const offsets = results.map((r) => r.offset);
+  return {
+    server: source,
+    offset: best.offset,
+    uncertainty: best.delay / 2 + best.rootDelay / 2 + best.rootDispersion,
+    delay: best.delay,
+    stratum: best.stratum,
+    // How much the offsets of the other queries disagree with the best one.
+    spread: Math.max(...offsets) - Math.min(...offsets),
+    samples: results.length,
+    errors,
+  };
+}
+
+// ── One-way delays ──────────────────────────────────────────────────
+// From HTTP Date headers: { sentAt, receivedAt, date } per response, with
+// sentAt/receivedAt on the local clock. Moved onto the server's clock with
+// the offset, [sentAt, receivedAt] must contain the moment the server
+// stamped the response, and a Date header (one-second resolution) says it
+// fell in [D, D + 1 s). Each response thus bounds the upstream delay
+// (request sent → stamped) and the downstream one (stamped → first byte);
+// server time counts on whichever side of the stamp it fell. Assuming the
+// delays stay about the same over the run, the bounds of all responses are
+// intersected (their medians when they don't overlap, e.g. with jitter) and
+// widened by the offset's uncertainty. Responses whose Date falls outside
+// their own round trip, which happens when the server's clock is off, are
+// counted as inconsistent and left out.
+function oneWayFromDates(observations, clock) {
+  if (clock?.offset == null) return null;
+  const up = [];
+  const down = [];
+  let inconsistent = 0;
+  for (const o of observations) {
+    const stamped = o.date ? Date.parse(o.date) : NaN;
+    if (Number.isNaN(stamped) || o.sentAt == null || o.receivedAt == null) continue;
+    const sent = o.sentAt + clock.offset;
+    const received = o.receivedAt + clock.offset;
+    const lo = Math.max(stamped, sent);
+    const hi = Math.min(stamped + 1000, received);
+    if (lo > hi) {
+      inconsistent++;
+      continue;
+    }
+    up.push([lo - sent, hi - sent]);
+    down.push([received - hi, received - lo]);
+  }
+  if (!up.length) return { samples: 0, inconsistent, upstream: null, downstream: null };
+
+  const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  };
+  const bounds = (intervals) => {
+    const low = Math.max(...intervals.map(([l]) => l));
+    const high = Math.min(...intervals.map(([, h]) => h));
+    const [l, h] = low <= high ? [low, high] : [median(intervals.map(([v]) => v)), median(intervals.map(([, v]) => v))];
+    return {
+      estimate: (l + h) / 2,
+      low: Math.max(0, l - clock.uncertainty),
+      high: h + clock.uncertainty,
+      intersected: low <= high,
+    };
+  };
+  return { samples: up.length, inconsistent, upstream: bounds(up), downstream: bounds(down) };
+}
+
+// From WS message timestamps: the raw delays (receipt − server timestamp)
+// measured against the local clock, corrected by the offset. Only the
+// downstream direction, within ± the offset's uncertainty.
+function oneWayFromTimestamps(delays, clock, config) {
+  if (clock?.offset == null || !delays.length) return null;
+  return { downstream: computeStats(delays.map((d) => d + clock.offset), config), uncertainty: clock.uncertainty };
+}
+
+module.exports = { queryNTP, measureClockOffset, oneWayFromDates, oneWayFromTimestamps, writeTimestamp, readTimestamp };
@@ -0,0 +1,133 @@
+const { parseArgs } = require("util");
+const Table = require("cli-table3");
+const { ConfigError, parseRunArgs } = require("../config");
+const { setProgressStream, createSampleSink, green, yellow, red, cyan, bold, dim } = require("../output");
+const { COMPARE_USAGE, readReport, parseThresholds, compareReports, compareRoutes } = require("../compare");
+const { measure } = require("../runner");
+const { MODE_LABELS } = require("../report");
+
+// ── Comparison ──────────────────────────────────────────────────────
+function printComparison(rows, baseline, current) {
+  const fmt = (v) => (v == null || isNaN(v) ? "N/A" : v.toFixed(2));
+  const fmtDelta = (entry) => {
+    if (!entry) return "N/A";
+    const sign = entry.delta > 0 ? "+" : "";
+    const text = `${sign}${entry.delta.toFixed(2)}${entry.pct != null ? ` (${sign}${entry.pct.toFixed(1)}%)` : ""}`;
+    if (entry.exceeded) return red(text);
+    return entry.delta > 0 ? yellow(text) : green(text);
+  };
+
+  console.log(bold("\n══════════════════════════════════════════════════════════════"));
+  console.log(bold("  COMPARISON"));
+  console.log(bold("══════════════════════════════════════════════════════════════\n"));
+  console.log(dim(`  Baseline: ${baseline.server?.hostname || "?"} @ ${baseline.timestamp || "?"}`));
+  console.log(dim(`  Current:  ${current.server?.hostname || "?"} @ ${current.timestamp || "?"}\n`));
+
+  const table = new Table({
+    head: ["Endpoint", "Mode", "Median", "ΔMedian", "P95", "ΔP95", "P99", "ΔP99", "ΔJitter", "p (worse)", "Verdict"],
+    style: { head: ["cyan"] },
+    colAligns: ["left", "center", "right", "right", "right", "right", "right", "right", "right", "right", "center"],
+  });
+
+  let lastName = null;
+  for (const row of rows) {
+    const name = row.name === lastName ? "" : row.name;
+    lastName = row.name;
+    const mode = MODE_LABELS[row.mode] || row.mode;
+
+    if (!row.baseline || !row.current) {
+      table.push([name, mode, { colSpan: 9, content: dim(row.note) }]);
+      continue;
+    }
+
+    const m = row.metrics;
+    const verdict = row.regression ? red("REGRESSION") : row.improvement ? green("improved") : dim("ok");
+    table.push([
+      name, mode,
+      fmt(row.current.median), fmtDelta(m.median),
+      fmt(row.current.p95), fmtDelta(m.p95),
+      fmt(row.current.p99), fmtDelta(m.p99),
+      fmtDelta(m.jitter),
+      row.test ? row.test.pWorse.toFixed(3) : dim("N/A"),
+      verdict,
+    ]);
+  }
+  console.log(table.toString());
+  console.log(dim("  * Deltas are current − baseline in ms. p (worse) = one-sided Mann-Whitney U on raw samples (N/A without samples)."));
+
+  const regressions = rows.filter((r) => r.regression);
+  if (regressions.length) {
+    console.log(red(bold(`\n  ${regressions.length} regression(s): ${regressions.map((r) => `${r.name} (${MODE_LABELS[r.mode]})`).join(", ")}\n`)));
+  } else {
+    console.log(green("\n  No regressions.\n"));
+  }
+}
+
+// Route changes are reported, not counted as regressions: a new path is only
+// worth chasing when the latency rows above moved too.
+function printRouteChanges(changes) {
+  if (!changes.length) return;
+  console.log(bold(`  Route changes (${changes.length}):\n`));
+  for (const c of changes) {
+    console.log(`    ${cyan(c.hostname)} ${c.address}${c.note ? dim(` - ${c.note}`) : ""}`);
+    for (const h of c.hops || []) console.log(`      hop ${String(h.hop).padStart(2)}  ${h.before ?? dim("none")} → ${yellow(h.after ?? "none")}`);
+    if (c.asPath && c.asPath[0].join() !== c.asPath[1].join()) {
+      console.log(`      AS path ${c.asPath[0].join(" → ") || "N/A"} ${dim("became")} ${yellow(c.asPath[1].join(" → ") || "N/A")}`);
+    }
+  }
+  console.log("");
+}
+
+async function compare(argv) {
+  const split = argv.indexOf("--");
+  const own = split === -1 ? argv : argv.slice(0, split);
+  const runArgv = split === -1 ? [] : argv.slice(split + 1);
+
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: own,
+      options: {
+        threshold: { type: "string", multiple: true },
+        alpha: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+      allowPositionals: true,
+    }));
+  } catch (err) {
+    throw new ConfigError(err.message);
+  }
+  if (values.help) {
+    console.log(COMPARE_USAGE);
+    return;
+  }
+  if (positionals.length < 1 || positionals.length > 2) {
+    throw new ConfigError("compare: expected <baseline.json> [current.json]");
+  }
+  if (positionals.length === 2 && runArgv.length) {
+    throw new ConfigError("compare: run options after \"--\" only apply when no current report is given");
+  }
+
+  const thresholds = parseThresholds(values.threshold);
+  const alpha = values.alpha != null ? Number(values.alpha) : 0.05;
+  if (!(alpha > 0 && alpha < 1)) throw new ConfigError(`--alpha: must be between 0 and 1, got ${JSON.stringify(values.alpha)}`);
+
+  const baseline = readReport(positionals[0]);
+  let current;
+  if (positionals[1]) {
+    current = readReport(positionals[1]);
+  } else {
+    const { config } = parseRunArgs(runArgv);
+    setProgressStream(process.stderr, config.quiet);
+    const sink = createSampleSink("human", null);
+    const { report } = await measure(config, sink);
+    current = { ...report, samples: sink.samples };
+  }
+
+  const rows = compareReports(baseline, current, { thresholds, alpha });
+  printComparison(rows, baseline, current);
+  printRouteChanges(compareRoutes(baseline, current));
+  if (rows.some((r) => r.regression)) process.exitCode = 1;
+}
+
+module.exports = { compare };
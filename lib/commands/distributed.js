@@ -0,0 +1,194 @@
+const fs = require("fs");
+const { URL } = require("url");
+const { parseArgs } = require("util");
+const Table = require("cli-table3");
+const { ConfigError, parseRunArgs, validateNumber, validateListen } = require("../config");
+const { setProgressStream, green, yellow, red, cyan, bold, dim } = require("../output");
+const { readReport } = require("../compare");
+const { DEFAULT_AGENT_LISTEN, DEFAULT_AGENT_TIMEOUT_SEC, AGENT_USAGE, COORDINATE_USAGE, shareableConfig, parseLocationSpec, createAgent, runAgents, nameLocations, aggregateReports, rankLocations } = require("../distributed");
+const { MODE_LABELS } = require("../report");
+
+// ── Distributed runs ────────────────────────────────────────────────
+function printDistributed(locations, rows, ranking) {
+  const fmt = (v) => (v == null || isNaN(v) ? "N/A" : v.toFixed(2));
+
+  console.log(bold("\n══════════════════════════════════════════════════════════════"));
+  console.log(bold("  CROSS-REGION COMPARISON"));
+  console.log(bold("══════════════════════════════════════════════════════════════\n"));
+  for (const l of locations) {
+    const server = l.report?.server;
+    const detail = l.error ? red(`FAILED: ${l.error}`) : dim(`${server?.hostname ?? "?"} | ${server?.platform ?? "?"} | ${l.report.timestamp ?? "?"}`);
+    console.log(`  ${cyan(l.name.padEnd(16))} ${detail}`);
+    console.log(dim(`  ${"".padEnd(16)} ${l.source}`));
+  }
+  console.log("");
+
+  const names = locations.filter((l) => l.report).map((l) => l.name);
+  if (!rows.length) {
+    console.log(dim("  No results to compare.\n"));
+    return;
+  }
+
+  const table = new Table({
+    head: ["Endpoint", "Mode", ...names, "Spread"],
+    style: { head: ["cyan"] },
+    colAligns: ["left", "center", ...names.map(() => "right"), "right"],
+  });
+  let lastName = null;
+  for (const row of rows) {
+    const name = row.name === lastName ? "" : row.name;
+    lastName = row.name;
+    table.push([
+      name, MODE_LABELS[row.mode] || row.mode,
+      ...names.map((n) => {
+        const e = row.locations.find((x) => x.location === n);
+        if (!e) return dim("N/A");
+        const median = e.rank === 1 && row.locations.length > 1 ? green(fmt(e.median)) : fmt(e.median);
+        return `${median} ${dim(`#${e.rank}`)}${e.errors ? red(` ${e.errors} err`) : ""}`;
+      }),
+      row.locations.length > 1 ? fmt(row.spread) : dim("N/A"),
+    ]);
+  }
+  console.log(table.toString());
+  console.log(dim("  * Median ms per location; #n = rank for that endpoint and mode, fastest first. Spread = slowest − fastest median.\n"));
+
+  if (ranking.length > 1) {
+    console.log(bold("  Location Ranking (persistent connections):\n"));
+    ranking.forEach((r, i) => {
+      const medal = i === 0 ? green("1st") : i === 1 ? yellow("2nd") : i === 2 ? red("3rd") : dim(`${i + 1}th`);
+      console.log(`    ${medal}  ${r.location.padEnd(20)} mean rank ${r.meanRank.toFixed(2)}  fastest on ${r.wins}/${r.rows}`);
+    });
+    console.log("");
+  }
+}
+
+async function coordinate(argv) {
+  const split = argv.indexOf("--");
+  const own = split === -1 ? argv : argv.slice(0, split);
+  const runArgv = split === -1 ? [] : argv.slice(split + 1);
+
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: own,
+      options: {
+        agent: { type: "string", multiple: true },
+        secret: { type: "string" },
+        timeout: { type: "string" },
+        out: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+      allowPositionals: true,
+    }));
+  } catch (err) {
+    throw new ConfigError(err.message);
+  }
+  if (values.help) {
+    console.log(COORDINATE_USAGE);
+    return;
+  }
+
+  const agents = (values.agent || []).map((spec) => {
+    const { name, target } = parseLocationSpec(spec);
+    let url;
+    try {
+      url = new URL(target);
+    } catch {}
+    if (!url || !["http:", "https:"].includes(url.protocol)) throw new ConfigError(`--agent: expected [name=]http(s)://host:port, got ${JSON.stringify(spec)}`);
+    return { name, url: target };
+  });
+  if (!agents.length && !positionals.length) throw new ConfigError("coordinate: expected at least one --agent or report file");
+  if (!agents.length && runArgv.length) throw new ConfigError("coordinate: run options after \"--\" need at least one --agent");
+  const timeoutMs = validateNumber(values.timeout ?? DEFAULT_AGENT_TIMEOUT_SEC, "--timeout", 1) * 1000;
+  const reports = positionals.map((spec) => {
+    const { name, target } = parseLocationSpec(spec);
+    return { name, source: target, report: readReport(target) };
+  });
+
+  let results = [];
+  if (agents.length) {
+    // Validated here first, so a typo fails once instead of on every agent.
+    const { config, raw, filters } = parseRunArgs(runArgv);
+    if (config.phases.includes("clob")) throw new ConfigError("coordinate: agents do not run the clob phase");
+    console.log(bold(`\n  Running on ${agents.length} agent(s): ${config.api.length} API + ${config.ws.length} WS endpoints, phases ${config.phases.join(", ")}`));
+    results = await runAgents(agents, { config: shareableConfig(raw), ...filters }, {
+      secret: values.secret ?? process.env.AGENT_SECRET ?? null,
+      timeoutMs,
+      onDone: (r) => console.log(r.error ? red(`    ✗ ${r.name ?? r.source}: ${r.error}`) : green(`    ✓ ${r.name ?? r.report.server?.region ?? r.report.server?.hostname} (${r.source})`)),
+    });
+  }
+
+  const locations = nameLocations([...results, ...reports]);
+  const rows = aggregateReports(locations);
+  const ranking = rankLocations(rows);
+  printDistributed(locations, rows, ranking);
+
+  if (values.out) {
+    const merged = {
+      type: "distributed",
+      timestamp: new Date().toISOString(),
+      locations: locations.map((l) => ({ name: l.name, source: l.source, server: l.report?.server ?? null, error: l.error ?? null })),
+      rows,
+      ranking,
+      reports: Object.fromEntries(locations.filter((l) => l.report).map((l) => [l.name, l.report])),
+    };
+    fs.writeFileSync(values.out, JSON.stringify(merged, null, 2) + "\n");
+    console.log(dim(`  Wrote the merged result to ${values.out}\n`));
+  }
+  if (locations.some((l) => l.error)) process.exitCode = 1;
+}
+
+async function agent(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        listen: { type: "string" },
+        region: { type: "string" },
+        secret: { type: "string" },
+        quiet: { type: "boolean", short: "q" },
+        help: { type: "boolean", short: "h" },
+      },
+    }));
+  } catch (err) {
+    throw new ConfigError(err.message);
+  }
+  if (values.help) {
+    console.log(AGENT_USAGE);
+    return;
+  }
+
+  const { host, port } = validateListen(values.listen ?? DEFAULT_AGENT_LISTEN, "--listen");
+  const secret = values.secret ?? process.env.AGENT_SECRET ?? null;
+  setProgressStream(process.stdout, !!values.quiet);
+  const server = createAgent({
+    host,
+    port,
+    region: values.region ?? null,
+    secret,
+    onRun: (e) => {
+      const at = dim(`[${new Date().toISOString()}]`);
+      if (e.status === "started") console.log(`${at} Run requested by ${e.from}`);
+      else if (e.status === "finished") console.log(`${at} ${green("Run finished")}, report sent to ${e.from}\n`);
+      else console.log(`${at} ${red(`Run failed: ${e.error.message}`)}\n`);
+    },
+  });
+  const address = await server.start();
+
+  console.log(bold("\n  Latency tester agent"));
+  console.log(dim(`  Listening on http://${address.address.includes(":") ? `[${address.address}]` : address.address}:${address.port}${values.region ? ` as ${values.region}` : ""}`));
+  console.log(dim("  Ctrl+C to stop.\n"));
+
+  await new Promise((resolve) => {
+    const shutdown = () => {
+      process.removeListener("SIGINT", shutdown);
+      process.removeListener("SIGTERM", shutdown);
+      server.stop().then(resolve);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+  });
+}
+
+module.exports = { coordinate, agent };
@@ -0,0 +1,114 @@
+const fs = require("fs");
+const { parseArgs } = require("util");
+const Table = require("cli-table3");
+const { ConfigError, validateNumber } = require("../config");
+const { green, yellow, red, cyan, bold, dim } = require("../output");
+const { DEFAULT_HISTORY_DIR, HISTORY_USAGE, readIndex, parseWhen, filterRuns, trendSeries, sparkline, renderHTML } = require("../history");
+const { MODE_LABELS } = require("../report");
+
+// ── History ─────────────────────────────────────────────────────────
+function printRunList(runs) {
+  const table = new Table({
+    head: ["Run", "Time", "Host", "Phases", "Series", "Best KA median"],
+    style: { head: ["cyan"] },
+    colAligns: ["left", "left", "left", "left", "right", "left"],
+  });
+  for (const run of runs) {
+    const best = run.entries.filter((e) => e.mode === "keepAlive" && e.median != null).sort((a, b) => a.median - b.median)[0];
+    table.push([run.id, run.timestamp.replace("T", " ").slice(0, 19), run.host ?? "?", run.phases.join(","), run.entries.length, best ? `${best.median.toFixed(2)} (${best.name})` : dim("N/A")]);
+  }
+  console.log(table.toString());
+}
+
+function printTrends(runs) {
+  const fmt = (v) => (v == null || isNaN(v) ? "N/A" : v.toFixed(2));
+  const table = new Table({
+    head: ["Host", "Endpoint", "Mode", "Runs", "Median", "Δ first", "Median trend", "P95", "P95 trend"],
+    style: { head: ["cyan"] },
+    colAligns: ["left", "left", "center", "right", "right", "right", "left", "right", "left"],
+  });
+  let lastHost;
+  for (const s of trendSeries(runs).sort((a, b) => String(a.host).localeCompare(String(b.host)))) {
+    const medians = s.points.map((p) => p.median);
+    const p95s = s.points.map((p) => p.p95);
+    const first = medians.find((v) => v != null);
+    const last = medians[medians.length - 1];
+    const delta = first != null && last != null ? last - first : null;
+    const sign = delta > 0 ? "+" : "";
+    const deltaText = delta == null ? "N/A" : `${sign}${delta.toFixed(2)}${first ? ` (${sign}${((delta / first) * 100).toFixed(1)}%)` : ""}`;
+    table.push([
+      s.host === lastHost ? "" : s.host ?? "?",
+      s.name,
+      MODE_LABELS[s.mode] || s.mode,
+      s.points.length,
+      fmt(last),
+      delta > 0 ? red(deltaText) : delta < 0 ? green(deltaText) : deltaText,
+      cyan(sparkline(medians)),
+      fmt(p95s[p95s.length - 1]),
+      yellow(sparkline(p95s)),
+    ]);
+    lastHost = s.host;
+  }
+  console.log(table.toString());
+  console.log(dim("  * Median/P95 = latest run, Δ first = change in median since the first run, in ms."));
+  console.log(dim("  * Sparklines show up to the last 40 runs, each scaled to its own range."));
+}
+
+async function history(argv) {
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: {
+        dir: { type: "string" },
+        host: { type: "string", multiple: true },
+        endpoint: { type: "string", multiple: true },
+        since: { type: "string" },
+        until: { type: "string" },
+        last: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+      allowPositionals: true,
+    }));
+  } catch (err) {
+    throw new ConfigError(err.message);
+  }
+  if (values.help) {
+    console.log(HISTORY_USAGE);
+    return;
+  }
+  const [action = "list", ...args] = positionals;
+  if (!["list", "trend", "html"].includes(action)) {
+    throw new ConfigError(`history: unknown action "${action}" (expected list, trend or html <file>)`);
+  }
+  if (args.length !== (action === "html" ? 1 : 0)) {
+    throw new ConfigError(action === "html" ? "history html: expected one output <file>" : `history ${action}: takes no arguments`);
+  }
+
+  const dir = values.dir ?? DEFAULT_HISTORY_DIR;
+  const { runs: all, invalid } = readIndex(dir);
+  const runs = filterRuns(all, {
+    hosts: values.host,
+    endpoints: values.endpoint,
+    since: values.since != null ? parseWhen(values.since, "since") : null,
+    until: values.until != null ? parseWhen(values.until, "until") : null,
+    last: values.last != null ? validateNumber(values.last, "--last", 1) : null,
+  });
+  if (invalid) console.error(yellow(`  Skipped ${invalid} unreadable line(s) in ${dir}`));
+
+  if (action === "html") {
+    fs.writeFileSync(args[0], renderHTML(runs, { modeLabels: MODE_LABELS }));
+    console.log(dim(`  Wrote ${runs.length} of ${all.length} runs to ${args[0]}`));
+    return;
+  }
+  if (!runs.length) {
+    console.log(dim(`  No runs in ${dir} match (${all.length} saved).`));
+    return;
+  }
+  console.log(bold(`\n  ${action === "trend" ? "Latency trends" : "Saved runs"} - ${runs.length} of ${all.length} runs in ${dir}\n`));
+  if (action === "trend") printTrends(runs);
+  else printRunList(runs);
+  console.log("");
+}
+
+module.exports = { history };
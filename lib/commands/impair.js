@@ -0,0 +1,85 @@
+const { URL } = require("url");
+const net = require("net");
+const { parseArgs } = require("util");
+const { ConfigError, validateListen } = require("../config");
+const { bold, dim } = require("../output");
+const { IMPAIR_USAGE, createImpairmentProxy } = require("../impair");
+
+// ── Impairment proxy ────────────────────────────────────────────────
+async function impair(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        listen: { type: "string" },
+        target: { type: "string" },
+        cert: { type: "string" },
+        key: { type: "string" },
+        plain: { type: "boolean" },
+        delay: { type: "string" },
+        jitter: { type: "string" },
+        "stall-rate": { type: "string" },
+        stall: { type: "string" },
+        "reset-rate": { type: "string" },
+        "tls-fail-rate": { type: "string" },
+        "error-rate": { type: "string" },
+        statuses: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    }));
+  } catch (err) {
+    throw new ConfigError(err.message);
+  }
+  if (values.help) {
+    console.log(IMPAIR_USAGE);
+    return;
+  }
+
+  if (Boolean(values.cert) !== Boolean(values.key)) throw new ConfigError("--cert and --key go together");
+  if (values.plain && values.cert) throw new ConfigError("--plain does not use a certificate");
+  if (values.target) {
+    let target;
+    try {
+      target = new URL(values.target);
+    } catch {
+      throw new ConfigError(`--target: invalid URL ${JSON.stringify(values.target)}`);
+    }
+    if (!["http:", "https:", "ws:", "wss:"].includes(target.protocol)) throw new ConfigError(`--target: expected an http(s) or ws(s) origin, got ${target.protocol}`);
+  }
+  const flags = { delayMs: "delay", jitterMs: "jitter", stallRate: "stall-rate", stallMs: "stall", resetRate: "reset-rate", tlsFailRate: "tls-fail-rate", errorRate: "error-rate", statuses: "statuses" };
+  const settings = Object.fromEntries(Object.entries(flags).filter(([, flag]) => values[flag] != null).map(([key, flag]) => [key, values[flag]]));
+  const { host, port } = validateListen(values.listen ?? "127.0.0.1:8443", "--listen");
+  const proxy = createImpairmentProxy({ host, port, target: values.target ?? null, plain: !!values.plain, cert: values.cert ?? null, key: values.key ?? null, settings });
+  const address = await proxy.start();
+  const hostPort = net.isIPv6(address.address) ? `[${address.address}]:${address.port}` : `${address.address}:${address.port}`;
+  // The generated certificate is for localhost.
+  const local = ["127.0.0.1", "::1", "0.0.0.0", "::"].includes(address.address);
+  const origin = `${values.plain ? "http" : "https"}://${local ? `localhost:${address.port}` : hostPort}`;
+  const s = proxy.settings;
+
+  console.log(bold("\n  Impairment proxy"));
+  console.log(dim(`  Listening: ${hostPort} → ${values.target ?? "built-in mock (JSON, WebSocket echo)"}`));
+  if (address.certFile) console.log(dim(`  Certificate: ${address.certFile}`));
+  console.log(dim(`  Delay ${s.delayMs}ms + jitter ${s.jitterMs}ms | stalls ${s.stallRate * 100}% × ${s.stallMs}ms | resets ${s.resetRate * 100}% | TLS failures ${s.tlsFailRate * 100}% | errors ${s.errorRate * 100}% (${s.statuses.join(", ")})`));
+  console.log(dim(`  Endpoint:  { name: Impaired, url: ${origin}${address.certFile ? `, ca: ${address.certFile}` : ""} }  (ws${values.plain ? "" : "s"}://… for WebSockets)`));
+  console.log(dim(`  Control:   ${origin}/_impair (GET settings and counters, POST changes)`));
+  console.log(dim("  Ctrl+C to stop.\n"));
+
+  await new Promise((resolve) => {
+    const shutdown = () => {
+      process.removeListener("SIGINT", shutdown);
+      process.removeListener("SIGTERM", shutdown);
+      proxy.stop().then(resolve);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+  });
+
+  const c = proxy.counters;
+  const statuses = Object.entries(c.statuses).map(([status, n]) => `${status} ×${n}`).join(", ") || "none";
+  console.log(dim(`\n  ${c.connections} connections: ${c.resets} reset, ${c.tlsFailures} TLS failures, ${c.stalls} stalls`));
+  console.log(dim(`  ${c.requests} requests, ${c.upgrades} upgrades; injected statuses: ${statuses}${c.upstreamErrors ? `; ${c.upstreamErrors} upstream errors` : ""}\n`));
+}
+
+module.exports = { impair };
@@ -0,0 +1,16 @@
+// The CLI's commands by name: each takes the arguments after the command
+// name and throws ConfigError for bad usage.
+const { run } = require("./run");
+const { compare } = require("./compare");
+const { history } = require("./history");
+const { coordinate, agent } = require("./distributed");
+const { monitor } = require("./monitor");
+const { load } = require("./load");
+const { soak } = require("./soak");
+const { resolvers } = require("./resolvers");
+const { mockWs, mockClob, mockDns, mockNtp } = require("./mocks");
+const { impair } = require("./impair");
+
+const COMMANDS = { run, compare, history, coordinate, agent, monitor, load, soak, resolvers, "mock-ws": mockWs, "mock-clob": mockClob, "mock-dns": mockDns, "mock-ntp": mockNtp, impair };
+
+module.exports = { COMMANDS };
@@ -0,0 +1,121 @@
+const Table = require("cli-table3");
+const { USAGE, ConfigError, parseRunArgs, redactConfig } = require("../config");
+const { setProgressStream, log, write, createSampleSink, yellow, red, cyan, bold, dim, colorLatency } = require("../output");
+const { computeStats, formatStats, percentileKey } = require("../stats");
+const { LOAD_MODES, runLoad } = require("../load");
+const { getServerInfo } = require("../runner");
+const { printJSONReport } = require("../report");
+
+// ── Load ────────────────────────────────────────────────────────────
+function printLoadSummary(results, config) {
+  const fmt = (v) => (v == null || isNaN(v) ? "N/A" : v.toFixed(2));
+
+  log(bold("\n══════════════════════════════════════════════════════════════"));
+  log(bold("  LOAD SUMMARY"));
+  log(bold("══════════════════════════════════════════════════════════════\n"));
+
+  const table = new Table({
+    head: ["Endpoint", "Mode", "Target", "Req", "RPS", ...config.percentiles.map((p) => (p === 50 ? "Median" : `P${p}`)), "Max", "Svc Med", "2xx", "429", "Other", "Err"],
+    style: { head: ["cyan"] },
+    colAligns: ["left", "center", "right", "right", "right", ...config.percentiles.map(() => "right"), "right", "right", "right", "right", "right", "right"],
+  });
+
+  let lastName = null;
+  for (const r of results) {
+    const other = Object.entries(r.statusCounts)
+      .filter(([s]) => !(s >= 200 && s < 300) && Number(s) !== 429)
+      .reduce((n, [, c]) => n + c, 0);
+    table.push([
+      r.name === lastName ? "" : r.name, r.mode === "keepalive" ? "KA" : "Cold",
+      r.openLoop ? `${r.target.rateHz} rps` : `${r.target.concurrency} conc`,
+      r.requests, fmt(r.throughput),
+      ...config.percentiles.map((p) => fmt(r.latency?.percentiles[percentileKey(p)])), fmt(r.latency?.max),
+      fmt(r.service?.median),
+      r.ok, r.rateLimited ? red(String(r.rateLimited)) : "0", other ? yellow(String(other)) : "0",
+      r.errors ? red(String(r.errors)) : "0",
+    ]);
+    lastName = r.name;
+  }
+  log(table.toString());
+
+  for (const r of results) {
+    const statuses = Object.entries(r.statusCounts).map(([s, c]) => `${s}×${c}`).join(" ");
+    const errors = Object.entries(r.errorTypes).map(([t, c]) => `${t}×${c} (${r.errorExamples[t]})`).join(", ");
+    log(dim(`  ${r.name} (${r.mode}): status ${statuses || "none"}${errors ? ` | errors ${errors}` : ""}${r.rateLimited ? ` | 429 rate ${(r.rateLimitedRatio * 100).toFixed(1)}%` : ""}`));
+  }
+  log(dim("\n  * Latency = full response time in ms. Open loop (rps) measures from each request's scheduled send time,"));
+  log(dim("    so queueing is included; Svc Med = time from actual send (still includes waiting for a free KA socket)."));
+  log(dim("    Closed loop (conc) reports service time only."));
+  log("");
+}
+
+async function load(argv) {
+  const { help, config, printConfig } = parseRunArgs(argv);
+  if (help) {
+    console.log(USAGE);
+    return;
+  }
+  if (printConfig) {
+    console.log(JSON.stringify(redactConfig(config), null, 2));
+    return;
+  }
+  const modes = LOAD_MODES.filter((m) => config.phases.includes(m));
+  if (!modes.length) throw new ConfigError("load: --phases must include cold and/or keepalive");
+  if (!config.api.length) throw new ConfigError("load: no API endpoints configured");
+
+  const human = config.output === "human";
+  setProgressStream(human ? process.stdout : process.stderr, config.quiet);
+  // Only a JSON report carries the samples: ndjson and csv stream them, and
+  // a long or fast test would otherwise hold all of them in memory.
+  const sink = createSampleSink(config.output, config.out, { retain: config.output === "json" || (human && !!config.out) });
+  const serverInfo = getServerInfo();
+  const target = config.load.rateHz ? `${config.load.rateHz} req/s open loop` : `${config.load.concurrency} concurrent workers`;
+
+  log(bold("\n  Polymarket Load Test"));
+  log(dim(`  ${serverInfo.hostname} | ${serverInfo.platform} | Node ${serverInfo.nodeVersion}`));
+  log(dim(`  ${target}, ${config.load.durationSec}s per endpoint and mode, up to ${config.load.connections} keep-alive sockets\n`));
+
+  const results = [];
+  for (const ep of config.api) {
+    log(`  ${cyan(ep.name)} ${dim(ep.url + (ep.path || ""))}`);
+    for (const mode of modes) {
+      log(dim(`    --- ${mode === "keepalive" ? "Keep-Alive" : "Cold"} ---`));
+      const r = await runLoad(ep, mode, config.load, {
+        timeout: config.httpTimeoutMs,
+        percentiles: config.percentiles,
+        onSample: (sample) => sink.record({ endpoint: ep.name, url: ep.url, phase: `load-${mode}`, ...sample }),
+        onTick: ({ elapsedMs, sent, completed, inFlight, latencies }) => {
+          const recent = computeStats(latencies.slice(-200));
+          write(`    t=${(elapsedMs / 1000).toFixed(0).padStart(3)}s  sent ${String(sent).padStart(6)}  done ${String(completed).padStart(6)}  in-flight ${String(inFlight).padStart(4)}${recent ? `  p50 ${colorLatency(recent.median)}  p95 ${colorLatency(recent.p95)}` : ""}\n`);
+        },
+      });
+      results.push(r);
+      log(`    ${dim("────────────────────────────────────────────────")}`);
+      log(`    ${r.completed} requests, ${r.throughput.toFixed(1)} req/s${r.latency ? ` | Med: ${colorLatency(r.latency.median)} | P95: ${colorLatency(r.latency.p95)} | P99: ${colorLatency(r.latency.p99)}` : ""}${r.rateLimited ? ` | ${red(`429 × ${r.rateLimited}`)}` : ""}\n`);
+    }
+  }
+
+  printLoadSummary(results, config);
+
+  const fmt = (v) => (v == null || isNaN(v)) ? null : +v.toFixed(2);
+  const report = {
+    type: "load",
+    timestamp: new Date().toISOString(),
+    server: serverInfo,
+    config: { ...config.load, modes, timeoutMs: config.httpTimeoutMs, percentiles: config.percentiles },
+    results: results.map((r) => ({
+      ...r,
+      durationMs: fmt(r.durationMs),
+      throughput: fmt(r.throughput),
+      goodput: fmt(r.goodput),
+      latency: formatStats(r.latency, { histogram: true }),
+      service: formatStats(r.service),
+      rateLimitedRatio: fmt(r.rateLimitedRatio),
+    })),
+  };
+  if (human) printJSONReport(report);
+  await sink.finish(report);
+  if (config.out) log(dim(`\n  Wrote ${config.output} output to ${config.out}`));
+}
+
+module.exports = { load };
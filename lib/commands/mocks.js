@@ -0,0 +1,231 @@
+const net = require("net");
+const { parseArgs } = require("util");
+const { ConfigError, validateNumber, validateListen } = require("../config");
+const { bold, dim } = require("../output");
+const { MOCK_WS_USAGE, createMockWSServer } = require("../mock-ws");
+const { MOCK_CLOB_USAGE, createMockClobServer } = require("../mock-clob");
+const { MOCK_DNS_USAGE, createMockDNSServer } = require("../mock-dns");
+const { MOCK_NTP_USAGE, createMockNTPServer } = require("../mock-ntp");
+
+// ── Mock WebSocket server ───────────────────────────────────────────
+async function mockWs(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        listen: { type: "string" },
+        rate: { type: "string" },
+        delay: { type: "string" },
+        jitter: { type: "string" },
+        "drop-after": { type: "string" },
+        "silent-after": { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    }));
+  } catch (err) {
+    throw new ConfigError(err.message);
+  }
+  if (values.help) {
+    console.log(MOCK_WS_USAGE);
+    return;
+  }
+
+  const { host, port } = validateListen(values.listen ?? "127.0.0.1:8765", "--listen");
+  const server = createMockWSServer({
+    host,
+    port,
+    rateHz: validateNumber(values.rate ?? 10, "--rate", 1),
+    delayMs: validateNumber(values.delay ?? 0, "--delay", 0),
+    jitterMs: validateNumber(values.jitter ?? 0, "--jitter", 0),
+    dropAfterMs: validateNumber(values["drop-after"] ?? 0, "--drop-after", 0) * 1000,
+    silentAfterMs: validateNumber(values["silent-after"] ?? 0, "--silent-after", 0) * 1000,
+  });
+  const address = await server.start();
+  const base = `ws://${address.address}:${address.port}`;
+
+  console.log(bold("\n  Mock Polymarket WebSocket server"));
+  console.log(dim(`  CLOB market: ${base}/ws/market`));
+  console.log(dim(`  Live Data:   ${base}/`));
+  console.log(dim("  Ctrl+C to stop.\n"));
+
+  await new Promise((resolve) => {
+    const shutdown = () => {
+      process.removeListener("SIGINT", shutdown);
+      process.removeListener("SIGTERM", shutdown);
+      server.stop().then(resolve);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+  });
+}
+
+// ── Mock CLOB server ────────────────────────────────────────────────
+async function mockClob(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        listen: { type: "string" },
+        "api-key": { type: "string" },
+        secret: { type: "string" },
+        passphrase: { type: "string" },
+        delay: { type: "string" },
+        jitter: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    }));
+  } catch (err) {
+    throw new ConfigError(err.message);
+  }
+  if (values.help) {
+    console.log(MOCK_CLOB_USAGE);
+    return;
+  }
+
+  const creds = [values["api-key"], values.secret, values.passphrase];
+  if (creds.some(Boolean) && !creds.every(Boolean)) {
+    throw new ConfigError("--api-key, --secret and --passphrase must be given together");
+  }
+  const { host, port } = validateListen(values.listen ?? "127.0.0.1:8080", "--listen");
+  const server = createMockClobServer({
+    host,
+    port,
+    credentials: creds[0] ? { apiKey: creds[0], secret: creds[1], passphrase: creds[2] } : null,
+    delayMs: validateNumber(values.delay ?? 0, "--delay", 0),
+    jitterMs: validateNumber(values.jitter ?? 0, "--jitter", 0),
+  });
+  const address = await server.start();
+
+  console.log(bold("\n  Mock Polymarket CLOB server"));
+  console.log(dim(`  REST: http://${address.address}:${address.port}`));
+  console.log(dim(`  L2 auth: ${creds[0] ? "checked" : "not checked"}`));
+  console.log(dim("  Ctrl+C to stop.\n"));
+
+  await new Promise((resolve) => {
+    const shutdown = () => {
+      process.removeListener("SIGINT", shutdown);
+      process.removeListener("SIGTERM", shutdown);
+      server.stop().then(resolve);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+  });
+}
+
+// ── Mock DNS server ─────────────────────────────────────────────────
+async function mockDns(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        listen: { type: "string" },
+        doh: { type: "string" },
+        record: { type: "string", multiple: true },
+        servfail: { type: "string", multiple: true },
+        ttl: { type: "string" },
+        "miss-delay": { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    }));
+  } catch (err) {
+    throw new ConfigError(err.message);
+  }
+  if (values.help) {
+    console.log(MOCK_DNS_USAGE);
+    return;
+  }
+
+  const records = {};
+  for (const value of values.record || []) {
+    const eq = value.indexOf("=");
+    const ip = value.slice(eq + 1);
+    if (eq <= 0 || !net.isIP(ip)) throw new ConfigError(`--record: expected <name=ip>, got ${JSON.stringify(value)}`);
+    (records[value.slice(0, eq)] ??= []).push(ip);
+  }
+  const { host, port } = validateListen(values.listen ?? "127.0.0.1:5353", "--listen");
+  const server = createMockDNSServer({
+    host,
+    port,
+    doh: values.doh ? validateListen(values.doh, "--doh") : null,
+    records,
+    servfail: values.servfail || [],
+    ttl: validateNumber(values.ttl ?? 60, "--ttl", 0),
+    missDelayMs: validateNumber(values["miss-delay"] ?? 20, "--miss-delay", 0),
+  });
+  const address = await server.start();
+  const hostPort = (a) => (net.isIPv6(a.address) ? `[${a.address}]:${a.port}` : `${a.address}:${a.port}`);
+
+  console.log(bold("\n  Mock DNS server"));
+  console.log(dim(`  UDP/TCP: ${hostPort(address)}  (--resolver udp://${hostPort(address)} or tcp://…)`));
+  if (address.doh) console.log(dim(`  DoH:     http://${hostPort(address.doh)}/dns-query`));
+  console.log(dim(`  Records: ${Object.keys(records).length ? Object.entries(records).map(([n, ips]) => `${n}=${ips.join("|")}`).join(" ") : "any name → 127.0.0.1 / ::1"}`));
+  console.log(dim("  Ctrl+C to stop.\n"));
+
+  await new Promise((resolve) => {
+    const shutdown = () => {
+      process.removeListener("SIGINT", shutdown);
+      process.removeListener("SIGTERM", shutdown);
+      server.stop().then(resolve);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+  });
+}
+
+// ── Mock NTP server ─────────────────────────────────────────────────
+async function mockNtp(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        listen: { type: "string" },
+        offset: { type: "string" },
+        delay: { type: "string" },
+        stratum: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    }));
+  } catch (err) {
+    throw new ConfigError(err.message);
+  }
+  if (values.help) {
+    console.log(MOCK_NTP_USAGE);
+    return;
+  }
+
+  const offsetMs = Number(values.offset ?? 0);
+  if (!Number.isFinite(offsetMs)) throw new ConfigError(`--offset: expected a number of ms, got ${JSON.stringify(values.offset)}`);
+  const stratum = validateNumber(values.stratum ?? 2, "--stratum", 1);
+  if (stratum > 15) throw new ConfigError(`--stratum: must be 1-15, got ${stratum}`);
+  const { host, port } = validateListen(values.listen ?? "127.0.0.1:12300", "--listen");
+  const server = createMockNTPServer({
+    host,
+    port,
+    offsetMs,
+    delayMs: validateNumber(values.delay ?? 0, "--delay", 0),
+    stratum,
+  });
+  const address = await server.start();
+  const hostPort = net.isIPv6(address.address) ? `[${address.address}]:${address.port}` : `${address.address}:${address.port}`;
+
+  console.log(bold("\n  Mock NTP server"));
+  console.log(dim(`  UDP:     ${hostPort}  (--phases clock,... --ntp-server ${hostPort})`));
+  console.log(dim(`  Clock:   local ${offsetMs >= 0 ? "+" : ""}${offsetMs}ms, stratum ${stratum}`));
+  console.log(dim("  Ctrl+C to stop.\n"));
+
+  await new Promise((resolve) => {
+    const shutdown = () => {
+      process.removeListener("SIGINT", shutdown);
+      process.removeListener("SIGTERM", shutdown);
+      server.stop().then(resolve);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+  });
+}
+
+module.exports = { mockWs, mockClob, mockDns, mockNtp };
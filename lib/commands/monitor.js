@@ -0,0 +1,55 @@
+const { USAGE, ConfigError, parseRunArgs, redactConfig } = require("../config");
+const { setProgressStream, log, createSampleSink, red, bold, dim } = require("../output");
+const { createMonitor } = require("../monitor");
+
+// ── Monitor ─────────────────────────────────────────────────────────
+async function monitor(argv) {
+  const { help, config, printConfig } = parseRunArgs(argv);
+  if (help) {
+    console.log(USAGE);
+    return;
+  }
+  if (printConfig) {
+    console.log(JSON.stringify(redactConfig(config), null, 2));
+    return;
+  }
+  if (config.output === "json") {
+    throw new ConfigError("monitor: --output json is not supported, use ndjson or csv to stream samples");
+  }
+  if (config.tui) throw new ConfigError("monitor: --tui is only for run");
+
+  setProgressStream(config.output === "human" ? process.stdout : process.stderr, config.quiet);
+  const sink = createSampleSink(config.output, config.out, { retain: false });
+  const mon = createMonitor(config, sink);
+  const { address, port } = await mon.start();
+
+  log(bold("\n  Polymarket Latency Monitor"));
+  log(dim(`  Probing ${config.api.length} API + ${config.ws.length} WS endpoints every ${config.monitor.intervalMs}ms, ${config.monitor.windowSec}s window`));
+  log(dim(`  Phases: ${config.phases.join(", ")}`));
+  log(dim(`  Serving http://${address.includes(":") ? `[${address}]` : address}:${port}/metrics and /status\n`));
+
+  await new Promise((resolve, reject) => {
+    let shuttingDown = false;
+    const shutdown = (signal) => {
+      if (shuttingDown) {
+        log(red(`\n  ${signal} again, exiting immediately.`));
+        process.exit(130);
+      }
+      shuttingDown = true;
+      log(dim(`\n  ${signal} received, finishing current cycle...`));
+      mon.stop()
+        .then(() => sink.finish({ type: "monitor", cycles: mon.state.cycles }))
+        .then(() => {
+          log(dim(`  Stopped after ${mon.state.cycles} cycles.\n`));
+          process.removeListener("SIGINT", shutdown);
+          process.removeListener("SIGTERM", shutdown);
+          resolve();
+        })
+        .catch(reject);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+  });
+}
+
+module.exports = { monitor };
@@ -0,0 +1,185 @@
+const { URL } = require("url");
+const net = require("net");
+const Table = require("cli-table3");
+const { USAGE, ConfigError, parseRunArgs, redactConfig } = require("../config");
+const { setProgressStream, log, createSampleSink, green, yellow, red, cyan, bold, dim, colorLatency } = require("../output");
+const { computeStats, formatStats } = require("../stats");
+const { runResolver } = require("../resolvers");
+const { getServerInfo } = require("../runner");
+const { printJSONReport } = require("../report");
+
+// ── Resolver comparison ─────────────────────────────────────────────
+const RECORD_FAMILIES = { A: 4, AAAA: 6 };
+
+// Answer sets per host and record type: the most common set is taken as
+// the consensus and every resolver is marked as agreeing or not. Geo-aware
+// DNS can legitimately differ, so this flags rather than fails.
+function markConsistency(results) {
+  const groups = new Map();
+  for (const r of results) {
+    for (const h of r.hosts) {
+      if (!h.answers.length) continue;
+      const key = `${h.hostname} ${h.type}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(h);
+    }
+  }
+  for (const hosts of groups.values()) {
+    const counts = {};
+    for (const h of hosts) counts[h.answers.join(",")] = (counts[h.answers.join(",")] || 0) + 1;
+    const [[consensus, top], next] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    // A tie for the most common set means there is no consensus.
+    for (const h of hosts) h.consistent = next?.[1] !== top && h.answers.join(",") === consensus;
+  }
+}
+
+function printResolverSummary(results) {
+  const fmt = (v) => (v == null || isNaN(v) ? "N/A" : v.toFixed(2));
+  const sum = (r, key) => r.hosts.reduce((n, h) => n + Object.values(h[key]).reduce((a, b) => a + b, 0), 0);
+
+  log(bold("\n══════════════════════════════════════════════════════════════"));
+  log(bold("  RESOLVER SUMMARY"));
+  log(bold("══════════════════════════════════════════════════════════════\n"));
+
+  const table = new Table({
+    head: ["Resolver", "Transport", "Connect", "Cold Med", "Cold P95", "Cached Med", "Cached P95", "TTL", "Agree", "NXDOMAIN", "SERVFAIL", "Err"],
+    style: { head: ["cyan"] },
+    colAligns: ["left", "center", "right", "right", "right", "right", "right", "right", "center", "right", "right", "right"],
+  });
+  for (const r of results) {
+    if (r.error) {
+      table.push([r.name, r.transport, { colSpan: 10, content: red(r.error) }]);
+      continue;
+    }
+    const ttls = r.hosts.filter((h) => h.ttl).map((h) => h.ttl.min);
+    const answered = r.hosts.filter((h) => h.consistent != null);
+    const agree = answered.filter((h) => h.consistent).length;
+    const rcode = (code) => r.hosts.reduce((n, h) => n + (h.rcodes[code] || 0), 0);
+    const other = sum(r, "rcodes") - rcode("NXDOMAIN") - rcode("SERVFAIL") + sum(r, "errors");
+    table.push([
+      r.name, r.transport, fmt(r.connect),
+      fmt(r.coldStats?.median), fmt(r.coldStats?.p95),
+      fmt(r.cachedStats?.median), fmt(r.cachedStats?.p95),
+      ttls.length ? Math.min(...ttls) : "N/A",
+      answered.length ? (agree === answered.length ? green(`${agree}/${answered.length}`) : yellow(`${agree}/${answered.length}`)) : "N/A",
+      rcode("NXDOMAIN") ? red(String(rcode("NXDOMAIN"))) : "0",
+      rcode("SERVFAIL") ? red(String(rcode("SERVFAIL"))) : "0",
+      other ? red(String(other)) : "0",
+    ]);
+  }
+  log(table.toString());
+
+  const differing = results.flatMap((r) => r.hosts.filter((h) => h.consistent === false).map((h) => [r.name, h]));
+  if (differing.length) {
+    log(bold("\n  Answers that differ from the other resolvers:\n"));
+    for (const [name, h] of differing) log(`    ${yellow(name.padEnd(18))} ${h.hostname} ${h.type}: ${h.answers.join(", ")}`);
+  }
+
+  const ranked = (key) => results.filter((r) => r[key]).sort((a, b) => a[key].median - b[key].median);
+  const [cold] = ranked("coldStats");
+  const [cached] = ranked("cachedStats");
+  log("");
+  if (cold) log(`  Fastest on cache misses: ${green(cold.name)} (${fmt(cold.coldStats.median)} ms median)`);
+  if (cached) log(`  Fastest when cached:     ${green(cached.name)} (${fmt(cached.cachedStats.median)} ms median)`);
+  log(dim("\n  * Cold = lookups of random names under each host (never cached; NXDOMAIN expected). Cached = repeat lookups"));
+  log(dim("    of the real name. Connect = TCP/TLS/HTTPS setup for stream transports, excluded from the query times."));
+  log(dim("  * TTL = lowest TTL seen. Agree = hosts whose answers match the most common answer across resolvers."));
+  log(dim("  * NXDOMAIN/SERVFAIL count real-name lookups; Err = timeouts, other codes and transport errors. All times in ms.\n"));
+}
+
+async function resolvers(argv) {
+  const { help, config, printConfig } = parseRunArgs(argv);
+  if (help) {
+    console.log(USAGE);
+    return;
+  }
+  if (printConfig) {
+    console.log(JSON.stringify(redactConfig(config), null, 2));
+    return;
+  }
+  const hostnames = [...new Set([...config.api, ...config.ws].map((ep) => new URL(ep.url).hostname.replace(/^\[|\]$/g, "")))]
+    .filter((h) => !net.isIP(h));
+  if (!hostnames.length) throw new ConfigError("resolvers: no endpoint hostnames to look up");
+  const types = [...new Set(config.families.map((f) => (f === 6 ? "AAAA" : "A")))];
+  const labelWidth = Math.max(...hostnames.map((h) => h.length)) + 6;
+
+  const human = config.output === "human";
+  setProgressStream(human ? process.stdout : process.stderr, config.quiet);
+  const sink = createSampleSink(config.output, config.out);
+  const serverInfo = getServerInfo();
+
+  log(bold("\n  Polymarket DNS Resolver Comparison"));
+  log(dim(`  ${serverInfo.hostname} | ${serverInfo.platform} | Node ${serverInfo.nodeVersion}`));
+  log(dim(`  ${config.resolvers.length} resolvers × ${hostnames.length} hosts (${types.join(", ")}), ${config.dnsLookups} cold + 1 + ${config.dnsLookups} cached lookups each\n`));
+
+  const results = [];
+  for (const resolver of config.resolvers) {
+    log(`  ${cyan(resolver.name)} ${dim(`${resolver.url} (${resolver.transport})`)}`);
+    const r = await runResolver(resolver, hostnames, {
+      types,
+      lookups: config.dnsLookups,
+      delayMs: config.delayBetweenMs,
+      timeout: config.dnsTimeoutMs,
+      onSample: ({ hostname, type, phase, ...sample }) =>
+        sink.record({ endpoint: hostname, url: resolver.url, family: RECORD_FAMILIES[type], phase, ...sample }),
+    });
+    if (r.error) {
+      log(red(`    ERROR: ${r.error}\n`));
+      results.push(r);
+      continue;
+    }
+    if (r.server && resolver.transport === "system") log(dim(`    Nameserver: ${r.server}`));
+    if (r.connect != null) log(dim(`    Connect: ${r.connect.toFixed(2)} ms`));
+    for (const h of r.hosts) {
+      h.coldStats = computeStats(h.cold, config);
+      h.cachedStats = computeStats(h.cached, config);
+      const codes = Object.entries({ ...h.rcodes, ...h.errors }).map(([c, n]) => `${c}×${n}`).join(" ");
+      log(`    ${`${h.hostname} ${h.type}`.padEnd(labelWidth)} Cold: ${h.coldStats ? colorLatency(h.coldStats.median) : red("N/A")} | Cached: ${h.cachedStats ? colorLatency(h.cachedStats.median) : red("N/A")} | TTL ${h.ttl ? h.ttl.min : "N/A"} | ${h.answers.length} addr${codes ? red(` | ${codes}`) : ""}`);
+    }
+    r.coldStats = computeStats(r.hosts.flatMap((h) => h.cold), config);
+    r.cachedStats = computeStats(r.hosts.flatMap((h) => h.cached), config);
+    if (r.reconnects) log(yellow(`    Reconnected ${r.reconnects} time(s) (server closed the connection)`));
+    log("");
+    results.push(r);
+  }
+  markConsistency(results);
+
+  printResolverSummary(results);
+
+  const fmt = (v) => (v == null || isNaN(v)) ? null : +v.toFixed(2);
+  const report = {
+    type: "resolvers",
+    timestamp: new Date().toISOString(),
+    server: serverInfo,
+    config: { lookups: config.dnsLookups, timeoutMs: config.dnsTimeoutMs, types, hostnames, percentiles: config.percentiles },
+    results: results.map((r) => ({
+      name: r.name,
+      url: r.url,
+      transport: r.transport,
+      server: r.server,
+      connect: fmt(r.connect),
+      reconnects: r.reconnects ?? 0,
+      error: r.error,
+      cold: formatStats(r.coldStats),
+      cached: formatStats(r.cachedStats),
+      hosts: r.hosts.map((h) => ({
+        hostname: h.hostname,
+        type: h.type,
+        cold: formatStats(h.coldStats),
+        first: h.first && { time: fmt(h.first.time), rcode: h.first.rcode },
+        cached: formatStats(h.cachedStats),
+        ttl: h.ttl,
+        answers: h.answers,
+        answerSets: h.answerSets,
+        consistent: h.consistent ?? null,
+        rcodes: h.rcodes,
+        errors: h.errors,
+      })),
+    })),
+  };
+  if (human) printJSONReport(report);
+  await sink.finish(report);
+  if (config.out) log(dim(`\n  Wrote ${config.output} output to ${config.out}`));
+}
+
+module.exports = { resolvers };
@@ -0,0 +1,104 @@
+const Table = require("cli-table3");
+const { USAGE, ConfigError, parseRunArgs, redactConfig } = require("../config");
+const { setProgressStream, log, createSampleSink, green, yellow, red, bold, dim } = require("../output");
+const { observationsFromSamples, createAlerter, ruleText, isRateMetric } = require("../alerts");
+const { saveRun } = require("../history");
+const { setPaused, measure } = require("../runner");
+const { createDashboard } = require("../tui");
+const { printSummary, printJSONReport } = require("../report");
+
+// ── Run ─────────────────────────────────────────────────────────────
+async function run(argv) {
+  const { help, config, printConfig } = parseRunArgs(argv);
+  if (help) {
+    console.log(USAGE);
+    return;
+  }
+  if (printConfig) {
+    console.log(JSON.stringify(redactConfig(config), null, 2));
+    return;
+  }
+
+  const human = config.output === "human";
+  if (config.tui && !(process.stdout.isTTY && process.stdin.isTTY)) throw new ConfigError("--tui needs an interactive terminal");
+  if (config.tui && !human && !config.out) throw new ConfigError(`--tui draws on stdout: write ${config.output} output to a file with --out`);
+
+  // The dashboard replaces the progress lines until the run is done.
+  const dashboard = config.tui ? createDashboard(config, {
+    onPause: setPaused,
+    onQuit: () => {
+      dashboard.stop();
+      console.log(dim("\n  Run stopped.\n"));
+      process.exit(130);
+    },
+  }) : null;
+  setProgressStream(human ? process.stdout : process.stderr, config.quiet || config.tui);
+  const sink = createSampleSink(config.output, config.out, { onSample: dashboard?.record });
+
+  dashboard?.start();
+  let result;
+  try {
+    result = await measure(config, sink);
+  } finally {
+    dashboard?.stop();
+  }
+  setProgressStream(human ? process.stdout : process.stderr, config.quiet);
+  const { serverInfo, clockData, apiData, wsData, clobData, pathData, report } = result;
+  printSummary(serverInfo, config, apiData, wsData, clobData, pathData, clockData);
+  if (config.alerts.rules.length) report.alerts = await checkAlerts(config, sink.samples);
+  if (human) printJSONReport(report);
+  await sink.finish(report);
+  if (config.out) log(dim(`\n  Wrote ${config.output} output to ${config.out}`));
+  if (config.history) {
+    const id = saveRun(config.history, report, sink.samples);
+    log(dim(`\n  Saved run ${id} to ${config.history}`));
+  }
+
+  log(dim(`\n  Finished at ${new Date().toISOString()}\n`));
+}
+
+// ── Alerts ──────────────────────────────────────────────────────────
+// Checks the SLO rules against this run's samples, sends notifications and
+// prints where each rule stands. Returns the report's alerts section.
+async function checkAlerts(config, samples) {
+  const { alerts } = config;
+  const alerter = createAlerter(alerts, {
+    percentiles: config.percentiles,
+    onNotifyError: (notifier, err) => log(red(`  Alert notification via ${notifier} failed: ${err.message}`)),
+  });
+  const baseNames = new Map([...config.api, ...config.ws].map((ep) => [ep.name, ep.baseName ?? ep.name]));
+  const { results, events } = await alerter.evaluate(observationsFromSamples(samples, baseNames));
+
+  log(bold("  Alert rules:\n"));
+  const table = new Table({
+    head: ["Rule", "Endpoint", "Value", "Status"],
+    style: { head: ["cyan"] },
+    colAligns: ["left", "left", "right", "left"],
+  });
+  for (const r of results) {
+    const unit = isRateMetric(r.rule.metric) ? "%" : "ms";
+    const status = r.value == null ? dim("no data")
+      : r.state.status === "firing" ? red(`FIRING since ${r.state.since}`)
+        : r.breached ? yellow(`breached ${r.state.breaches}/${alerts.fireAfter}`)
+          : green("ok");
+    table.push([r.rule.name ?? ruleText(r.rule), r.endpoint, r.value == null ? "N/A" : `${r.value.toFixed(2)}${unit}`, status]);
+  }
+  const unmatched = alerts.rules.filter((rule) => !results.some((r) => r.rule === rule));
+  for (const rule of unmatched) table.push([rule.name ?? ruleText(rule), dim("-"), "N/A", dim("no samples")]);
+  log(table.toString());
+  for (const e of events) log(e.status === "firing" ? red(`  Sent alert: ${e.rule} → ${e.endpoint}`) : green(`  Sent recovery: ${e.rule} → ${e.endpoint}`));
+  log("");
+
+  const firing = results.filter((r) => r.state.status === "firing");
+  if (firing.length) process.exitCode = 1;
+  const fmt = (v) => (v == null || isNaN(v) ? null : +v.toFixed(2));
+  return {
+    firing: firing.length,
+    rules: results.map((r) => ({
+      rule: ruleText(r.rule), name: r.rule.name, endpoint: r.endpoint, value: fmt(r.value), breached: r.breached, status: r.state.status, since: r.state.since,
+    })),
+    sent: events,
+  };
+}
+
+module.exports = { run };
@@ -0,0 +1,169 @@
+const Table = require("cli-table3");
+const { USAGE, ConfigError, parseRunArgs, redactConfig } = require("../config");
+const { setProgressStream, log, createSampleSink, green, yellow, red, cyan, bold, dim, colorLatency } = require("../output");
+const { formatStats } = require("../stats");
+const { createSoak } = require("../soak");
+const { getServerInfo } = require("../runner");
+const { errorFields } = require("../errors");
+const { printJSONReport } = require("../report");
+
+// ── Soak ────────────────────────────────────────────────────────────
+const SOAK_STATUS_INTERVAL_MS = 60000;
+
+const fmtHeld = (ms) => {
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m ${String(s % 60).padStart(2, "0")}s`;
+  return `${Math.floor(s / 3600)}h ${String(Math.floor((s % 3600) / 60)).padStart(2, "0")}m`;
+};
+
+function printSoakSummary(results) {
+  const fmt = (v) => (v == null || isNaN(v) ? "N/A" : v.toFixed(2));
+
+  log(bold("\n══════════════════════════════════════════════════════════════"));
+  log(bold("  SOAK SUMMARY"));
+  log(bold("══════════════════════════════════════════════════════════════\n"));
+
+  const table = new Table({
+    head: ["Endpoint", "Held", "Uptime", "Drops", "Close codes", "Pong t/o", "Stale", "Err", "Failed", "Reconn Med", "Reconn Max", "Resub Med", "Longest Gap", "Msgs"],
+    style: { head: ["cyan"] },
+    colAligns: ["left", "right", "right", "right", "left", "right", "right", "right", "right", "right", "right", "right", "right", "right"],
+  });
+  const count = (n) => (n ? red(String(n)) : "0");
+  for (const r of results) {
+    const uptime = r.uptime == null ? "N/A" : `${(r.uptime * 100).toFixed(r.uptime < 1 ? 3 : 0)}%`;
+    const codes = Object.entries(r.closeCodes).map(([code, n]) => `${code}×${n}`).join(" ");
+    table.push([
+      r.name, fmtHeld(r.durationMs),
+      r.uptime != null && r.uptime < 0.999 ? yellow(uptime) : uptime,
+      count(r.disconnects), codes || "-",
+      count(r.reasons["pong-timeout"]), r.subscribed ? count(r.reasons.stale) : dim("-"), count(r.reasons.error), count(r.failedConnects),
+      fmt(r.reconnect?.median), fmt(r.reconnect?.max), fmt(r.resubscribe?.median),
+      r.longestGap ? `${fmt(r.longestGap.ms)}${r.longestGap.acrossReconnect ? "*" : ""}` : "N/A",
+      r.subscribed ? r.messages : dim("-"),
+    ]);
+  }
+  log(table.toString());
+
+  for (const r of results) {
+    const errors = Object.entries(r.errorTypes).map(([t, n]) => `${t}×${n}`).join(", ");
+    const heartbeat = r.heartbeat ? `heartbeat RTT med ${fmt(r.heartbeat.median)} / max ${fmt(r.heartbeat.max)}` : "no heartbeats answered";
+    log(dim(`  ${r.name}: ${r.connects} connections, ${heartbeat}${errors ? ` | errors ${errors}` : ""}${r.longestGap ? ` | longest gap ${r.longestGap.trailing ? "until the end, still silent at" : "at"} ${r.longestGap.at}` : ""}`));
+  }
+  log(dim("\n  * Drops = connections lost: closed (Close codes; 1006 = no close frame), no pong to a heartbeat ping (Pong t/o),"));
+  log(dim("    no message for --stale-after on a subscribed endpoint (Stale) or a socket error (Err). Failed = reconnect attempts"));
+  log(dim("    that did not get through. Reconn = loss → next open, backoff included; Resub = open → first message."));
+  log(dim("  * Longest Gap = longest time without a message; * when it spans a reconnect. All times in ms.\n"));
+}
+
+async function soak(argv) {
+  const { help, config, printConfig } = parseRunArgs(argv);
+  if (help) {
+    console.log(USAGE);
+    return;
+  }
+  if (printConfig) {
+    console.log(JSON.stringify(redactConfig(config), null, 2));
+    return;
+  }
+  if (!config.ws.length) throw new ConfigError("soak: no WebSocket endpoints configured");
+  if (config.tui) throw new ConfigError("soak: --tui is only for run");
+
+  const human = config.output === "human";
+  setProgressStream(human ? process.stdout : process.stderr, config.quiet);
+  const sink = createSampleSink(config.output, config.out, { retain: false });
+  const serverInfo = getServerInfo();
+  const settings = config.soak;
+  const nameWidth = Math.max(...config.ws.map((ep) => ep.name.length));
+
+  log(bold("\n  Polymarket WebSocket Soak Test"));
+  log(dim(`  ${serverInfo.hostname} | ${serverInfo.platform} | Node ${serverInfo.nodeVersion}`));
+  log(dim(`  ${config.ws.length} connections held for ${fmtHeld(settings.durationSec * 1000)}, heartbeat every ${settings.heartbeatMs}ms (pong within ${config.wsPingTimeoutMs}ms)`));
+  log(dim(`  Stale after ${settings.staleMs ? `${settings.staleMs}ms without a message` : "never"}, reconnect backoff ${settings.backoffMs}-${settings.maxBackoffMs}ms. Ctrl+C to stop early.\n`));
+
+  const soaks = config.ws.map((ep) => {
+    const line = (text) => log(`  ${dim(new Date().toISOString().slice(11, 19))} ${cyan(ep.name.padEnd(nameWidth))}  ${text}`);
+    const sample = (phase, round, fields) => sink.record({ endpoint: ep.name, url: ep.url, phase, round, ...fields });
+    const s = createSoak(ep, settings, {
+      timeout: config.wsTimeoutMs,
+      pingTimeout: config.wsPingTimeoutMs,
+      percentiles: config.percentiles,
+      onEvent: (e) => {
+        const { state } = s;
+        if (e.type === "connected") {
+          sample("ws-soak-connect", state.connects, { total: e.handshake });
+          if (e.reconnect != null) sample("ws-reconnect", state.connects, { total: e.reconnect });
+          line(e.reconnect == null
+            ? `connected (handshake ${colorLatency(e.handshake)})`
+            : green(`reconnected after ${e.reconnect < 10000 ? `${e.reconnect.toFixed(0)}ms` : fmtHeld(e.reconnect)}`) + dim(` (handshake ${e.handshake.toFixed(1)}ms)`));
+        } else if (e.type === "connect-failed") {
+          sample("ws-soak-connect", state.connects + 1, errorFields(e.error));
+          line(red(`connect failed: ${e.error.message}`) + dim(` — retrying in ${e.retryInMs}ms`));
+        } else if (e.type === "disconnected") {
+          sample("ws-disconnect", state.disconnects, errorFields(e.error));
+          line(yellow(`lost (${e.reason}): ${e.error.message}`) + dim(` — reconnecting in ${e.retryInMs}ms`));
+        } else if (e.type === "resubscribed") {
+          sample("ws-resubscribe", state.connects, { total: e.ms });
+          if (state.connects > 1) line(dim(`first message ${e.ms.toFixed(1)}ms after reconnecting`));
+        } else if (e.type === "heartbeat") {
+          sample("ws-heartbeat", null, { total: e.rtt });
+        }
+      },
+    });
+    return { ep, soak: s, line };
+  });
+
+  const status = setInterval(() => {
+    for (const { ep, soak: s, line } of soaks) {
+      const { state } = s;
+      line(dim(`${state.connected ? "up" : "down"} | ${state.disconnects} drops | ${ep.subscribe ? `${state.messages} messages` : "no subscription"}${state.longestGap ? ` | longest gap ${state.longestGap.ms.toFixed(0)}ms` : ""}`));
+    }
+  }, SOAK_STATUS_INTERVAL_MS);
+
+  let stopping = false;
+  const shutdown = (signal) => {
+    if (stopping) {
+      log(red(`\n  ${signal} again, exiting immediately.`));
+      process.exit(130);
+    }
+    stopping = true;
+    log(dim(`\n  ${signal} received, closing the connections...`));
+    for (const { soak: s } of soaks) s.stop();
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+  let results;
+  try {
+    results = await Promise.all(soaks.map(({ soak: s }) => s.run()));
+  } finally {
+    clearInterval(status);
+    process.removeListener("SIGINT", shutdown);
+    process.removeListener("SIGTERM", shutdown);
+  }
+
+  printSoakSummary(results);
+
+  const fmt = (v) => (v == null || isNaN(v) ? null : +v.toFixed(2));
+  const report = {
+    type: "soak",
+    timestamp: new Date().toISOString(),
+    server: serverInfo,
+    config: { ...settings, pingTimeoutMs: config.wsPingTimeoutMs, handshakeTimeoutMs: config.wsTimeoutMs, percentiles: config.percentiles },
+    results: results.map((r) => ({
+      ...r,
+      durationMs: fmt(r.durationMs),
+      uptime: r.uptime == null ? null : +r.uptime.toFixed(6),
+      handshake: formatStats(r.handshake),
+      reconnect: formatStats(r.reconnect),
+      resubscribe: formatStats(r.resubscribe),
+      heartbeat: formatStats(r.heartbeat),
+      gap: formatStats(r.gap),
+      longestGap: r.longestGap && { ...r.longestGap, ms: fmt(r.longestGap.ms) },
+    })),
+  };
+  if (human) printJSONReport(report);
+  await sink.finish(report);
+  if (config.out) log(dim(`\n  Wrote ${config.output} output to ${config.out}`));
+}
+
+module.exports = { soak };
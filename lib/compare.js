@@ -0,0 +1,219 @@
+const fs = require("fs");
+const { ConfigError } = require("./config");
+const { asPath, diffRoutes } = require("./path");
+
+const METRICS = ["median", "p95", "p99", "jitter"];
+
+const DEFAULT_THRESHOLDS = { median: "10%", p95: "20%" };
+
+const COMPARE_USAGE = `Usage: node index.js compare <baseline.json> [current.json] [options] [-- run options]
+
+Compares two saved JSON reports (see --output json / --out). When only the
+baseline is given, a new run is made with the run options after "--".
+
+Options:
+      --threshold <m=v>   Regression threshold per metric, repeatable. m is one of
+                          ${METRICS.join(", ")}; v is relative ("10%") or absolute ("5ms").
+                          Defaults: ${Object.entries(DEFAULT_THRESHOLDS).map(([m, v]) => `${m}=${v}`).join(", ")}
+      --alpha <p>         Significance level for the Mann-Whitney test (default 0.05)
+  -h, --help              Show this help
+
+Exits with status 1 when any endpoint/mode regresses.
+`;
+
+// Report section → mode key → raw sample phase and the value the stats were computed from.
+const MODES = {
+  api: {
+    cold: { phase: "cold", field: "ttfb" },
+    keepAlive: { phase: "keepalive", field: "ttfb" },
+    h2: { phase: "h2", field: "ttfb" },
+    h2Ping: { phase: "h2-ping", field: "total" },
+  },
+  websocket: {
+    handshake: { phase: "ws-handshake", field: "total" },
+    pingRTT: { phase: "ws-ping", field: "total" },
+  },
+};
+
+// ── Report loading ──────────────────────────────────────────────────
+function readReport(file) {
+  let report;
+  try {
+    report = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new ConfigError(`Cannot read report ${file}: ${err.message}`);
+  }
+  if (!report || typeof report !== "object" || !report.results) {
+    throw new ConfigError(`${file}: not a latency report (missing "results")`);
+  }
+  return report;
+}
+
+// ── Thresholds ──────────────────────────────────────────────────────
+// "10%" is relative to the baseline value, "5ms" (or "5") is absolute.
+function parseThreshold(spec) {
+  const eq = spec.indexOf("=");
+  const metric = eq > 0 ? spec.slice(0, eq).trim() : "";
+  const value = spec.slice(eq + 1).trim();
+  if (!METRICS.includes(metric)) {
+    throw new ConfigError(`--threshold: unknown metric "${metric}" (expected ${METRICS.join(", ")})`);
+  }
+  const m = /^(\d+(?:\.\d+)?)\s*(%|ms)?$/.exec(value);
+  if (!m) throw new ConfigError(`--threshold ${metric}: expected a number with % or ms, got ${JSON.stringify(value)}`);
+  return { metric, limit: Number(m[1]), relative: m[2] === "%" };
+}
+
+function parseThresholds(specs) {
+  const byMetric = {};
+  for (const [metric, value] of Object.entries(DEFAULT_THRESHOLDS)) byMetric[metric] = `${metric}=${value}`;
+  for (const spec of specs || []) byMetric[spec.split("=")[0].trim()] = spec;
+  return Object.values(byMetric).map(parseThreshold);
+}
+
+// ── Mann-Whitney U ──────────────────────────────────────────────────
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7).
+function normalCDF(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// One-sided test that `b` tends to be larger than `a`, using the normal
+// approximation with tie and continuity correction. Needs >= 5 samples each.
+function mannWhitneyU(a, b) {
+  const n1 = a.length;
+  const n2 = b.length;
+  if (n1 < 5 || n2 < 5) return null;
+
+  const all = [...a.map((v) => ({ v, g: 0 })), ...b.map((v) => ({ v, g: 1 }))].sort((x, y) => x.v - y.v);
+  const n = all.length;
+  let rankSumB = 0;
+  let tieTerm = 0;
+  for (let i = 0; i < n; ) {
+    let j = i;
+    while (j + 1 < n && all[j + 1].v === all[i].v) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) if (all[k].g === 1) rankSumB += rank;
+    const t = j - i + 1;
+    tieTerm += t ** 3 - t;
+    i = j + 1;
+  }
+
+  const u = rankSumB - (n2 * (n2 + 1)) / 2;
+  const mean = (n1 * n2) / 2;
+  const sigma = Math.sqrt(((n1 * n2) / 12) * (n + 1 - tieTerm / (n * (n - 1))));
+  if (sigma === 0) return { u, z: 0, p: 1 };
+  const z = (u - mean - 0.5) / sigma;
+  return { u, z, p: 1 - normalCDF(z) };
+}
+
+// ── Comparison ──────────────────────────────────────────────────────
+// Per-IP samples carry an address and are not part of the mode's stats;
+// neither are retries, only each round's first attempt.
+function samplesFor(report, name, { phase, field }) {
+  if (!Array.isArray(report.samples)) return null;
+  return report.samples
+    .filter((s) => s.endpoint === name && s.phase === phase && !s.address && !(s.attempt > 1) && !s.error && s[field] != null)
+    .map((s) => s[field]);
+}
+
+function compareReports(baseline, current, { thresholds, alpha = 0.05 }) {
+  const rows = [];
+
+  for (const [section, modes] of Object.entries(MODES)) {
+    const baseList = baseline.results[section] || [];
+    const currList = current.results[section] || [];
+    const names = [...new Set([...baseList, ...currList].map((r) => r.name))];
+
+    for (const name of names) {
+      const base = baseList.find((r) => r.name === name);
+      const curr = currList.find((r) => r.name === name);
+
+      for (const [mode, source] of Object.entries(modes)) {
+        const b = base?.[mode];
+        const c = curr?.[mode];
+        if (!b && !c) continue;
+
+        const row = { section, name, mode, baseline: b || null, current: c || null, metrics: {}, test: null, regression: false, improvement: false };
+        rows.push(row);
+        if (!b || !c) {
+          const [side, entry] = b ? ["current", curr] : ["baseline", base];
+          row.note = entry ? `no data in ${side}` : `only in ${side === "current" ? "baseline" : "current"}`;
+          continue;
+        }
+
+        const baseSamples = samplesFor(baseline, name, source);
+        const currSamples = samplesFor(current, name, source);
+        if (baseSamples && currSamples) {
+          const worse = mannWhitneyU(baseSamples, currSamples);
+          const better = mannWhitneyU(currSamples, baseSamples);
+          if (worse) row.test = { pWorse: worse.p, pBetter: better.p, n: [baseSamples.length, currSamples.length] };
+        }
+
+        for (const metric of METRICS) {
+          if (b[metric] == null || c[metric] == null) continue;
+          const delta = c[metric] - b[metric];
+          const pct = b[metric] ? (delta / b[metric]) * 100 : null;
+          const entry = { baseline: b[metric], current: c[metric], delta, pct, exceeded: false };
+
+          const threshold = thresholds.find((t) => t.metric === metric);
+          if (threshold) {
+            const amount = threshold.relative ? pct : delta;
+            const limit = threshold.limit;
+            // Without raw samples the threshold alone decides.
+            const worseSig = row.test ? row.test.pWorse < alpha : true;
+            const betterSig = row.test ? row.test.pBetter < alpha : true;
+            if (amount != null && amount > limit && worseSig) {
+              entry.exceeded = true;
+              row.regression = true;
+            }
+            if (amount != null && amount < -limit && betterSig) row.improvement = true;
+          }
+          row.metrics[metric] = entry;
+        }
+      }
+    }
+  }
+
+  return rows;
+}
+
+// ── Routes ──────────────────────────────────────────────────────────
+// Per traced address: hops whose router changed, and addresses that only
+// one of the two reports traced (DNS moved the host).
+function compareRoutes(baseline, current) {
+  const before = baseline.results.path?.targets || [];
+  const after = current.results.path?.targets || [];
+  const changes = [];
+  for (const target of after) {
+    const base = before.find((t) => t.hostname === target.hostname && t.port === target.port && t.family === target.family);
+    if (!base) continue;
+    for (const a of target.addresses) {
+      const b = base.addresses.find((x) => x.address === a.address);
+      if (!b) {
+        changes.push({ hostname: target.hostname, address: a.address, note: "new address" });
+        continue;
+      }
+      if (!a.hops.length || !b.hops.length) continue;
+      const hops = diffRoutes(b.hops, a.hops);
+      if (hops.length) changes.push({ hostname: target.hostname, address: a.address, hops, asPath: [asPath(b.hops), asPath(a.hops)] });
+    }
+    for (const b of base.addresses) {
+      if (!target.addresses.some((a) => a.address === b.address)) changes.push({ hostname: target.hostname, address: b.address, note: "no longer resolved" });
+    }
+  }
+  return changes;
+}
+
+module.exports = {
+  METRICS,
+  DEFAULT_THRESHOLDS,
+  COMPARE_USAGE,
+  MODES,
+  readReport,
+  parseThresholds,
+  mannWhitneyU,
+  compareReports,
+  compareRoutes,
+};
@@ -0,0 +1,1023 @@
+const fs = require("fs");
+const path = require("path");
+const net = require("net");
+const { URL } = require("url");
+const { parseArgs } = require("util");
+const YAML = require("yaml");
+const { OUTPUT_FORMATS } = require("./output");
+const { DEFAULT_PERCENTILES } = require("./stats");
+const { parseResolver } = require("./resolvers");
+const { ERROR_TYPES, RETRYABLE_TYPES } = require("./errors");
+const { ENCODINGS } = require("./measure");
+const { ALERT_MODES, MODE_ALIASES, OPS, NOTIFIER_TYPES, parseRule, canonicalMode, isMetric, isRateMetric, redactURL } = require("./alerts");
+
+// ── Defaults ────────────────────────────────────────────────────────
+const DEFAULT_API_ENDPOINTS = [
+  { name: "Gamma API", url: "https://gamma-api.polymarket.com", payloadPaths: ["/markets?limit=500"] },
+  { name: "Data API", url: "https://data-api.polymarket.com" },
+  { name: "CLOB API", url: "https://clob.polymarket.com" },
+];
+
+const DEFAULT_WS_ENDPOINTS = [
+  {
+    name: "Live Data WS",
+    url: "wss://ws-live-data.polymarket.com/",
+    subscribe: { message: { action: "subscribe", subscriptions: [{ topic: "crypto_prices", type: "update" }] } },
+  },
+  // The market channel needs token IDs: set subscribe.assetIds in a config file.
+  { name: "CLOB Subscriptions WS", url: "wss://ws-subscriptions-clob.polymarket.com/ws/market" },
+];
+
+// Phases in the order they run for each endpoint. clock runs once, before
+// the rest: the offset it measures corrects the one-way delays of later phases.
+const CLOCK_PHASES = ["clock"];
+const API_PHASES = ["dns", "tcp-tls", "tls", "cold", "keepalive", "h2", "payload"];
+const WS_PHASES = ["ws-handshake", "ws-ping", "ws-subscribe"];
+const CLOB_PHASES = ["clob"];
+const PATH_PHASES = ["path"];
+const PHASES = [...CLOCK_PHASES, ...API_PHASES, ...WS_PHASES, ...CLOB_PHASES, ...PATH_PHASES];
+
+// Phases run when none are configured. Subscribing holds each socket open
+// for subscribeDurationMs, clob needs credentials or tokens, the tls
+// experiments add four handshakes per round, and path needs mtr or
+// traceroute and takes seconds per address, clock queries an NTP server, and
+// payload downloads every body once per encoding, so those are opt-in.
+const OPT_IN_PHASES = ["clock", "tls", "ws-subscribe", "clob", "path", "payload"];
+const DEFAULT_PHASES = PHASES.filter((p) => !OPT_IN_PHASES.includes(p));
+
+// CLOB market channel keepalive: the server drops sockets that stay silent.
+const CLOB_HEARTBEAT = { message: "PING", intervalMs: 10000 };
+
+// Address families to run every endpoint over. "auto" lets Node's Happy
+// Eyeballs (autoSelectFamily) pick; 4 and 6 force one.
+const FAMILIES = ["auto", 4, 6];
+const DEFAULT_FAMILIES = ["auto"];
+const FAMILY_LABELS = { auto: "auto", 4: "IPv4", 6: "IPv6" };
+
+// Resolvers compared by the resolvers command: "system", a nameserver
+// ("1.1.1.1", "udp://…", "tcp://…"), DoT ("tls://…") or a DoH URL.
+const DEFAULT_RESOLVERS = [
+  { name: "system", url: "system" },
+  { name: "Cloudflare", url: "1.1.1.1" },
+  { name: "Google", url: "8.8.8.8" },
+  { name: "Cloudflare DoT", url: "tls://1.1.1.1" },
+  { name: "Cloudflare DoH", url: "https://cloudflare-dns.com/dns-query" },
+  { name: "Google DoH", url: "https://dns.google/dns-query" },
+];
+
+const HTTP_METHODS = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"];
+
+const DEFAULTS = {
+  warmupRounds: 3,
+  rounds: 30,
+  delayBetweenMs: 100,
+  dnsLookups: 5,
+  dnsTimeoutMs: 5000,
+  httpTimeoutMs: 10000,
+  h2Streams: 1,          // concurrent streams per HTTP/2 batch (1 = no multiplexing)
+  wsTimeoutMs: 10000,
+  wsPingRounds: 30,      // pings por WebSocket abierto
+  wsPingIntervalMs: 200, // intervalo entre pings
+  wsPingTimeoutMs: 5000,
+  subscribeDurationMs: 15000,
+  pathProbes: 5,         // probes per hop in the path phase
+  pathMaxHops: 30,
+  ntpSamples: 4,         // NTP queries in the clock phase, one second apart
+};
+
+// Queried by the clock phase, as host[:port].
+const DEFAULT_NTP_SERVER = "pool.ntp.org";
+
+const MONITOR_DEFAULTS = {
+  intervalMs: 10000,
+  windowSec: 300,
+  listen: "127.0.0.1:9464",
+};
+
+// rateHz 0 = closed loop with `concurrency` workers; > 0 = open loop at that rate.
+const LOAD_DEFAULTS = {
+  concurrency: 10,
+  rateHz: 0,
+  durationSec: 10,
+  connections: 10,
+};
+
+// Payload phase: Accept-Encoding values to compare and rounds of each, for
+// the endpoint's own path, its payloadPaths and these paths on every API endpoint.
+const PAYLOAD_DEFAULTS = {
+  encodings: ENCODINGS,
+  rounds: 10,
+  paths: [],
+};
+
+// WS soak: how long connections are held and when one counts as lost.
+// staleMs 0 = no staleness check (only endpoints with "subscribe" have one).
+const SOAK_DEFAULTS = {
+  durationSec: 3600,
+  heartbeatMs: 15000,
+  staleMs: 60000,
+  backoffMs: 1000,
+  maxBackoffMs: 60000,
+};
+
+// Authenticated CLOB probing (clob phase). Credentials default to the
+// POLY_ADDRESS, POLY_API_KEY, POLY_SECRET and POLY_PASSPHRASE env vars.
+const CLOB_DEFAULTS = {
+  name: "CLOB API (auth)",
+  url: "https://clob.polymarket.com",
+  address: null,
+  apiKey: null,
+  secret: null,
+  passphrase: null,
+  tokenIds: [],
+  side: "BUY",
+  orders: [],
+  orderType: "GTC",
+  dryRun: false,
+};
+
+// SLO rules and where breaches are sent. fireAfter/recoverAfter count
+// evaluations in a row (monitor cycles, or runs with a stateFile); repeatSec
+// re-sends a firing alert that often (0 = once).
+const ALERT_DEFAULTS = {
+  rules: [],
+  notify: [],
+  fireAfter: 1,
+  recoverAfter: 1,
+  repeatSec: 0,
+  stateFile: null,
+};
+
+// Retries for failed rounds of the cold, keepalive, h2 and ws-handshake
+// phases. Off by default; `on` lists the error types that are retried.
+const RETRY_DEFAULTS = {
+  retries: 0,
+  backoffMs: 100,
+  maxBackoffMs: 2000,
+  on: RETRYABLE_TYPES,
+};
+
+const CLOB_ENV = { address: "POLY_ADDRESS", apiKey: "POLY_API_KEY", secret: "POLY_SECRET", passphrase: "POLY_PASSPHRASE" };
+
+const ORDER_TYPES = ["GTC", "GTD", "FOK", "FAK"];
+
+// Config key → [CLI flag, minimum value]
+const NUMERIC_OPTIONS = {
+  warmupRounds: ["warmup", 0],
+  rounds: ["rounds", 1],
+  delayBetweenMs: ["delay", 0],
+  dnsLookups: ["dns-lookups", 1],
+  dnsTimeoutMs: ["dns-timeout", 1],
+  httpTimeoutMs: ["http-timeout", 1],
+  h2Streams: ["h2-streams", 1],
+  wsTimeoutMs: ["ws-timeout", 1],
+  wsPingRounds: ["ws-ping-rounds", 1],
+  wsPingIntervalMs: ["ws-ping-interval", 0],
+  wsPingTimeoutMs: ["ws-ping-timeout", 1],
+  subscribeDurationMs: ["subscribe-duration", 1],
+  pathProbes: ["path-probes", 1],
+  pathMaxHops: ["path-max-hops", 1],
+  ntpSamples: ["ntp-samples", 1],
+};
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigError";
+  }
+}
+
+const USAGE = `Usage: node index.js [run|monitor|load|soak|resolvers] [options]
+       node index.js compare --help
+       node index.js agent --help
+       node index.js coordinate --help
+       node index.js history --help
+       node index.js mock-ws --help
+       node index.js mock-clob --help
+       node index.js mock-dns --help
+       node index.js mock-ntp --help
+       node index.js impair --help
+
+Options:
+  -c, --config <file>          JSON or YAML config file
+      --api <name=url>         Add a REST endpoint (repeatable)
+      --ws <name=url>          Add a WebSocket endpoint (repeatable)
+      --only <name>            Only test the named endpoint (repeatable)
+      --exclude <name>         Skip the named endpoint (repeatable)
+      --phases <list>          Comma-separated phases to run
+                               (${PHASES.join(", ")};
+                               default: all but ${OPT_IN_PHASES.join(", ")})
+      --warmup <n>             Warmup rounds (default ${DEFAULTS.warmupRounds})
+      --rounds <n>             Measured rounds (default ${DEFAULTS.rounds})
+      --delay <ms>             Delay between requests (default ${DEFAULTS.delayBetweenMs})
+      --dns-lookups <n>        DNS lookups per host (default ${DEFAULTS.dnsLookups})
+      --http-timeout <ms>      HTTP and TCP+TLS timeout (default ${DEFAULTS.httpTimeoutMs})
+      --h2-streams <n>         Also send batches of n concurrent HTTP/2 streams (default ${DEFAULTS.h2Streams}: off)
+      --ws-timeout <ms>        WebSocket handshake timeout (default ${DEFAULTS.wsTimeoutMs})
+      --ws-ping-rounds <n>     Pings per WebSocket connection (default ${DEFAULTS.wsPingRounds})
+      --ws-ping-interval <ms>  Interval between pings (default ${DEFAULTS.wsPingIntervalMs})
+      --ws-ping-timeout <ms>   Timeout per ping (default ${DEFAULTS.wsPingTimeoutMs})
+      --subscribe-duration <ms>
+                               How long ws-subscribe listens (default ${DEFAULTS.subscribeDurationMs})
+      --percentiles <list>     Percentiles to report (default ${DEFAULT_PERCENTILES.join(",")})
+      --family <list>          Address families to test: auto, 4, 6 (default auto).
+                               With more than one, each endpoint runs once per family
+      --path-probes <n>        Probes per hop in the path phase (default ${DEFAULTS.pathProbes})
+      --path-max-hops <n>      Max hops traced by the path phase (default ${DEFAULTS.pathMaxHops})
+      --ntp-server <host[:port]>
+                               NTP server the clock phase measures the local clock
+                               against (default ${DEFAULT_NTP_SERVER})
+      --ntp-samples <n>        NTP queries in the clock phase (default ${DEFAULTS.ntpSamples})
+      --encodings <list>       Accept-Encodings the payload phase compares
+                               (default ${PAYLOAD_DEFAULTS.encodings.join(",")})
+      --payload-rounds <n>     Requests per encoding and path in the payload phase (default ${PAYLOAD_DEFAULTS.rounds})
+      --payload-path <path>    Also profile this path, e.g. "/markets?limit=500", on every
+                               API endpoint in the payload phase (repeatable)
+      --token <id>             CLOB token ID for the clob phase (repeatable)
+      --clob-dry-run           Run the clob phase against a local mock CLOB server
+      --per-ip                 Also run tcp-tls, cold and ws-handshake against every
+                               resolved IP of each host (same SNI and Host header)
+  -o, --output <format>        Output format: ${OUTPUT_FORMATS.join(", ")} (default human)
+      --out <file>             Write the report or samples to a file instead of stdout
+      --history <dir>          Also save the run, with its raw samples, to a history
+                               store (see node index.js history --help)
+  -q, --quiet                  Suppress progress output
+      --tui                    Full-screen live dashboard instead of the scrolling progress
+                               (run only). Keys: p pause/resume between rounds, r reset the
+                               stats, 1-9 show/hide a mode, q quit
+      --print-config           Print the resolved config as JSON and exit
+  -h, --help                   Show this help
+
+Monitor options:
+      --interval <ms>          Time between probe cycles (default ${MONITOR_DEFAULTS.intervalMs})
+      --window <s>             Rolling window for stats (default ${MONITOR_DEFAULTS.windowSec})
+      --listen <host:port>     Address for /metrics and /status (default ${MONITOR_DEFAULTS.listen})
+
+Load options (REST endpoints, cold and keepalive phases):
+      --concurrency <n>        Closed-loop workers per endpoint (default ${LOAD_DEFAULTS.concurrency})
+      --rate <rps>             Open-loop target request rate; overrides --concurrency
+      --duration <s>           Load duration per endpoint and mode (default ${LOAD_DEFAULTS.durationSec})
+      --connections <n>        Max keep-alive sockets per endpoint (default ${LOAD_DEFAULTS.connections})
+
+Soak options (holds WS connections open, reconnecting when they drop):
+      --soak-duration <s>      How long to hold the connections (default ${SOAK_DEFAULTS.durationSec})
+      --heartbeat <ms>         Ping interval; no pong within --ws-ping-timeout counts as
+                               a stalled connection (default ${SOAK_DEFAULTS.heartbeatMs})
+      --stale-after <ms>       Reconnect when a subscribed endpoint sends nothing for this
+                               long; 0 = never (default ${SOAK_DEFAULTS.staleMs})
+      --reconnect-backoff <ms> Wait before reconnecting, doubling after each failed attempt
+                               (default ${SOAK_DEFAULTS.backoffMs})
+      --max-backoff <ms>       Cap on the reconnect wait (default ${SOAK_DEFAULTS.maxBackoffMs})
+
+Resolvers options (compares DNS resolvers on the hosts of all endpoints):
+      --resolver <[name=]spec> Resolver to test, replacing the defaults (repeatable):
+                               system, 1.1.1.1, udp://host:port, tcp://host, tls://host (DoT)
+                               or an http(s) DoH URL. --dns-lookups sets cold and cached lookups
+      --dns-timeout <ms>       Timeout per DNS query (default ${DEFAULTS.dnsTimeoutMs})
+
+Alert options (run and monitor; run exits with status 1 while an alert fires):
+      --alert <rule>           SLO rule, repeatable: "[endpoint:] <mode> <metric> <op> <value>",
+                               e.g. "keepalive p95 > 80ms", "CLOB API: cold errors > 2%",
+                               "ws-ping loss > 0". Modes: ${ALERT_MODES.join(", ")}
+                               (monitor has no h2 or h2-ping probes)
+      --notify <type=target>   Where alerts go, repeatable: webhook=<url>, command=<shell cmd>,
+                               log=<file>
+      --alert-state <file>     Keep alert state between runs (debouncing for cron'd runs)
+
+Retry options (cold, keepalive, h2 and ws-handshake rounds of run):
+      --retries <n>            Retries per failed round (default ${RETRY_DEFAULTS.retries}). Stats stay on first
+                               attempts; retried rounds are reported separately
+      --retry-backoff <ms>     Wait before the first retry, doubling for each next one up to
+                               ${RETRY_DEFAULTS.maxBackoffMs}ms (default ${RETRY_DEFAULTS.backoffMs})
+      --retry-on <list>        Error types to retry (default ${RETRYABLE_TYPES.join(",")});
+                               types: ${ERROR_TYPES.join(", ")}
+`;
+
+// ── Config file ─────────────────────────────────────────────────────
+function readConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    throw new ConfigError(`Cannot read config file ${file}: ${err.message}`);
+  }
+
+  const ext = path.extname(file).toLowerCase();
+  try {
+    const data = ext === ".yaml" || ext === ".yml" ? YAML.parse(text) : JSON.parse(text);
+    if (data == null) return {};
+    if (typeof data !== "object" || Array.isArray(data)) {
+      throw new Error("top level must be an object");
+    }
+    return data;
+  } catch (err) {
+    throw new ConfigError(`Invalid config file ${file}: ${err.message}`);
+  }
+}
+
+// ── Validation ──────────────────────────────────────────────────────
+function validateEndpoint(ep, where, protocols) {
+  if (!ep || typeof ep !== "object" || Array.isArray(ep)) {
+    throw new ConfigError(`${where}: expected an object with "name" and "url"`);
+  }
+  if (typeof ep.name !== "string" || !ep.name.trim()) {
+    throw new ConfigError(`${where}.name: must be a non-empty string`);
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(ep.url);
+  } catch {
+    throw new ConfigError(`${where}.url: invalid URL ${JSON.stringify(ep.url)}`);
+  }
+  if (!protocols.includes(parsed.protocol)) {
+    throw new ConfigError(`${where}.url: protocol must be ${protocols.join(" or ")}, got ${parsed.protocol}`);
+  }
+
+  const out = { name: ep.name.trim(), url: ep.url };
+
+  if (ep.path != null) {
+    if (typeof ep.path !== "string" || !ep.path.startsWith("/")) {
+      throw new ConfigError(`${where}.path: must be a string starting with "/"`);
+    }
+    out.path = ep.path;
+  }
+
+  if (ep.method != null) {
+    const method = String(ep.method).toUpperCase();
+    if (!HTTP_METHODS.includes(method)) {
+      throw new ConfigError(`${where}.method: must be one of ${HTTP_METHODS.join(", ")}`);
+    }
+    out.method = method;
+  }
+
+  if (ep.headers != null) {
+    if (typeof ep.headers !== "object" || Array.isArray(ep.headers)) {
+      throw new ConfigError(`${where}.headers: must be an object of header names to values`);
+    }
+    out.headers = {};
+    for (const [key, value] of Object.entries(ep.headers)) {
+      if (typeof value !== "string" && typeof value !== "number") {
+        throw new ConfigError(`${where}.headers.${key}: must be a string or number`);
+      }
+      out.headers[key] = String(value);
+    }
+  }
+
+  if (ep.body != null) {
+    out.body = typeof ep.body === "string" ? ep.body : JSON.stringify(ep.body);
+  }
+
+  if (ep.payloadPaths != null) out.payloadPaths = validatePaths(ep.payloadPaths, `${where}.payloadPaths`);
+  if (ep.subscribe != null) out.subscribe = validateSubscribe(ep.subscribe, `${where}.subscribe`);
+
+  // Extra CA certificate (PEM file) to trust, e.g. the impair proxy's.
+  if (ep.ca != null) {
+    if (typeof ep.ca !== "string" || !ep.ca) throw new ConfigError(`${where}.ca: must be a path to a PEM certificate`);
+    let pem;
+    try {
+      pem = fs.readFileSync(ep.ca, "utf8");
+    } catch (err) {
+      throw new ConfigError(`${where}.ca: cannot read ${ep.ca}: ${err.message}`);
+    }
+    if (!pem.includes("-----BEGIN CERTIFICATE-----")) throw new ConfigError(`${where}.ca: no PEM certificate in ${ep.ca}`);
+    out.ca = ep.ca;
+  }
+
+  return out;
+}
+
+// ws-subscribe settings. `assetIds` builds the CLOB market channel message;
+// anything else needs an explicit `message`.
+function validateSubscribe(sub, where) {
+  if (typeof sub !== "object" || Array.isArray(sub)) throw new ConfigError(`${where}: must be an object`);
+
+  let message = sub.message;
+  let heartbeat = sub.heartbeat;
+  if (sub.assetIds != null) {
+    if (!Array.isArray(sub.assetIds) || !sub.assetIds.length || !sub.assetIds.every((id) => typeof id === "string" && id)) {
+      throw new ConfigError(`${where}.assetIds: must be a non-empty list of token ID strings`);
+    }
+    message ??= { assets_ids: sub.assetIds, type: "market" };
+    heartbeat ??= CLOB_HEARTBEAT;
+  }
+  if (message == null) throw new ConfigError(`${where}: needs "assetIds" or "message"`);
+  if (typeof message !== "string" && typeof message !== "object") {
+    throw new ConfigError(`${where}.message: must be a string or an object`);
+  }
+
+  const out = {
+    message: typeof message === "string" ? message : JSON.stringify(message),
+    timestampField: sub.timestampField ?? "timestamp",
+    heartbeat: null,
+  };
+  if (typeof out.timestampField !== "string" || !out.timestampField) {
+    throw new ConfigError(`${where}.timestampField: must be a field name (dots for nesting)`);
+  }
+  if (heartbeat) {
+    if (typeof heartbeat.message !== "string") throw new ConfigError(`${where}.heartbeat.message: must be a string`);
+    out.heartbeat = {
+      message: heartbeat.message,
+      intervalMs: validateNumber(heartbeat.intervalMs ?? CLOB_HEARTBEAT.intervalMs, `${where}.heartbeat.intervalMs`, 1),
+    };
+  }
+  return out;
+}
+
+function validatePaths(list, key) {
+  if (!Array.isArray(list) || !list.every((p) => typeof p === "string" && p.startsWith("/"))) {
+    throw new ConfigError(`${key}: must be a list of paths starting with "/"`);
+  }
+  return [...new Set(list)];
+}
+
+function validateEndpoints(list, key, protocols) {
+  if (!Array.isArray(list)) throw new ConfigError(`${key}: must be a list of endpoints`);
+  const endpoints = list.map((ep, i) => validateEndpoint(ep, `${key}[${i}]`, protocols));
+  const seen = new Set();
+  for (const ep of endpoints) {
+    if (seen.has(ep.name)) throw new ConfigError(`${key}: duplicate endpoint name "${ep.name}"`);
+    seen.add(ep.name);
+  }
+  return endpoints;
+}
+
+function validateResolvers(list, key) {
+  if (!Array.isArray(list) || !list.length) throw new ConfigError(`${key}: must be a non-empty list of resolvers`);
+  const resolvers = list.map((entry, i) => {
+    const r = typeof entry === "string" ? { name: entry, url: entry } : entry;
+    const where = `${key}[${i}]`;
+    if (!r || typeof r !== "object" || typeof r.name !== "string" || !r.name.trim() || typeof r.url !== "string") {
+      throw new ConfigError(`${where}: expected a resolver spec or an object with "name" and "url"`);
+    }
+    const parsed = parseResolver(r.url.trim());
+    if (!parsed) throw new ConfigError(`${where}.url: invalid resolver ${JSON.stringify(r.url)}`);
+    return { name: r.name.trim(), url: r.url.trim(), ...parsed };
+  });
+  const seen = new Set();
+  for (const r of resolvers) {
+    if (seen.has(r.name)) throw new ConfigError(`${key}: duplicate resolver name "${r.name}"`);
+    seen.add(r.name);
+  }
+  return resolvers;
+}
+
+function validateNumber(value, key, min) {
+  const n = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  if (typeof n !== "number" || !Number.isInteger(n) || n < min) {
+    throw new ConfigError(`${key}: must be an integer >= ${min}, got ${JSON.stringify(value)}`);
+  }
+  return n;
+}
+
+function validatePhases(value, key) {
+  const list = typeof value === "string" ? value.split(",") : value;
+  if (!Array.isArray(list)) throw new ConfigError(`${key}: must be a list of phases`);
+  const phases = list.map((p) => String(p).trim().toLowerCase()).filter(Boolean);
+  for (const p of phases) {
+    if (!PHASES.includes(p)) {
+      throw new ConfigError(`${key}: unknown phase "${p}" (expected ${PHASES.join(", ")})`);
+    }
+  }
+  if (!phases.length) throw new ConfigError(`${key}: at least one phase is required`);
+  return PHASES.filter((p) => phases.includes(p));
+}
+
+function validatePercentiles(value, key) {
+  const list = typeof value === "string" ? value.split(",").map((p) => p.trim()).filter(Boolean) : value;
+  if (!Array.isArray(list) || !list.length) throw new ConfigError(`${key}: must be a non-empty list of percentiles`);
+  const percentiles = list.map((p) => (typeof p === "string" ? Number(p.replace(/^p/i, "")) : p));
+  percentiles.forEach((p, i) => {
+    if (typeof p !== "number" || !(p > 0 && p <= 100)) {
+      throw new ConfigError(`${key}: expected numbers in (0, 100], got ${JSON.stringify(list[i])}`);
+    }
+  });
+  return [...new Set(percentiles)].sort((a, b) => a - b);
+}
+
+function validateFamilies(value, key) {
+  const list = typeof value === "string" ? value.split(",").map((f) => f.trim()).filter(Boolean) : value;
+  if (!Array.isArray(list) || !list.length) throw new ConfigError(`${key}: must be a non-empty list of auto, 4, 6`);
+  const families = list.map((f) => {
+    const s = String(f).toLowerCase().replace(/^(ipv|v)/, "");
+    const family = s === "auto" ? "auto" : Number(s);
+    if (!FAMILIES.includes(family)) throw new ConfigError(`${key}: expected auto, 4 or 6, got ${JSON.stringify(f)}`);
+    return family;
+  });
+  return FAMILIES.filter((f) => families.includes(f));
+}
+
+// One copy of each endpoint per family. With several families the copies
+// are named "<name> (IPv4)" etc. so they show up side by side.
+function expandFamilies(endpoints, families) {
+  if (families.length === 1 && families[0] === "auto") return endpoints;
+  return endpoints.flatMap((ep) =>
+    families.map((family) => ({
+      ...ep,
+      name: families.length > 1 ? `${ep.name} (${FAMILY_LABELS[family]})` : ep.name,
+      baseName: ep.name,
+      family: family === "auto" ? null : family,
+    })),
+  );
+}
+
+function validateClob(raw, env) {
+  if (typeof raw !== "object" || Array.isArray(raw)) throw new ConfigError("clob: must be an object");
+  for (const key of Object.keys(raw)) {
+    if (!(key in CLOB_DEFAULTS)) throw new ConfigError(`Unknown config key "clob.${key}"`);
+  }
+  const clob = { ...CLOB_DEFAULTS, ...raw };
+  for (const [key, name] of Object.entries(CLOB_ENV)) clob[key] = clob[key] ?? env[name] ?? null;
+
+  try {
+    if (!["https:", "http:"].includes(new URL(clob.url).protocol)) throw new Error();
+  } catch {
+    throw new ConfigError(`clob.url: expected an http(s) URL, got ${JSON.stringify(clob.url)}`);
+  }
+  for (const key of ["name", ...Object.keys(CLOB_ENV)]) {
+    if (clob[key] != null && (typeof clob[key] !== "string" || !clob[key])) throw new ConfigError(`clob.${key}: must be a non-empty string`);
+  }
+  const given = Object.keys(CLOB_ENV).filter((k) => k !== "address" && clob[k]);
+  if (given.length && given.length < 3) {
+    throw new ConfigError(`clob: apiKey, secret and passphrase go together (missing ${["apiKey", "secret", "passphrase"].filter((k) => !clob[k]).join(", ")})`);
+  }
+
+  const tokenIds = typeof clob.tokenIds === "string" ? clob.tokenIds.split(",") : clob.tokenIds;
+  if (!Array.isArray(tokenIds) || tokenIds.some((t) => (typeof t !== "string" && typeof t !== "number") || !String(t).trim())) {
+    throw new ConfigError("clob.tokenIds: must be a list of token IDs");
+  }
+  clob.tokenIds = tokenIds.map((t) => String(t).trim());
+
+  clob.side = String(clob.side).toUpperCase();
+  if (!["BUY", "SELL"].includes(clob.side)) throw new ConfigError(`clob.side: must be BUY or SELL, got ${JSON.stringify(raw.side)}`);
+  clob.orderType = String(clob.orderType).toUpperCase();
+  if (!ORDER_TYPES.includes(clob.orderType)) throw new ConfigError(`clob.orderType: must be one of ${ORDER_TYPES.join(", ")}`);
+  if (typeof clob.dryRun !== "boolean") throw new ConfigError("clob.dryRun: must be true or false");
+
+  // Pre-signed orders (as built by the official clients), inline or from a JSON file.
+  let orders = clob.orders;
+  if (typeof orders === "string") {
+    try {
+      orders = JSON.parse(fs.readFileSync(orders, "utf8"));
+    } catch (err) {
+      throw new ConfigError(`clob.orders: cannot read ${clob.orders}: ${err.message}`);
+    }
+  }
+  if (orders && !Array.isArray(orders)) orders = [orders];
+  if (!Array.isArray(orders) || orders.some((o) => !o || typeof o !== "object" || Array.isArray(o))) {
+    throw new ConfigError("clob.orders: must be a list of signed order objects or a JSON file path");
+  }
+  if (orders.length && !clob.dryRun && !clob.apiKey) {
+    throw new ConfigError("clob.orders: posting orders needs apiKey, secret and passphrase");
+  }
+  clob.orders = orders;
+  return clob;
+}
+
+// Copy of the config that is safe to print: CLOB credentials and webhook
+// URLs and headers, which carry tokens, are masked.
+function redactConfig(config) {
+  const mask = (v) => (v ? "***" : v);
+  const notify = config.alerts?.notify.map((n) => ({
+    ...n,
+    ...(n.url && { url: redactURL(n.url) }),
+    ...(n.headers && { headers: Object.fromEntries(Object.keys(n.headers).map((k) => [k, "***"])) }),
+  }));
+  return {
+    ...config,
+    ...(config.clob && { clob: { ...config.clob, apiKey: mask(config.clob.apiKey), secret: mask(config.clob.secret), passphrase: mask(config.clob.passphrase) } }),
+    ...(notify && { alerts: { ...config.alerts, notify } }),
+  };
+}
+
+function validateThreshold(value, key, rate) {
+  const m = /^(\d+(?:\.\d+)?)\s*(ms|%)?$/.exec(String(value).trim());
+  if (!m) throw new ConfigError(`${key}: expected a number with ms or %, got ${JSON.stringify(value)}`);
+  if (m[2] && (m[2] === "%") !== rate) throw new ConfigError(`${key}: ${rate ? "error rates are in %" : "latencies are in ms"}, got ${JSON.stringify(value)}`);
+  return Number(m[1]);
+}
+
+function validateAlertRule(entry, key) {
+  const parsed = typeof entry === "string" ? parseRule(entry) : entry;
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new ConfigError(`${key}: expected "[endpoint:] <mode> <metric> <op> <value>" or an object, got ${JSON.stringify(entry)}`);
+  }
+  for (const k of Object.keys(parsed)) {
+    if (!["name", "endpoint", "mode", "metric", "op", "threshold", "unit"].includes(k)) throw new ConfigError(`Unknown config key "${key}.${k}"`);
+  }
+  const rule = {
+    name: parsed.name ?? null,
+    endpoint: parsed.endpoint ?? null,
+    mode: canonicalMode(parsed.mode),
+    metric: String(parsed.metric),
+    op: parsed.op ?? ">",
+  };
+  if (rule.name != null && (typeof rule.name !== "string" || !rule.name.trim())) throw new ConfigError(`${key}.name: must be a non-empty string`);
+  if (rule.endpoint != null && (typeof rule.endpoint !== "string" || !rule.endpoint.trim())) throw new ConfigError(`${key}.endpoint: must be an endpoint name`);
+  if (!ALERT_MODES.includes(rule.mode)) {
+    throw new ConfigError(`${key}: unknown mode "${parsed.mode}" (expected ${ALERT_MODES.join(", ")} or ${Object.keys(MODE_ALIASES).join(", ")})`);
+  }
+  if (!isMetric(rule.metric)) throw new ConfigError(`${key}: unknown metric "${rule.metric}" (expected avg, median, pNN, max, jitter, errors, loss, …)`);
+  if (!(rule.op in OPS)) throw new ConfigError(`${key}.op: must be one of ${Object.keys(OPS).join(" ")}`);
+  const threshold = parsed.unit ? `${parsed.threshold}${parsed.unit}` : parsed.threshold;
+  rule.threshold = validateThreshold(threshold, `${key}.threshold`, isRateMetric(rule.metric));
+  return rule;
+}
+
+// Notifier type → the field a "type=target" spec sets, and the other keys it takes.
+const NOTIFIER_FIELDS = {
+  webhook: ["url", "headers", "timeoutMs"],
+  command: ["command", "timeoutMs"],
+  log: ["file"],
+};
+
+// "webhook=https://…", "command=./page.sh", "log=alerts.log" or an object.
+function validateNotifier(entry, key) {
+  let n = entry;
+  if (typeof entry === "string") {
+    const eq = entry.indexOf("=");
+    const type = entry.slice(0, eq);
+    n = eq > 0 && NOTIFIER_TYPES.includes(type) ? { type, [NOTIFIER_FIELDS[type][0]]: entry.slice(eq + 1) } : null;
+  }
+  if (!n || typeof n !== "object" || !NOTIFIER_TYPES.includes(n.type)) {
+    throw new ConfigError(`${key}: expected ${NOTIFIER_TYPES.map((t) => `${t}=…`).join(", ")} or an object with "type", got ${JSON.stringify(entry)}`);
+  }
+  for (const k of Object.keys(n)) {
+    if (k !== "type" && !NOTIFIER_FIELDS[n.type].includes(k)) throw new ConfigError(`Unknown config key "${key}.${k}"`);
+  }
+  const out = { type: n.type };
+  if (n.type === "webhook") {
+    try {
+      if (!["https:", "http:"].includes(new URL(n.url).protocol)) throw new Error();
+    } catch {
+      throw new ConfigError(`${key}.url: expected an http(s) URL, got ${JSON.stringify(n.url)}`);
+    }
+    out.url = n.url;
+    if (n.headers != null && (typeof n.headers !== "object" || Array.isArray(n.headers))) throw new ConfigError(`${key}.headers: must be an object`);
+    out.headers = Object.fromEntries(Object.entries(n.headers ?? {}).map(([k, v]) => [k, String(v)]));
+  } else {
+    const field = n.type === "command" ? "command" : "file";
+    if (typeof n[field] !== "string" || !n[field].trim()) throw new ConfigError(`${key}.${field}: must be a non-empty string`);
+    out[field] = n[field];
+  }
+  if (n.timeoutMs != null) out.timeoutMs = validateNumber(n.timeoutMs, `${key}.timeoutMs`, 1);
+  return out;
+}
+
+function validateAlerts(raw) {
+  if (typeof raw !== "object" || Array.isArray(raw)) throw new ConfigError("alerts: must be an object");
+  for (const key of Object.keys(raw)) {
+    if (!(key in ALERT_DEFAULTS)) throw new ConfigError(`Unknown config key "alerts.${key}"`);
+  }
+  const alerts = { ...ALERT_DEFAULTS, ...raw };
+  for (const key of ["rules", "notify"]) {
+    if (!Array.isArray(alerts[key])) throw new ConfigError(`alerts.${key}: must be a list`);
+  }
+  alerts.rules = alerts.rules.map((r, i) => validateAlertRule(r, `alerts.rules[${i}]`));
+  alerts.notify = alerts.notify.map((n, i) => validateNotifier(n, `alerts.notify[${i}]`));
+  alerts.fireAfter = validateNumber(alerts.fireAfter, "alerts.fireAfter", 1);
+  alerts.recoverAfter = validateNumber(alerts.recoverAfter, "alerts.recoverAfter", 1);
+  alerts.repeatSec = validateNumber(alerts.repeatSec, "alerts.repeatSec", 0);
+  if (alerts.stateFile != null && (typeof alerts.stateFile !== "string" || !alerts.stateFile)) {
+    throw new ConfigError("alerts.stateFile: must be a file path");
+  }
+  return alerts;
+}
+
+function validateRetry(raw) {
+  if (typeof raw !== "object" || Array.isArray(raw)) throw new ConfigError("retry: must be an object");
+  for (const key of Object.keys(raw)) {
+    if (!(key in RETRY_DEFAULTS)) throw new ConfigError(`Unknown config key "retry.${key}"`);
+  }
+  const on = raw.on ?? RETRY_DEFAULTS.on;
+  const types = typeof on === "string" ? on.split(",").map((t) => t.trim()).filter(Boolean) : on;
+  if (!Array.isArray(types)) throw new ConfigError("retry.on: must be a list of error types");
+  for (const type of types) {
+    if (!ERROR_TYPES.includes(type)) throw new ConfigError(`retry.on: unknown error type ${JSON.stringify(type)} (expected ${ERROR_TYPES.join(", ")})`);
+  }
+  return {
+    retries: validateNumber(raw.retries ?? RETRY_DEFAULTS.retries, "retry.retries", 0),
+    backoffMs: validateNumber(raw.backoffMs ?? RETRY_DEFAULTS.backoffMs, "retry.backoffMs", 0),
+    maxBackoffMs: validateNumber(raw.maxBackoffMs ?? RETRY_DEFAULTS.maxBackoffMs, "retry.maxBackoffMs", 0),
+    on: types,
+  };
+}
+
+function validateListen(value, key) {
+  const m = typeof value === "string" && /^(.*):(\d+)$/.exec(value);
+  const port = m ? Number(m[2]) : NaN;
+  if (!m || port > 65535) throw new ConfigError(`${key}: expected <host:port>, got ${JSON.stringify(value)}`);
+  return { host: m[1] || "127.0.0.1", port };
+}
+
+// "host[:port]", "[v6]:port" or a bare IPv6 address.
+function validateHostPort(value, key, defaultPort) {
+  const m = typeof value === "string" && (/^\[([^\]]+)\](?::(\d+))?$/.exec(value) || /^([^:[\]]+)(?::(\d+))?$/.exec(value));
+  if (m) {
+    const port = m[2] ? Number(m[2]) : defaultPort;
+    if (port >= 1 && port <= 65535) return { host: m[1], port };
+  } else if (net.isIPv6(value)) {
+    return { host: value, port: defaultPort };
+  }
+  throw new ConfigError(`${key}: expected <host[:port]>, got ${JSON.stringify(value)}`);
+}
+
+function validateMonitor(raw) {
+  if (typeof raw !== "object" || Array.isArray(raw)) throw new ConfigError("monitor: must be an object");
+  for (const key of Object.keys(raw)) {
+    if (!(key in MONITOR_DEFAULTS)) throw new ConfigError(`Unknown config key "monitor.${key}"`);
+  }
+  const listen = raw.listen ?? MONITOR_DEFAULTS.listen;
+  return {
+    intervalMs: validateNumber(raw.intervalMs ?? MONITOR_DEFAULTS.intervalMs, "monitor.intervalMs", 1),
+    windowSec: validateNumber(raw.windowSec ?? MONITOR_DEFAULTS.windowSec, "monitor.windowSec", 1),
+    listen,
+    ...validateListen(listen, "monitor.listen"),
+  };
+}
+
+function validateLoad(raw) {
+  if (typeof raw !== "object" || Array.isArray(raw)) throw new ConfigError("load: must be an object");
+  for (const key of Object.keys(raw)) {
+    if (!(key in LOAD_DEFAULTS)) throw new ConfigError(`Unknown config key "load.${key}"`);
+  }
+  return {
+    concurrency: validateNumber(raw.concurrency ?? LOAD_DEFAULTS.concurrency, "load.concurrency", 1),
+    rateHz: validateNumber(raw.rateHz ?? LOAD_DEFAULTS.rateHz, "load.rateHz", 0),
+    durationSec: validateNumber(raw.durationSec ?? LOAD_DEFAULTS.durationSec, "load.durationSec", 1),
+    connections: validateNumber(raw.connections ?? LOAD_DEFAULTS.connections, "load.connections", 1),
+  };
+}
+
+function validatePayload(raw) {
+  if (typeof raw !== "object" || Array.isArray(raw)) throw new ConfigError("payload: must be an object");
+  for (const key of Object.keys(raw)) {
+    if (!(key in PAYLOAD_DEFAULTS)) throw new ConfigError(`Unknown config key "payload.${key}"`);
+  }
+  const value = raw.encodings ?? PAYLOAD_DEFAULTS.encodings;
+  const encodings = typeof value === "string" ? value.split(",").map((e) => e.trim().toLowerCase()).filter(Boolean) : value;
+  if (!Array.isArray(encodings) || !encodings.length) throw new ConfigError("payload.encodings: must be a non-empty list");
+  for (const e of encodings) {
+    if (!ENCODINGS.includes(e)) throw new ConfigError(`payload.encodings: unknown encoding ${JSON.stringify(e)} (expected ${ENCODINGS.join(", ")})`);
+  }
+  return {
+    encodings: [...new Set(encodings)],
+    rounds: validateNumber(raw.rounds ?? PAYLOAD_DEFAULTS.rounds, "payload.rounds", 1),
+    paths: validatePaths(raw.paths ?? PAYLOAD_DEFAULTS.paths, "payload.paths"),
+  };
+}
+
+function validateSoak(raw) {
+  if (typeof raw !== "object" || Array.isArray(raw)) throw new ConfigError("soak: must be an object");
+  for (const key of Object.keys(raw)) {
+    if (!(key in SOAK_DEFAULTS)) throw new ConfigError(`Unknown config key "soak.${key}"`);
+  }
+  const soak = {
+    durationSec: validateNumber(raw.durationSec ?? SOAK_DEFAULTS.durationSec, "soak.durationSec", 1),
+    heartbeatMs: validateNumber(raw.heartbeatMs ?? SOAK_DEFAULTS.heartbeatMs, "soak.heartbeatMs", 1),
+    staleMs: validateNumber(raw.staleMs ?? SOAK_DEFAULTS.staleMs, "soak.staleMs", 0),
+    backoffMs: validateNumber(raw.backoffMs ?? SOAK_DEFAULTS.backoffMs, "soak.backoffMs", 1),
+    maxBackoffMs: validateNumber(raw.maxBackoffMs ?? SOAK_DEFAULTS.maxBackoffMs, "soak.maxBackoffMs", 1),
+  };
+  if (soak.maxBackoffMs < soak.backoffMs) throw new ConfigError("soak.maxBackoffMs: must be >= soak.backoffMs");
+  return soak;
+}
+
+// `env` is where CLOB credentials left out of the config come from.
+function validateConfig(raw, env = process.env) {
+  const known = new Set(["api", "ws", "phases", "output", "out", "history", "quiet", "tui", "monitor", "load", "soak", "payload", "percentiles", "perIp", "families", "clob", "resolvers", "alerts", "retry", "ntpServer", ...Object.keys(DEFAULTS)]);
+  for (const key of Object.keys(raw)) {
+    if (!known.has(key)) throw new ConfigError(`Unknown config key "${key}"`);
+  }
+
+  const config = {
+    api: validateEndpoints(raw.api ?? DEFAULT_API_ENDPOINTS, "api", ["https:", "http:"]),
+    ws: validateEndpoints(raw.ws ?? DEFAULT_WS_ENDPOINTS, "ws", ["wss:", "ws:"]),
+    phases: validatePhases(raw.phases ?? DEFAULT_PHASES, "phases"),
+    percentiles: validatePercentiles(raw.percentiles ?? DEFAULT_PERCENTILES, "percentiles"),
+    families: validateFamilies(raw.families ?? DEFAULT_FAMILIES, "families"),
+    resolvers: validateResolvers(raw.resolvers ?? DEFAULT_RESOLVERS, "resolvers"),
+    output: raw.output ?? "human",
+    out: raw.out ?? null,
+    history: raw.history ?? null,
+    quiet: raw.quiet ?? false,
+    tui: raw.tui ?? false,
+    perIp: raw.perIp ?? false,
+  };
+  if (!OUTPUT_FORMATS.includes(config.output)) {
+    throw new ConfigError(`output: must be one of ${OUTPUT_FORMATS.join(", ")}, got ${JSON.stringify(config.output)}`);
+  }
+  if (config.out != null && (typeof config.out !== "string" || !config.out)) {
+    throw new ConfigError("out: must be a file path");
+  }
+  if (config.history != null && (typeof config.history !== "string" || !config.history)) {
+    throw new ConfigError("history: must be a directory path");
+  }
+  if (typeof config.quiet !== "boolean") throw new ConfigError("quiet: must be true or false");
+  if (typeof config.tui !== "boolean") throw new ConfigError("tui: must be true or false");
+  if (typeof config.perIp !== "boolean") throw new ConfigError("perIp: must be true or false");
+  config.monitor = validateMonitor(raw.monitor ?? {});
+  config.load = validateLoad(raw.load ?? {});
+  config.soak = validateSoak(raw.soak ?? {});
+  config.payload = validatePayload(raw.payload ?? {});
+  config.clob = validateClob(raw.clob ?? {}, env);
+  config.alerts = validateAlerts(raw.alerts ?? {});
+  config.retry = validateRetry(raw.retry ?? {});
+  config.ntpServer = validateHostPort(raw.ntpServer ?? DEFAULT_NTP_SERVER, "ntpServer", 123);
+  const names = [...config.api, ...config.ws].map((ep) => ep.name);
+  for (const rule of config.alerts.rules) {
+    if (rule.endpoint && !names.includes(rule.endpoint)) {
+      throw new ConfigError(`alerts: rule for unknown endpoint "${rule.endpoint}" (known: ${names.join(", ")})`);
+    }
+  }
+  for (const [key, [, min]] of Object.entries(NUMERIC_OPTIONS)) {
+    config[key] = validateNumber(raw[key] ?? DEFAULTS[key], key, min);
+  }
+  return config;
+}
+
+// ── CLI ─────────────────────────────────────────────────────────────
+function parseEndpointFlag(value, flag) {
+  const eq = value.indexOf("=");
+  if (eq <= 0) throw new ConfigError(`--${flag}: expected <name=url>, got ${JSON.stringify(value)}`);
+  return { name: value.slice(0, eq), url: value.slice(eq + 1) };
+}
+
+// Validated config with the endpoint filters applied and endpoints expanded
+// per address family: what a run works from. parseRunArgs builds `raw` from
+// flags; library callers pass the same shape as the YAML config.
+function resolveConfig(raw, { only, exclude, env } = {}) {
+  const config = validateConfig(raw, env);
+
+  if (only || exclude) {
+    const names = [...config.api, ...config.ws].map((ep) => ep.name);
+    for (const name of [...(only || []), ...(exclude || [])]) {
+      if (!names.includes(name)) throw new ConfigError(`Unknown endpoint "${name}" (known: ${names.join(", ")})`);
+    }
+    const keep = (ep) => (!only || only.includes(ep.name)) && !(exclude || []).includes(ep.name);
+    config.api = config.api.filter(keep);
+    config.ws = config.ws.filter(keep);
+  }
+  config.api = expandFamilies(config.api, config.families);
+  config.ws = expandFamilies(config.ws, config.families);
+  return config;
+}
+
+function parseRunArgs(argv) {
+  const options = {
+    config: { type: "string", short: "c" },
+    api: { type: "string", multiple: true },
+    ws: { type: "string", multiple: true },
+    only: { type: "string", multiple: true },
+    exclude: { type: "string", multiple: true },
+    phases: { type: "string" },
+    percentiles: { type: "string" },
+    family: { type: "string" },
+    resolver: { type: "string", multiple: true },
+    token: { type: "string", multiple: true },
+    "clob-dry-run": { type: "boolean" },
+    output: { type: "string", short: "o" },
+    out: { type: "string" },
+    history: { type: "string" },
+    quiet: { type: "boolean", short: "q" },
+    tui: { type: "boolean" },
+    "per-ip": { type: "boolean" },
+    alert: { type: "string", multiple: true },
+    notify: { type: "string", multiple: true },
+    "alert-state": { type: "string" },
+    retries: { type: "string" },
+    "retry-backoff": { type: "string" },
+    "retry-on": { type: "string" },
+    "ntp-server": { type: "string" },
+    encodings: { type: "string" },
+    "payload-rounds": { type: "string" },
+    "payload-path": { type: "string", multiple: true },
+    "print-config": { type: "boolean" },
+    help: { type: "boolean", short: "h" },
+    interval: { type: "string" },
+    window: { type: "string" },
+    listen: { type: "string" },
+    concurrency: { type: "string" },
+    rate: { type: "string" },
+    duration: { type: "string" },
+    connections: { type: "string" },
+    "soak-duration": { type: "string" },
+    heartbeat: { type: "string" },
+    "stale-after": { type: "string" },
+    "reconnect-backoff": { type: "string" },
+    "max-backoff": { type: "string" },
+  };
+  for (const [flag] of Object.values(NUMERIC_OPTIONS)) options[flag] = { type: "string" };
+
+  let values;
+  try {
+    ({ values } = parseArgs({ args: argv, options, allowPositionals: false }));
+  } catch (err) {
+    throw new ConfigError(err.message);
+  }
+  if (values.help) return { help: true };
+
+  const raw = values.config ? readConfigFile(values.config) : {};
+
+  if (values.api) raw.api = [...(raw.api ?? DEFAULT_API_ENDPOINTS), ...values.api.map((v) => parseEndpointFlag(v, "api"))];
+  if (values.ws) raw.ws = [...(raw.ws ?? DEFAULT_WS_ENDPOINTS), ...values.ws.map((v) => parseEndpointFlag(v, "ws"))];
+  if (values.phases) raw.phases = values.phases;
+  if (values.percentiles) raw.percentiles = values.percentiles;
+  if (values.family) raw.families = values.family;
+  if (values.resolver) {
+    raw.resolvers = values.resolver.map((v) => {
+      const m = /^([^=:/[]+)=(.+)$/.exec(v);
+      return m ? { name: m[1], url: m[2] } : v;
+    });
+  }
+  if (values.token || values["clob-dry-run"]) {
+    raw.clob = { ...raw.clob };
+    if (values.token) raw.clob.tokenIds = values.token;
+    if (values["clob-dry-run"]) raw.clob.dryRun = true;
+  }
+  if (values.output) raw.output = values.output;
+  if (values.out) raw.out = values.out;
+  if (values.history) raw.history = values.history;
+  if (values.quiet) raw.quiet = true;
+  if (values.tui) raw.tui = true;
+  if (values["per-ip"]) raw.perIp = true;
+  if (values["ntp-server"]) raw.ntpServer = values["ntp-server"];
+  if (values.encodings || values["payload-rounds"] || values["payload-path"]) {
+    raw.payload = { ...raw.payload };
+    if (values.encodings) raw.payload.encodings = values.encodings;
+    if (values["payload-rounds"]) raw.payload.rounds = values["payload-rounds"];
+    if (values["payload-path"]) raw.payload.paths = [...(raw.payload.paths ?? []), ...values["payload-path"]];
+  }
+  for (const [key, [flag]] of Object.entries(NUMERIC_OPTIONS)) {
+    if (values[flag] != null) raw[key] = values[flag];
+  }
+  if (values.interval || values.window || values.listen) {
+    raw.monitor = { ...raw.monitor };
+    if (values.interval) raw.monitor.intervalMs = values.interval;
+    if (values.window) raw.monitor.windowSec = values.window;
+    if (values.listen) raw.monitor.listen = values.listen;
+  }
+  if (values.alert || values.notify || values["alert-state"]) {
+    raw.alerts = { ...raw.alerts };
+    if (values.alert) raw.alerts.rules = [...(raw.alerts.rules ?? []), ...values.alert];
+    if (values.notify) raw.alerts.notify = [...(raw.alerts.notify ?? []), ...values.notify];
+    if (values["alert-state"]) raw.alerts.stateFile = values["alert-state"];
+  }
+  if (values.retries || values["retry-backoff"] || values["retry-on"]) {
+    raw.retry = { ...raw.retry };
+    if (values.retries) raw.retry.retries = values.retries;
+    if (values["retry-backoff"]) raw.retry.backoffMs = values["retry-backoff"];
+    if (values["retry-on"]) raw.retry.on = values["retry-on"];
+  }
+  if (values.concurrency || values.rate || values.duration || values.connections) {
+    raw.load = { ...raw.load };
+    if (values.concurrency) raw.load.concurrency = values.concurrency;
+    if (values.rate) raw.load.rateHz = values.rate;
+    if (values.duration) raw.load.durationSec = values.duration;
+    if (values.connections) raw.load.connections = values.connections;
+  }
+  if (values["soak-duration"] || values.heartbeat || values["stale-after"] || values["reconnect-backoff"] || values["max-backoff"]) {
+    raw.soak = { ...raw.soak };
+    if (values["soak-duration"]) raw.soak.durationSec = values["soak-duration"];
+    if (values.heartbeat) raw.soak.heartbeatMs = values.heartbeat;
+    if (values["stale-after"]) raw.soak.staleMs = values["stale-after"];
+    if (values["reconnect-backoff"]) raw.soak.backoffMs = values["reconnect-backoff"];
+    if (values["max-backoff"]) raw.soak.maxBackoffMs = values["max-backoff"];
+  }
+
+  const filters = { only: values.only, exclude: values.exclude };
+  const config = resolveConfig(raw, filters);
+  return { config, raw, filters, printConfig: !!values["print-config"] };
+}
+
+module.exports = {
+  DEFAULTS,
+  MONITOR_DEFAULTS,
+  LOAD_DEFAULTS,
+  SOAK_DEFAULTS,
+  PAYLOAD_DEFAULTS,
+  CLOB_DEFAULTS,
+  ALERT_DEFAULTS,
+  RETRY_DEFAULTS,
+  DEFAULT_API_ENDPOINTS,
+  DEFAULT_WS_ENDPOINTS,
+  DEFAULT_RESOLVERS,
+  DEFAULT_NTP_SERVER,
+  PHASES,
+  DEFAULT_PHASES,
+  CLOCK_PHASES,
+  API_PHASES,
+  WS_PHASES,
+  CLOB_PHASES,
+  PATH_PHASES,
+  FAMILY_LABELS,
+  USAGE,
+  ConfigError,
+  readConfigFile,
+  validateConfig,
+  resolveConfig,
+  redactConfig,
+  validateNumber,
+  validateListen,
+  parseRunArgs,
+};
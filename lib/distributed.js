@@ -0,0 +1,339 @@
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const { URL } = require("url");
+const { ConfigError, resolveConfig } = require("./config");
+const { MODES } = require("./compare");
+const { createSampleSink } = require("./output");
+const { getServerInfo, measure } = require("./runner");
+
+const DEFAULT_AGENT_LISTEN = "127.0.0.1:9465";
+const DEFAULT_AGENT_TIMEOUT_SEC = 900;
+
+const AGENT_USAGE = `Usage: node index.js agent [options]
+
+Waits for runs from "node index.js coordinate" on another machine. A run
+uses the config the coordinator sends and answers with the JSON report. One
+run at a time. Configs that read files on this machine (ca, clob.orders) or
+run the clob phase are refused, and POLY_* env vars are never used for them.
+
+  GET  /info   Server info, region and whether a run is in progress
+  POST /run    {"config": {...}, "only": [...], "exclude": [...]} → report with samples
+
+Options:
+      --listen <host:port>  Address to listen on (default ${DEFAULT_AGENT_LISTEN})
+      --region <name>       Name of this machine in the coordinator's tables (default: hostname)
+      --secret <s>          Only accept requests with "Authorization: Bearer <s>"
+                            (default: AGENT_SECRET env var). Required when listening
+                            beyond localhost: a run can be pointed at any URL
+  -q, --quiet               Don't print the progress of runs
+  -h, --help                Show this help
+`;
+
+const COORDINATE_USAGE = `Usage: node index.js coordinate [[name=]report.json ...] [options] [-- run options]
+
+Runs the same test on several machines at once and ranks the locations per
+endpoint and mode. Every --agent is a machine running "node index.js agent";
+the run options after "--" (config file, phases, rounds, ...) are sent to all
+of them. Saved JSON reports (run -o json --out) from machines without an
+agent can be given too, or instead.
+
+Options:
+      --agent <[name=]url>  Agent to run on, e.g. fra=http://10.0.0.5:9465 (repeatable).
+                            Without a name the agent's region or hostname is used
+      --secret <s>          Secret the agents were started with (default: AGENT_SECRET env var)
+      --timeout <s>         Give up on an agent after this long (default ${DEFAULT_AGENT_TIMEOUT_SEC})
+      --out <file>          Write the merged result, every location's report included, as JSON
+  -h, --help                Show this help
+
+Output files, alerts, monitor, load and soak settings, certificate files and
+the clob section stay on the coordinator: agents do not run the clob phase.
+Exits with status 1 when an agent fails.
+`;
+
+// Config keys that only mean something where the config is read: where the
+// output goes, alert notifiers, monitor, load and soak settings, and the CLOB
+// account, which agents never sign for.
+const LOCAL_KEYS = ["output", "out", "history", "quiet", "tui", "alerts", "monitor", "load", "soak", "clob"];
+
+const withoutKey = (obj, key) => Object.fromEntries(Object.entries(obj).filter(([k]) => k !== key));
+
+// The part of a run's config an agent gets. Certificate paths are files on
+// the coordinator's machine.
+function shareableConfig(raw) {
+  const shared = Object.fromEntries(Object.entries(raw).filter(([key]) => !LOCAL_KEYS.includes(key)));
+  for (const key of ["api", "ws"]) {
+    if (Array.isArray(shared[key])) shared[key] = shared[key].map((ep) => (ep && typeof ep === "object" ? withoutKey(ep, "ca") : ep));
+  }
+  return shared;
+}
+
+// Throws ConfigError for endpoints that would make the agent read its own
+// files. The local keys, clob included, are dropped rather than refused.
+function checkRemoteConfig(raw) {
+  for (const key of ["api", "ws"]) {
+    if (!Array.isArray(raw[key])) continue;
+    raw[key].forEach((ep, i) => {
+      if (ep && typeof ep === "object" && "ca" in ep) throw new ConfigError(`${key}[${i}].ca: agents do not read certificate files for a coordinator`);
+    });
+  }
+}
+
+const LOOPBACK_HOSTS = ["127.0.0.1", "::1", "localhost"];
+const isLoopback = (host) => LOOPBACK_HOSTS.includes(host) || /^127\./.test(host);
+
+// "[name=]target" for --agent and report files. Names cannot contain ":" or
+// "/", so a bare URL with "=" in its query is not mistaken for one.
+function parseLocationSpec(spec) {
+  const m = /^([^=:/]+)=(.+)$/.exec(spec);
+  return m ? { name: m[1], target: m[2] } : { name: null, target: spec };
+}
+
+const sameSecret = (given, secret) => {
+  const a = crypto.createHash("sha256").update(given).digest();
+  const b = crypto.createHash("sha256").update(secret).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+// ── Agent ───────────────────────────────────────────────────────────
+const MAX_BODY = 1024 * 1024;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY) req.destroy(new Error("request body too large"));
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+// onRun sees { status: "started" | "finished" | "failed", from, error? } for
+// every run request, for the agent's own log.
+function createAgent({ host = "127.0.0.1", port = 9465, region = null, secret = null, onRun = () => {} } = {}) {
+  const serverInfo = getServerInfo();
+  const state = { runs: 0, running: null };
+  let server = null;
+
+  const json = (res, status, body) => res.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(body));
+
+  async function run(req, res) {
+    let request;
+    try {
+      request = JSON.parse(await readBody(req));
+    } catch (err) {
+      return json(res, 400, { error: `invalid request: ${err.message}` });
+    }
+    let config;
+    try {
+      if (!request || typeof request.config !== "object" || Array.isArray(request.config)) throw new ConfigError("expected {\"config\": {...}}");
+      checkRemoteConfig(request.config);
+      config = resolveConfig(shareableConfig(request.config), { only: request.only, exclude: request.exclude, env: {} });
+      if (config.phases.includes("clob")) throw new ConfigError("phases: agents do not run the clob phase");
+    } catch (err) {
+      if (!(err instanceof ConfigError)) throw err;
+      return json(res, 400, { error: err.message });
+    }
+
+    if (state.running) return json(res, 409, { error: `busy with a run from ${state.running.from} since ${state.running.since}` });
+    const from = req.socket.remoteAddress;
+    state.running = { from, since: new Date().toISOString() };
+    onRun({ status: "started", from });
+    try {
+      const sink = createSampleSink("human", null);
+      const { report } = await measure(config, sink);
+      report.server.region = region;
+      state.runs++;
+      onRun({ status: "finished", from });
+      json(res, 200, { ...report, samples: sink.samples });
+    } catch (err) {
+      onRun({ status: "failed", from, error: err });
+      json(res, 500, { error: err.message });
+    } finally {
+      state.running = null;
+    }
+  }
+
+  function handle(req, res) {
+    const path = new URL(req.url, "http://localhost").pathname;
+    if (secret && !sameSecret(req.headers.authorization ?? "", `Bearer ${secret}`)) {
+      json(res, 401, { error: "missing or wrong secret" });
+    } else if (path === "/info" && req.method === "GET") {
+      json(res, 200, { server: serverInfo, region, runs: state.runs, running: state.running });
+    } else if (path === "/run" && req.method === "POST") {
+      run(req, res).catch((err) => json(res, 500, { error: err.message }));
+    } else if (path === "/info" || path === "/run") {
+      res.writeHead(405, { Allow: path === "/run" ? "POST" : "GET" }).end();
+    } else {
+      json(res, 404, { error: "not found, try GET /info or POST /run" });
+    }
+  }
+
+  return {
+    state,
+
+    start() {
+      if (!secret && !isLoopback(host)) {
+        return Promise.reject(new ConfigError(`a secret is required to listen on ${host}: anyone who can reach the port could start runs`));
+      }
+      return new Promise((resolve, reject) => {
+        server = http.createServer(handle);
+        // Runs take minutes; the coordinator decides when to give up.
+        server.requestTimeout = 0;
+        server.once("error", reject);
+        server.listen(port, host, () => {
+          server.removeListener("error", reject);
+          resolve(server.address());
+        });
+      });
+    },
+
+    stop() {
+      if (!server) return Promise.resolve();
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+// ── Coordinator ─────────────────────────────────────────────────────
+function postJSON(url, body, { secret, timeoutMs }) {
+  const client = url.protocol === "https:" ? https : http;
+  const payload = JSON.stringify(body);
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Content-Length": Buffer.byteLength(payload),
+        "User-Agent": "latency-tester/2.0",
+        ...(secret && { Authorization: `Bearer ${secret}` }),
+      },
+    }, (res) => {
+      let text = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => { text += chunk; });
+      res.on("end", () => {
+        let parsed;
+        try {
+          parsed = JSON.parse(text);
+        } catch {
+          return reject(new Error(`HTTP ${res.statusCode}: not JSON`));
+        }
+        if (res.statusCode !== 200) return reject(new Error(`HTTP ${res.statusCode}: ${parsed.error ?? "no error given"}`));
+        resolve(parsed);
+      });
+      res.on("error", reject);
+    });
+    const timer = setTimeout(() => req.destroy(new Error(`no report after ${timeoutMs / 1000}s`)), timeoutMs);
+    req.on("close", () => clearTimeout(timer));
+    req.on("error", reject);
+    req.end(payload);
+  });
+}
+
+// Sends one run to every agent at once. Resolves, per agent and in order,
+// { name, source, report } or { name, source, error }; onDone sees each as
+// it comes in.
+function runAgents(agents, request, { secret = null, timeoutMs = DEFAULT_AGENT_TIMEOUT_SEC * 1000, onDone = () => {} } = {}) {
+  return Promise.all(agents.map(async ({ name, url }) => {
+    const base = new URL(url);
+    const target = new URL(`${base.pathname.replace(/\/$/, "")}/run`, base);
+    let result;
+    try {
+      result = { name, source: url, report: await postJSON(target, request, { secret, timeoutMs }) };
+    } catch (err) {
+      result = { name, source: url, error: err.message };
+    }
+    onDone(result);
+    return result;
+  }));
+}
+
+// ── Aggregation ─────────────────────────────────────────────────────
+// Error counts live under different keys than the stats they go with.
+const ERROR_KEYS = { cold: "cold", keepAlive: "keepAlive", h2: "h2", handshake: "handshake", pingRTT: "ping" };
+
+// Persistent connections, as in the run summary's production ranking.
+const RANKED_MODES = ["keepAlive", "h2", "pingRTT"];
+
+const locationName = (l) => l.name ?? l.report?.server?.region ?? l.report?.server?.hostname ?? l.source;
+
+// Names every location; a name seen twice gets "#2", "#3", ...
+function nameLocations(locations) {
+  const seen = new Map();
+  return locations.map((l) => {
+    const name = locationName(l);
+    const n = (seen.get(name) ?? 0) + 1;
+    seen.set(name, n);
+    return { ...l, name: n > 1 ? `${name} #${n}` : name };
+  });
+}
+
+// One row per endpoint and mode with every location that measured it,
+// fastest median first. `spread` is slowest − fastest median.
+function aggregateReports(locations) {
+  const rows = [];
+  const measured = locations.filter((l) => l.report);
+  for (const [section, modes] of Object.entries(MODES)) {
+    const names = [...new Set(measured.flatMap((l) => (l.report.results[section] || []).map((r) => r.name)))];
+    for (const name of names) {
+      for (const mode of Object.keys(modes)) {
+        const entries = [];
+        for (const l of measured) {
+          const r = (l.report.results[section] || []).find((x) => x.name === name);
+          const s = r?.[mode];
+          if (!s || s.median == null) continue;
+          entries.push({
+            location: l.name,
+            hostname: l.report.server?.hostname ?? null,
+            region: l.report.server?.region ?? null,
+            median: s.median, p95: s.p95, p99: s.p99, avg: s.avg, jitter: s.jitter, samples: s.samples,
+            errors: ERROR_KEYS[mode] ? r.errors?.[ERROR_KEYS[mode]] ?? null : null,
+          });
+        }
+        if (!entries.length) continue;
+        entries.sort((a, b) => a.median - b.median);
+        entries.forEach((e, i) => { e.rank = i + 1; });
+        rows.push({ section, name, mode, locations: entries, spread: +(entries[entries.length - 1].median - entries[0].median).toFixed(2) });
+      }
+    }
+  }
+  return rows;
+}
+
+// Overall order of the locations over the persistent-connection rows: mean
+// rank first, then the number of rows they were fastest on.
+function rankLocations(rows) {
+  const byLocation = new Map();
+  for (const row of rows) {
+    if (!RANKED_MODES.includes(row.mode) || row.locations.length < 2) continue;
+    for (const e of row.locations) {
+      const entry = byLocation.get(e.location) ?? { location: e.location, ranks: [], wins: 0 };
+      entry.ranks.push(e.rank);
+      if (e.rank === 1) entry.wins++;
+      byLocation.set(e.location, entry);
+    }
+  }
+  return [...byLocation.values()]
+    .map(({ location, ranks, wins }) => ({ location, meanRank: +(ranks.reduce((a, b) => a + b, 0) / ranks.length).toFixed(2), wins, rows: ranks.length }))
+    .sort((a, b) => a.meanRank - b.meanRank || b.wins - a.wins);
+}
+
+module.exports = {
+  DEFAULT_AGENT_LISTEN,
+  DEFAULT_AGENT_TIMEOUT_SEC,
+  AGENT_USAGE,
+  COORDINATE_USAGE,
+  LOCAL_KEYS,
+  shareableConfig,
+  parseLocationSpec,
+  createAgent,
+  runAgents,
+  nameLocations,
+  aggregateReports,
+  rankLocations,
+};
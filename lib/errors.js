@@ -0,0 +1,136 @@
+const { setTimeout: sleep } = require("timers/promises");
+
+// ── Error types ─────────────────────────────────────────────────────
+// Every failed probe is put in one of these, so a summary can tell a
+// rate-limited endpoint from one that times out or refuses connections.
+const ERROR_TYPES = [
+  "dns",          // name did not resolve
+  "refused",      // connection refused
+  "network",      // reset, unreachable, broken stream
+  "tls",          // handshake or certificate failure
+  "timeout",
+  "http-3xx",     // non-2xx statuses count as failures
+  "http-4xx",
+  "rate-limited", // 429
+  "http-5xx",
+  "ws-close",     // WebSocket closed by the server mid-test
+  "ping-loss",    // ping (WS or HTTP/2) without an answer in time
+  "other",
+];
+
+// What the retry policy retries by default: failures a second attempt can
+// plausibly get past. TLS errors and 4xx will fail the same way again.
+const RETRYABLE_TYPES = ["dns", "refused", "network", "timeout", "rate-limited", "http-5xx"];
+
+const DNS_CODES = ["ENOTFOUND", "EAI_AGAIN", "EAI_FAIL", "EAI_NONAME", "ENODATA", "ESERVFAIL", "EREFUSED", "ENONAME", "EBADNAME"];
+const NETWORK_CODES = ["ECONNRESET", "EPIPE", "EHOSTUNREACH", "ENETUNREACH", "ECONNABORTED", "EADDRNOTAVAIL", "ENETDOWN", "EHOSTDOWN"];
+const TLS_CODE_RE = /^(ERR_(TLS|SSL)_|CERT_|DEPTH_ZERO_SELF_SIGNED_CERT|SELF_SIGNED_CERT|UNABLE_TO_(GET|VERIFY)_|HOSTNAME_MISMATCH)/;
+
+// A response whose status is not 2xx. The measurement is kept so callers can
+// still record the status and timings of the failed request.
+class HTTPStatusError extends Error {
+  constructor(measurement, detail = "") {
+    super(`HTTP ${measurement.status}${detail ? `: ${detail}` : ""}`);
+    this.name = "HTTPStatusError";
+    this.status = measurement.status;
+    this.measurement = measurement;
+  }
+}
+
+class WSCloseError extends Error {
+  constructor(code, reason = "") {
+    super(`WS closed (${code}${reason ? ` ${reason}` : ""})`);
+    this.name = "WSCloseError";
+    this.closeCode = code;
+  }
+}
+
+function checkStatus(m) {
+  if (m.status < 200 || m.status >= 300) throw new HTTPStatusError(m);
+  return m;
+}
+
+function statusType(status) {
+  if (status === 429) return "rate-limited";
+  return status >= 300 && status < 600 ? `http-${Math.floor(status / 100)}xx` : "other";
+}
+
+// Accepts an Error or a bare error code (measureDNS reports codes).
+function classifyError(err) {
+  if (err == null) return null;
+  const code = typeof err === "string" ? err : err.code;
+  const message = typeof err === "string" ? err : err.message || "";
+  if (err instanceof HTTPStatusError) return statusType(err.status);
+  if (err instanceof WSCloseError) return "ws-close";
+  // ws rejects a refused upgrade with the HTTP status in the message.
+  const upgrade = /^Unexpected server response: (\d+)/.exec(message);
+  if (upgrade) return statusType(Number(upgrade[1]));
+  if (/^Ping timeout/.test(message)) return "ping-loss";
+  if (DNS_CODES.includes(code) || code === "ETIMEOUT") return "dns";
+  if (code === "ECONNREFUSED") return "refused";
+  if (code === "ETIMEDOUT" || /timeout/i.test(message)) return "timeout";
+  // An alert from the server surfaces as EPROTO with OpenSSL's text.
+  if (TLS_CODE_RE.test(code || "") || err.library === "SSL routines" || (code === "EPROTO" && /SSL routines/.test(message))) return "tls";
+  if (NETWORK_CODES.includes(code) || /^ERR_HTTP2_/.test(code || "") || /socket hang up/.test(message)) return "network";
+  return "other";
+}
+
+// Sample fields for a failure: the message, its type and, for a bad status,
+// the status itself along with the timings of the response.
+function errorFields(err) {
+  const m = err.measurement;
+  return {
+    ...(m && { ttfb: m.ttfb, total: m.total, size: m.size, family: m.family, ...m.timings }),
+    error: err.message,
+    errorType: classifyError(err),
+    ...(err.status != null && { status: err.status }),
+  };
+}
+
+// { timeout: 2, "http-5xx": 1 } in ERROR_TYPES order; types that did not
+// occur are left out.
+function countErrorTypes(types) {
+  const counts = {};
+  for (const type of ERROR_TYPES) {
+    const n = types.filter((t) => t === type).length;
+    if (n) counts[type] = n;
+  }
+  return counts;
+}
+
+// ── Retry with backoff ──────────────────────────────────────────────
+// Exponential: backoffMs before the first retry, doubling up to maxBackoffMs.
+const backoffDelay = (policy, retry) => Math.min(policy.backoffMs * 2 ** (retry - 1), policy.maxBackoffMs);
+
+// Runs `attempt` until it succeeds, fails with a type the policy does not
+// retry, or runs out of retries. onAttempt sees every attempt. Resolves with
+// the last attempt's value or error, the number of attempts, and `lost`: the
+// ms spent on failed attempts and backoff before the last attempt started.
+async function withRetry(attempt, policy, onAttempt = () => {}) {
+  const start = process.hrtime.bigint();
+  for (let n = 1; ; n++) {
+    const lost = Number(process.hrtime.bigint() - start) / 1e6;
+    try {
+      const value = await attempt(n);
+      onAttempt(n, value, null);
+      return { value, error: null, attempts: n, lost };
+    } catch (err) {
+      onAttempt(n, null, err);
+      if (n > policy.retries || !policy.on.includes(classifyError(err))) return { value: null, error: err, attempts: n, lost };
+      await sleep(backoffDelay(policy, n));
+    }
+  }
+}
+
+module.exports = {
+  ERROR_TYPES,
+  RETRYABLE_TYPES,
+  HTTPStatusError,
+  WSCloseError,
+  checkStatus,
+  classifyError,
+  errorFields,
+  countErrorTypes,
+  backoffDelay,
+  withRetry,
+};
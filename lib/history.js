@@ -0,0 +1,256 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { ConfigError } = require("./config");
+const { MODES } = require("./compare");
+
+const DEFAULT_HISTORY_DIR = "latency-history";
+
+const HISTORY_USAGE = `Usage: node index.js history [list|trend|html <file>] [options]
+
+Reads the runs saved with "run --history <dir>". The store is append-only:
+<dir>/index.ndjson holds one summary line per run and <dir>/runs/<id>.json
+the full report with its server info and raw samples.
+
+  list          Saved runs, newest last (default)
+  trend         Median and p95 over time per host, endpoint and mode, with sparklines
+  html <file>   Standalone HTML report with a chart per endpoint and mode
+
+Options:
+      --dir <dir>         History directory (default ${DEFAULT_HISTORY_DIR})
+      --host <name>       Only runs from this host (repeatable)
+      --endpoint <name>   Only this endpoint (repeatable)
+      --since <when>      Only runs at or after an ISO date or a relative age (24h, 7d, 4w)
+      --until <when>      Only runs at or before an ISO date or a relative age
+      --last <n>          Only the n most recent matching runs
+  -h, --help              Show this help
+`;
+
+const INDEX_FILE = "index.ndjson";
+const RUNS_DIR = "runs";
+
+// ── Store ───────────────────────────────────────────────────────────
+// 20261019T165237Z-3fa2c1: sorts by time, unique across hosts sharing a dir.
+function runId(timestamp) {
+  return `${timestamp.replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z")}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+// One entry per report section, endpoint and mode that has stats.
+function summarizeReport(report) {
+  const entries = [];
+  for (const [section, modes] of Object.entries(MODES)) {
+    for (const r of report.results[section] || []) {
+      for (const mode of Object.keys(modes)) {
+        const s = r[mode];
+        if (!s) continue;
+        entries.push({ section, name: r.name, mode, median: s.median, p95: s.p95, p99: s.p99, samples: s.samples });
+      }
+    }
+  }
+  return entries;
+}
+
+// Writes the run file first so the index never points at a missing run.
+function saveRun(dir, report, samples) {
+  const id = runId(report.timestamp);
+  fs.mkdirSync(path.join(dir, RUNS_DIR), { recursive: true });
+  fs.writeFileSync(path.join(dir, RUNS_DIR, `${id}.json`), JSON.stringify({ id, ...report, samples }) + "\n", { flag: "wx" });
+  const summary = {
+    id,
+    timestamp: report.timestamp,
+    host: report.server?.hostname ?? null,
+    phases: report.config?.phases ?? [],
+    entries: summarizeReport(report),
+  };
+  fs.appendFileSync(path.join(dir, INDEX_FILE), JSON.stringify(summary) + "\n");
+  return id;
+}
+
+// Lines that do not parse (e.g. cut short by a crash mid-append) are counted
+// and skipped rather than failing the whole history.
+function readIndex(dir) {
+  let text;
+  try {
+    text = fs.readFileSync(path.join(dir, INDEX_FILE), "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") throw new ConfigError(`No history in ${dir} (save runs with --history ${dir})`);
+    throw new ConfigError(`Cannot read history ${dir}: ${err.message}`);
+  }
+  const runs = [];
+  let invalid = 0;
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const run = JSON.parse(line);
+      if (run && run.id && run.timestamp && Array.isArray(run.entries)) runs.push(run);
+      else invalid++;
+    } catch {
+      invalid++;
+    }
+  }
+  runs.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  return { runs, invalid };
+}
+
+// ── Filters ─────────────────────────────────────────────────────────
+const AGE_UNITS = { h: 3600e3, d: 86400e3, w: 7 * 86400e3 };
+
+// ISO date/time, or an age like "7d" counted back from now. Returns ms.
+function parseWhen(value, flag, now = Date.now()) {
+  const age = /^(\d+)\s*([hdw])$/.exec(value.trim());
+  if (age) return now - Number(age[1]) * AGE_UNITS[age[2]];
+  const t = Date.parse(value);
+  if (Number.isNaN(t)) throw new ConfigError(`--${flag}: expected an ISO date or an age like 24h, 7d, 4w, got ${JSON.stringify(value)}`);
+  return t;
+}
+
+// Keeps matching runs and, with endpoint filters, only their entries; runs
+// left without entries are dropped.
+function filterRuns(runs, { hosts, endpoints, since, until, last }) {
+  let out = runs.filter((run) => {
+    const t = Date.parse(run.timestamp);
+    if (hosts?.length && !hosts.includes(run.host)) return false;
+    if (since != null && t < since) return false;
+    if (until != null && t > until) return false;
+    return true;
+  });
+  if (endpoints?.length) {
+    out = out
+      .map((run) => ({ ...run, entries: run.entries.filter((e) => endpoints.includes(e.name)) }))
+      .filter((run) => run.entries.length);
+  }
+  return last ? out.slice(-last) : out;
+}
+
+// ── Trends ──────────────────────────────────────────────────────────
+// One series per host, section, endpoint and mode, in run order.
+function trendSeries(runs) {
+  const series = new Map();
+  for (const run of runs) {
+    for (const e of run.entries) {
+      const key = [run.host, e.section, e.name, e.mode].join("\0");
+      if (!series.has(key)) series.set(key, { host: run.host, section: e.section, name: e.name, mode: e.mode, points: [] });
+      series.get(key).points.push({ id: run.id, timestamp: run.timestamp, median: e.median, p95: e.p95, samples: e.samples });
+    }
+  }
+  return [...series.values()];
+}
+
+const SPARK = "▁▂▃▄▅▆▇█";
+
+// Latest `width` values scaled between their own min and max; gaps stay blank.
+function sparkline(values, width = 40) {
+  const shown = values.slice(-width);
+  const nums = shown.filter((v) => v != null);
+  if (!nums.length) return "";
+  const min = Math.min(...nums);
+  const range = Math.max(...nums) - min;
+  return shown
+    .map((v) => (v == null ? " " : SPARK[range ? Math.round(((v - min) / range) * (SPARK.length - 1)) : 3]))
+    .join("");
+}
+
+// ── HTML export ─────────────────────────────────────────────────────
+const escapeHTML = (s) => String(s).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const CHART = { width: 760, height: 240, left: 56, right: 16, top: 16, bottom: 36 };
+const COLORS = ["#2563eb", "#dc2626", "#16a34a", "#9333ea", "#ea580c", "#0891b2", "#ca8a04", "#db2777"];
+
+// Inline SVG: one color per host, median solid and p95 dashed.
+function chartSVG(lines, hosts) {
+  const { width, height, left, right, top, bottom } = CHART;
+  const points = lines.flatMap((l) => l.points);
+  const times = points.map((p) => Date.parse(p.timestamp));
+  const t0 = Math.min(...times);
+  const t1 = Math.max(...times);
+  const yMax = Math.max(...points.flatMap((p) => [p.median, p.p95]).filter((v) => v != null), 1) * 1.1;
+  const x = (t) => left + (t1 === t0 ? 0.5 : (t - t0) / (t1 - t0)) * (width - left - right);
+  const y = (v) => top + (1 - v / yMax) * (height - top - bottom);
+
+  const parts = [];
+  for (let i = 0; i <= 4; i++) {
+    const v = (yMax * i) / 4;
+    parts.push(`<line x1="${left}" x2="${width - right}" y1="${y(v)}" y2="${y(v)}" stroke="#e5e7eb"/>`);
+    parts.push(`<text x="${left - 6}" y="${y(v) + 4}" text-anchor="end">${v.toFixed(v < 10 ? 1 : 0)}</text>`);
+  }
+  for (const t of t0 === t1 ? [t0] : [t0, (t0 + t1) / 2, t1]) {
+    parts.push(`<text x="${x(t)}" y="${height - 12}" text-anchor="middle">${escapeHTML(new Date(t).toISOString().slice(0, 16).replace("T", " "))}</text>`);
+  }
+  for (const line of lines) {
+    const color = COLORS[hosts.indexOf(line.host) % COLORS.length];
+    for (const [metric, dash] of [["median", ""], ["p95", ' stroke-dasharray="5 4"']]) {
+      const pts = line.points.filter((p) => p[metric] != null);
+      if (!pts.length) continue;
+      const d = pts.map((p, i) => `${i ? "L" : "M"}${x(Date.parse(p.timestamp)).toFixed(1)},${y(p[metric]).toFixed(1)}`).join("");
+      parts.push(`<path d="${d}" fill="none" stroke="${color}" stroke-width="1.5"${dash}/>`);
+      for (const p of pts) {
+        parts.push(`<circle cx="${x(Date.parse(p.timestamp)).toFixed(1)}" cy="${y(p[metric]).toFixed(1)}" r="2.5" fill="${color}"><title>${escapeHTML(`${line.host} ${metric} ${p[metric]} ms\n${p.timestamp}`)}</title></circle>`);
+      }
+    }
+  }
+  return `<svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">${parts.join("")}</svg>`;
+}
+
+function renderHTML(runs, { title = "Polymarket latency history", modeLabels = {} } = {}) {
+  const series = trendSeries(runs);
+  const hosts = [...new Set(runs.map((r) => r.host))];
+  const charts = new Map();
+  for (const s of series) {
+    const key = [s.section, s.name, s.mode].join("\0");
+    if (!charts.has(key)) charts.set(key, { ...s, lines: [] });
+    charts.get(key).lines.push(s);
+  }
+
+  const legend = hosts.map((h, i) => `<span><i style="background:${COLORS[i % COLORS.length]}"></i>${escapeHTML(h)}</span>`).join("");
+  const sections = [...charts.values()].map((c) => `
+<section>
+  <h2>${escapeHTML(c.name)} <small>${escapeHTML(modeLabels[c.mode] || c.mode)}</small></h2>
+  ${chartSVG(c.lines, hosts)}
+</section>`).join("");
+  const rows = runs.slice().reverse().map((r) => `
+    <tr><td>${escapeHTML(r.id)}</td><td>${escapeHTML(r.timestamp)}</td><td>${escapeHTML(r.host)}</td><td>${escapeHTML(r.phases.join(", "))}</td><td>${r.entries.length}</td></tr>`).join("");
+  const range = runs.length ? `${runs[0].timestamp} – ${runs[runs.length - 1].timestamp}` : "no runs";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>
+  body { font: 14px system-ui, sans-serif; margin: 24px; color: #111827; }
+  h2 { font-size: 16px; margin: 24px 0 4px; }
+  h2 small { color: #6b7280; font-weight: normal; }
+  svg text { font-size: 11px; fill: #6b7280; }
+  .legend span { margin-right: 16px; }
+  .legend i { display: inline-block; width: 12px; height: 12px; margin-right: 4px; vertical-align: -1px; }
+  table { border-collapse: collapse; margin-top: 24px; }
+  td, th { border: 1px solid #e5e7eb; padding: 4px 8px; text-align: left; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<p>${runs.length} runs, ${escapeHTML(range)}. Times in ms; solid lines are the median, dashed lines p95.</p>
+<p class="legend">${legend}</p>
+${sections}
+<table>
+  <thead><tr><th>Run</th><th>Time</th><th>Host</th><th>Phases</th><th>Series</th></tr></thead>
+  <tbody>${rows}
+  </tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  DEFAULT_HISTORY_DIR,
+  HISTORY_USAGE,
+  summarizeReport,
+  saveRun,
+  readIndex,
+  parseWhen,
+  filterRuns,
+  trendSeries,
+  sparkline,
+  renderHTML,
+};
@@ -0,0 +1,361 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const net = require("net");
+const tls = require("tls");
+const http = require("http");
+const https = require("https");
+const http2 = require("http2");
+const { execFileSync } = require("child_process");
+const { URL } = require("url");
+const { WebSocketServer } = require("ws");
+const { ConfigError } = require("./config");
+
+const IMPAIR_USAGE = `Usage: node index.js impair [options]
+
+Local proxy that degrades the link to an upstream, or to its own mock server,
+for testing the tester and rehearsing how clients cope with a bad network.
+It terminates TLS (HTTP/1.1 and h2, WebSockets included), so every mode runs
+through it: point an endpoint at https://localhost:<port> (wss:// for
+WebSockets) with "ca" set to the certificate file it prints.
+
+Without --target it answers by itself: HTTP requests get a small JSON body
+with a Date header, WebSockets echo messages and answer pings. With
+--target (e.g. the mock-ws server) requests and upgrades are forwarded there.
+
+Impairments (rates are 0-1 or a percentage, e.g. 5%):
+      --delay <ms>          Added to every round trip, half each way (default 0)
+      --jitter <ms>         Random extra delay per chunk and direction, 0..jitter;
+                            order is kept (default 0)
+      --stall-rate <p>      Chance a chunk stalls its direction, and everything
+                            behind it, like a lost packet awaiting retransmission
+      --stall <ms>          Length of a stall (default 1000)
+      --reset-rate <p>      Chance a new connection is reset (TCP RST)
+      --tls-fail-rate <p>   Chance a TLS handshake fails (handshake_failure alert)
+      --error-rate <p>      Chance a request or upgrade is answered with an error status
+      --statuses <list>     Statuses --error-rate picks from (default 429,503)
+
+Options:
+      --listen <host:port>  Address to listen on (default 127.0.0.1:8443)
+      --target <url>        Forward to this origin instead of answering
+      --cert <file>         TLS certificate (PEM); with --key. Default: a throwaway
+                            self-signed one for localhost, made with openssl
+      --key <file>          Its private key
+      --plain               No TLS: plain HTTP and ws://
+  -h, --help                Show this help
+
+GET /_impair returns the settings and counters; POST it a JSON object of
+settings (delayMs, jitterMs, stallRate, stallMs, resetRate, tlsFailRate,
+errorRate, statuses) to change them while clients are connected.
+`;
+
+const CONTROL_PATH = "/_impair";
+
+const IMPAIR_DEFAULTS = {
+  delayMs: 0,
+  jitterMs: 0,
+  stallRate: 0,
+  stallMs: 1000,
+  resetRate: 0,
+  tlsFailRate: 0,
+  errorRate: 0,
+  statuses: [429, 503],
+};
+
+// TLS alert record: fatal handshake_failure.
+const HANDSHAKE_FAILURE = Buffer.from([0x15, 0x03, 0x03, 0x00, 0x02, 0x02, 0x28]);
+
+// Dropped when forwarding: they describe one connection, not the request.
+const HOP_HEADERS = ["connection", "keep-alive", "proxy-connection", "transfer-encoding", "upgrade", "te", "trailer", "http2-settings"];
+
+const roll = (rate) => rate > 0 && Math.random() < rate;
+
+// ── Settings ────────────────────────────────────────────────────────
+function validateRate(value, key) {
+  const m = /^(\d+(?:\.\d+)?)(%)?$/.exec(String(value).trim());
+  const rate = m ? Number(m[1]) / (m[2] ? 100 : 1) : NaN;
+  if (!(rate >= 0 && rate <= 1)) throw new ConfigError(`${key}: expected a rate from 0 to 1 or a percentage, got ${JSON.stringify(value)}`);
+  return rate;
+}
+
+function validateMs(value, key) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0 || value === "" || value === null) throw new ConfigError(`${key}: expected a number of ms >= 0, got ${JSON.stringify(value)}`);
+  return n;
+}
+
+// Full settings from a partial object (CLI flags or a control request).
+function impairmentSettings(raw = {}) {
+  for (const key of Object.keys(raw)) {
+    if (!(key in IMPAIR_DEFAULTS)) throw new ConfigError(`Unknown impairment setting "${key}" (expected ${Object.keys(IMPAIR_DEFAULTS).join(", ")})`);
+  }
+  const s = { ...IMPAIR_DEFAULTS, ...raw };
+  const statuses = typeof s.statuses === "string" ? s.statuses.split(",").map((v) => v.trim()) : s.statuses;
+  if (!Array.isArray(statuses) || !statuses.length || statuses.some((v) => !/^[45]\d\d$/.test(String(v)))) {
+    throw new ConfigError(`statuses: expected 4xx/5xx status codes, got ${JSON.stringify(s.statuses)}`);
+  }
+  return {
+    delayMs: validateMs(s.delayMs, "delayMs"),
+    jitterMs: validateMs(s.jitterMs, "jitterMs"),
+    stallRate: validateRate(s.stallRate, "stallRate"),
+    stallMs: validateMs(s.stallMs, "stallMs"),
+    resetRate: validateRate(s.resetRate, "resetRate"),
+    tlsFailRate: validateRate(s.tlsFailRate, "tlsFailRate"),
+    errorRate: validateRate(s.errorRate, "errorRate"),
+    statuses: statuses.map(Number),
+  };
+}
+
+// ── Certificate ─────────────────────────────────────────────────────
+// A 30-day self-signed certificate for localhost, 127.0.0.1 and ::1 in a
+// fresh temp directory. Clients trust it through the endpoint's "ca".
+function selfSignedCertificate() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "latency-impair-"));
+  const certFile = path.join(dir, "cert.pem");
+  const keyFile = path.join(dir, "key.pem");
+  try {
+    execFileSync("openssl", [
+      "req", "-x509", "-newkey", "ec", "-pkeyopt", "ec_paramgen_curve:prime256v1", "-nodes", "-days", "30",
+      "-subj", "/CN=localhost", "-addext", "subjectAltName=DNS:localhost,IP:127.0.0.1,IP:::1",
+      "-keyout", keyFile, "-out", certFile,
+    ], { stdio: "pipe" });
+  } catch (err) {
+    throw new Error(err.code === "ENOENT" ? "openssl not found: pass --cert and --key" : `openssl failed: ${err.stderr?.toString().trim() || err.message}`);
+  }
+  return { certFile, keyFile };
+}
+
+// ── Link ────────────────────────────────────────────────────────────
+// One direction of a proxied connection. Chunks leave in order, each no
+// earlier than its arrival plus half the delay and its jitter; a stall holds
+// the chunk and everything queued behind it. end() is queued like data, so
+// the FIN never overtakes it. Settings are read per chunk, so changes apply
+// to open connections too.
+function createLink(out, settings, counters) {
+  const queue = [];
+  let timer = null;
+  let last = 0;
+
+  const emit = (item) => {
+    if (out.destroyed || out.writableEnded) return;
+    if (item.chunk) out.write(item.chunk);
+    else out.end();
+  };
+
+  function drain() {
+    timer = null;
+    const now = Date.now();
+    while (queue.length && queue[0].at <= now) emit(queue.shift());
+    if (queue.length) timer = setTimeout(drain, queue[0].at - now);
+  }
+
+  function push(chunk) {
+    const { delayMs, jitterMs, stallRate, stallMs } = settings();
+    const now = Date.now();
+    let at = now + delayMs / 2 + Math.random() * jitterMs;
+    if (chunk && roll(stallRate)) {
+      at += stallMs;
+      counters.stalls++;
+    }
+    at = Math.max(at, last);
+    last = at;
+    if (at <= now && !queue.length) return emit({ chunk });
+    queue.push({ at, chunk });
+    if (!timer) timer = setTimeout(drain, Math.max(0, at - now));
+  }
+
+  return {
+    write: (chunk) => push(chunk),
+    end: () => push(null),
+    destroy: () => {
+      clearTimeout(timer);
+      queue.length = 0;
+    },
+  };
+}
+
+// ── Proxy ───────────────────────────────────────────────────────────
+// The impairments sit in front of an inner server on a loopback port:
+// connections are reset or fail their handshake here, and the bytes of the
+// rest are delayed and stalled on their way through. The inner server
+// terminates TLS and injects error statuses, then answers or forwards.
+function createImpairmentProxy({ host = "127.0.0.1", port = 8443, target = null, plain = false, cert = null, key = null, settings = {} } = {}) {
+  let current = impairmentSettings(settings);
+  const counters = { connections: 0, resets: 0, tlsFailures: 0, stalls: 0, requests: 0, upgrades: 0, statuses: {}, upstreamErrors: 0 };
+  const upstream = target ? new URL(target) : null;
+  const upstreamSecure = upstream && ["https:", "wss:"].includes(upstream.protocol);
+  const upstreamPort = upstream && (Number(upstream.port) || (upstreamSecure ? 443 : 80));
+  const forwardAgent = upstream && new (upstreamSecure ? https : http).Agent({ keepAlive: true });
+  const sockets = new Set();
+  let generated = null;
+  let inner = null;
+  let outer = null;
+
+  const injectStatus = () => {
+    if (!roll(current.errorRate)) return null;
+    const status = current.statuses[Math.floor(Math.random() * current.statuses.length)];
+    counters.statuses[status] = (counters.statuses[status] ?? 0) + 1;
+    return status;
+  };
+
+  function control(req, res) {
+    const reply = (status, body) => res.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(body, null, 2) + "\n");
+    if (req.method === "GET") return reply(200, { settings: current, counters });
+    if (req.method !== "POST" && req.method !== "PUT") return reply(405, { error: "use GET or POST" });
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      try {
+        current = impairmentSettings({ ...current, ...JSON.parse(body || "{}") });
+        reply(200, { settings: current, counters });
+      } catch (err) {
+        reply(400, { error: err.message });
+      }
+    });
+  }
+
+  function forward(req, res) {
+    const headers = Object.fromEntries(Object.entries(req.headers).filter(([k]) => !k.startsWith(":") && !HOP_HEADERS.includes(k)));
+    headers.host = upstream.host;
+    const request = (upstreamSecure ? https : http).request({
+      hostname: upstream.hostname,
+      port: upstreamPort,
+      path: req.url,
+      method: req.method,
+      headers,
+      agent: forwardAgent,
+    }, (r) => {
+      res.writeHead(r.statusCode, Object.fromEntries(Object.entries(r.headers).filter(([k]) => !HOP_HEADERS.includes(k))));
+      r.pipe(res);
+    });
+    request.on("error", (err) => {
+      counters.upstreamErrors++;
+      if (res.headersSent) res.destroy();
+      else res.writeHead(502, { "Content-Type": "application/json" }).end(JSON.stringify({ error: `upstream: ${err.message}` }));
+    });
+    req.pipe(request);
+  }
+
+  function handle(req, res) {
+    if (new URL(req.url, "http://localhost").pathname === CONTROL_PATH) return control(req, res);
+    counters.requests++;
+    const status = injectStatus();
+    if (status) {
+      const retry = status === 429 || status === 503 ? { "Retry-After": "1" } : {};
+      return res.writeHead(status, { "Content-Type": "application/json", ...retry }).end(JSON.stringify({ error: `injected ${status}` }));
+    }
+    if (upstream) return forward(req, res);
+    res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify({ ok: true, method: req.method, path: req.url, time: Date.now() }));
+  }
+
+  const wss = new WebSocketServer({ noServer: true });
+  wss.on("connection", (ws) => ws.on("message", (data, isBinary) => ws.send(data, { binary: isBinary })));
+
+  // Upgrades are forwarded as raw bytes once the request is written out, so
+  // WebSocket pings reach the upstream instead of being answered here.
+  function forwardUpgrade(req, socket, head) {
+    const conn = upstreamSecure
+      ? tls.connect({ host: upstream.hostname, port: upstreamPort, servername: net.isIP(upstream.hostname) ? undefined : upstream.hostname })
+      : net.connect(upstreamPort, upstream.hostname);
+    conn.once(upstreamSecure ? "secureConnect" : "connect", () => {
+      const lines = [`${req.method} ${req.url} HTTP/1.1`];
+      for (let i = 0; i < req.rawHeaders.length; i += 2) {
+        const name = req.rawHeaders[i];
+        lines.push(`${name}: ${name.toLowerCase() === "host" ? upstream.host : req.rawHeaders[i + 1]}`);
+      }
+      conn.write(`${lines.join("\r\n")}\r\n\r\n`);
+      if (head.length) conn.write(head);
+      socket.pipe(conn).pipe(socket);
+    });
+    conn.on("error", () => {
+      counters.upstreamErrors++;
+      socket.destroy();
+    });
+    socket.on("error", () => conn.destroy());
+  }
+
+  function upgrade(req, socket, head) {
+    counters.upgrades++;
+    const status = injectStatus();
+    if (status) return socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+    if (upstream) return forwardUpgrade(req, socket, head);
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, req));
+  }
+
+  function accept(client) {
+    counters.connections++;
+    sockets.add(client);
+    client.on("close", () => sockets.delete(client));
+    client.on("error", () => {});
+    if (roll(current.resetRate)) {
+      counters.resets++;
+      return client.resetAndDestroy();
+    }
+    if (!plain && roll(current.tlsFailRate)) {
+      counters.tlsFailures++;
+      return client.once("data", () => client.end(HANDSHAKE_FAILURE));
+    }
+
+    const server = net.connect(inner.address().port, "127.0.0.1");
+    sockets.add(server);
+    server.on("close", () => sockets.delete(server));
+    const up = createLink(server, () => current, counters);
+    const down = createLink(client, () => current, counters);
+    client.on("data", up.write);
+    client.on("end", up.end);
+    server.on("data", down.write);
+    server.on("end", down.end);
+    // A clean close is passed on by the queued end(), after the data still
+    // in flight; an error or a client that went away drops the connection.
+    const drop = () => {
+      up.destroy();
+      down.destroy();
+      client.destroy();
+      server.destroy();
+    };
+    client.on("close", drop);
+    server.on("error", drop);
+  }
+
+  const listen = (server, h, p) => new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(p, h, () => {
+      server.removeListener("error", reject);
+      resolve(server.address());
+    });
+  });
+
+  return {
+    counters,
+    get settings() { return current; },
+    set settings(raw) { current = impairmentSettings(raw); },
+
+    // Resolves with the listening address and, with TLS, the certificate
+    // file clients should trust.
+    async start() {
+      if (!plain && !(cert && key)) generated = selfSignedCertificate();
+      const certFile = plain ? null : cert ?? generated.certFile;
+      inner = plain
+        ? http.createServer(handle)
+        : http2.createSecureServer({ cert: fs.readFileSync(certFile), key: fs.readFileSync(key ?? generated.keyFile), allowHTTP1: true }, handle);
+      inner.on("upgrade", upgrade);
+      await listen(inner, "127.0.0.1", 0);
+      outer = net.createServer(accept);
+      const address = await listen(outer, host, port);
+      return { ...address, certFile };
+    },
+
+    stop() {
+      for (const socket of sockets) socket.destroy();
+      for (const ws of wss.clients) ws.terminate();
+      forwardAgent?.destroy();
+      const closing = [outer, inner].filter(Boolean).map((s) => new Promise((resolve) => s.close(resolve)));
+      return Promise.all(closing).then(() => {
+        if (generated) fs.rmSync(path.dirname(generated.certFile), { recursive: true, force: true });
+      });
+    },
+  };
+}
+
+module.exports = { IMPAIR_USAGE, IMPAIR_DEFAULTS, CONTROL_PATH, impairmentSettings, createImpairmentProxy };
@@ -0,0 +1,900 @@
+// Types for the library entry point (lib/index.js). Times are in ms.
+import { EventEmitter } from "events";
+import { Agent as HttpAgent } from "http";
+import { ClientHttp2Session } from "http2";
+import WebSocket = require("ws");
+
+// ── Config ──────────────────────────────────────────────────────────
+export type Family = 4 | 6;
+
+export interface Endpoint {
+  name: string;
+  url: string;
+  path?: string;
+  method?: string;
+  headers?: Record<string, string>;
+  body?: string;
+  /** Forced address family; unset uses Happy Eyeballs. */
+  family?: Family;
+  /** Pins the connection to one IP (per-IP probes). */
+  address?: string;
+  /** PEM file trusted on top of the system CAs, e.g. the impair proxy's certificate. */
+  ca?: string;
+  /** Extra paths the payload phase fetches on top of the endpoint's own. */
+  payloadPaths?: string[];
+  /** Configured name before family expansion. */
+  baseName?: string;
+  subscribe?: {
+    message: string;
+    timestampField: string;
+    heartbeat?: { message: string; intervalMs: number } | null;
+  };
+}
+
+export type Phase =
+  | "clock" | "dns" | "tcp-tls" | "tls" | "cold" | "keepalive" | "h2" | "payload"
+  | "ws-handshake" | "ws-ping" | "ws-subscribe" | "clob" | "path";
+
+export type OutputFormat = "human" | "json" | "ndjson" | "csv";
+
+/** Same shape as the YAML config; every key is optional. */
+export interface ConfigInput {
+  api?: Array<{ name: string; url: string; [key: string]: unknown }>;
+  ws?: Array<{ name: string; url: string; [key: string]: unknown }>;
+  phases?: Phase[] | string;
+  percentiles?: number[] | string;
+  families?: Array<"auto" | "4" | "6" | Family> | string;
+  resolvers?: Array<string | { name: string; url: string }>;
+  output?: OutputFormat;
+  out?: string | null;
+  history?: string | null;
+  quiet?: boolean;
+  tui?: boolean;
+  perIp?: boolean;
+  warmupRounds?: number;
+  rounds?: number;
+  delayBetweenMs?: number;
+  dnsLookups?: number;
+  dnsTimeoutMs?: number;
+  httpTimeoutMs?: number;
+  h2Streams?: number;
+  wsTimeoutMs?: number;
+  wsPingRounds?: number;
+  wsPingIntervalMs?: number;
+  wsPingTimeoutMs?: number;
+  subscribeDurationMs?: number;
+  pathProbes?: number;
+  pathMaxHops?: number;
+  /** host[:port] the clock phase queries. */
+  ntpServer?: string;
+  ntpSamples?: number;
+  monitor?: Record<string, unknown>;
+  load?: Record<string, unknown>;
+  soak?: Record<string, unknown>;
+  payload?: { encodings?: Encoding[] | string; rounds?: number; paths?: string[] };
+  clob?: Record<string, unknown>;
+  alerts?: Record<string, unknown>;
+  retry?: { retries?: number; backoffMs?: number; maxBackoffMs?: number; on?: ErrorType[] | string };
+}
+
+export interface Config {
+  api: Endpoint[];
+  ws: Endpoint[];
+  phases: Phase[];
+  percentiles: number[];
+  families: Array<"auto" | Family>;
+  resolvers: Array<{ name: string; url: string; transport: string }>;
+  output: OutputFormat;
+  out: string | null;
+  history: string | null;
+  quiet: boolean;
+  tui: boolean;
+  perIp: boolean;
+  warmupRounds: number;
+  rounds: number;
+  delayBetweenMs: number;
+  dnsLookups: number;
+  dnsTimeoutMs: number;
+  httpTimeoutMs: number;
+  h2Streams: number;
+  wsTimeoutMs: number;
+  wsPingRounds: number;
+  wsPingIntervalMs: number;
+  wsPingTimeoutMs: number;
+  subscribeDurationMs: number;
+  pathProbes: number;
+  pathMaxHops: number;
+  ntpServer: { host: string; port: number };
+  ntpSamples: number;
+  monitor: { intervalMs: number; windowSec: number; listen: string; host: string; port: number };
+  load: { concurrency: number; rateHz: number; durationSec: number; connections: number };
+  soak: { durationSec: number; heartbeatMs: number; staleMs: number; backoffMs: number; maxBackoffMs: number };
+  payload: { encodings: Encoding[]; rounds: number; paths: string[] };
+  clob: Record<string, unknown>;
+  alerts: { rules: AlertRule[]; notify: Array<Record<string, unknown>>; fireAfter: number; recoverAfter: number; repeatSec: number; stateFile: string | null };
+  retry: RetryPolicy;
+}
+
+export class ConfigError extends Error {}
+
+export const DEFAULTS: Readonly<Record<string, number>>;
+export const PHASES: readonly Phase[];
+export const DEFAULT_PHASES: readonly Phase[];
+export const DEFAULT_API_ENDPOINTS: readonly Endpoint[];
+export const DEFAULT_WS_ENDPOINTS: readonly Endpoint[];
+
+export function readConfigFile(file: string): ConfigInput;
+/** `env` (default process.env) supplies the POLY_* CLOB credentials the config leaves out. */
+export function validateConfig(raw: ConfigInput, env?: Record<string, string | undefined>): Config;
+/** validateConfig plus endpoint filters and per-family expansion. */
+export function resolveConfig(raw: ConfigInput, filters?: { only?: string[]; exclude?: string[]; env?: Record<string, string | undefined> }): Config;
+
+// ── Samples ─────────────────────────────────────────────────────────
+export type TimingPhase = "dns" | "tcp" | "tls" | "write" | "server" | "transfer";
+export const TIMING_PHASES: readonly TimingPhase[];
+
+/** One raw measurement, as written to ndjson/csv. */
+export interface Sample extends Partial<Record<TimingPhase, number | null>> {
+  ts: string;
+  endpoint: string;
+  url: string;
+  address: string | null;
+  family: Family | null;
+  phase: string;
+  round: number | null;
+  /** 1 for the first try of a round, 2+ for retries; only set while retries are on. */
+  attempt?: number;
+  ttfb: number | null;
+  total: number | null;
+  status: number | null;
+  size: number | null;
+  error: string | null;
+  errorType: ErrorType | null;
+}
+
+// ── Errors ──────────────────────────────────────────────────────────
+export type ErrorType =
+  | "dns" | "refused" | "network" | "tls" | "timeout"
+  | "http-3xx" | "http-4xx" | "rate-limited" | "http-5xx"
+  | "ws-close" | "ping-loss" | "other";
+export const ERROR_TYPES: readonly ErrorType[];
+export const RETRYABLE_TYPES: readonly ErrorType[];
+
+export interface RetryPolicy {
+  retries: number;
+  backoffMs: number;
+  maxBackoffMs: number;
+  on: ErrorType[];
+}
+
+/** A response whose status is not 2xx; `measurement` keeps its timings. */
+export class HTTPStatusError extends Error {
+  status: number;
+  measurement: { status: number; [key: string]: unknown };
+}
+export class WSCloseError extends Error {
+  closeCode: number;
+}
+
+export function checkStatus<T extends { status: number }>(m: T): T;
+/** Accepts an Error or a bare error code. */
+export function classifyError(err: Error | string | null): ErrorType | null;
+export function countErrorTypes(types: ErrorType[]): Partial<Record<ErrorType, number>>;
+export function withRetry<T>(
+  attempt: (n: number) => Promise<T>,
+  policy: RetryPolicy,
+  onAttempt?: (n: number, value: T | null, error: Error | null) => void,
+): Promise<{ value: T | null; error: Error | null; attempts: number; lost: number }>;
+
+// ── Stats ───────────────────────────────────────────────────────────
+export const DEFAULT_PERCENTILES: readonly number[];
+
+export interface HistogramJSON {
+  highestMs: number;
+  significantDigits: number;
+  count: number;
+  min: number | null;
+  max: number | null;
+  mean: number;
+  m2: number;
+  /** [lowest value in µs, count] per non-empty bucket. */
+  buckets: Array<[number, number]>;
+}
+
+export interface Histogram {
+  readonly highestMs: number;
+  readonly significantDigits: number;
+  count: number;
+  min: number;
+  max: number;
+  mean: number;
+  m2: number;
+  record(ms: number, n?: number): Histogram;
+  merge(other: Histogram): Histogram;
+  entries(): IterableIterator<[number, number]>;
+  values(): IterableIterator<[number, number]>;
+  valueAtRank(rank: number): number | null;
+  percentile(p: number): number | null;
+  trimmedMean(fraction?: number): number | null;
+  countOutside(low: number, high: number): { low: number; high: number };
+  toJSON(): HistogramJSON;
+}
+
+export interface HistogramOptions {
+  highestMs?: number;
+  significantDigits?: number;
+}
+
+export interface Stats {
+  avg: number;
+  min: number;
+  max: number;
+  median: number;
+  p95: number;
+  p99: number;
+  stddev: number;
+  /** Mean absolute difference between consecutive samples; null from summarize(). */
+  jitter: number | null;
+  samples: number;
+  percentiles: Record<string, number>;
+  ci: Record<string, [number | null, number | null]>;
+  trimmedMean: number;
+  iqr: number;
+  outliers: { low: number; high: number; fences: [number, number] };
+  histogram: Histogram;
+}
+
+/** Stats rounded to 2 decimals for reports. */
+export interface FormattedStats {
+  avg: number | null;
+  median: number | null;
+  min: number | null;
+  max: number | null;
+  p95: number | null;
+  p99: number | null;
+  stddev: number | null;
+  jitter: number | null;
+  samples: number;
+  percentiles: Record<string, number | null>;
+  ci95: Record<string, [number | null, number | null]>;
+  trimmedMean: number | null;
+  iqr: number | null;
+  outliers: { low: number; high: number; fences: [number | null, number | null] };
+  histogram?: HistogramJSON;
+}
+
+export function createHistogram(options?: HistogramOptions): Histogram;
+export function histogramFromJSON(json: HistogramJSON): Histogram;
+export function mergeHistograms(histograms: Histogram[], options?: HistogramOptions): Histogram;
+export function summarize(h: Histogram, options?: { percentiles?: number[] }): Stats | null;
+/** null for an empty series. */
+export function computeStats(times: number[], options?: { percentiles?: number[] }): Stats | null;
+export function formatStats(stats: Stats | null, options?: { histogram?: boolean }): FormattedStats | null;
+
+// ── Single measurements ─────────────────────────────────────────────
+export interface DNSResult {
+  time: number;
+  addresses: string[];
+  error: string | null;
+}
+
+export interface Certificate {
+  subject: string | null;
+  issuer: string | null;
+  validTo: string;
+  daysLeft: number;
+  key: string | null;
+}
+
+export interface TCPTLSResult {
+  total: number;
+  tcp: number;
+  tls: number;
+  family: Family | null;
+  protocol: string | null;
+  cipher: string | null;
+  alpn: string | null;
+  resumed: boolean;
+  ocspStapled: boolean;
+  certificates: Certificate[];
+  session: Buffer | null;
+}
+
+export interface HTTPResult {
+  ttfb: number;
+  total: number;
+  status: number;
+  size: number;
+  family: Family | null;
+  /** The response's Date header. */
+  date: string | null;
+  /** Local epoch ms when the request was flushed and when the first response byte arrived. */
+  sentAt: number;
+  receivedAt: number;
+}
+
+export interface ColdHTTPResult extends HTTPResult {
+  timings: Record<TimingPhase, number>;
+}
+
+export type Encoding = "identity" | "gzip" | "br" | "deflate";
+
+export interface PayloadResult {
+  ttfb: number;
+  total: number;
+  /** First → last byte. */
+  transfer: number;
+  status: number;
+  /** Body as sent, compressed. */
+  size: number;
+  /** Null when the served encoding is not one decodeBody knows. */
+  decodedSize: number | null;
+  decodeMs: number | null;
+  /** Content-Encoding the server actually used. */
+  encoding: string;
+  contentType: string | null;
+  cache: { age: number | null; cfCacheStatus: string | null; cacheControl: string | null };
+  family: Family | null;
+}
+
+export interface H2Session {
+  session: ClientHttp2Session | null;
+  alpn: string | null;
+  connect: number;
+  family: Family | null;
+}
+
+export interface SubscribeResult {
+  firstMessage: number | null;
+  delays: number[];
+  gaps: number[];
+  messages: number;
+  events: number;
+  bytes: number;
+  parseErrors: number;
+  missingTimestamps: number;
+  close: { code: number; reason: string } | null;
+}
+
+export function measureDNS(hostname: string, family?: Family): Promise<DNSResult>;
+export function resolveAddresses(hostname: string, family?: Family | null): Promise<string[]>;
+export function measureTCPTLS(
+  hostname: string,
+  port?: number,
+  timeout?: number,
+  connect?: Record<string, unknown>,
+  options?: { keepSession?: boolean },
+): Promise<TCPTLSResult>;
+export function measureHTTP(ep: Endpoint, timeout?: number): Promise<ColdHTTPResult>;
+export function createKeepAliveAgent(ep: Endpoint, maxSockets?: number): HttpAgent;
+export function measureHTTPKeepAlive(ep: Endpoint, agent: HttpAgent, timeout?: number, options?: { keepBody?: false }): Promise<HTTPResult>;
+export function measureHTTPKeepAlive(ep: Endpoint, agent: HttpAgent, timeout: number, options: { keepBody: true }): Promise<HTTPResult & { body: string }>;
+export const ENCODINGS: readonly Encoding[];
+export function decodeBody(body: Buffer, encoding?: string): { decoded: Buffer | null; decodeMs: number | null };
+/** One request on a keep-alive agent with Accept-Encoding set to encoding. */
+export function measurePayload(ep: Endpoint, agent: HttpAgent, encoding: Encoding, timeout?: number): Promise<PayloadResult>;
+export function openH2Session(ep: Endpoint, timeout?: number): Promise<H2Session>;
+export function measureH2Request(session: ClientHttp2Session, ep: Endpoint, timeout?: number): Promise<Pick<HTTPResult, "ttfb" | "total" | "status" | "size">>;
+export function measureH2Ping(session: ClientHttp2Session, timeout?: number): Promise<number>;
+export function measureWS(ep: Endpoint, timeout?: number): Promise<{ total: number; family: Family | null }>;
+export function pingOnce(ws: WebSocket, timeout?: number): Promise<number>;
+/** Resolves with the RTT of every ping that got a pong. */
+export function measureWSPingPong(ep: Endpoint, options: {
+  rounds: number;
+  interval: number;
+  timeout?: number;
+  pingTimeout?: number;
+  onPing?: (round: number, rtt: number | null, error: Error | null) => void;
+}): Promise<number[]>;
+export function measureWSSubscribe(ep: Endpoint & { subscribe: NonNullable<Endpoint["subscribe"]> }, options: {
+  durationMs: number;
+  timeout?: number;
+  onMessage?: (message: { index: number; size: number; delay: number | null; error: string | null }) => void;
+}): Promise<SubscribeResult>;
+
+// ── Clock ───────────────────────────────────────────────────────────
+export interface NTPResult {
+  /** Server − local clock, in ms. */
+  offset: number;
+  delay: number;
+  stratum: number;
+  rootDelay: number;
+  rootDispersion: number;
+}
+
+/** offset and uncertainty are null when no query got an answer. */
+export interface ClockOffset {
+  server: string;
+  offset: number | null;
+  uncertainty: number | null;
+  delay?: number;
+  stratum?: number;
+  spread?: number;
+  samples: number;
+  errors: string[];
+  error?: string;
+}
+
+export interface DelayBounds {
+  estimate: number;
+  low: number;
+  high: number;
+  /** false when the responses' bounds did not overlap and their medians were used. */
+  intersected: boolean;
+}
+
+export interface OneWayEstimate {
+  samples: number;
+  inconsistent: number;
+  upstream: DelayBounds | null;
+  downstream: DelayBounds | null;
+}
+
+export function queryNTP(server: { host: string; port?: number }, timeout?: number): Promise<NTPResult>;
+export function measureClockOffset(server: { host: string; port: number }, options?: {
+  samples?: number;
+  timeout?: number;
+  onSample?: (sample: { round: number; result?: NTPResult; error?: Error }) => void;
+}): Promise<ClockOffset>;
+/** null without an offset. */
+export function oneWayFromDates(
+  observations: Array<Pick<HTTPResult, "date" | "sentAt" | "receivedAt">>,
+  clock: ClockOffset | null,
+): OneWayEstimate | null;
+export function oneWayFromTimestamps(
+  delays: number[],
+  clock: ClockOffset | null,
+  options?: { percentiles?: number[] },
+): { downstream: Stats; uncertainty: number } | null;
+
+// ── Report ──────────────────────────────────────────────────────────
+export interface ServerInfo {
+  hostname: string;
+  platform: string;
+  cpus: string;
+  memory: string;
+  nodeVersion: string;
+  ips: string[];
+  /** Set on reports from an agent started with --region. */
+  region?: string | null;
+  /** Set when the clock phase ran. */
+  clock?: {
+    server: string;
+    offset: number | null;
+    uncertainty: number | null;
+    delay: number | null;
+    stratum: number | null;
+    spread: number | null;
+    samples: number;
+    errors: number;
+    error: string | null;
+  };
+}
+
+export type ErrorCounts = Partial<Record<ErrorType, number>>;
+
+/** Rounds whose first attempt failed and were retried; null while retries are off. */
+export interface RetryResult {
+  retried: number;
+  recovered: number;
+  attempts: number;
+  effective: FormattedStats | null;
+}
+
+export interface APIResult {
+  name: string;
+  url: string;
+  family: string;
+  dns_ms: number | null;
+  cold: FormattedStats | null;
+  coldBreakdown: Record<TimingPhase, FormattedStats | null> | null;
+  keepAlive: FormattedStats | null;
+  h2: FormattedStats | null;
+  h2Multiplexed: (FormattedStats & { streams: number; errors: number; requests: number }) | null;
+  h2Ping: FormattedStats | null;
+  h2Support: { supported: boolean; alpn: string | null; connect_ms: number | null } | null;
+  tls: Record<string, unknown> | null;
+  perIp: Array<{ address: string; [mode: string]: unknown }> | null;
+  /** One entry per path; null unless the payload phase ran. */
+  payload: Array<{
+    path: string;
+    /** Encoding with the lowest median effective time (total + decode). */
+    best: Encoding | null;
+    /** Whether transfer + decode or the round trip is most of that time. */
+    dominant: "payload" | "rtt" | null;
+    encodings: Partial<Record<Encoding, {
+      served: Record<string, number>;
+      size: number | null;
+      decodedSize: number | null;
+      ratio: number | null;
+      ttfb: FormattedStats | null;
+      transfer: FormattedStats | null;
+      decode: FormattedStats | null;
+      total: FormattedStats | null;
+      effective: FormattedStats | null;
+      payloadShare: number | null;
+      throughputBps: number | null;
+      /** Identity's median effective time minus this one's; null for identity and uncompressed responses. */
+      savedMs: number | null;
+      contentType: string | null;
+      cache: { age: number | null; cfCacheStatus: Record<string, number>; cacheControl: string | null };
+      errors: number;
+      errorTypes: ErrorCounts;
+      rounds: number;
+    }>>;
+  }> | null;
+  /** Median response body size in bytes, as sent. */
+  responseBytes: { cold: number | null; keepAlive: number | null };
+  connectedOver: { cold: Record<string, number> | null; keepAlive: Record<string, number> | null };
+  errors: { cold: number; keepAlive: number; h2: number };
+  errorTypes: Record<"cold" | "keepAlive" | "h2" | "h2Multiplexed" | "h2Ping", ErrorCounts>;
+  retries: { cold: RetryResult | null; keepAlive: RetryResult | null; h2: RetryResult | null };
+  /** From Date headers; null unless the clock phase ran. */
+  oneWay: { cold: OneWayEstimate | null; keepAlive: OneWayEstimate | null };
+  rounds: number;
+}
+
+export interface WSResult {
+  name: string;
+  url: string;
+  family: string;
+  dns_ms: number | null;
+  handshake: FormattedStats | null;
+  pingRTT: FormattedStats | null;
+  subscribe: Record<string, unknown> | null;
+  tls: Record<string, unknown> | null;
+  perIp: Array<{ address: string; [mode: string]: unknown }> | null;
+  connectedOver: { handshake: Record<string, number> | null };
+  errors: { handshake: number; ping: number };
+  errorTypes: { handshake: ErrorCounts; ping: ErrorCounts };
+  retries: { handshake: RetryResult | null };
+  rounds: { handshake: number; ping: number };
+}
+
+export interface Report {
+  timestamp: string;
+  server: ServerInfo;
+  config: {
+    warmupRounds: number;
+    measuredRounds: number;
+    delayBetweenMs: number;
+    wsPingRounds: number;
+    phases: Phase[];
+    percentiles: number[];
+    perIp: boolean;
+    families: string[];
+    retry: RetryPolicy;
+  };
+  results: {
+    api: APIResult[];
+    websocket: WSResult[];
+    path: { tool: string; targets: Array<Record<string, unknown>> } | null;
+    clob: Record<string, unknown> | null;
+  };
+  alerts?: Array<Record<string, unknown>>;
+}
+
+export function getServerInfo(): ServerInfo;
+/** Holds every running test between rounds until called with false. */
+export function setPaused(on: boolean): void;
+/** The report from the per-phase data a run collects; see runner.js. */
+export function buildReport(serverInfo: ServerInfo, config: Config, apiData: unknown, wsData: unknown, clobData: unknown, pathData: unknown, clockData?: ClockOffset | null): Report;
+
+// ── Tester ──────────────────────────────────────────────────────────
+export interface TesterOptions {
+  only?: string[];
+  exclude?: string[];
+  /** Where progress text goes; none by default. */
+  progress?: NodeJS.WritableStream | null;
+}
+
+export interface RunResult {
+  report: Report;
+  samples: Sample[];
+}
+
+export interface Tester extends EventEmitter {
+  readonly config: Config;
+  run(): Promise<RunResult>;
+  on(event: "sample", listener: (sample: Sample) => void): this;
+  on(event: "report", listener: (report: Report) => void): this;
+  once(event: "sample", listener: (sample: Sample) => void): this;
+  once(event: "report", listener: (report: Report) => void): this;
+}
+
+/** Throws ConfigError for an invalid config. */
+export function createTester(options?: ConfigInput, testerOptions?: TesterOptions): Tester;
+export function runTests(options?: ConfigInput, testerOptions?: TesterOptions): Promise<RunResult>;
+
+// ── Other commands ──────────────────────────────────────────────────
+export interface AlertRule {
+  endpoint: string | null;
+  mode: string;
+  metric: string;
+  op: ">" | ">=" | "<" | "<=";
+  threshold: number;
+  unit: "ms" | "%" | null;
+  name?: string;
+}
+
+export interface Observation {
+  endpoint: string;
+  base: string;
+  phase: string;
+  values: number[];
+  errors: number;
+  total: number;
+}
+
+export interface AlertResult {
+  rule: AlertRule;
+  endpoint: string;
+  value: number | null;
+  breached: boolean;
+}
+
+export function parseRule(text: string): AlertRule | null;
+export function observationsFromSamples(samples: Sample[], baseNames?: Map<string, string>): Observation[];
+export function evaluateRules(rules: AlertRule[], observations: Observation[], percentiles?: number[]): AlertResult[];
+export function createAlerter(alerts: Config["alerts"], options?: {
+  percentiles?: number[];
+  onNotifyError?: (notifier: string, err: Error, event: Record<string, unknown>) => void;
+}): {
+  state: Map<string, Record<string, unknown>>;
+  evaluate(observations: Observation[], now?: number): Promise<{ results: AlertResult[]; events: Array<Record<string, unknown>> }>;
+};
+
+export function readReport(file: string): Report;
+export function parseThresholds(specs?: string[]): Record<string, unknown>;
+export function compareReports(baseline: Report, current: Report, options: { thresholds: Record<string, unknown>; alpha?: number }): Array<Record<string, unknown>>;
+export function compareRoutes(baseline: Report, current: Report): Array<Record<string, unknown>>;
+
+export interface SampleSink {
+  samples: Sample[];
+  record(sample: Partial<Sample> & { endpoint: string; url: string; phase: string }): void;
+  finish(report: Report): Promise<void>;
+}
+
+/** Throws ConfigError for alert rules on phases the monitor does not probe (h2, h2-ping). */
+export function createMonitor(config: Config, sink: SampleSink): {
+  state: Record<string, unknown>;
+  start(): Promise<unknown>;
+  stop(): Promise<void>;
+};
+export function runLoad(ep: Endpoint, mode: "cold" | "keepalive", load: Config["load"], options?: {
+  timeout?: number;
+  percentiles?: number[];
+  onSample?: (sample: Partial<Sample>) => void;
+  onTick?: (tick: Record<string, unknown>) => void;
+}): Promise<Record<string, unknown>>;
+
+export type DisconnectReason = "close" | "error" | "pong-timeout" | "stale";
+export interface SoakEvent {
+  type: "connected" | "connect-failed" | "disconnected" | "resubscribed" | "heartbeat";
+  handshake?: number;
+  /** Loss → open, backoff included; null on the first connection. */
+  reconnect?: number | null;
+  reason?: DisconnectReason;
+  code?: number | null;
+  error?: Error;
+  retryInMs?: number;
+  ms?: number;
+  rtt?: number;
+}
+export interface SoakResult {
+  name: string;
+  url: string;
+  durationMs: number;
+  /** Share of the soak with a connection open, 0-1. */
+  uptime: number | null;
+  connects: number;
+  failedConnects: number;
+  disconnects: number;
+  reasons: Record<DisconnectReason, number>;
+  closeCodes: Record<string, number>;
+  errorTypes: Record<string, number>;
+  handshake: Stats | null;
+  reconnect: Stats | null;
+  resubscribe: Stats | null;
+  heartbeat: Stats | null;
+  subscribed: boolean;
+  messages: number;
+  gap: Stats | null;
+  /** trailing: the feed was still silent when the soak ended. */
+  longestGap: { ms: number; at: string; acrossReconnect: boolean; trailing: boolean } | null;
+}
+/** Holds a connection to ep for soak.durationSec, reconnecting when it is lost. */
+export function createSoak(ep: Endpoint, soak: Config["soak"], options?: {
+  timeout?: number;
+  pingTimeout?: number;
+  percentiles?: number[];
+  onEvent?: (event: SoakEvent) => void;
+}): {
+  state: Record<string, unknown>;
+  run(): Promise<SoakResult>;
+  stop(): void;
+};
+export function runClob(clob: Config["clob"], options: {
+  rounds: number;
+  warmupRounds?: number;
+  delayMs?: number;
+  timeout?: number;
+  onSample?: (sample: Partial<Sample>) => void;
+}): Promise<Record<string, unknown>>;
+export function parseResolver(spec: string): Record<string, unknown> | null;
+export function runResolver(resolver: Record<string, unknown>, hostnames: string[], options?: {
+  types?: Array<"A" | "AAAA">;
+  lookups?: number;
+  delayMs?: number;
+  timeout?: number;
+  onSample?: (sample: Partial<Sample>) => void;
+}): Promise<Record<string, unknown>>;
+
+export interface Hop {
+  hop: number;
+  address: string | null;
+  hostname: string | null;
+  asn: string | null;
+  sent: number;
+  lost: number;
+  loss: number;
+  best: number | null;
+  avg: number | null;
+  worst: number | null;
+  others?: string[];
+}
+
+export function findPathTool(): { name: string; file: string } | null;
+export function tracePath(address: string, options?: {
+  port?: number;
+  probes?: number;
+  maxHops?: number;
+  tool?: { name: string; file: string } | null;
+}): Promise<{ tool: string; hops: Hop[]; reached: boolean }>;
+export function diffRoutes(before: Hop[], after: Hop[]): Array<{ hop: number; before: string | null; after: string | null }>;
+
+export function saveRun(dir: string, report: Report, samples: Sample[]): string;
+export function readIndex(dir: string): { runs: Array<Record<string, unknown>>; invalid: number };
+export function filterRuns<T>(runs: T[], filters: {
+  hosts?: string[];
+  endpoints?: string[];
+  since?: number | null;
+  until?: number | null;
+  last?: number | null;
+}): T[];
+export function trendSeries(runs: Array<Record<string, unknown>>): Array<Record<string, unknown>>;
+
+// ── Distributed runs ────────────────────────────────────────────────
+/** A report from one machine: an agent's answer or a saved JSON report. */
+export interface Location {
+  name: string | null;
+  source: string;
+  report?: Report & { samples?: Sample[] };
+  error?: string;
+}
+
+export interface LocationRow {
+  section: "api" | "websocket";
+  name: string;
+  mode: string;
+  /** Fastest median first. */
+  locations: Array<{
+    location: string;
+    hostname: string | null;
+    region: string | null;
+    median: number;
+    p95: number | null;
+    p99: number | null;
+    avg: number | null;
+    jitter: number | null;
+    samples: number;
+    errors: number | null;
+    rank: number;
+  }>;
+  spread: number;
+}
+
+/** The config without output, alert, monitor, load, soak and clob settings or certificate paths. */
+export function shareableConfig(raw: ConfigInput): ConfigInput;
+/** start() rejects with ConfigError for a host other than loopback without a secret. */
+export function createAgent(options?: {
+  host?: string;
+  port?: number;
+  region?: string | null;
+  secret?: string | null;
+  onRun?: (event: { status: "started" | "finished" | "failed"; from: string; error?: Error }) => void;
+}): {
+  state: { runs: number; running: { from: string; since: string } | null };
+  start(): Promise<{ address: string; family: string; port: number }>;
+  stop(): Promise<void>;
+};
+export function runAgents(
+  agents: Array<{ name: string | null; url: string }>,
+  request: { config: ConfigInput; only?: string[]; exclude?: string[] },
+  options?: { secret?: string | null; timeoutMs?: number; onDone?: (result: Location) => void },
+): Promise<Location[]>;
+export function nameLocations(locations: Location[]): Array<Location & { name: string }>;
+export function aggregateReports(locations: Array<Location & { name: string }>): LocationRow[];
+export function rankLocations(rows: LocationRow[]): Array<{ location: string; meanRank: number; wins: number; rows: number }>;
+
+// ── Local servers for tests ─────────────────────────────────────────
+export interface MockServer<A = { address: string; family: string; port: number }> {
+  start(): Promise<A>;
+  stop(): Promise<unknown>;
+}
+
+export function createMockWSServer(options?: {
+  host?: string;
+  port?: number;
+  rateHz?: number;
+  delayMs?: number;
+  jitterMs?: number;
+  /** Close every connection (1012) this long after it opened; 0 = never. */
+  dropAfterMs?: number;
+  /** Stop sending messages this long after a subscription; 0 = never. */
+  silentAfterMs?: number;
+}): MockServer;
+export function createMockClobServer(options?: {
+  host?: string;
+  port?: number;
+  credentials?: Record<string, string> | null;
+  delayMs?: number;
+  jitterMs?: number;
+}): MockServer & { orders: Map<string, unknown> };
+export function createMockDNSServer(options?: {
+  host?: string;
+  port?: number;
+  doh?: { host: string; port: number } | null;
+  records?: Record<string, string[]>;
+  servfail?: string[];
+  ttl?: number;
+  missDelayMs?: number;
+}): MockServer<{ address: string; port: number; doh: { address: string; port: number } | null }> & { cache: Map<string, number> };
+export function createMockNTPServer(options?: {
+  host?: string;
+  port?: number;
+  offsetMs?: number;
+  delayMs?: number;
+  stratum?: number;
+}): MockServer & { state: { queries: number } };
+
+// ── Impairment proxy ────────────────────────────────────────────────
+export interface ImpairmentSettings {
+  delayMs: number;
+  jitterMs: number;
+  stallRate: number;
+  stallMs: number;
+  resetRate: number;
+  tlsFailRate: number;
+  errorRate: number;
+  statuses: number[];
+}
+export const IMPAIR_DEFAULTS: ImpairmentSettings;
+/** Full settings from a partial object, the rest from IMPAIR_DEFAULTS; throws ConfigError. */
+export function impairmentSettings(raw?: Partial<ImpairmentSettings>): ImpairmentSettings;
+export function createImpairmentProxy(options?: {
+  host?: string;
+  port?: number;
+  /** Upstream to forward to; unset answers with mock responses and a WS echo. */
+  target?: string | null;
+  /** Plain TCP instead of TLS. */
+  plain?: boolean;
+  /** PEM files; a self-signed certificate for localhost is made when unset. */
+  cert?: string | null;
+  key?: string | null;
+  settings?: Partial<ImpairmentSettings>;
+}): MockServer<{ address: string; port: number; family: string; certFile: string | null }> & {
+  /** Assigning a partial object replaces the settings, unset keys back to their defaults. */
+  get settings(): ImpairmentSettings;
+  set settings(raw: Partial<ImpairmentSettings>);
+  counters: {
+    connections: number;
+    resets: number;
+    tlsFailures: number;
+    stalls: number;
+    requests: number;
+    upgrades: number;
+    statuses: Record<string, number>;
+    upstreamErrors: number;
+  };
+};
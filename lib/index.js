@@ -0,0 +1,156 @@
+// Library entry point: what the CLI (index.js) runs, importable without it.
+// Types are in index.d.ts.
+const { EventEmitter } = require("events");
+const config = require("./config");
+const measure = require("./measure");
+const stats = require("./stats");
+const errors = require("./errors");
+const clock = require("./clock");
+const { setProgressStream, createSampleSink } = require("./output");
+const { getServerInfo, setPaused, buildReport, measure: runPhases } = require("./runner");
+const { readReport, parseThresholds, compareReports, compareRoutes } = require("./compare");
+const { createMonitor } = require("./monitor");
+const { runLoad } = require("./load");
+const { createSoak } = require("./soak");
+const { runClob } = require("./clob");
+const { parseResolver, runResolver } = require("./resolvers");
+const { findPathTool, tracePath, diffRoutes } = require("./path");
+const { parseRule, observationsFromSamples, evaluateRules, createAlerter } = require("./alerts");
+const { saveRun, readIndex, filterRuns, trendSeries } = require("./history");
+const { shareableConfig, createAgent, runAgents, nameLocations, aggregateReports, rankLocations } = require("./distributed");
+const { createMockWSServer } = require("./mock-ws");
+const { createMockClobServer } = require("./mock-clob");
+const { createMockDNSServer } = require("./mock-dns");
+const { createMockNTPServer } = require("./mock-ntp");
+const { IMPAIR_DEFAULTS, impairmentSettings, createImpairmentProxy } = require("./impair");
+
+// ── Tester ──────────────────────────────────────────────────────────
+// A full run as the "run" command does it, for embedding in another
+// process: `options` has the shape of the YAML config and is validated up
+// front (ConfigError). The tester emits "sample" for every raw sample as it
+// is recorded and "report" once the run is done; run() resolves with the
+// report and the samples.
+//
+// Progress text is off unless `progress` is a writable stream. It is one
+// stream for the whole process, so testers running at the same time share it.
+// Alerts and history are left to the caller (createAlerter, saveRun).
+function createTester(options = {}, { only, exclude, progress = null } = {}) {
+  const resolved = config.resolveConfig(options, { only, exclude });
+  const tester = new EventEmitter();
+
+  tester.config = resolved;
+  tester.run = async () => {
+    setProgressStream(progress ?? process.stderr, !progress);
+    const sink = createSampleSink(resolved.output, resolved.out, { onSample: (row) => tester.emit("sample", row) });
+    const { report } = await runPhases(resolved, sink);
+    await sink.finish(report);
+    tester.emit("report", report);
+    return { report, samples: sink.samples };
+  };
+  return tester;
+}
+
+// One-shot run without listeners.
+const runTests = (options, runOptions) => createTester(options, runOptions).run();
+
+module.exports = {
+  // Runs
+  createTester,
+  runTests,
+  getServerInfo,
+  setPaused,
+  buildReport,
+
+  // Config
+  DEFAULTS: config.DEFAULTS,
+  PHASES: config.PHASES,
+  DEFAULT_PHASES: config.DEFAULT_PHASES,
+  DEFAULT_API_ENDPOINTS: config.DEFAULT_API_ENDPOINTS,
+  DEFAULT_WS_ENDPOINTS: config.DEFAULT_WS_ENDPOINTS,
+  ConfigError: config.ConfigError,
+  readConfigFile: config.readConfigFile,
+  validateConfig: config.validateConfig,
+  resolveConfig: config.resolveConfig,
+
+  // Single measurements
+  TIMING_PHASES: measure.TIMING_PHASES,
+  measureDNS: measure.measureDNS,
+  resolveAddresses: measure.resolveAddresses,
+  measureTCPTLS: measure.measureTCPTLS,
+  measureHTTP: measure.measureHTTP,
+  createKeepAliveAgent: measure.createKeepAliveAgent,
+  measureHTTPKeepAlive: measure.measureHTTPKeepAlive,
+  ENCODINGS: measure.ENCODINGS,
+  decodeBody: measure.decodeBody,
+  measurePayload: measure.measurePayload,
+  openH2Session: measure.openH2Session,
+  measureH2Request: measure.measureH2Request,
+  measureH2Ping: measure.measureH2Ping,
+  measureWS: measure.measureWS,
+  pingOnce: measure.pingOnce,
+  measureWSPingPong: measure.measureWSPingPong,
+  measureWSSubscribe: measure.measureWSSubscribe,
+
+  // Clock offset and one-way delays
+  queryNTP: clock.queryNTP,
+  measureClockOffset: clock.measureClockOffset,
+  oneWayFromDates: clock.oneWayFromDates,
+  oneWayFromTimestamps: clock.oneWayFromTimestamps,
+
+  // Errors and retries
+  ERROR_TYPES: errors.ERROR_TYPES,
+  RETRYABLE_TYPES: errors.RETRYABLE_TYPES,
+  HTTPStatusError: errors.HTTPStatusError,
+  WSCloseError: errors.WSCloseError,
+  checkStatus: errors.checkStatus,
+  classifyError: errors.classifyError,
+  countErrorTypes: errors.countErrorTypes,
+  withRetry: errors.withRetry,
+
+  // Stats
+  DEFAULT_PERCENTILES: stats.DEFAULT_PERCENTILES,
+  createHistogram: stats.createHistogram,
+  histogramFromJSON: stats.histogramFromJSON,
+  mergeHistograms: stats.mergeHistograms,
+  summarize: stats.summarize,
+  computeStats: stats.computeStats,
+  formatStats: stats.formatStats,
+
+  // Other commands
+  readReport,
+  parseThresholds,
+  compareReports,
+  compareRoutes,
+  createMonitor,
+  runLoad,
+  createSoak,
+  runClob,
+  parseResolver,
+  runResolver,
+  findPathTool,
+  tracePath,
+  diffRoutes,
+  parseRule,
+  observationsFromSamples,
+  evaluateRules,
+  createAlerter,
+  saveRun,
+  readIndex,
+  filterRuns,
+  trendSeries,
+  shareableConfig,
+  createAgent,
+  runAgents,
+  nameLocations,
+  aggregateReports,
+  rankLocations,
+
+  // Local servers for tests
+  createMockWSServer,
+  createMockClobServer,
+  createMockDNSServer,
+  createMockNTPServer,
+  IMPAIR_DEFAULTS,
+  impairmentSettings,
+  createImpairmentProxy,
+};
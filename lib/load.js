@@ -0,0 +1,130 @@
+const { DEFAULT_PERCENTILES, createHistogram, mergeHistograms, summarize } = require("./stats");
+const { sleep, measureHTTP, createKeepAliveAgent, measureHTTPKeepAlive } = require("./measure");
+const { classifyError, errorFields } = require("./errors");
+
+const LOAD_MODES = ["cold", "keepalive"];
+
+// ── Load run ────────────────────────────────────────────────────────
+// Closed loop (rateHz 0): `concurrency` workers send back-to-back requests.
+// Latency is plain service time, so a slow server also slows the senders.
+//
+// Open loop (rateHz > 0): request i is due at start + i / rate whether or
+// not earlier ones have returned. Latency is measured from that due time,
+// so time spent queued (in our agent or behind a slow server) is counted
+// instead of silently omitted. Service time from the actual send is kept
+// alongside for comparison.
+//
+// Each closed-loop worker records into its own histograms; they are merged
+// once the run ends. onTick gets the latest RECENT latencies. Errors are
+// counted by type, with the first message seen for each as an example.
+const RECENT = 200;
+
+async function runLoad(ep, mode, load, { timeout = 10000, percentiles = DEFAULT_PERCENTILES, onSample = () => {}, onTick = () => {} } = {}) {
+  const openLoop = load.rateHz > 0;
+  const durationMs = load.durationSec * 1000;
+  const agent = mode === "keepalive"
+    ? createKeepAliveAgent(ep, openLoop ? load.connections : Math.min(load.connections, load.concurrency))
+    : null;
+
+  const histograms = [];
+  const recent = [];
+  const statusCounts = {};
+  const errorTypes = {};
+  const errorExamples = {};
+  let sent = 0;
+  let completed = 0;
+  let inFlight = 0;
+
+  const start = process.hrtime.bigint();
+  const elapsed = () => Number(process.hrtime.bigint() - start) / 1e6;
+
+  const worker = () => {
+    const h = { latency: createHistogram(), service: createHistogram() };
+    histograms.push(h);
+    return h;
+  };
+
+  const fire = async (h, index, dueAt) => {
+    sent++;
+    inFlight++;
+    const sentAt = elapsed();
+    try {
+      const m = mode === "keepalive" ? await measureHTTPKeepAlive(ep, agent, timeout) : await measureHTTP(ep, timeout);
+      const latency = sentAt - dueAt + m.total;
+      h.latency.record(latency);
+      h.service.record(m.total);
+      recent.push(latency);
+      if (recent.length > RECENT) recent.shift();
+      statusCounts[m.status] = (statusCounts[m.status] || 0) + 1;
+      onSample({ round: index + 1, ttfb: m.ttfb, total: latency, status: m.status, size: m.size, error: null });
+    } catch (err) {
+      const type = classifyError(err);
+      errorTypes[type] = (errorTypes[type] || 0) + 1;
+      errorExamples[type] ??= err.message;
+      onSample({ round: index + 1, total: null, ...errorFields(err) });
+    } finally {
+      inFlight--;
+      completed++;
+    }
+  };
+
+  const ticker = setInterval(() => onTick({ elapsedMs: elapsed(), sent, completed, inFlight, latencies: recent }), 1000);
+
+  try {
+    if (openLoop) {
+      const intervalMs = 1000 / load.rateHz;
+      const pending = new Set();
+      const h = worker();
+      for (let i = 0; i * intervalMs < durationMs; i++) {
+        const dueAt = i * intervalMs;
+        const wait = dueAt - elapsed();
+        if (wait > 0) await sleep(wait);
+        const p = fire(h, i, dueAt).finally(() => pending.delete(p));
+        pending.add(p);
+      }
+      await Promise.all(pending);
+    } else {
+      let next = 0;
+      const loop = async () => {
+        const h = worker();
+        while (elapsed() < durationMs) {
+          const index = next++;
+          await fire(h, index, elapsed());
+        }
+      };
+      await Promise.all(Array.from({ length: load.concurrency }, loop));
+    }
+  } finally {
+    clearInterval(ticker);
+    if (agent) agent.destroy();
+  }
+
+  const wallMs = elapsed();
+  const ok = Object.entries(statusCounts).filter(([s]) => s >= 200 && s < 300).reduce((n, [, c]) => n + c, 0);
+  const rateLimited = statusCounts[429] || 0;
+  const errors = Object.values(errorTypes).reduce((a, b) => a + b, 0);
+
+  return {
+    name: ep.name,
+    url: ep.url,
+    mode,
+    openLoop,
+    target: openLoop ? { rateHz: load.rateHz } : { concurrency: load.concurrency },
+    durationMs: wallMs,
+    requests: sent,
+    completed,
+    throughput: (completed / wallMs) * 1000,
+    goodput: (ok / wallMs) * 1000,
+    latency: summarize(mergeHistograms(histograms.map((h) => h.latency)), { percentiles }),
+    service: summarize(mergeHistograms(histograms.map((h) => h.service)), { percentiles }),
+    statusCounts,
+    errorTypes,
+    errorExamples,
+    ok,
+    rateLimited,
+    rateLimitedRatio: completed ? rateLimited / completed : 0,
+    errors,
+  };
+}
+
+module.exports = { LOAD_MODES, runLoad };
@@ -0,0 +1,684 @@
+const fs = require("fs");
+const tls = require("tls");
+const http = require("http");
+const https = require("https");
+const http2 = require("http2");
+const { URL } = require("url");
+const dns = require("dns");
+const net = require("net");
+const zlib = require("zlib");
+const WebSocket = require("ws");
+const { WSCloseError } = require("./errors");
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ── DNS resolve (uncached) ──────────────────────────────────────────
+// A records by default, AAAA with family 6.
+function measureDNS(hostname, family = 4) {
+  return new Promise((resolve) => {
+    const resolver = new dns.Resolver();
+    const start = process.hrtime.bigint();
+    resolver[family === 6 ? "resolve6" : "resolve4"](hostname, (err, addresses) => {
+      const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+      resolve({ time: elapsed, addresses: addresses || [], error: err ? err.code : null });
+    });
+  });
+}
+
+// Every address of a host in the given family (4, 6, or null for both):
+// the A/AAAA records, or what the OS resolver returns for names only it
+// knows (e.g. /etc/hosts).
+async function resolveAddresses(hostname, family = 4) {
+  if (net.isIP(hostname)) return !family || net.isIP(hostname) === family ? [hostname] : [];
+  if (!family) return [...(await resolveAddresses(hostname, 4)), ...(await resolveAddresses(hostname, 6))];
+  const { addresses } = await measureDNS(hostname, family);
+  if (addresses.length) return addresses;
+  try {
+    return (await dns.promises.lookup(hostname, { all: true, family })).map((a) => a.address);
+  } catch {
+    return [];
+  }
+}
+
+// ── Address pinning ─────────────────────────────────────────────────
+// A lookup that always answers with one address: the connection goes to
+// that IP while the hostname is still used for SNI and the Host header.
+function pinnedLookup(address) {
+  const family = net.isIP(address);
+  return (hostname, options, callback) => {
+    if (typeof options === "function") [options, callback] = [{}, options];
+    if (options.all) callback(null, [{ address, family }]);
+    else callback(null, address, family);
+  };
+}
+
+// An endpoint's `ca` is trusted on top of the default roots. Files are read
+// once.
+const extraCAs = new Map();
+
+function trustedCAs(file) {
+  if (!extraCAs.has(file)) extraCAs.set(file, [...tls.rootCertificates, fs.readFileSync(file, "utf8")]);
+  return extraCAs.get(file);
+}
+
+// Socket options shared by HTTP, TLS and WebSocket connections to an
+// endpoint: a pinned address, a forced family (4 or 6), or dual-stack
+// Happy Eyeballs (autoSelectFamily) when neither is set; plus its `ca`.
+function connectOptions(ep) {
+  const ca = ep.ca ? { ca: trustedCAs(ep.ca) } : {};
+  if (ep.address) return { lookup: pinnedLookup(ep.address), ...ca };
+  if (ep.family) return { family: ep.family, autoSelectFamily: false, ...ca };
+  return { autoSelectFamily: true, ...ca };
+}
+
+// Address family a connected socket ended up on: 4, 6 or null.
+function socketFamily(socket) {
+  const family = socket?.remoteFamily;
+  if (family === "IPv6" || family === 6) return 6;
+  if (family === "IPv4" || family === 4) return 4;
+  return null;
+}
+
+// ── TCP + TLS handshake ─────────────────────────────────────────────
+// One fresh handshake, split into TCP connect and TLS, with what was
+// negotiated. `connect` goes to tls.connect as is, so it can force a
+// version (minVersion/maxVersion) or offer a saved `session` to resume.
+// With keepSession the socket stays open until the server sends a session
+// ticket (TLS 1.3 sends it after the handshake), which is returned for the
+// next connection; the wait is not part of the timing.
+const TICKET_WAIT_MS = 1000;
+
+function measureTCPTLS(hostname, port = 443, timeout = 10000, connect = {}, { keepSession = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const start = process.hrtime.bigint();
+    const at = () => Number(process.hrtime.bigint() - start) / 1e6;
+    let tcp = null;
+    let ocsp = null;
+    const socket = tls.connect({
+      host: hostname,
+      port,
+      servername: net.isIP(hostname) ? undefined : hostname,
+      ALPNProtocols: ["h2", "http/1.1"],
+      requestOCSP: true,
+      ...connect,
+    }, () => {
+      const total = at();
+      const result = {
+        total,
+        tcp: tcp ?? total,
+        tls: total - (tcp ?? total),
+        family: socketFamily(socket),
+        protocol: socket.getProtocol(),
+        cipher: socket.getCipher()?.standardName ?? socket.getCipher()?.name ?? null,
+        alpn: socket.alpnProtocol || null,
+        resumed: socket.isSessionReused(),
+        ocspStapled: Boolean(ocsp && ocsp.length),
+        certificates: certificateChain(socket.getPeerCertificate(true)),
+        session: null,
+      };
+      if (!keepSession) {
+        socket.destroy();
+        return resolve(result);
+      }
+      const done = (session) => {
+        clearTimeout(timer);
+        socket.destroy();
+        resolve({ ...result, session: session ?? socket.getSession() ?? null });
+      };
+      const timer = setTimeout(() => done(null), TICKET_WAIT_MS);
+      socket.once("session", done);
+    });
+    socket.once("connect", () => { tcp = at(); });
+    socket.once("OCSPResponse", (response) => { ocsp = response; });
+    socket.on("error", (err) => { socket.destroy(); reject(err); });
+    socket.setTimeout(timeout, () => { socket.destroy(); reject(new Error("TCP/TLS Timeout")); });
+  });
+}
+
+// Leaf first, up to the last certificate the server sent (or the root).
+function certificateChain(cert) {
+  const chain = [];
+  const seen = new Set();
+  while (cert && cert.fingerprint256 && !seen.has(cert.fingerprint256)) {
+    seen.add(cert.fingerprint256);
+    const validTo = new Date(cert.valid_to);
+    chain.push({
+      subject: cert.subject?.CN ?? cert.subject?.O ?? null,
+      issuer: cert.issuer?.CN ?? cert.issuer?.O ?? null,
+      validTo: validTo.toISOString(),
+      daysLeft: Math.floor((validTo - Date.now()) / 86400000),
+      key: cert.asn1Curve ? `EC ${cert.asn1Curve}` : cert.bits ? `RSA ${cert.bits}` : null,
+    });
+    cert = cert.issuerCertificate;
+  }
+  return chain;
+}
+
+// ── HTTP request options from an endpoint config ────────────────────
+function requestOptions(ep, headers, agent) {
+  const parsed = new URL(ep.url);
+  const secure = parsed.protocol === "https:";
+  return {
+    client: secure ? https : http,
+    options: {
+      hostname: parsed.hostname,
+      path: ep.path || `${parsed.pathname || "/"}${parsed.search}`,
+      port: parsed.port || (secure ? 443 : 80),
+      method: ep.method || "GET",
+      headers: { "User-Agent": "latency-tester/2.0", ...headers, ...ep.headers },
+      agent,
+      ...connectOptions(ep),
+    },
+  };
+}
+
+// ── HTTP latency (fresh connection, no keep-alive) ──────────────────
+const TIMING_PHASES = ["dns", "tcp", "tls", "write", "server", "transfer"];
+
+// Splits a cold request into phases from the events of its own socket:
+//   dns      start → lookup        (0 when the host is an IP literal)
+//   tcp      lookup → connect
+//   tls      connect → secureConnect (0 for plain HTTP)
+//   write    connected → request flushed
+//   server   request flushed → first response byte (TTFB minus connect and write)
+//   transfer first byte → last byte
+// Also returns the response's Date header with the local wall-clock times the
+// request was flushed and the first response byte arrived, for the clock
+// phase's one-way estimates.
+function measureHTTP(ep, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    const { client, options } = requestOptions(ep, { Connection: "close" }, false);
+    const wallStart = Date.now();
+    const start = process.hrtime.bigint();
+    const at = () => Number(process.hrtime.bigint() - start) / 1e6;
+    const marks = {};
+    let family = null;
+
+    const req = client.request(options, (res) => {
+      const ttfb = at();
+      let size = 0;
+      res.on("data", (chunk) => { size += chunk.length; });
+      res.on("end", () => {
+        const total = at();
+        const lookup = marks.lookup ?? 0;
+        const connect = marks.connect ?? lookup;
+        const secure = marks.secureConnect ?? connect;
+        const sent = marks.finish ?? secure;
+        const timings = {
+          dns: lookup,
+          tcp: connect - lookup,
+          tls: secure - connect,
+          write: Math.max(0, sent - secure),
+          server: ttfb - Math.max(sent, secure),
+          transfer: total - ttfb,
+        };
+        const date = res.headers.date ?? null;
+        resolve({ ttfb, total, status: res.statusCode, size, family, timings, date, sentAt: wallStart + sent, receivedAt: wallStart + ttfb });
+      });
+    });
+    req.on("socket", (socket) => {
+      socket.once("lookup", () => { marks.lookup = at(); });
+      socket.once("connect", () => { marks.connect = at(); family = socketFamily(socket); });
+      socket.once("secureConnect", () => { marks.secureConnect = at(); });
+    });
+    req.on("finish", () => { marks.finish = at(); });
+    req.on("error", reject);
+    req.setTimeout(timeout, () => { req.destroy(); reject(new Error("Timeout")); });
+    req.end(ep.body);
+  });
+}
+
+// ── HTTP latency (keep-alive, reuses connection) ────────────────────
+function createKeepAliveAgent(ep, maxSockets = 1) {
+  const Agent = new URL(ep.url).protocol === "https:" ? https.Agent : http.Agent;
+  return new Agent({ keepAlive: true, maxSockets, keepAliveMsecs: 30000 });
+}
+
+// keepBody also returns the response body as text, for callers that need
+// to read the reply (e.g. an order ID). date, sentAt and receivedAt are as
+// for measureHTTP.
+function measureHTTPKeepAlive(ep, agent, timeout = 10000, { keepBody = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const { client, options } = requestOptions(ep, {}, agent);
+    const wallStart = Date.now();
+    const start = process.hrtime.bigint();
+    let sent = 0;
+
+    const req = client.request(options, (res) => {
+      const ttfb = Number(process.hrtime.bigint() - start) / 1e6;
+      const date = res.headers.date ?? null;
+      const family = socketFamily(res.socket);
+      const chunks = [];
+      let size = 0;
+      res.on("data", (chunk) => {
+        size += chunk.length;
+        if (keepBody) chunks.push(chunk);
+      });
+      res.on("end", () => {
+        const total = Number(process.hrtime.bigint() - start) / 1e6;
+        const result = { ttfb, total, status: res.statusCode, size, family, date, sentAt: wallStart + sent, receivedAt: wallStart + ttfb };
+        if (keepBody) result.body = Buffer.concat(chunks).toString();
+        resolve(result);
+      });
+    });
+    req.on("finish", () => { sent = Number(process.hrtime.bigint() - start) / 1e6; });
+    req.on("error", reject);
+    req.setTimeout(timeout, () => { req.destroy(); reject(new Error("Timeout")); });
+    req.end(ep.body);
+  });
+}
+
+// ── Response payload (compression, size, cache headers) ─────────────
+// What the payload phase asks for in Accept-Encoding; identity asks for an
+// uncompressed body.
+const ENCODINGS = ["identity", "gzip", "br", "deflate"];
+
+// "deflate" is meant to be zlib-wrapped, but some servers send it raw.
+const DECODERS = {
+  identity: (body) => body,
+  gzip: (body) => zlib.gunzipSync(body),
+  "x-gzip": (body) => zlib.gunzipSync(body),
+  br: (body) => zlib.brotliDecompressSync(body),
+  deflate: (body) => {
+    try {
+      return zlib.inflateSync(body);
+    } catch {
+      return zlib.inflateRawSync(body);
+    }
+  },
+};
+
+// Decodes a body by its Content-Encoding, timed on its own. An encoding it
+// does not know leaves `decoded` null.
+function decodeBody(body, encoding = "identity") {
+  const decode = DECODERS[encoding.trim().toLowerCase()];
+  if (!decode) return { decoded: null, decodeMs: null };
+  const start = process.hrtime.bigint();
+  let decoded;
+  try {
+    decoded = decode(body);
+  } catch (err) {
+    throw new Error(`Cannot decode ${encoding} body: ${err.message}`);
+  }
+  return { decoded, decodeMs: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+// One request on a keep-alive agent asking for `encoding`, whatever the
+// endpoint's own headers say. size is the body as sent (compressed), after
+// chunked framing; decodedSize what the application gets once decodeMs has
+// been spent on it. transfer is first → last byte, so the throughput of the
+// body on the wire is size / transfer.
+function measurePayload(ep, agent, encoding, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    const headers = Object.fromEntries(Object.entries(ep.headers || {}).filter(([key]) => key.toLowerCase() !== "accept-encoding"));
+    const { client, options } = requestOptions({ ...ep, headers }, { "Accept-Encoding": encoding }, agent);
+    const start = process.hrtime.bigint();
+    const at = () => Number(process.hrtime.bigint() - start) / 1e6;
+
+    const req = client.request(options, (res) => {
+      const ttfb = at();
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => {
+        const total = at();
+        const body = Buffer.concat(chunks);
+        const served = res.headers["content-encoding"] || "identity";
+        let decoded;
+        try {
+          decoded = decodeBody(body, served);
+        } catch (err) {
+          return reject(err);
+        }
+        resolve({
+          ttfb,
+          total,
+          transfer: total - ttfb,
+          status: res.statusCode,
+          size: body.length,
+          decodedSize: decoded.decoded?.length ?? null,
+          decodeMs: decoded.decodeMs,
+          encoding: served,
+          contentType: res.headers["content-type"] ?? null,
+          cache: {
+            age: res.headers.age != null ? Number(res.headers.age) : null,
+            cfCacheStatus: res.headers["cf-cache-status"] ?? null,
+            cacheControl: res.headers["cache-control"] ?? null,
+          },
+          family: socketFamily(res.socket),
+        });
+      });
+    });
+    req.on("error", reject);
+    req.setTimeout(timeout, () => { req.destroy(); reject(new Error("Timeout")); });
+    req.end(ep.body);
+  });
+}
+
+// ── HTTP/2 (one session, multiplexed streams) ───────────────────────
+// Opens a TLS connection offering h2 and http/1.1. When the server picks h2
+// the socket becomes an HTTP/2 session; otherwise it is closed and `session`
+// is null, with `alpn` saying what was negotiated instead.
+function openH2Session(ep, timeout = 10000) {
+  const parsed = new URL(ep.url);
+  return new Promise((resolve, reject) => {
+    const start = process.hrtime.bigint();
+    const socket = tls.connect({
+      host: parsed.hostname,
+      port: Number(parsed.port) || 443,
+      servername: net.isIP(parsed.hostname) ? undefined : parsed.hostname,
+      ALPNProtocols: ["h2", "http/1.1"],
+      ...connectOptions(ep),
+    }, () => {
+      const connect = Number(process.hrtime.bigint() - start) / 1e6;
+      const alpn = socket.alpnProtocol || null;
+      const family = socketFamily(socket);
+      socket.setTimeout(0);
+      if (alpn !== "h2") {
+        socket.destroy();
+        return resolve({ session: null, alpn, connect, family });
+      }
+      const session = http2.connect(parsed.origin, { createConnection: () => socket });
+      // Failures also reach the open streams and pings, which report them.
+      session.on("error", () => {});
+      resolve({ session, alpn, connect, family });
+    });
+    socket.on("error", (err) => { socket.destroy(); reject(err); });
+    socket.setTimeout(timeout, () => { socket.destroy(); reject(new Error("TCP/TLS Timeout")); });
+  });
+}
+
+// Connection-specific headers are not allowed in HTTP/2; :authority replaces Host.
+const H2_DROPPED_HEADERS = ["connection", "keep-alive", "proxy-connection", "transfer-encoding", "upgrade", "host"];
+
+// One request on its own stream: TTFB is the response HEADERS frame.
+function measureH2Request(session, ep, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    const parsed = new URL(ep.url);
+    const headers = {
+      ":method": ep.method || "GET",
+      ":path": ep.path || `${parsed.pathname || "/"}${parsed.search}`,
+      "user-agent": "latency-tester/2.0",
+    };
+    for (const [key, value] of Object.entries(ep.headers || {})) {
+      if (!H2_DROPPED_HEADERS.includes(key.toLowerCase())) headers[key.toLowerCase()] = value;
+    }
+    const start = process.hrtime.bigint();
+    const at = () => Number(process.hrtime.bigint() - start) / 1e6;
+    let ttfb = null;
+    let status = null;
+    let size = 0;
+
+    const stream = session.request(headers, { endStream: ep.body == null });
+    stream.on("response", (h) => {
+      ttfb = at();
+      status = h[":status"];
+    });
+    stream.on("data", (chunk) => { size += chunk.length; });
+    stream.on("end", () => resolve({ ttfb: ttfb ?? at(), total: at(), status, size }));
+    stream.on("error", reject);
+    stream.setTimeout(timeout, () => {
+      stream.close(http2.constants.NGHTTP2_CANCEL);
+      reject(new Error("Timeout"));
+    });
+    if (ep.body != null) stream.end(ep.body);
+  });
+}
+
+// HTTP/2 PING frame round trip, as timed by Node (ms).
+function measureH2Ping(session, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("Ping timeout")), timeout);
+    const sent = session.ping((err, duration) => {
+      clearTimeout(timer);
+      if (err) reject(err);
+      else resolve(duration);
+    });
+    if (!sent) {
+      clearTimeout(timer);
+      reject(new Error("Too many outstanding pings"));
+    }
+  });
+}
+
+// ── WebSocket handshake ─────────────────────────────────────────────
+// Resolves with the time to "open" and the address family used.
+function measureWS(ep, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    const start = process.hrtime.bigint();
+    let settled = false;
+    let family = null;
+
+    const ws = new WebSocket(ep.url, {
+      handshakeTimeout: timeout,
+      headers: { "User-Agent": "latency-tester/2.0", ...ep.headers },
+      ...connectOptions(ep),
+    });
+
+    ws.once("upgrade", (res) => { family = socketFamily(res.socket); });
+
+    ws.on("open", () => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+      ws.close();
+      resolve({ total: elapsed, family });
+    });
+
+    ws.on("error", (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      ws.terminate();
+      reject(err);
+    });
+
+    const timer = setTimeout(() => {
+      if (settled) return;
+      settled = true;
+      ws.terminate();
+      reject(new Error("WS Timeout"));
+    }, timeout);
+  });
+}
+
+// ── WebSocket ping/pong RTT (persistent connection) ─────────────────
+function pingOnce(ws, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const start = process.hrtime.bigint();
+    const onPong = () => {
+      const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+      cleanup();
+      resolve(elapsed);
+    };
+    const onError = (err) => { cleanup(); reject(err); };
+    const cleanup = () => {
+      clearTimeout(timer);
+      ws.removeListener("pong", onPong);
+      ws.removeListener("error", onError);
+    };
+    ws.once("pong", onPong);
+    ws.once("error", onError);
+    const timer = setTimeout(() => { cleanup(); reject(new Error("Ping timeout")); }, timeout);
+    ws.ping();
+  });
+}
+
+function measureWSPingPong(ep, { rounds, interval, timeout = 10000, pingTimeout = 5000, onPing = () => {} }) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(ep.url, {
+      handshakeTimeout: timeout,
+      headers: { "User-Agent": "latency-tester/2.0", ...ep.headers },
+      ...connectOptions(ep),
+    });
+
+    const times = [];
+    let settled = false;
+    let closed = null;
+
+    // A close by the server fails the pings that are left, with its code.
+    ws.on("close", (code, reason) => { closed = new WSCloseError(code, reason.toString()); });
+
+    ws.on("open", async () => {
+      // Send pings and measure pong RTT. Once the socket errored the promise
+      // has rejected and the caller accounts for the rounds left.
+      for (let i = 0; i < rounds; i++) {
+        if (closed) {
+          onPing(i + 1, null, closed);
+          continue;
+        }
+        try {
+          const rtt = await pingOnce(ws, pingTimeout);
+          if (settled) return;
+          times.push(rtt);
+          onPing(i + 1, rtt, null);
+        } catch (err) {
+          if (settled) return;
+          onPing(i + 1, null, closed ?? err);
+        }
+        await sleep(interval);
+        if (settled) return;
+      }
+
+      ws.close();
+      settled = true;
+      clearTimeout(timer);
+      resolve(times);
+    });
+
+    ws.on("error", (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      ws.terminate();
+      reject(err);
+    });
+
+    const timer = setTimeout(() => {
+      if (settled) return;
+      settled = true;
+      ws.terminate();
+      reject(new Error("WS Timeout"));
+    }, timeout + rounds * (interval + pingTimeout));
+  });
+}
+
+// ── WebSocket subscription (application-level latency) ──────────────
+// Server timestamps arrive as seconds, milliseconds or microseconds, as
+// numbers or numeric strings. Normalised to epoch milliseconds.
+function serverTimestamp(event, field) {
+  let value = event;
+  for (const key of field.split(".")) value = value == null ? undefined : value[key];
+  const n = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  if (typeof n !== "number" || !Number.isFinite(n) || n <= 0) return null;
+  if (n < 1e11) return n * 1000;
+  if (n > 1e14) return n / 1000;
+  return n;
+}
+
+// Subscribes with ep.subscribe.message and listens for durationMs. Measures
+// subscribe → first message, receipt time minus server timestamp for every
+// event, and the gap between consecutive messages. Delivery delays include
+// the local clock's offset from the server's; the clock phase corrects them.
+function measureWSSubscribe(ep, { durationMs, timeout = 10000, onMessage = () => {} }) {
+  const { message, timestampField, heartbeat } = ep.subscribe;
+
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(ep.url, {
+      handshakeTimeout: timeout,
+      headers: { "User-Agent": "latency-tester/2.0", ...ep.headers },
+      ...connectOptions(ep),
+    });
+
+    const result = { firstMessage: null, delays: [], gaps: [], messages: 0, events: 0, bytes: 0, parseErrors: 0, missingTimestamps: 0, close: null };
+    let subscribedAt = null;
+    let lastAt = null;
+    let settled = false;
+    let heartbeatTimer = null;
+    let doneTimer = null;
+
+    const finish = (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(openTimer);
+      clearTimeout(doneTimer);
+      clearInterval(heartbeatTimer);
+      ws.terminate();
+      if (err && !result.messages) reject(err);
+      else resolve(result);
+    };
+
+    ws.on("open", () => {
+      clearTimeout(openTimer);
+      subscribedAt = process.hrtime.bigint();
+      ws.send(message);
+      if (heartbeat) heartbeatTimer = setInterval(() => ws.send(heartbeat.message), heartbeat.intervalMs);
+      doneTimer = setTimeout(() => finish(null), durationMs);
+    });
+
+    ws.on("message", (data, isBinary) => {
+      const now = process.hrtime.bigint();
+      const wallNow = Date.now();
+      const text = isBinary ? null : data.toString();
+      if (heartbeat && text && text.trim().toUpperCase() === "PONG") return;
+
+      result.messages++;
+      result.bytes += data.length;
+      if (result.firstMessage == null) result.firstMessage = Number(now - subscribedAt) / 1e6;
+      if (lastAt != null) result.gaps.push(Number(now - lastAt) / 1e6);
+      lastAt = now;
+
+      let parsed;
+      try {
+        parsed = JSON.parse(text);
+      } catch {
+        result.parseErrors++;
+        onMessage({ index: result.messages, size: data.length, delay: null, error: "Unparseable message" });
+        return;
+      }
+
+      for (const event of Array.isArray(parsed) ? parsed : [parsed]) {
+        result.events++;
+        const ts = event && typeof event === "object" ? serverTimestamp(event, timestampField) : null;
+        const delay = ts == null ? null : wallNow - ts;
+        if (delay == null) result.missingTimestamps++;
+        else result.delays.push(delay);
+        onMessage({ index: result.messages, size: data.length, delay, error: null });
+      }
+    });
+
+    ws.on("close", (code, reason) => {
+      result.close = { code, reason: reason.toString() };
+      finish(new WSCloseError(code, reason.toString()));
+    });
+
+    ws.on("error", (err) => finish(err));
+
+    const openTimer = setTimeout(() => finish(new Error("WS Timeout")), timeout);
+  });
+}
+
+module.exports = {
+  sleep,
+  measureDNS,
+  resolveAddresses,
+  connectOptions,
+  socketFamily,
+  measureTCPTLS,
+  requestOptions,
+  TIMING_PHASES,
+  measureHTTP,
+  createKeepAliveAgent,
+  measureHTTPKeepAlive,
+  ENCODINGS,
+  decodeBody,
+  measurePayload,
+  openH2Session,
+  measureH2Request,
+  measureH2Ping,
+  measureWS,
+  pingOnce,
+  measureWSPingPong,
+  serverTimestamp,
+  measureWSSubscribe,
+};
@@ -0,0 +1,135 @@
+const http = require("http");
+const crypto = require("crypto");
+const { URL } = require("url");
+const { l2Signature } = require("./clob");
+
+const MOCK_CLOB_USAGE = `Usage: node index.js mock-clob [options]
+
+Local stand-in for the Polymarket CLOB REST API, for dry runs of the clob phase.
+  GET /time, /book, /price, /midpoint     market data for any token_id
+  GET /auth/api-keys                      L2-authenticated
+  POST /order, DELETE /order              accepts any order, cancels by orderID
+
+L2 headers are checked when --api-key, --secret and --passphrase are given.
+
+Options:
+      --listen <host:port>  Address to listen on (default 127.0.0.1:8080)
+      --api-key <key>       Expected POLY_API_KEY
+      --secret <secret>     API secret (base64) used to check POLY_SIGNATURE
+      --passphrase <p>      Expected POLY_PASSPHRASE
+      --delay <ms>          Added delay before every response (default 0)
+      --jitter <ms>         Random extra delay, 0..jitter (default 0)
+  -h, --help                Show this help
+`;
+
+// ── Responses ───────────────────────────────────────────────────────
+function book(tokenId) {
+  return {
+    market: "0xmock",
+    asset_id: tokenId,
+    bids: [{ price: "0.48", size: "100" }, { price: "0.47", size: "250" }],
+    asks: [{ price: "0.52", size: "100" }, { price: "0.53", size: "250" }],
+    hash: crypto.randomBytes(20).toString("hex"),
+    timestamp: String(Date.now()),
+  };
+}
+
+// Shaped like a signed order but not signed: only the mock accepts it.
+function sampleOrder(tokenId, i = 0) {
+  return {
+    salt: String(crypto.randomInt(2 ** 47)),
+    maker: `0x${"0".repeat(40)}`,
+    signer: `0x${"0".repeat(40)}`,
+    taker: `0x${"0".repeat(40)}`,
+    tokenId,
+    makerAmount: "1000000",
+    takerAmount: "10000000",
+    expiration: "0",
+    nonce: String(i),
+    feeRateBps: "0",
+    side: "BUY",
+    signatureType: 0,
+    signature: `0x${"0".repeat(130)}`,
+  };
+}
+
+// Same window as the real API: the signing timestamp must be recent.
+const MAX_CLOCK_SKEW_SEC = 30;
+
+// ── Server ──────────────────────────────────────────────────────────
+function createMockClobServer({ host = "127.0.0.1", port = 8080, credentials = null, delayMs = 0, jitterMs = 0 } = {}) {
+  const orders = new Map();
+
+  function authorized(req, path, body) {
+    if (!credentials) return true;
+    const h = req.headers;
+    const timestamp = Number(h.poly_timestamp);
+    if (h.poly_api_key !== credentials.apiKey || h.poly_passphrase !== credentials.passphrase) return false;
+    if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > MAX_CLOCK_SKEW_SEC) return false;
+    return h.poly_signature === l2Signature(credentials.secret, h.poly_timestamp, req.method, path, body);
+  }
+
+  function route(req, url, body) {
+    const tokenId = url.searchParams.get("token_id");
+    const key = `${req.method} ${url.pathname}`;
+
+    if (key === "GET /time") return [200, Math.floor(Date.now() / 1000)];
+    if (["GET /book", "GET /price", "GET /midpoint"].includes(key) && !tokenId) return [400, { error: "token_id is required" }];
+    if (key === "GET /book") return [200, book(tokenId)];
+    if (key === "GET /price") return [200, { price: url.searchParams.get("side") === "SELL" ? "0.48" : "0.52" }];
+    if (key === "GET /midpoint") return [200, { mid: "0.50" }];
+
+    if (!["GET /auth/api-keys", "POST /order", "DELETE /order"].includes(key)) return [404, { error: "not found" }];
+    if (!authorized(req, url.pathname, body)) return [401, { error: "Unauthorized/Invalid api key" }];
+
+    if (key === "GET /auth/api-keys") return [200, { apiKeys: credentials ? [credentials.apiKey] : [] }];
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      return [400, { error: "invalid JSON body" }];
+    }
+    if (key === "POST /order") {
+      if (!payload.order) return [400, { success: false, errorMsg: "order is required" }];
+      const orderID = `0x${crypto.randomBytes(32).toString("hex")}`;
+      orders.set(orderID, payload.order);
+      return [200, { success: true, errorMsg: "", orderID, status: "live" }];
+    }
+    const cancelled = orders.delete(payload.orderID);
+    return [200, cancelled ? { canceled: [payload.orderID], not_canceled: {} } : { canceled: [], not_canceled: { [payload.orderID]: "order not found" } }];
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const [status, payload] = route(req, new URL(req.url, "http://localhost"), Buffer.concat(chunks).toString());
+      const send = () => res.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(payload));
+      const wait = delayMs + Math.random() * jitterMs;
+      if (wait) setTimeout(send, wait);
+      else send();
+    });
+  });
+
+  return {
+    orders,
+
+    start() {
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => {
+          server.removeListener("error", reject);
+          resolve(server.address());
+        });
+      });
+    },
+
+    stop() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = { MOCK_CLOB_USAGE, createMockClobServer, sampleOrder };
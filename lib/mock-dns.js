@@ -0,0 +1,149 @@
+const dgram = require("dgram");
+const http = require("http");
+const net = require("net");
+const { URL } = require("url");
+const { TYPES, RCODES, encodeMessage, decodeMessage } = require("./resolvers");
+
+const MOCK_DNS_USAGE = `Usage: node index.js mock-dns [options]
+
+Local stub DNS server for testing the resolvers command, over UDP and TCP on
+the same port and optionally DNS-over-HTTP (plain http, POST or GET /dns-query).
+It behaves like a small caching resolver: the first query for a name waits
+--miss-delay, later ones are answered at once with a decreasing TTL.
+
+Without --record every name resolves to 127.0.0.1 / ::1; with records, other
+names are NXDOMAIN.
+
+Options:
+      --listen <host:port>  UDP and TCP address (default 127.0.0.1:5353)
+      --doh <host:port>     Also serve DNS-over-HTTP on this address
+      --record <name=ip>    Answer for a name (repeatable; IPv4 or IPv6)
+      --servfail <name>     Answer SERVFAIL for a name (repeatable)
+      --ttl <s>             TTL of the answers (default 60)
+      --miss-delay <ms>     Delay for names not in the cache (default 20)
+  -h, --help                Show this help
+`;
+
+const RCODE = Object.fromEntries(RCODES.map((name, i) => [name, i]));
+
+function addressBytes(ip) {
+  if (net.isIPv4(ip)) return Buffer.from(ip.split(".").map(Number));
+  const [head, tail = ""] = ip.split("::");
+  const groups = (part) => (part ? part.split(":") : []);
+  const missing = 8 - groups(head).length - groups(tail).length;
+  const all = ip.includes("::") ? [...groups(head), ...Array(missing).fill("0"), ...groups(tail)] : groups(head);
+  const buf = Buffer.alloc(16);
+  all.forEach((g, i) => buf.writeUInt16BE(parseInt(g, 16), i * 2));
+  return buf;
+}
+
+// ── Server ──────────────────────────────────────────────────────────
+function createMockDNSServer({ host = "127.0.0.1", port = 5353, doh = null, records = {}, servfail = [], ttl = 60, missDelayMs = 20 } = {}) {
+  const zone = new Map(Object.entries(records).map(([name, ips]) => [name.toLowerCase().replace(/\.$/, ""), ips]));
+  const failing = new Set(servfail.map((n) => n.toLowerCase().replace(/\.$/, "")));
+  const cache = new Map(); // "name type" → expiry (ms)
+
+  // Resolves with the reply to one query message.
+  async function answer(msg) {
+    const query = decodeMessage(msg);
+    const name = query.question.name.toLowerCase();
+    const type = query.question.type;
+    const reply = (rcode, answers = [], remaining = ttl) => encodeMessage({
+      id: query.id,
+      flags: 0x8180 | RCODE[rcode], // response, RD, RA
+      name: query.question.name,
+      type: TYPES[type] ?? type,
+      answers: answers.map((ip) => ({ type: TYPES[type], ttl: remaining, data: addressBytes(ip) })),
+    });
+
+    if (name === ".") return reply("NOERROR");
+    const key = `${name} ${type}`;
+    const expiry = cache.get(key);
+    const now = Date.now();
+    if (!(expiry > now)) {
+      if (missDelayMs) await new Promise((r) => setTimeout(r, missDelayMs));
+      cache.set(key, now + ttl * 1000);
+    }
+    const remaining = expiry > now ? Math.ceil((expiry - now) / 1000) : ttl;
+
+    if (failing.has(name)) return reply("SERVFAIL");
+    const ips = zone.size ? zone.get(name) : ["127.0.0.1", "::1"];
+    if (!ips) return reply("NXDOMAIN");
+    const family = type === "AAAA" ? 6 : type === "A" ? 4 : 0;
+    return reply("NOERROR", ips.filter((ip) => net.isIP(ip) === family), remaining);
+  }
+
+  const udp = dgram.createSocket(net.isIPv6(host) ? "udp6" : "udp4");
+  udp.on("message", (msg, rinfo) => {
+    answer(msg).then((out) => udp.send(out, rinfo.port, rinfo.address), () => {});
+  });
+
+  const sockets = new Set();
+  const tcp = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    socket.on("error", () => {});
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      while (buffer.length >= 2 && buffer.length >= 2 + buffer.readUInt16BE(0)) {
+        const msg = buffer.subarray(2, 2 + buffer.readUInt16BE(0));
+        buffer = buffer.subarray(2 + msg.length);
+        answer(msg).then((out) => {
+          const length = Buffer.alloc(2);
+          length.writeUInt16BE(out.length);
+          socket.write(Buffer.concat([length, out]));
+        }, () => socket.destroy());
+      }
+    });
+  });
+
+  const dohServer = doh && http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      if (url.pathname !== "/dns-query") return res.writeHead(404).end();
+      const msg = req.method === "GET" ? Buffer.from(url.searchParams.get("dns") || "", "base64url") : Buffer.concat(chunks);
+      answer(msg).then(
+        (out) => res.writeHead(200, { "Content-Type": "application/dns-message" }).end(out),
+        () => res.writeHead(400).end(),
+      );
+    });
+  });
+
+  const listen = (server, h, p) => new Promise((resolve, reject) => {
+    server.once("error", reject);
+    const done = () => {
+      server.removeListener("error", reject);
+      resolve(server.address());
+    };
+    if (server === udp) server.bind(p, h, done);
+    else server.listen(p, h, done);
+  });
+
+  return {
+    cache,
+
+    // Binds UDP first so port 0 gives TCP the same port.
+    async start() {
+      const address = await listen(udp, host, port);
+      await listen(tcp, host, address.port);
+      const dohAddress = dohServer ? await listen(dohServer, doh.host, doh.port) : null;
+      return { address: address.address, port: address.port, doh: dohAddress };
+    },
+
+    stop() {
+      udp.close();
+      for (const socket of sockets) socket.destroy();
+      const closing = [new Promise((resolve) => tcp.close(resolve))];
+      if (dohServer) {
+        dohServer.closeAllConnections();
+        closing.push(new Promise((resolve) => dohServer.close(resolve)));
+      }
+      return Promise.all(closing);
+    },
+  };
+}
+
+module.exports = { MOCK_DNS_USAGE, createMockDNSServer };
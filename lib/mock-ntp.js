@@ -0,0 +1,66 @@
+const dgram = require("dgram");
+const net = require("net");
+const { writeTimestamp } = require("./clock");
+
+const MOCK_NTP_USAGE = `Usage: node index.js mock-ntp [options]
+
+Local stand-in NTP server for trying the clock phase offline
+(--phases clock,... --ntp-server 127.0.0.1:12300). It answers SNTP requests
+from this machine's clock shifted by --offset, so the measured offset should
+come out as --offset within the reported uncertainty.
+
+Options:
+      --listen <host:port>  UDP address (default 127.0.0.1:12300)
+      --offset <ms>         Shift of the served clock; may be negative (default 0)
+      --delay <ms>          Hold replies this long after stamping them, like a
+                            slow return path: shows up in the uncertainty (default 0)
+      --stratum <n>         Stratum to announce, 1-15 (default 2)
+  -h, --help                Show this help
+`;
+
+// ── Server ──────────────────────────────────────────────────────────
+function createMockNTPServer({ host = "127.0.0.1", port = 12300, offsetMs = 0, delayMs = 0, stratum = 2 } = {}) {
+  const state = { queries: 0 };
+  const socket = dgram.createSocket(net.isIPv6(host) ? "udp6" : "udp4");
+  const now = () => Date.now() + offsetMs;
+
+  socket.on("message", (msg, rinfo) => {
+    const received = now();
+    if (msg.length < 48 || (msg[0] & 7) !== 3) return;
+    state.queries++;
+    const reply = Buffer.alloc(48);
+    reply[0] = (msg[0] & 0x38) | 4;   // LI 0, the client's version, server mode
+    reply[1] = stratum;
+    reply[2] = msg[2] || 6;           // poll
+    reply[3] = 0xec;                  // precision 2^-20 s
+    reply.writeUInt32BE(0x00000041, 8); // root dispersion ~1 ms
+    reply.write("MOCK", 12, "ascii"); // reference ID
+    writeTimestamp(reply, 16, received);
+    msg.copy(reply, 24, 40, 48);      // originate = the client's transmit time
+    writeTimestamp(reply, 32, received);
+    writeTimestamp(reply, 40, now());
+    const send = () => socket.send(reply, rinfo.port, rinfo.address);
+    if (delayMs) setTimeout(send, delayMs);
+    else send();
+  });
+
+  return {
+    state,
+
+    start() {
+      return new Promise((resolve, reject) => {
+        socket.once("error", reject);
+        socket.bind(port, host, () => {
+          socket.removeListener("error", reject);
+          resolve(socket.address());
+        });
+      });
+    },
+
+    stop() {
+      return new Promise((resolve) => socket.close(resolve));
+    },
+  };
+}
+
+module.exports = { MOCK_NTP_USAGE, createMockNTPServer };
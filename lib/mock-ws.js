@@ -0,0 +1,141 @@
+const http = require("http");
+const { URL } = require("url");
+const { WebSocketServer } = require("ws");
+
+const MOCK_WS_USAGE = `Usage: node index.js mock-ws [options]
+
+Local stand-in for the Polymarket WebSocket feeds, for testing ws-subscribe.
+  /ws/market   CLOB market channel: {"assets_ids": [...], "type": "market"},
+               answers "PING" with "PONG", sends a book snapshot then price_change events
+  any other    Live Data style: {"action": "subscribe", "subscriptions": [{"topic", "type"}]}
+
+Options:
+      --listen <host:port>  Address to listen on (default 127.0.0.1:8765)
+      --rate <hz>           Messages per second per subscription (default 10)
+      --delay <ms>          Added delay between stamping and sending a message (default 0)
+      --jitter <ms>         Random extra delay, 0..jitter (default 0)
+      --drop-after <s>      Close every connection (1012 service restart) this long
+                            after it opened, as servers rotating connections do (default: never)
+      --silent-after <s>    Stop sending messages this long after a subscription while
+                            still answering pings: a stalled feed (default: never)
+  -h, --help                Show this help
+`;
+
+// ── Message generators ──────────────────────────────────────────────
+const randomPrice = () => +(0.3 + Math.random() * 0.4).toFixed(2);
+
+function bookEvent(assetId) {
+  const mid = randomPrice();
+  return {
+    event_type: "book",
+    asset_id: assetId,
+    market: "0xmock",
+    bids: [{ price: (mid - 0.01).toFixed(2), size: "100" }],
+    asks: [{ price: (mid + 0.01).toFixed(2), size: "100" }],
+    timestamp: String(Date.now()),
+    hash: Math.random().toString(16).slice(2),
+  };
+}
+
+function priceChangeEvent(assetIds) {
+  return {
+    event_type: "price_change",
+    market: "0xmock",
+    price_changes: assetIds.map((assetId) => {
+      const price = randomPrice();
+      return {
+        asset_id: assetId,
+        price: price.toFixed(2),
+        size: String(Math.round(Math.random() * 500)),
+        side: Math.random() < 0.5 ? "BUY" : "SELL",
+        best_bid: (price - 0.01).toFixed(2),
+        best_ask: (price + 0.01).toFixed(2),
+      };
+    }),
+    timestamp: String(Date.now()),
+  };
+}
+
+function liveDataEvent({ topic, type }) {
+  const now = Date.now();
+  return {
+    topic,
+    type,
+    timestamp: now,
+    connection_id: "mock",
+    payload: { symbol: "btcusdt", value: +(60000 + Math.random() * 1000).toFixed(2), timestamp: now },
+  };
+}
+
+// ── Server ──────────────────────────────────────────────────────────
+function createMockWSServer({ host = "127.0.0.1", port = 8765, rateHz = 10, delayMs = 0, jitterMs = 0, dropAfterMs = 0, silentAfterMs = 0 } = {}) {
+  const server = http.createServer((req, res) => res.writeHead(426, { "Content-Type": "text/plain" }).end("WebSocket only\n"));
+  const wss = new WebSocketServer({ server });
+
+  wss.on("connection", (ws, req) => {
+    const market = new URL(req.url, "http://localhost").pathname.includes("market");
+    const timers = new Set();
+
+    // Stamp now, deliver after the simulated network delay.
+    const send = (event) => {
+      const wait = delayMs + Math.random() * jitterMs;
+      const payload = JSON.stringify(event);
+      if (!wait) return ws.send(payload);
+      const t = setTimeout(() => { timers.delete(t); if (ws.readyState === ws.OPEN) ws.send(payload); }, wait);
+      timers.add(t);
+    };
+    const every = (fn) => timers.add(setInterval(fn, 1000 / rateHz));
+    const silence = () => {
+      for (const t of timers) { clearTimeout(t); clearInterval(t); }
+      timers.clear();
+    };
+
+    if (dropAfterMs) {
+      const drop = setTimeout(() => ws.close(1012, "service restart"), dropAfterMs);
+      ws.on("close", () => clearTimeout(drop));
+    }
+
+    ws.on("message", (data) => {
+      const text = data.toString();
+      if (text.trim().toUpperCase() === "PING") return ws.send("PONG");
+
+      let msg;
+      try {
+        msg = JSON.parse(text);
+      } catch {
+        return ws.close(4000, "invalid message");
+      }
+
+      if (market && Array.isArray(msg.assets_ids) && msg.assets_ids.length) {
+        send(msg.assets_ids.map(bookEvent));
+        every(() => send(priceChangeEvent(msg.assets_ids)));
+      } else if (!market && msg.action === "subscribe" && Array.isArray(msg.subscriptions) && msg.subscriptions.length) {
+        for (const sub of msg.subscriptions) every(() => send(liveDataEvent(sub)));
+      } else {
+        return ws.close(4000, "invalid subscription");
+      }
+      if (silentAfterMs) timers.add(setTimeout(silence, silentAfterMs));
+    });
+
+    ws.on("close", silence);
+  });
+
+  return {
+    start() {
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => {
+          server.removeListener("error", reject);
+          resolve(server.address());
+        });
+      });
+    },
+
+    stop() {
+      for (const ws of wss.clients) ws.terminate();
+      return new Promise((resolve) => wss.close(() => server.close(resolve)));
+    },
+  };
+}
+
+module.exports = { MOCK_WS_USAGE, createMockWSServer };
@@ -0,0 +1,373 @@
+const http = require("http");
+const { URL } = require("url");
+const WebSocket = require("ws");
+const { ConfigError } = require("./config");
+const { computeStats, formatStats } = require("./stats");
+const { log, dim, red, green, yellow } = require("./output");
+const { createAlerter, ruleText } = require("./alerts");
+const { checkStatus, errorFields } = require("./errors");
+const {
+  measureDNS,
+  connectOptions,
+  measureTCPTLS,
+  measureHTTP,
+  createKeepAliveAgent,
+  measureHTTPKeepAlive,
+  measureWS,
+  pingOnce,
+} = require("./measure");
+
+// Phases a monitor cycle probes; the others in config.phases are ignored.
+const MONITOR_PHASES = ["dns", "tcp-tls", "cold", "keepalive", "ws-handshake", "ws-ping"];
+
+// Histogram buckets in seconds, Prometheus convention.
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.075, 0.1, 0.15, 0.2, 0.3, 0.5, 0.75, 1, 2.5, 5, 10];
+
+const PREFIX = "latency_tester";
+
+// ── Rolling series ──────────────────────────────────────────────────
+// One series per endpoint + phase: a time-bounded window of samples for
+// the rolling stats, plus cumulative counters for the Prometheus histogram.
+function createSeries(endpoint, phase, base = endpoint) {
+  return {
+    endpoint,
+    base,
+    phase,
+    window: [],
+    count: 0,
+    errorCount: 0,
+    sumMs: 0,
+    buckets: BUCKETS.map(() => 0),
+    lastValue: null,
+    lastSampleAt: null,
+    lastError: null,
+  };
+}
+
+function addSample(series, value, error) {
+  const now = Date.now();
+  series.window.push({ t: now, value, error });
+  series.lastSampleAt = now;
+  if (error) {
+    series.errorCount++;
+    series.lastError = error;
+    return;
+  }
+  series.count++;
+  series.sumMs += value;
+  series.lastValue = value;
+  BUCKETS.forEach((le, i) => { if (value / 1000 <= le) series.buckets[i]++; });
+}
+
+function pruneWindow(series, windowMs, now = Date.now()) {
+  const cutoff = now - windowMs;
+  let drop = 0;
+  while (drop < series.window.length && series.window[drop].t < cutoff) drop++;
+  if (drop) series.window.splice(0, drop);
+}
+
+function windowSummary(series, windowMs, percentiles) {
+  pruneWindow(series, windowMs);
+  const values = series.window.filter((s) => !s.error).map((s) => s.value);
+  const errors = series.window.length - values.length;
+  return {
+    stats: computeStats(values, { percentiles }),
+    samples: values.length,
+    errors,
+    errorRatio: series.window.length ? errors / series.window.length : 0,
+  };
+}
+
+// ── Prometheus text format ──────────────────────────────────────────
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+function labels(obj) {
+  return `{${Object.entries(obj).map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+function renderMetrics(state) {
+  const windowMs = state.config.monitor.windowSec * 1000;
+  const lines = [];
+  const series = [...state.series.values()];
+
+  const metric = (name, type, help) => {
+    lines.push(`# HELP ${PREFIX}_${name} ${help}`);
+    lines.push(`# TYPE ${PREFIX}_${name} ${type}`);
+  };
+
+  metric("probe_duration_seconds", "histogram", "Probe latency (TTFB for HTTP, full time for DNS, TCP+TLS and WebSocket).");
+  for (const s of series) {
+    const base = { endpoint: s.endpoint, phase: s.phase };
+    BUCKETS.forEach((le, i) => lines.push(`${PREFIX}_probe_duration_seconds_bucket${labels({ ...base, le })} ${s.buckets[i]}`));
+    lines.push(`${PREFIX}_probe_duration_seconds_bucket${labels({ ...base, le: "+Inf" })} ${s.count}`);
+    lines.push(`${PREFIX}_probe_duration_seconds_sum${labels(base)} ${s.sumMs / 1000}`);
+    lines.push(`${PREFIX}_probe_duration_seconds_count${labels(base)} ${s.count}`);
+  }
+
+  metric("probe_errors_total", "counter", "Failed probes.");
+  for (const s of series) lines.push(`${PREFIX}_probe_errors_total${labels({ endpoint: s.endpoint, phase: s.phase })} ${s.errorCount}`);
+
+  const { percentiles } = state.config;
+  const summaries = series.map((s) => [s, windowSummary(s, windowMs, percentiles)]);
+
+  metric("window_seconds", "gauge", `Rolling-window latency statistics over the last ${state.config.monitor.windowSec}s.`);
+  for (const [s, w] of summaries) {
+    if (!w.stats) continue;
+    const values = { ...w.stats.percentiles };
+    for (const stat of ["avg", "median", "p95", "p99", "min", "max", "stddev", "jitter", "trimmedMean"]) values[stat] = w.stats[stat];
+    for (const [stat, value] of Object.entries(values)) {
+      lines.push(`${PREFIX}_window_seconds${labels({ endpoint: s.endpoint, phase: s.phase, stat })} ${value / 1000}`);
+    }
+  }
+
+  metric("window_samples", "gauge", "Successful samples in the rolling window.");
+  for (const [s, w] of summaries) lines.push(`${PREFIX}_window_samples${labels({ endpoint: s.endpoint, phase: s.phase })} ${w.samples}`);
+
+  metric("window_error_ratio", "gauge", "Share of failed probes in the rolling window.");
+  for (const [s, w] of summaries) lines.push(`${PREFIX}_window_error_ratio${labels({ endpoint: s.endpoint, phase: s.phase })} ${w.errorRatio}`);
+
+  metric("last_probe_timestamp_seconds", "gauge", "Unix time of the last probe.");
+  for (const s of series) {
+    if (s.lastSampleAt) lines.push(`${PREFIX}_last_probe_timestamp_seconds${labels({ endpoint: s.endpoint, phase: s.phase })} ${s.lastSampleAt / 1000}`);
+  }
+
+  metric("cycles_total", "counter", "Completed probe cycles.");
+  lines.push(`${PREFIX}_cycles_total ${state.cycles}`);
+
+  if (state.alerts) {
+    metric("alert_firing", "gauge", "1 while an alert rule is firing for the endpoint.");
+    for (const r of state.alerts) {
+      lines.push(`${PREFIX}_alert_firing${labels({ rule: ruleText(r.rule), endpoint: r.endpoint })} ${r.state.status === "firing" ? 1 : 0}`);
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+function renderStatus(state) {
+  const windowMs = state.config.monitor.windowSec * 1000;
+  const fmt = (v) => (v == null || isNaN(v) ? null : +v.toFixed(2));
+  return {
+    startedAt: new Date(state.startedAt).toISOString(),
+    uptimeSec: Math.round((Date.now() - state.startedAt) / 1000),
+    intervalMs: state.config.monitor.intervalMs,
+    windowSec: state.config.monitor.windowSec,
+    cycles: state.cycles,
+    series: [...state.series.values()].map((s) => {
+      const w = windowSummary(s, windowMs, state.config.percentiles);
+      return {
+        endpoint: s.endpoint,
+        phase: s.phase,
+        window: formatStats(w.stats),
+        windowErrors: w.errors,
+        total: { samples: s.count, errors: s.errorCount },
+        lastValue: fmt(s.lastValue),
+        lastSampleAt: s.lastSampleAt ? new Date(s.lastSampleAt).toISOString() : null,
+        lastError: s.lastError,
+      };
+    }),
+    alerts: state.alerts && state.alerts.map((r) => ({
+      rule: ruleText(r.rule),
+      endpoint: r.endpoint,
+      status: r.state.status,
+      value: fmt(r.value),
+      since: r.state.since,
+    })),
+  };
+}
+
+// ── Persistent WebSocket for ping RTT ───────────────────────────────
+function openSocket(ep, timeout) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(ep.url, {
+      handshakeTimeout: timeout,
+      headers: { "User-Agent": "latency-tester/2.0", ...ep.headers },
+      ...connectOptions(ep),
+    });
+    ws.once("open", () => { ws.removeListener("error", reject); resolve(ws); });
+    ws.once("error", reject);
+    // Later errors surface through ping failures and a reconnect on the next cycle.
+    ws.on("error", () => {});
+  });
+}
+
+// ── Monitor ─────────────────────────────────────────────────────────
+function createMonitor(config, sink) {
+  // A rule on a phase without probes would never get data, so never fire.
+  const unprobed = config.alerts.rules.find((rule) => !MONITOR_PHASES.includes(rule.mode));
+  if (unprobed) throw new ConfigError(`alerts: monitor does not probe ${unprobed.mode}, so "${ruleText(unprobed)}" could never fire (monitor phases: ${MONITOR_PHASES.join(", ")})`);
+  const state = { config, series: new Map(), cycles: 0, startedAt: Date.now(), alerts: null };
+  const alerter = config.alerts.rules.length
+    ? createAlerter(config.alerts, {
+      percentiles: config.percentiles,
+      onNotifyError: (notifier, err) => log(red(`  Alert notification via ${notifier} failed: ${err.message}`)),
+    })
+    : null;
+  const agents = new Map();
+  const sockets = new Map();
+  let stopping = false;
+  let timer = null;
+  let current = null;
+  let server = null;
+
+  const record = (ep, phase, value, err) => {
+    const error = err ? err.message : null;
+    const key = `${ep.name}\u0000${phase}`;
+    if (!state.series.has(key)) state.series.set(key, createSeries(ep.name, phase, ep.baseName ?? ep.name));
+    const series = state.series.get(key);
+    addSample(series, value, error);
+    pruneWindow(series, config.monitor.windowSec * 1000);
+    const field = phase === "cold" || phase === "keepalive" ? "ttfb" : "total";
+    sink.record({ endpoint: ep.name, url: ep.url, phase, round: state.cycles + 1, [field]: value, ...(err && errorFields(err)) });
+  };
+
+  const probe = async (ep, phase, fn) => {
+    if (stopping) return null;
+    try {
+      const value = await fn();
+      record(ep, phase, value, null);
+      return value;
+    } catch (err) {
+      record(ep, phase, null, err);
+      return null;
+    }
+  };
+
+  async function probeAPI(ep) {
+    const parsed = new URL(ep.url);
+    const results = {};
+    if (config.phases.includes("dns")) {
+      results.dns = await probe(ep, "dns", async () => {
+        const d = await measureDNS(parsed.hostname, ep.family === 6 ? 6 : 4);
+        if (d.error) throw Object.assign(new Error(d.error), { code: d.error });
+        return d.time;
+      });
+    }
+    if (config.phases.includes("tcp-tls") && parsed.protocol === "https:") {
+      results.tls = await probe(ep, "tcp-tls", async () => (await measureTCPTLS(parsed.hostname, Number(parsed.port) || 443, config.httpTimeoutMs, connectOptions(ep))).total);
+    }
+    if (config.phases.includes("cold")) {
+      results.cold = await probe(ep, "cold", async () => checkStatus(await measureHTTP(ep, config.httpTimeoutMs)).ttfb);
+    }
+    if (config.phases.includes("keepalive")) {
+      if (!agents.has(ep.name)) agents.set(ep.name, createKeepAliveAgent(ep));
+      results.ka = await probe(ep, "keepalive", async () => checkStatus(await measureHTTPKeepAlive(ep, agents.get(ep.name), config.httpTimeoutMs)).ttfb);
+    }
+    return results;
+  }
+
+  async function probeWS(ep) {
+    const results = {};
+    if (config.phases.includes("ws-handshake")) {
+      results.handshake = await probe(ep, "ws-handshake", async () => (await measureWS(ep, config.wsTimeoutMs)).total);
+    }
+    if (config.phases.includes("ws-ping")) {
+      results.ping = await probe(ep, "ws-ping", async () => {
+        let ws = sockets.get(ep.name);
+        if (!ws || ws.readyState !== WebSocket.OPEN) {
+          if (ws) ws.terminate();
+          sockets.delete(ep.name);
+          ws = await openSocket(ep, config.wsTimeoutMs);
+          sockets.set(ep.name, ws);
+        }
+        return pingOnce(ws, config.wsPingTimeoutMs);
+      });
+    }
+    return results;
+  }
+
+  // Rules are checked against the rolling window after every cycle.
+  async function checkAlerts() {
+    const windowMs = config.monitor.windowSec * 1000;
+    const observations = [...state.series.values()].map((s) => {
+      pruneWindow(s, windowMs);
+      const values = s.window.filter((w) => !w.error).map((w) => w.value);
+      return { endpoint: s.endpoint, base: s.base, phase: s.phase, values, errors: s.window.length - values.length, total: s.window.length };
+    });
+    const { results, events } = await alerter.evaluate(observations);
+    state.alerts = results;
+    for (const e of events) {
+      const text = `${e.rule} → ${e.endpoint}: ${e.value}${e.unit}`;
+      log(e.status === "firing" ? red(`  ALERT ${e.repeat ? "still firing" : "firing"}: ${text}`) : green(`  RESOLVED: ${text}`));
+    }
+    const pending = results.filter((r) => r.breached && r.state.status === "ok");
+    if (pending.length) log(yellow(`  ${pending.length} rule(s) breached, firing after ${config.alerts.fireAfter} cycles in a row`));
+  }
+
+  async function cycle() {
+    const started = Date.now();
+    const parts = [];
+    const short = (v) => (v == null ? red("ERR") : `${v.toFixed(1)}ms`);
+
+    for (const ep of config.api) {
+      const r = await probeAPI(ep);
+      parts.push(`${ep.name}: ${Object.entries(r).map(([k, v]) => `${k} ${short(v)}`).join(" ")}`);
+    }
+    for (const ep of config.ws) {
+      const r = await probeWS(ep);
+      parts.push(`${ep.name}: ${Object.entries(r).map(([k, v]) => `${k} ${short(v)}`).join(" ")}`);
+    }
+
+    if (stopping) return;
+    state.cycles++;
+    log(`${dim(`[${new Date().toISOString()}] #${state.cycles}`)}  ${parts.join(dim(" | "))}`);
+    // A failed notifier or state file must not end the monitor.
+    if (alerter) {
+      try {
+        await checkAlerts();
+      } catch (err) {
+        log(red(`  Alert check failed: ${err.message}`));
+      }
+    }
+
+    timer = setTimeout(loop, Math.max(0, config.monitor.intervalMs - (Date.now() - started)));
+  }
+
+  function loop() {
+    timer = null;
+    current = cycle().finally(() => { current = null; });
+  }
+
+  function handle(req, res) {
+    const path = new URL(req.url, "http://localhost").pathname;
+    if (req.method !== "GET") {
+      res.writeHead(405, { Allow: "GET" }).end();
+    } else if (path === "/metrics") {
+      res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" }).end(renderMetrics(state));
+    } else if (path === "/status") {
+      res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify(renderStatus(state), null, 2));
+    } else {
+      res.writeHead(404, { "Content-Type": "text/plain" }).end("Not found. Try /metrics or /status.\n");
+    }
+  }
+
+  return {
+    state,
+
+    start() {
+      return new Promise((resolve, reject) => {
+        server = http.createServer(handle);
+        server.once("error", reject);
+        server.listen(config.monitor.port, config.monitor.host, () => {
+          server.removeListener("error", reject);
+          loop();
+          resolve(server.address());
+        });
+      });
+    },
+
+    async stop() {
+      stopping = true;
+      if (timer) clearTimeout(timer);
+      if (current) await current;
+      for (const agent of agents.values()) agent.destroy();
+      for (const ws of sockets.values()) ws.terminate();
+      if (server) {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+      }
+    },
+  };
+}
+
+module.exports = { MONITOR_PHASES, BUCKETS, createMonitor, renderMetrics, renderStatus };
@@ -0,0 +1,132 @@
+const fs = require("fs");
+const util = require("util");
+const { TIMING_PHASES } = require("./measure");
+const { classifyError } = require("./errors");
+
+const OUTPUT_FORMATS = ["human", "json", "ndjson", "csv"];
+
+const SAMPLE_FIELDS = ["ts", "endpoint", "url", "address", "family", "phase", "round", "attempt", "ttfb", "total", "status", "size", "error", "errorType", ...TIMING_PHASES];
+
+// ── Colors ──────────────────────────────────────────────────────────
+function color(text, code) {
+  return `\x1b[${code}m${text}\x1b[0m`;
+}
+const green = (t) => color(t, 32);
+const yellow = (t) => color(t, 33);
+const red = (t) => color(t, 31);
+const cyan = (t) => color(t, 36);
+const bold = (t) => color(t, 1);
+const dim = (t) => color(t, 2);
+
+function colorLatency(ms) {
+  const val = `${ms.toFixed(2)} ms`;
+  if (ms < 100) return green(val);
+  if (ms < 300) return yellow(val);
+  return red(val);
+}
+
+// ── Progress log ────────────────────────────────────────────────────
+// Human-readable progress goes to stdout by default; machine-readable
+// modes move it to stderr (or drop it with --quiet) so stdout stays clean.
+const progress = { stream: process.stdout, quiet: false };
+
+function setProgressStream(stream, quiet = false) {
+  progress.stream = stream;
+  progress.quiet = quiet;
+}
+
+function log(...args) {
+  if (!progress.quiet) progress.stream.write(util.format(...args) + "\n");
+}
+
+function write(text) {
+  if (!progress.quiet) progress.stream.write(text);
+}
+
+// ── Sample sink ─────────────────────────────────────────────────────
+const round3 = (v) => (v == null || isNaN(v) ? null : +v.toFixed(3));
+
+function csvCell(value) {
+  if (value == null) return "";
+  const s = String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function openOutput(file) {
+  return file ? fs.createWriteStream(file) : process.stdout;
+}
+
+function closeOutput(stream) {
+  if (stream === process.stdout) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    stream.on("error", reject);
+    stream.end(resolve);
+  });
+}
+
+// Collects every raw sample. ndjson and csv stream each sample as it is
+// recorded; json and human write the whole report once the run finishes.
+// Long-running commands pass retain: false so samples are not kept in memory;
+// onSample sees each row as it is recorded.
+function createSampleSink(format, file, { retain = true, onSample = null } = {}) {
+  const samples = [];
+  const stream = format === "human" && !file ? null : openOutput(file);
+
+  if (format === "csv") stream.write(SAMPLE_FIELDS.join(",") + "\n");
+
+  return {
+    samples,
+
+    record(sample) {
+      const row = {
+        ts: new Date().toISOString(),
+        endpoint: sample.endpoint,
+        url: sample.url,
+        address: sample.address ?? null,
+        family: sample.family ?? null,
+        phase: sample.phase,
+        round: sample.round ?? null,
+        attempt: sample.attempt ?? null,
+        ttfb: round3(sample.ttfb),
+        total: round3(sample.total),
+        status: sample.status ?? null,
+        size: sample.size ?? null,
+        error: sample.error ?? null,
+        // Callers with the Error at hand classify it; bare messages are classified here.
+        errorType: sample.error ? sample.errorType ?? classifyError(sample.error) : null,
+      };
+      // Per-phase timings: cold HTTP requests, and tcp/tls for handshakes.
+      for (const f of TIMING_PHASES) {
+        if (sample[f] != null) row[f] = round3(sample[f]);
+      }
+      if (retain) samples.push(row);
+      if (onSample) onSample(row);
+
+      if (format === "ndjson") stream.write(JSON.stringify({ type: "sample", ...row }) + "\n");
+      if (format === "csv") stream.write(SAMPLE_FIELDS.map((f) => csvCell(row[f])).join(",") + "\n");
+    },
+
+    async finish(report) {
+      if (!stream) return;
+      if (format === "ndjson") stream.write(JSON.stringify({ type: "report", ...report }) + "\n");
+      if (format === "json" || format === "human") stream.write(JSON.stringify({ ...report, samples }, null, 2) + "\n");
+      await closeOutput(stream);
+    },
+  };
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  SAMPLE_FIELDS,
+  green,
+  yellow,
+  red,
+  cyan,
+  bold,
+  dim,
+  colorLatency,
+  setProgressStream,
+  log,
+  write,
+  createSampleSink,
+};
@@ -0,0 +1,175 @@
+const fs = require("fs");
+const path = require("path");
+const net = require("net");
+const { spawn } = require("child_process");
+
+// ── Tools ───────────────────────────────────────────────────────────
+// Node cannot set the TTL of a TCP SYN or read the ICMP replies, so hops
+// come from the system's mtr (preferred: per-hop loss and ASN in one JSON
+// report, and it runs unprivileged through mtr-packet) or traceroute -T
+// (needs CAP_NET_RAW for TCP mode).
+const PATH_TOOLS = ["mtr", "traceroute"];
+
+function findExecutable(name) {
+  for (const dir of (process.env.PATH || "").split(path.delimiter)) {
+    if (!dir) continue;
+    const file = path.join(dir, name);
+    try {
+      fs.accessSync(file, fs.constants.X_OK);
+      return file;
+    } catch {}
+  }
+  return null;
+}
+
+function findPathTool() {
+  for (const name of PATH_TOOLS) {
+    const file = findExecutable(name);
+    if (file) return { name, file };
+  }
+  return null;
+}
+
+function toolArgs(tool, address, { port, probes, maxHops }) {
+  const family = `-${net.isIP(address) || 4}`;
+  if (tool === "mtr") {
+    return [family, "--tcp", "--port", String(port), "--report-cycles", String(probes), "--max-ttl", String(maxHops), "--json", "--aslookup", "--show-ips", address];
+  }
+  return [family, "-T", "-p", String(port), "-q", String(probes), "-m", String(maxHops), "-w", "2", "-A", address];
+}
+
+// ── Parsers ─────────────────────────────────────────────────────────
+// Hops are { hop, address, hostname, asn, sent, lost, loss, best, avg, worst }
+// with times in ms; address is null for hops that never answered.
+const round3 = (v) => (v == null || isNaN(v) ? null : +Number(v).toFixed(3));
+
+function hostAndAddress(text) {
+  const m = /^(.*?) \(([^)]+)\)$/.exec(text);
+  if (m) return { hostname: m[1] === m[2] ? null : m[1], address: m[2] };
+  return net.isIP(text) ? { hostname: null, address: text } : { hostname: text, address: text };
+}
+
+const asnOf = (text) => (/^AS\d+$/i.test(text || "") ? text.toUpperCase() : null);
+
+// mtr --json: { report: { mtr: {...}, hubs: [{ count, host, ASN, "Loss%", Snt, Best, Avg, Wrst }] } }
+function parseMtrJSON(text) {
+  const hubs = JSON.parse(text).report?.hubs;
+  if (!Array.isArray(hubs)) throw new Error("unexpected mtr output (no hubs)");
+  return hubs.map((h) => {
+    const silent = h.host === "???";
+    const sent = Number(h.Snt) || 0;
+    const loss = Number(h["Loss%"]) || 0;
+    return {
+      hop: Number(h.count),
+      ...(silent ? { address: null, hostname: null } : hostAndAddress(h.host)),
+      asn: asnOf(h.ASN),
+      sent,
+      lost: Math.round((sent * loss) / 100),
+      loss,
+      best: silent ? null : round3(h.Best),
+      avg: silent ? null : round3(h.Avg),
+      worst: silent ? null : round3(h.Wrst),
+    };
+  });
+}
+
+// traceroute -A: " 3  host (1.2.3.4) [AS13335]  5.123 ms  other (1.2.3.5) [AS13335]  5.301 ms *"
+// Every probe is a time or "*"; a hop can answer from several addresses, the
+// first one is kept as the hop's address.
+function parseTraceroute(text, probes) {
+  const hops = [];
+  for (const line of text.split("\n")) {
+    const m = /^\s*(\d+)\s+(.*)$/.exec(line);
+    if (!m) continue;
+    const times = [];
+    const seen = [];
+    const re = /(\S+) \(([^)]+)\)(?: \[([^\]]*)\])?|(\d+(?:\.\d+)?) ms(?: ![A-Za-z0-9]*)?|\*/g;
+    for (let t; (t = re.exec(m[2]));) {
+      if (t[2]) {
+        seen.push({ hostname: t[1] === t[2] ? null : t[1], address: t[2], asn: asnOf(t[3]) });
+      } else if (t[4]) {
+        times.push(Number(t[4]));
+      }
+    }
+    const sent = Math.max(probes, times.length);
+    const first = seen[0] ?? { hostname: null, address: null, asn: null };
+    hops.push({
+      hop: Number(m[1]),
+      ...first,
+      ...(seen.length > 1 && { others: seen.slice(1).map((s) => s.address) }),
+      sent,
+      lost: sent - times.length,
+      loss: sent ? +(((sent - times.length) / sent) * 100).toFixed(1) : 0,
+      best: times.length ? round3(Math.min(...times)) : null,
+      avg: times.length ? round3(times.reduce((a, b) => a + b, 0) / times.length) : null,
+      worst: times.length ? round3(Math.max(...times)) : null,
+    });
+  }
+  return hops;
+}
+
+// ── Trace ───────────────────────────────────────────────────────────
+function runTool(tool, args, timeout) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(tool.file, args, { stdio: ["ignore", "pipe", "pipe"] });
+    let stdout = "";
+    let stderr = "";
+    const timer = setTimeout(() => child.kill("SIGKILL"), timeout);
+    child.stdout.on("data", (chunk) => { stdout += chunk; });
+    child.stderr.on("data", (chunk) => { stderr = (stderr + chunk).slice(-1000); });
+    child.on("error", (err) => { clearTimeout(timer); reject(err); });
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      if (signal) return reject(new Error(`${tool.name} timed out after ${timeout}ms`));
+      if (code !== 0) return reject(new Error(`${tool.name} exited with ${code}${stderr.trim() ? `: ${stderr.trim().split("\n").pop()}` : ""}`));
+      resolve(stdout);
+    });
+  });
+}
+
+// TCP traceroute to one address. Resolves { tool, hops, reached } or rejects
+// when no tool is installed or the tool fails.
+async function tracePath(address, { port = 443, probes = 5, maxHops = 30, tool = findPathTool() } = {}) {
+  if (!tool) throw new Error(`no traceroute tool found (install ${PATH_TOOLS.join(" or ")})`);
+  // mtr sends one probe per hop per second; traceroute waits up to 2s per probe.
+  const timeout = (tool.name === "mtr" ? probes * 1000 + 10000 : maxHops * probes * 2000) + 5000;
+  const out = await runTool(tool, toolArgs(tool.name, address, { port, probes, maxHops }), timeout);
+  const hops = tool.name === "mtr" ? parseMtrJSON(out) : parseTraceroute(out, probes);
+  const last = hops[hops.length - 1];
+  return { tool: tool.name, hops, reached: Boolean(last && last.address === address && last.loss < 100) };
+}
+
+// ── Route changes ───────────────────────────────────────────────────
+// AS numbers along a route, consecutive repeats collapsed.
+function asPath(hops) {
+  const out = [];
+  for (const h of hops) if (h.asn && h.asn !== out[out.length - 1]) out.push(h.asn);
+  return out;
+}
+
+// Hop-by-hop address sequence; silent hops stay null and match anything,
+// since a hop that skipped a probe is not a route change.
+const routeOf = (hops) => hops.map((h) => h.address);
+
+function diffRoutes(before, after) {
+  const a = routeOf(before);
+  const b = routeOf(after);
+  const changes = [];
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined || b[i] === undefined || (a[i] && b[i] && a[i] !== b[i])) {
+      changes.push({ hop: i + 1, before: a[i] ?? null, after: b[i] ?? null });
+    }
+  }
+  return changes;
+}
+
+module.exports = {
+  PATH_TOOLS,
+  findPathTool,
+  parseMtrJSON,
+  parseTraceroute,
+  tracePath,
+  asPath,
+  routeOf,
+  diffRoutes,
+};
@@ -0,0 +1,433 @@
+const Table = require("cli-table3");
+const { FAMILY_LABELS } = require("./config");
+const { log, green, yellow, red, bold, dim, colorLatency } = require("./output");
+const { percentileKey } = require("./stats");
+const { TIMING_PHASES } = require("./measure");
+const { asPath } = require("./path");
+const { familySummary, shortToken } = require("./runner");
+const { ERROR_TYPES } = require("./errors");
+
+// Report keys as the summary tables name the modes.
+const MODE_LABELS = { cold: "Cold", keepAlive: "KA", h2: "H2", h2Ping: "H2 PING", handshake: "Handshake", pingRTT: "Ping RTT" };
+
+// ── Summary ─────────────────────────────────────────────────────────
+function printSummary(serverInfo, config, apiData, wsData, clobData, pathData, clockData = null) {
+  log(bold("\n══════════════════════════════════════════════════════════════"));
+  log(bold("  SUMMARY"));
+  log(bold("══════════════════════════════════════════════════════════════\n"));
+
+  log(dim("  Server:"));
+  log(dim(`    Hostname:  ${serverInfo.hostname}`));
+  log(dim(`    Platform:  ${serverInfo.platform}`));
+  log(dim(`    CPU:       ${serverInfo.cpus}`));
+  log(dim(`    Memory:    ${serverInfo.memory}`));
+  log(dim(`    Node:      ${serverInfo.nodeVersion}`));
+  log(dim(`    IPs:       ${serverInfo.ips.join(" | ")}`));
+  if (clockData) {
+    const offset = clockData.offset == null
+      ? `unknown (${clockData.error})`
+      : `${clockData.offset >= 0 ? "+" : ""}${clockData.offset.toFixed(2)}ms ± ${clockData.uncertainty.toFixed(2)}ms vs ${clockData.server} (stratum ${clockData.stratum})`;
+    log(dim(`    Clock:     ${offset}`));
+  }
+  log("");
+
+  const fmt = (v) => (v == null || isNaN(v) ? "N/A" : v.toFixed(2));
+
+  // Shared columns for the API and WS tables. A percentile gets a * when
+  // there are too few samples for the upper bound of its 95% CI.
+  const statsHead = ["Avg", ...config.percentiles.map((p) => (p === 50 ? "Median" : `P${p}`)), "Min", "Max", "StdDev", "Jitter", "Outl"];
+  const statsAligns = statsHead.map(() => "right");
+  const statsCells = (s) => {
+    if (!s) return statsHead.map(() => "N/A");
+    const outliers = s.outliers.low + s.outliers.high;
+    return [
+      fmt(s.avg),
+      ...config.percentiles.map((p) => {
+        const key = percentileKey(p);
+        return fmt(s.percentiles[key]) + (s.ci[key][1] == null ? dim("*") : "");
+      }),
+      fmt(s.min), fmt(s.max), fmt(s.stddev), fmt(s.jitter),
+      outliers ? yellow(String(outliers)) : "0",
+    ];
+  };
+
+  // Cold vs Keep-Alive vs HTTP/2 table
+  if ([...apiData.coldResults, ...apiData.keepAliveResults, ...apiData.h2Results].some((r) => !r.skipped)) {
+    log(bold("  REST API - Cold vs Keep-Alive vs HTTP/2:\n"));
+    const apiTable = new Table({
+      head: ["Endpoint", "Mode", ...statsHead, "Err"],
+      style: { head: ["cyan"] },
+      colAligns: ["left", "center", ...statsAligns, "center"],
+    });
+
+    for (let i = 0; i < apiData.coldResults.length; i++) {
+      const cold = apiData.coldResults[i];
+      const ka = apiData.keepAliveResults[i];
+      const cs = cold.stats;
+      const ks = ka.stats;
+
+      if (!cold.skipped) apiTable.push([cold.name, "Cold", ...statsCells(cs), `${cold.errors}/${cold.rounds}`]);
+      if (!ka.skipped) apiTable.push([cold.skipped ? ka.name : "", "KA", ...statsCells(ks), `${ka.errors}/${ka.rounds}`]);
+
+      const h2 = apiData.h2Results[i];
+      if (!h2 || h2.skipped) continue;
+      const label = cold.skipped && ka.skipped ? h2.name : "";
+      if (!h2.supported) {
+        const note = h2.supported === false ? `not supported (ALPN: ${h2.alpn || "none"})` : "session failed";
+        apiTable.push([label, "H2", { colSpan: statsHead.length, content: dim(note) }, `${h2.errors}/${h2.rounds}`]);
+        continue;
+      }
+      apiTable.push([label, "H2", ...statsCells(h2.stats), `${h2.errors}/${h2.rounds}`]);
+      if (h2.multiplexed) {
+        const m = h2.multiplexed;
+        apiTable.push(["", `H2 ×${m.streams}`, ...statsCells(m.stats), `${m.errors}/${m.requests}`]);
+      }
+      apiTable.push(["", "H2 PING", ...statsCells(h2.ping.stats), `${h2.ping.errors}/${h2.ping.rounds}`]);
+    }
+    log(apiTable.toString());
+
+    const withBreakdown = apiData.coldResults.filter((r) => r.breakdown);
+    if (withBreakdown.length) {
+      log(bold("\n  REST API - Cold request breakdown (median ms):\n"));
+      const breakdownTable = new Table({
+        head: ["Endpoint", "DNS", "TCP", "TLS", "Write", "Server", "Transfer", "TTFB"],
+        style: { head: ["cyan"] },
+        colAligns: ["left", "right", "right", "right", "right", "right", "right", "right"],
+      });
+      for (const r of withBreakdown) {
+        breakdownTable.push([r.name, ...TIMING_PHASES.map((p) => fmt(r.breakdown[p]?.median)), fmt(r.stats.median)]);
+      }
+      log(breakdownTable.toString());
+      log(dim("  * Network = DNS + TCP + TLS. Server = request sent → first byte. Transfer = first → last byte."));
+    }
+  }
+
+  // Payload: size, compression and throughput per encoding
+  const payloads = apiData.payloadResults.filter((r) => r.targets.length);
+  if (payloads.length) {
+    log(bold("\n  REST API - Payload (median):\n"));
+    const size = (n) => (n == null ? "N/A" : n >= 1048576 ? `${(n / 1048576).toFixed(2)} MB` : n >= 1024 ? `${(n / 1024).toFixed(1)} KB` : `${n} B`);
+    const payloadTable = new Table({
+      head: ["Endpoint", "Path", "Enc", "Wire", "Body", "TTFB", "Transfer", "Decode", "Effective", "Throughput", "Saved", "Err"],
+      style: { head: ["cyan"] },
+      colAligns: ["left", "left", "center", "right", "right", "right", "right", "right", "right", "right", "right", "center"],
+    });
+    for (const p of payloads) {
+      p.targets.forEach((t, ti) => t.rows.forEach((r, ri) => {
+        const served = Object.keys(r.served).filter((e) => e !== r.encoding);
+        const enc = r.encoding === t.best ? green(r.encoding) : r.encoding;
+        const saved = r.savedMs == null ? "" : r.savedMs > 0 ? green(`${fmt(r.savedMs)}`) : yellow(`${fmt(r.savedMs)}`);
+        payloadTable.push([
+          ti || ri ? "" : p.name, ri ? "" : t.path,
+          served.length ? `${enc}${yellow("→" + served.join(","))}` : enc,
+          size(r.size), size(r.decodedSize),
+          fmt(r.ttfb?.median), fmt(r.transfer?.median), r.decode ? r.decode.median.toFixed(2) : "N/A", fmt(r.effective?.median),
+          r.throughput == null ? dim("N/A") : `${size(Math.round(r.throughput))}/s`,
+          saved, r.errors ? red(`${r.errors}/${r.rounds}`) : `0/${r.rounds}`,
+        ]);
+      }));
+    }
+    log(payloadTable.toString());
+    for (const p of payloads) {
+      for (const t of p.targets) {
+        if (t.dominant) log(dim(`  ${p.name} ${t.path}: ${t.dominant === "payload" ? "payload" : "round trip"} dominates (${t.best})`));
+      }
+    }
+    log(dim("  * Wire = body as sent, Body = decoded. Effective = total + decode. Throughput = wire bytes / transfer time."));
+    log(dim("    Saved = identity's effective median − this one's (green = compression pays off). →x = what the server sent instead."));
+  }
+
+  // WS Handshake vs Ping/Pong table
+  if ([...wsData.handshakeResults, ...wsData.pingResults].some((r) => !r.skipped)) {
+    log(bold("\n  WebSocket - Handshake vs Ping/Pong RTT:\n"));
+    const wsTable = new Table({
+      head: ["Endpoint", "Mode", ...statsHead, "Err"],
+      style: { head: ["cyan"] },
+      colAligns: ["left", "center", ...statsAligns, "center"],
+    });
+
+    for (let i = 0; i < wsData.handshakeResults.length; i++) {
+      const hs = wsData.handshakeResults[i];
+      const pg = wsData.pingResults[i];
+      const hss = hs.stats;
+      const pgs = pg ? pg.stats : null;
+
+      if (!hs.skipped) wsTable.push([hs.name, "Handshake", ...statsCells(hss), `${hs.errors}/${hs.rounds}`]);
+      if (!pg?.skipped) wsTable.push([hs.skipped ? hs.name : "", "Ping RTT", ...statsCells(pgs), pg ? `${pg.errors}/${pg.rounds}` : "N/A"]);
+    }
+    log(wsTable.toString());
+  }
+  const subscribed = wsData.subscribeResults.filter((r) => !r.skipped);
+  if (subscribed.length) {
+    log(bold("\n  WebSocket - Application messages (subscribe):\n"));
+    const subTable = new Table({
+      head: ["Endpoint", "First Msg", "Msgs", "Delay Med", "Delay P95", "Gap Med", "Gap P95", "Gap Max", "Err"],
+      style: { head: ["cyan"] },
+      colAligns: ["left", "right", "right", "right", "right", "right", "right", "right", "center"],
+    });
+    for (const r of subscribed) {
+      const delay = r.oneWay?.downstream ?? r.delay;
+      subTable.push([
+        r.name, fmt(r.firstMessage), r.messages,
+        fmt(delay?.median), fmt(delay?.p95),
+        fmt(r.gap?.median), fmt(r.gap?.p95), fmt(r.gap?.max),
+        r.error ? red("ERR") : `${r.errors}`,
+      ]);
+    }
+    log(subTable.toString());
+    log(dim(clockData?.offset != null
+      ? "  * Delay = local receipt time − server timestamp, corrected by the clock offset. Gap = time between messages."
+      : "  * Delay = local receipt time − server timestamp (includes clock offset). Gap = time between messages."));
+  }
+
+  // One-way delays, from Date headers (API) and message timestamps (WS)
+  const oneWayRows = [];
+  apiData.coldResults.forEach((cold, i) => oneWayRows.push([cold.name, "Cold", cold.oneWay], [cold.name, "KA", apiData.keepAliveResults[i]?.oneWay]));
+  const estimated = oneWayRows.filter(([, , o]) => o);
+  const corrected = subscribed.filter((r) => r.oneWay);
+  if (estimated.length || corrected.length) {
+    const sign = clockData.offset >= 0 ? "+" : "";
+    log(bold(`\n  One-way latency (clock offset ${sign}${clockData.offset.toFixed(2)}ms ± ${clockData.uncertainty.toFixed(2)}ms):\n`));
+    const oneWayTable = new Table({
+      head: ["Endpoint", "Mode", "Upstream", "Up range", "Downstream", "Down range", "Samples"],
+      style: { head: ["cyan"] },
+      colAligns: ["left", "center", "right", "right", "right", "right", "right"],
+    });
+    const range = (b) => `${fmt(b.low)}–${fmt(b.high)}`;
+    estimated.forEach(([name, mode, o], i) => {
+      const label = name === estimated[i - 1]?.[0] ? "" : name;
+      const note = o.inconsistent ? yellow(` (${o.inconsistent} off)`) : "";
+      if (!o.samples) return oneWayTable.push([label, mode, "N/A", "", "N/A", "", `0${note}`]);
+      oneWayTable.push([label, mode, fmt(o.upstream.estimate), dim(range(o.upstream)), fmt(o.downstream.estimate), dim(range(o.downstream)), `${o.samples}${note}`]);
+    });
+    for (const r of corrected) {
+      const { downstream: d, uncertainty } = r.oneWay;
+      oneWayTable.push([r.name, "WS msgs", "N/A", "", fmt(d.median), dim(range({ low: d.median - uncertainty, high: d.median + uncertainty })), d.samples]);
+    }
+    log(oneWayTable.toString());
+    log(dim("  * API: Date headers (1s resolution) bound when the server stamped each response; the bounds are intersected over all"));
+    log(dim("    responses and widened by the offset's uncertainty. Server time counts on either side. \"off\" = Date outside its own"));
+    log(dim("    round trip, left out. All of it assumes the server's clock is NTP-synced. WS: median delivery delay, corrected."));
+  }
+
+  // Failures by type, one column per type that occurred
+  const errorRows = [];
+  apiData.coldResults.forEach((cold, i) => {
+    const h2 = apiData.h2Results[i];
+    errorRows.push(
+      [cold.name, "Cold", cold], [cold.name, "KA", apiData.keepAliveResults[i]], [cold.name, "H2", h2],
+      [cold.name, `H2 ×${h2?.multiplexed?.streams}`, h2?.multiplexed], [cold.name, "H2 PING", h2?.ping],
+    );
+    for (const t of apiData.payloadResults[i]?.targets ?? []) {
+      for (const r of t.rows) errorRows.push([cold.name, `Payload ${r.encoding}`, r]);
+    }
+  });
+  wsData.handshakeResults.forEach((hs, i) => errorRows.push([hs.name, "Handshake", hs], [hs.name, "Ping RTT", wsData.pingResults[i]]));
+  const failed = errorRows.filter(([, , r]) => r?.errors && r.errorTypes);
+  if (failed.length) {
+    const types = ERROR_TYPES.filter((t) => failed.some(([, , r]) => r.errorTypes[t]));
+    log(bold("\n  Errors by type:\n"));
+    const errTable = new Table({
+      head: ["Endpoint", "Mode", "Total", ...types],
+      style: { head: ["cyan"] },
+      colAligns: ["left", "center", "right", ...types.map(() => "right")],
+    });
+    failed.forEach(([name, mode, r], i) => {
+      errTable.push([name === failed[i - 1]?.[0] ? "" : name, mode, red(String(r.errors)), ...types.map((t) => r.errorTypes[t] || "")]);
+    });
+    log(errTable.toString());
+  }
+
+  const retried = errorRows.filter(([, , r]) => r?.retry?.retried);
+  if (retried.length) {
+    log(bold(`\n  Retries (up to ${config.retry.retries} per round, on ${config.retry.on.join(", ")}):\n`));
+    const retryTable = new Table({
+      head: ["Endpoint", "Mode", "Rounds", "Recovered", "Retries", "Eff. Median", "Eff. P95"],
+      style: { head: ["cyan"] },
+      colAligns: ["left", "center", "right", "right", "right", "right", "right"],
+    });
+    for (const [name, mode, r] of retried) {
+      const { retried: rounds, recovered, attempts, effective } = r.retry;
+      retryTable.push([name, mode, rounds, recovered === rounds ? green(String(recovered)) : yellow(String(recovered)), attempts, fmt(effective?.median), fmt(effective?.p95)]);
+    }
+    log(retryTable.toString());
+    log(dim("  * Stats and error counts above use first attempts only. Effective = failed attempts + backoff + the attempt that worked, over all rounds."));
+  }
+
+  if (pathData && !pathData.skipped) {
+    log(bold(`\n  Network path (TCP traceroute, ${pathData.tool}):\n`));
+    const pathTable = new Table({
+      head: ["Host", "Address", "Hops", "Reached", "Last hop avg", "Worst loss", "AS path"],
+      style: { head: ["cyan"] },
+      colAligns: ["left", "left", "right", "center", "right", "left", "left"],
+    });
+    for (const t of pathData.targets) {
+      t.addresses.forEach((a, i) => {
+        const host = i ? "" : `${t.hostname}:${t.port}`;
+        if (a.error) {
+          pathTable.push([host, a.address, { colSpan: 5, content: red(a.error) }]);
+          return;
+        }
+        const last = a.hops[a.hops.length - 1];
+        const worst = a.hops.filter((h) => h.address).reduce((w, h) => (!w || h.loss > w.loss ? h : w), null);
+        pathTable.push([
+          host, a.address, a.hops.length, a.reached ? green("yes") : red("no"),
+          last?.avg != null ? fmt(last.avg) : "N/A",
+          worst?.loss ? yellow(`${worst.loss}% at hop ${worst.hop}`) : "0%",
+          asPath(a.hops).join(" → ") || dim("N/A"),
+        ]);
+      });
+    }
+    log(pathTable.toString());
+    log(dim("  * Worst loss counts answering hops only; routers often rate-limit replies, so loss that does not carry on to later hops is not real loss."));
+  }
+
+  if (clobData && !clobData.skipped) {
+    log(bold(`\n  CLOB API (authenticated${clobData.dryRun ? ", dry run" : ""}):\n`));
+    const clobTable = new Table({
+      head: ["Step", "Token", ...statsHead, "Err"],
+      style: { head: ["cyan"] },
+      colAligns: ["left", "left", ...statsAligns, "center"],
+    });
+    for (const e of clobData.steps) {
+      clobTable.push([e.step, shortToken(e.tokenId) || "", ...statsCells(e.stats), `${e.errors.length}/${e.rounds}`]);
+    }
+    const o = clobData.orders;
+    if (o) {
+      clobTable.push(["Order submit", "", ...statsCells(o.post), `${o.errors.post.length}/${o.count}`]);
+      clobTable.push(["Order cancel", "", ...statsCells(o.cancel), `${o.errors.cancel.length}/${o.count - o.errors.post.length - o.rejected.length}`]);
+      clobTable.push([bold("Submit+cancel"), "", ...statsCells(o.roundTrip), `${o.count - (o.roundTrip?.samples ?? 0)}/${o.count}`]);
+    }
+    log(clobTable.toString());
+    if (o?.rejected.length) log(yellow(`  * ${o.rejected.length} order(s) rejected by the exchange (see the JSON report).`));
+    if (o?.leftOpen.length) log(red(bold(`  * ${o.leftOpen.length} order(s) could not be confirmed cancelled: ${o.leftOpen.join(", ")}`)));
+  }
+
+  // Side-by-side medians when every endpoint ran over several families
+  if (config.families.length > 1) {
+    const labels = config.families.map((f) => FAMILY_LABELS[f]);
+    log(bold(`\n  Address families - ${labels.join(" vs ")} (median ms):\n`));
+    const hasAuto = config.families.includes("auto");
+    const famTable = new Table({
+      head: ["Endpoint", "Mode", ...labels, ...(hasAuto ? ["auto picked"] : [])],
+      style: { head: ["cyan"] },
+      colAligns: ["left", "center", ...labels.map(() => "right"), "left"],
+    });
+    const groups = [
+      [config.api, [["Cold", apiData.coldResults], ["KA", apiData.keepAliveResults], ["H2", apiData.h2Results]]],
+      [config.ws, [["Handshake", wsData.handshakeResults], ["Ping RTT", wsData.pingResults]]],
+    ];
+    for (const [endpoints, modes] of groups) {
+      const bases = [...new Set(endpoints.map((ep) => ep.baseName))];
+      for (const base of bases) {
+        let first = true;
+        for (const [mode, results] of modes) {
+          const byFamily = config.families.map((f) => results[endpoints.findIndex((ep) => ep.baseName === base && (ep.family ?? "auto") === f)]);
+          if (byFamily.every((r) => !r || r.skipped)) continue;
+          const medians = byFamily.map((r) => r?.stats?.median);
+          const best = Math.min(...medians.filter((m) => m != null));
+          const auto = byFamily[config.families.indexOf("auto")];
+          famTable.push([
+            first ? base : "", mode,
+            ...medians.map((m) => (m == null ? "N/A" : m === best ? green(fmt(m)) : fmt(m))),
+            ...(hasAuto ? [auto?.families ? familySummary(auto.families) : ""] : []),
+          ]);
+          first = false;
+        }
+      }
+    }
+    log(famTable.toString());
+  }
+
+  // Negotiated TLS parameters, plus the experiments when the tls phase ran
+  const tlsRows = [...apiData.tlsResults, ...wsData.tlsResults].filter((r) => r.details || r.modes);
+  if (tlsRows.length) {
+    const experiments = tlsRows.some((r) => r.modes);
+    log(bold(`\n  TLS${experiments ? " (median ms)" : ""}:\n`));
+    const tlsTable = new Table({
+      head: ["Endpoint", "Protocol", "Cipher", "ALPN", "OCSP", "Cert expires", ...(experiments ? ["Full", "Resumed", "Reused", "TLS 1.2", "TLS 1.3"] : [])],
+      style: { head: ["cyan"] },
+      colAligns: ["left", "center", "left", "center", "center", "right", ...(experiments ? ["right", "right", "center", "right", "right"] : [])],
+    });
+    for (const r of tlsRows) {
+      const d = r.details;
+      const leaf = d?.certificates[0];
+      const days = leaf ? `${leaf.validTo.slice(0, 10)} (${leaf.daysLeft}d)` : "N/A";
+      const m = r.modes;
+      tlsTable.push([
+        r.name, d?.protocol || "N/A", d?.cipher || "N/A", d ? d.alpn || "none" : "N/A",
+        d ? (d.ocspStapled ? green("yes") : "no") : "N/A",
+        leaf && leaf.daysLeft < 14 ? red(days) : leaf && leaf.daysLeft < 30 ? yellow(days) : days,
+        ...(experiments ? (m ? [
+          fmt(m.full.stats?.median), fmt(m.resumed.stats?.median),
+          m.resumed.times.length ? `${m.resumed.reused}/${m.resumed.times.length}` : "N/A",
+          fmt(m["TLSv1.2"].stats?.median), fmt(m["TLSv1.3"].stats?.median),
+        ] : ["N/A", "N/A", "N/A", "N/A", "N/A"]) : []),
+      ]);
+    }
+    log(tlsTable.toString());
+    if (experiments) log(dim("  * Full/Resumed/TLS 1.x = TCP connect + TLS handshake. Reused = handshakes the server actually resumed."));
+  }
+
+  // Per-IP table, fastest address of each host first
+  const perIp = [...apiData.perIpResults, ...wsData.perIpResults].filter((r) => !r.skipped && r.addresses.length);
+  if (perIp.length) {
+    log(bold("\n  Per-IP (same SNI and Host header, median ms):\n"));
+    const ipTable = new Table({
+      head: ["Endpoint", "Address", "TCP+TLS", "Cold / Handshake", "P95", "Err", ""],
+      style: { head: ["cyan"] },
+      colAligns: ["left", "left", "right", "right", "right", "center", "left"],
+    });
+    const pins = new Set();
+    for (const r of perIp) {
+      const key = r.phases.includes("cold") ? "cold" : r.phases.includes("ws-handshake") ? "handshake" : "tcpTls";
+      const score = (a) => a[key]?.stats?.median ?? Infinity;
+      const ranked = [...r.addresses].sort((a, b) => score(a) - score(b));
+      const pin = ranked.length > 1 && score(ranked[0]) !== Infinity;
+      ranked.forEach((a, i) => {
+        const request = a.cold || a.handshake;
+        const runs = [a.tcpTls, a.cold, a.handshake].filter(Boolean);
+        ipTable.push([
+          i ? "" : r.name, a.address,
+          fmt(a.tcpTls?.stats?.median), fmt(request?.stats?.median), fmt(request?.stats?.p95),
+          `${runs.reduce((n, x) => n + x.errors, 0)}/${runs.reduce((n, x) => n + x.rounds, 0)}`,
+          i === 0 && pin ? green("fastest") : "",
+        ]);
+      });
+      if (pin) pins.add(`${ranked[0].address} ${r.hostname}`);
+    }
+    log(ipTable.toString());
+    if (pins.size) {
+      log(dim("  * To pin the fastest addresses, add to /etc/hosts:"));
+      for (const line of pins) log(dim(`      ${line}`));
+    }
+  }
+
+  log(dim("  * Cold = new TCP+TLS+HTTP per request. KA = reused connection. H2 = one HTTP/2 session (×N = concurrent streams, PING = frame RTT). Ping RTT = round-trip on open WS."));
+  log(dim("  * Outl = samples outside the 1.5×IQR fences. P* = too few samples to bound that percentile (see ci95 in JSON)."));
+  log(dim("  * All times in ms.\n"));
+
+  // Production ranking (keep-alive + ping)
+  const all = [];
+  for (const r of apiData.keepAliveResults) if (r.stats) all.push({ name: r.name + " (KA)", avg: r.stats.avg, med: r.stats.median });
+  for (const r of apiData.h2Results) if (r.stats) all.push({ name: r.name + " (H2)", avg: r.stats.avg, med: r.stats.median });
+  for (const r of wsData.pingResults) if (r && r.stats) all.push({ name: r.name + " (Ping)", avg: r.stats.avg, med: r.stats.median });
+  all.sort((a, b) => a.avg - b.avg);
+
+  log(bold("  Production Ranking (persistent connections):\n"));
+  all.forEach((r, i) => {
+    const medal = i === 0 ? green("1st") : i === 1 ? yellow("2nd") : i === 2 ? red("3rd") : dim(`${i + 1}th`);
+    log(`    ${medal}  ${r.name.padEnd(30)} Avg: ${colorLatency(r.avg)}  Med: ${colorLatency(r.med)}`);
+  });
+  log("");
+}
+
+// ── JSON dump to console ────────────────────────────────────────────
+function printJSONReport(report) {
+  log(bold("\n══════════════════════════════════════════════════════════════"));
+  log(bold("  JSON REPORT (copy-paste friendly)"));
+  log(bold("══════════════════════════════════════════════════════════════"));
+  log(JSON.stringify(report, null, 2));
+}
+
+module.exports = { MODE_LABELS, printSummary, printJSONReport };
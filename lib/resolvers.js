@@ -0,0 +1,425 @@
+const dgram = require("dgram");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const tls = require("tls");
+const crypto = require("crypto");
+const { URL } = require("url");
+const { sleep } = require("./measure");
+
+// ── DNS wire format (RFC 1035) ──────────────────────────────────────
+// Just enough to ask for A/AAAA records and read answers, TTLs and
+// response codes, over any transport.
+const TYPES = { A: 1, NS: 2, CNAME: 5, AAAA: 28 };
+const TYPE_NAMES = Object.fromEntries(Object.entries(TYPES).map(([k, v]) => [v, k]));
+const RCODES = ["NOERROR", "FORMERR", "SERVFAIL", "NXDOMAIN", "NOTIMP", "REFUSED"];
+
+function encodeName(name) {
+  const labels = name.replace(/\.$/, "").split(".").filter(Boolean);
+  const parts = labels.map((label) => {
+    const bytes = Buffer.from(label);
+    return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+  });
+  return Buffer.concat([...parts, Buffer.from([0])]);
+}
+
+// A message with one question; answers are [{ type, ttl, data: Buffer }]
+// and point back at the question name.
+function encodeMessage({ id, flags, name, type, answers = [] }) {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(id, 0);
+  header.writeUInt16BE(flags, 2);
+  header.writeUInt16BE(1, 4);
+  header.writeUInt16BE(answers.length, 6);
+  const question = Buffer.alloc(4);
+  question.writeUInt16BE(type, 0);
+  question.writeUInt16BE(1, 2); // IN
+  const records = answers.map((a) => {
+    const rr = Buffer.alloc(12);
+    rr.writeUInt16BE(0xc00c, 0); // pointer to the question name
+    rr.writeUInt16BE(a.type, 2);
+    rr.writeUInt16BE(1, 4);
+    rr.writeUInt32BE(a.ttl, 6);
+    rr.writeUInt16BE(a.data.length, 10);
+    return Buffer.concat([rr, a.data]);
+  });
+  return Buffer.concat([header, encodeName(name), question, ...records]);
+}
+
+// Recursion desired, nothing else set.
+const encodeQuery = (id, name, type) => encodeMessage({ id, flags: 0x0100, name, type: TYPES[type] });
+
+function readName(buf, offset) {
+  const labels = [];
+  let next = null;
+  for (let hops = 0; hops < 128; hops++) {
+    const len = buf[offset];
+    if (len === undefined) throw new Error("truncated name");
+    if ((len & 0xc0) === 0xc0) {
+      next ??= offset + 2;
+      offset = ((len & 0x3f) << 8) | buf[offset + 1];
+      continue;
+    }
+    if (len === 0) return { name: labels.join(".") || ".", next: next ?? offset + 1 };
+    labels.push(buf.toString("utf8", offset + 1, offset + 1 + len));
+    offset += len + 1;
+  }
+  throw new Error("name compression loop");
+}
+
+function decodeMessage(buf) {
+  if (buf.length < 12) throw new Error("short DNS message");
+  const flags = buf.readUInt16BE(2);
+  const qdcount = buf.readUInt16BE(4);
+  const ancount = buf.readUInt16BE(6);
+  let offset = 12;
+  let question = null;
+  for (let i = 0; i < qdcount; i++) {
+    const { name, next } = readName(buf, offset);
+    question ??= { name, type: TYPE_NAMES[buf.readUInt16BE(next)] ?? buf.readUInt16BE(next) };
+    offset = next + 4;
+  }
+  const answers = [];
+  for (let i = 0; i < ancount; i++) {
+    const { name, next } = readName(buf, offset);
+    const type = buf.readUInt16BE(next);
+    const ttl = buf.readUInt32BE(next + 4);
+    const length = buf.readUInt16BE(next + 8);
+    const start = next + 10;
+    let data = null;
+    if (type === TYPES.A && length === 4) data = [...buf.subarray(start, start + 4)].join(".");
+    else if (type === TYPES.AAAA && length === 16) data = ipv6String(buf.subarray(start, start + 16));
+    else if (type === TYPES.CNAME) data = readName(buf, start).name;
+    answers.push({ name, type: TYPE_NAMES[type] ?? type, ttl, data });
+    offset = start + length;
+  }
+  return {
+    id: buf.readUInt16BE(0),
+    response: Boolean(flags & 0x8000),
+    truncated: Boolean(flags & 0x0200),
+    rcode: RCODES[flags & 0x0f] ?? `RCODE${flags & 0x0f}`,
+    question,
+    answers,
+  };
+}
+
+function ipv6String(bytes) {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) groups.push(bytes.readUInt16BE(i).toString(16));
+  // Collapse the longest run of zero groups, as inet_ntop does.
+  let best = [-1, 0];
+  for (let i = 0; i < 8; ) {
+    let j = i;
+    while (j < 8 && groups[j] === "0") j++;
+    if (j - i > best[1] && j - i > 1) best = [i, j - i];
+    i = j === i ? i + 1 : j;
+  }
+  if (best[0] < 0) return groups.join(":");
+  return `${groups.slice(0, best[0]).join(":")}::${groups.slice(best[0] + best[1]).join(":")}`;
+}
+
+// ── Resolver specs ──────────────────────────────────────────────────
+// "system", "1.1.1.1", "udp://1.1.1.1:53", "tcp://8.8.8.8", "tls://1.1.1.1"
+// (DoT), or an http(s) URL (DoH). Returns null if the spec is not valid.
+const DEFAULT_PORTS = { udp: 53, tcp: 53, tls: 853 };
+
+function parseServer(value, transport = "udp") {
+  const m = /^\[([^\]]+)\](?::(\d+))?$/.exec(value) || /^([^:]+)(?::(\d+))?$/.exec(value);
+  if (m) return { transport, host: m[1], port: m[2] ? Number(m[2]) : DEFAULT_PORTS[transport] };
+  if (net.isIPv6(value)) return { transport, host: value, port: DEFAULT_PORTS[transport] };
+  return null;
+}
+
+function parseResolver(spec) {
+  if (spec === "system") return { transport: "system" };
+  if (/^https?:\/\//.test(spec)) {
+    try {
+      new URL(spec);
+    } catch {
+      return null;
+    }
+    return { transport: "doh" };
+  }
+  const m = /^(udp|tcp|tls):\/\/(.+)$/.exec(spec);
+  const server = m ? parseServer(m[2], m[1]) : parseServer(spec);
+  return server && server.port > 0 && server.port <= 65535 ? server : null;
+}
+
+// The first nameserver the OS is configured with.
+function systemServer() {
+  const [first] = dns.getServers();
+  if (!first) throw new Error("no system nameserver configured");
+  return parseServer(first);
+}
+
+// ── Clients ─────────────────────────────────────────────────────────
+// Every client has connect() (time to set up a connection, null for UDP),
+// query(name, type) and close(). Stream transports keep one connection
+// open, like a stub resolver would, so query times exclude the handshake.
+const randomId = () => crypto.randomInt(0x10000);
+const elapsedSince = (start) => Number(process.hrtime.bigint() - start) / 1e6;
+
+function withTimeout(promise, timeout, onTimeout = () => {}) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => { onTimeout(); reject(new Error("TIMEOUT")); }, timeout);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+function udpQuery({ host, port }, name, type, timeout) {
+  const socket = dgram.createSocket(net.isIPv6(host) ? "udp6" : "udp4");
+  const id = randomId();
+  const reply = new Promise((resolve, reject) => {
+    socket.on("error", reject);
+    socket.on("message", (msg) => {
+      try {
+        const decoded = decodeMessage(msg);
+        if (decoded.id === id && decoded.response) resolve(decoded);
+      } catch (err) {
+        reject(err);
+      }
+    });
+    socket.send(encodeQuery(id, name, type), port, host, (err) => err && reject(err));
+  });
+  return withTimeout(reply, timeout).finally(() => socket.close());
+}
+
+// DNS over TCP or TLS: two-byte length prefix per message.
+function createStreamClient(server, timeout) {
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  const pending = new Map();
+
+  const fail = (err) => {
+    for (const { reject } of pending.values()) reject(err);
+    pending.clear();
+    socket = null;
+  };
+
+  const connect = () => new Promise((resolve, reject) => {
+    const start = process.hrtime.bigint();
+    const ready = server.transport === "tls" ? "secureConnect" : "connect";
+    const s = server.transport === "tls"
+      ? tls.connect({ host: server.host, port: server.port, servername: net.isIP(server.host) ? undefined : server.host, ALPNProtocols: ["dot"] })
+      : net.connect({ host: server.host, port: server.port });
+    const timer = setTimeout(() => { s.destroy(); reject(new Error("TIMEOUT")); }, timeout);
+    s.once(ready, () => {
+      clearTimeout(timer);
+      socket = s;
+      buffer = Buffer.alloc(0);
+      resolve(elapsedSince(start));
+    });
+    s.once("error", (err) => { clearTimeout(timer); reject(err); });
+    s.on("error", (err) => fail(err));
+    s.on("close", () => { if (socket === s) fail(new Error("connection closed")); });
+    s.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      while (buffer.length >= 2 && buffer.length >= 2 + buffer.readUInt16BE(0)) {
+        const msg = buffer.subarray(2, 2 + buffer.readUInt16BE(0));
+        buffer = buffer.subarray(2 + msg.length);
+        let decoded;
+        try {
+          decoded = decodeMessage(msg);
+        } catch (err) {
+          s.destroy(err);
+          return;
+        }
+        pending.get(decoded.id)?.resolve(decoded);
+        pending.delete(decoded.id);
+      }
+    });
+  });
+
+  return {
+    connect,
+    // Reconnects (and counts it) when the server closed an idle connection.
+    async query(name, type) {
+      let reconnected = false;
+      if (!socket) {
+        await connect();
+        reconnected = true;
+      }
+      const id = randomId();
+      const message = encodeQuery(id, name, type);
+      const length = Buffer.alloc(2);
+      length.writeUInt16BE(message.length);
+      const reply = new Promise((resolve, reject) => pending.set(id, { resolve, reject }));
+      socket.write(Buffer.concat([length, message]));
+      const decoded = await withTimeout(reply, timeout, () => pending.delete(id));
+      return Object.assign(decoded, { reconnected });
+    },
+    close() {
+      socket?.destroy();
+      socket = null;
+    },
+  };
+}
+
+// DNS over HTTPS (RFC 8484), POST with a keep-alive agent. Message ID 0
+// keeps responses cacheable by HTTP intermediaries, as the RFC suggests.
+function createDoHClient(url, timeout) {
+  const target = new URL(url);
+  const client = target.protocol === "https:" ? https : http;
+  const agent = new client.Agent({ keepAlive: true, maxSockets: 1 });
+
+  const query = (name, type) => new Promise((resolve, reject) => {
+    const body = encodeQuery(0, name, type);
+    const req = client.request(target, {
+      method: "POST",
+      agent,
+      headers: { "Content-Type": "application/dns-message", Accept: "application/dns-message", "Content-Length": body.length },
+    }, (res) => {
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => {
+        if (res.statusCode !== 200) return reject(new Error(`HTTP ${res.statusCode}`));
+        try {
+          resolve(decodeMessage(Buffer.concat(chunks)));
+        } catch (err) {
+          reject(err);
+        }
+      });
+    });
+    req.on("error", reject);
+    req.setTimeout(timeout, () => req.destroy(new Error("TIMEOUT")));
+    req.end(body);
+  });
+
+  return {
+    // Warm the connection with a root NS query, which every resolver has cached.
+    async connect() {
+      const start = process.hrtime.bigint();
+      await query(".", "NS");
+      return elapsedSince(start);
+    },
+    query,
+    close() {
+      agent.destroy();
+    },
+  };
+}
+
+function createClient(resolver, timeout) {
+  const server = resolver.transport === "system" ? systemServer() : resolver;
+  if (resolver.transport === "doh") return { server: null, ...createDoHClient(resolver.url, timeout) };
+  if (server.transport === "udp") {
+    return {
+      server,
+      connect: async () => null,
+      // Truncated UDP answers are retried over TCP, as stub resolvers do.
+      async query(name, type) {
+        const reply = await udpQuery(server, name, type, timeout);
+        if (!reply.truncated) return reply;
+        const tcp = createStreamClient({ ...server, transport: "tcp" }, timeout);
+        try {
+          return await tcp.query(name, type);
+        } finally {
+          tcp.close();
+        }
+      },
+      close() {},
+    };
+  }
+  return { server, ...createStreamClient(server, timeout) };
+}
+
+// ── Benchmark ───────────────────────────────────────────────────────
+// Per resolver, hostname and record type:
+//   cold    lookups of random names under the host: never cached, so the
+//           resolver has to ask the authoritative servers (NXDOMAIN is the
+//           expected answer and counts as success)
+//   first   the real name, once (may or may not be cached already)
+//   cached  the real name again, `lookups` times, now certainly cached
+// TTLs and answer sets come from the real-name lookups; their non-NOERROR
+// codes (and anything but NOERROR/NXDOMAIN for cold names) are counted.
+async function timedQuery(client, name, type) {
+  const start = process.hrtime.bigint();
+  const reply = await client.query(name, type);
+  return { ...reply, time: elapsedSince(start) };
+}
+
+async function runResolver(resolver, hostnames, { types = ["A"], lookups = 5, delayMs = 0, timeout = 5000, onSample = () => {} }) {
+  let client;
+  try {
+    client = createClient(resolver, timeout);
+  } catch (err) {
+    return { name: resolver.name, url: resolver.url, transport: resolver.transport, server: null, connect: null, hosts: [], error: err.message };
+  }
+  const server = client.server ? `${client.server.host}:${client.server.port}` : null;
+  const base = { name: resolver.name, url: resolver.url, transport: resolver.transport, server };
+
+  let connect = null;
+  try {
+    connect = await client.connect();
+  } catch (err) {
+    client.close();
+    return { ...base, connect: null, hosts: [], error: `connect: ${err.message}` };
+  }
+
+  const hosts = [];
+  let reconnects = 0;
+  try {
+    for (const hostname of hostnames) {
+      for (const type of types) {
+        const host = { hostname, type, cold: [], first: null, cached: [], ttl: null, answers: [], answerSets: 0, rcodes: {}, errors: {} };
+        const sets = new Set();
+        const count = (bucket, key) => { bucket[key] = (bucket[key] || 0) + 1; };
+
+        const lookup = async (phase, name, round) => {
+          try {
+            const r = await timedQuery(client, name, type);
+            if (r.reconnected) reconnects++;
+            // Cold names are random, so NXDOMAIN is the expected answer there.
+            const ok = r.rcode === "NOERROR" || (phase === "dns-cold" && r.rcode === "NXDOMAIN");
+            onSample({ hostname, type, phase, round, total: r.time, error: ok ? null : r.rcode });
+            return r;
+          } catch (err) {
+            count(host.errors, err.code || err.message);
+            onSample({ hostname, type, phase, round, error: err.code || err.message });
+            return null;
+          }
+        };
+        const record = (r) => {
+          if (r.rcode !== "NOERROR") return count(host.rcodes, r.rcode);
+          const addresses = r.answers.filter((a) => a.type === type).map((a) => a.data).sort();
+          const ttl = r.answers.length ? Math.min(...r.answers.map((a) => a.ttl)) : null;
+          if (ttl != null) host.ttl = host.ttl ? { min: Math.min(host.ttl.min, ttl), max: Math.max(host.ttl.max, ttl) } : { min: ttl, max: ttl };
+          sets.add(addresses.join(","));
+          host.answers = [...new Set([...host.answers, ...addresses])].sort();
+        };
+
+        for (let i = 0; i < lookups; i++) {
+          const r = await lookup("dns-cold", `${crypto.randomBytes(6).toString("hex")}.${hostname}`, i + 1);
+          if (r && (r.rcode === "NOERROR" || r.rcode === "NXDOMAIN")) host.cold.push(r.time);
+          else if (r) count(host.rcodes, r.rcode);
+          await sleep(delayMs);
+        }
+
+        const first = await lookup("dns-first", hostname, 1);
+        if (first) {
+          host.first = { time: first.time, rcode: first.rcode };
+          record(first);
+        }
+        for (let i = 0; i < lookups; i++) {
+          await sleep(delayMs);
+          const r = await lookup("dns-cached", hostname, i + 1);
+          if (!r) continue;
+          if (r.rcode === "NOERROR") host.cached.push(r.time);
+          record(r);
+        }
+        host.answerSets = sets.size;
+        hosts.push(host);
+      }
+    }
+  } finally {
+    client.close();
+  }
+
+  return { ...base, connect, reconnects, hosts, error: null };
+}
+
+module.exports = { TYPES, RCODES, encodeMessage, encodeQuery, decodeMessage, parseResolver, runResolver };
@@ -0,0 +1,1196 @@
+const { URL } = require("url");
+const os = require("os");
+const net = require("net");
+const crypto = require("crypto");
+const { API_PHASES, WS_PHASES, FAMILY_LABELS } = require("./config");
+const { log, write, green, yellow, red, cyan, bold, dim, colorLatency } = require("./output");
+const { computeStats, formatStats } = require("./stats");
+const { hasCredentials, runClob } = require("./clob");
+const { createMockClobServer, sampleOrder } = require("./mock-clob");
+const { PATH_TOOLS, findPathTool, tracePath, asPath } = require("./path");
+const { checkStatus, classifyError, errorFields, countErrorTypes, withRetry } = require("./errors");
+const { measureClockOffset, oneWayFromDates, oneWayFromTimestamps } = require("./clock");
+const {
+  sleep,
+  measureDNS,
+  resolveAddresses,
+  connectOptions,
+  measureTCPTLS,
+  TIMING_PHASES,
+  measureHTTP,
+  createKeepAliveAgent,
+  measureHTTPKeepAlive,
+  measurePayload,
+  openH2Session,
+  measureH2Request,
+  measureH2Ping,
+  measureWS,
+  measureWSPingPong,
+  measureWSSubscribe,
+} = require("./measure");
+
+// ── Server info ─────────────────────────────────────────────────────
+function getServerInfo() {
+  const ifaces = os.networkInterfaces();
+  const ips = [];
+  for (const name of Object.keys(ifaces)) {
+    for (const iface of ifaces[name]) {
+      // Link-local IPv6 addresses are never used to reach the endpoints.
+      if (!iface.internal && (iface.family === "IPv4" || !iface.address.startsWith("fe80:"))) {
+        ips.push(`${name}: ${iface.address}`);
+      }
+    }
+  }
+  return {
+    hostname: os.hostname(),
+    platform: `${os.type()} ${os.release()} (${os.arch()})`,
+    cpus: `${os.cpus()[0]?.model || "unknown"} x${os.cpus().length}`,
+    memory: `${(os.totalmem() / 1024 / 1024 / 1024).toFixed(1)} GB`,
+    nodeVersion: process.version,
+    ips,
+  };
+}
+
+// ── Pause ───────────────────────────────────────────────────────────
+// Every phase waits here between rounds. While paused (the dashboard's "p"
+// key), the round in flight finishes and the next one waits; WS pings on an
+// open connection keep their interval so the connection stays up.
+let paused = null;
+
+function setPaused(on) {
+  if (on && !paused) {
+    let resume;
+    paused = new Promise((r) => { resume = r; });
+    paused.resume = resume;
+  } else if (!on && paused) {
+    paused.resume();
+    paused = null;
+  }
+}
+
+async function betweenRounds(ms) {
+  await sleep(ms);
+  while (paused) await paused;
+}
+
+// ── Address families ────────────────────────────────────────────────
+// Which family each connection actually used, e.g. { IPv4: 28, IPv6: 2 }.
+function countFamily(counts, family) {
+  if (family) counts[FAMILY_LABELS[family]] = (counts[FAMILY_LABELS[family]] || 0) + 1;
+}
+
+const familySummary = (counts) => Object.entries(counts).map(([f, n]) => `${f} ×${n}`).join(", ") || "N/A";
+
+// ── DNS + TCP/TLS probes for one host ───────────────────────────────
+async function probeConnection(ep, config, sink) {
+  const url = ep.url;
+  const parsed = new URL(url);
+  const hostname = parsed.hostname;
+  const secure = parsed.protocol === "https:" || parsed.protocol === "wss:";
+  let dnsAvg = null;
+  let tlsDetails = null;
+
+  // DNS: A lookups are timed (AAAA when forced to IPv6); both are listed.
+  if (config.phases.includes("dns")) {
+    const family = ep.family === 6 ? 6 : 4;
+    const dnsResults = [];
+    for (let i = 0; i < config.dnsLookups; i++) {
+      const d = await measureDNS(hostname, family);
+      dnsResults.push(d.time);
+      // The family of the records that came back; a failed lookup has none.
+      sink.record({ endpoint: ep.name, url, phase: "dns", round: i + 1, total: d.time, family: d.addresses.length ? family : null, error: d.error });
+    }
+    dnsAvg = dnsResults.reduce((a, b) => a + b, 0) / dnsResults.length;
+    const [a, aaaa] = [await measureDNS(hostname, 4), await measureDNS(hostname, 6)];
+    log(`    DNS:     avg ${colorLatency(dnsAvg)} (${config.dnsLookups} ${family === 6 ? "AAAA" : "A"} lookups) | IPv4: ${a.addresses.join(", ") || "N/A"} | IPv6: ${aaaa.addresses.join(", ") || "N/A"}`);
+  }
+
+  // TCP+TLS
+  if (config.phases.includes("tcp-tls")) {
+    if (!secure) {
+      log(dim(`    TCP+TLS: skipped (plain ${parsed.protocol.slice(0, -1)})`));
+    } else {
+      try {
+        const t = await measureTCPTLS(hostname, Number(parsed.port) || 443, config.httpTimeoutMs, connectOptions(ep));
+        sink.record({ endpoint: ep.name, url, phase: "tcp-tls", round: 1, total: t.total, family: t.family, tcp: t.tcp, tls: t.tls });
+        const { session, ...details } = t;
+        tlsDetails = details;
+        log(`    TCP+TLS: ${colorLatency(t.total)} ${dim(`(tcp ${t.tcp.toFixed(1)} + tls ${t.tls.toFixed(1)})`)} | ${t.protocol} ${t.cipher} | ALPN ${t.alpn || "none"} | OCSP ${t.ocspStapled ? green("stapled") : dim("not stapled")}`);
+        const [leaf] = t.certificates;
+        if (leaf) {
+          const days = leaf.daysLeft;
+          const expiry = `expires ${leaf.validTo.slice(0, 10)} (${days} days)`;
+          log(`    Cert:    ${t.certificates.map((c) => c.subject).join(" ← ")} | ${leaf.key || "?"} | ${days < 14 ? red(expiry) : days < 30 ? yellow(expiry) : dim(expiry)}`);
+        }
+      } catch (err) {
+        sink.record({ endpoint: ep.name, url, phase: "tcp-tls", round: 1, ...errorFields(err) });
+        log(`    TCP+TLS: ${red("ERROR - " + err.message)}`);
+      }
+    }
+  }
+
+  return { dns: dnsAvg, tls: tlsDetails };
+}
+
+// ── TLS experiments ─────────────────────────────────────────────────
+// Full handshakes against resumed ones (session ticket from the previous
+// connection, as Node's HTTPS agent reuses them), and full handshakes with
+// TLS 1.2 and TLS 1.3 forced. The four run interleaved, round by round, so
+// network drift affects them equally.
+const TLS_MODES = {
+  full: { label: "Full", phase: "tls-full", connect: {} },
+  resumed: { label: "Resumed", phase: "tls-resumed", connect: {} },
+  "TLSv1.2": { label: "TLS 1.2", phase: "tls-1.2", connect: { minVersion: "TLSv1.2", maxVersion: "TLSv1.2" } },
+  "TLSv1.3": { label: "TLS 1.3", phase: "tls-1.3", connect: { minVersion: "TLSv1.3", maxVersion: "TLSv1.3" } },
+};
+
+async function runTLS(ep, config, sink, details) {
+  const parsed = new URL(ep.url);
+  const secure = parsed.protocol === "https:" || parsed.protocol === "wss:";
+  const base = { name: ep.name, url: ep.url, details };
+  if (!config.phases.includes("tls") || !secure) return { ...base, modes: null };
+
+  const port = Number(parsed.port) || 443;
+  const connect = connectOptions(ep);
+  log(dim(`\n    --- TLS (full vs resumed, TLS 1.2 vs 1.3 × ${config.rounds} rounds) ---`));
+
+  const modes = Object.fromEntries(Object.keys(TLS_MODES).map((m) => [m, { times: [], errors: [], reused: 0 }]));
+  let session = null;
+  try {
+    session = (await measureTCPTLS(parsed.hostname, port, config.httpTimeoutMs, connect, { keepSession: true })).session;
+  } catch {}
+
+  for (let i = 0; i < config.rounds; i++) {
+    for (const [mode, { phase, connect: forced }] of Object.entries(TLS_MODES)) {
+      const resume = mode === "resumed";
+      const sample = { endpoint: ep.name, url: ep.url, phase, round: i + 1 };
+      try {
+        const t = await measureTCPTLS(parsed.hostname, port, config.httpTimeoutMs, { ...connect, ...forced, ...(resume && session && { session }) }, { keepSession: resume });
+        if (resume) {
+          session = t.session ?? session;
+          if (t.resumed) modes[mode].reused++;
+        }
+        modes[mode].times.push(t.total);
+        sink.record({ ...sample, total: t.total, family: t.family, tcp: t.tcp, tls: t.tls });
+      } catch (err) {
+        modes[mode].errors.push(err.code || err.message);
+        sink.record({ ...sample, ...errorFields(err) });
+      }
+      await betweenRounds(config.delayBetweenMs);
+    }
+  }
+
+  for (const [mode, m] of Object.entries(modes)) {
+    m.stats = computeStats(m.times, config);
+    const extra = mode === "resumed" ? dim(` (resumed ${m.reused}/${m.times.length})`) : "";
+    const errors = m.errors.length ? red(` (${m.errors.length} errors: ${m.errors[0]})`) : "";
+    log(`    ${TLS_MODES[mode].label.padEnd(8)} ${m.stats ? `Med: ${colorLatency(m.stats.median)} | P95: ${colorLatency(m.stats.p95)}` : red("all failed")}${extra}${errors}`);
+  }
+
+  const { full, resumed } = modes;
+  if (full.stats && resumed.stats && resumed.reused) {
+    const saved = full.stats.median - resumed.stats.median;
+    log(`    ${bold(`Resumption saves ${saved.toFixed(1)}ms (${((saved / full.stats.median) * 100).toFixed(1)}%) per new connection`)}`);
+  } else if (resumed.times.length && !resumed.reused) {
+    log(yellow("    The server did not resume any session (no tickets, or tickets not accepted)."));
+  }
+  return { ...base, modes };
+}
+
+// ── Per-IP probes ───────────────────────────────────────────────────
+// Repeats the connection-level phases against every resolved address of
+// the host, with the hostname still used for SNI and the Host header, so
+// each row shows what pinning that IP in /etc/hosts would give.
+const PER_IP_PHASES = { api: ["tcp-tls", "cold"], ws: ["tcp-tls", "ws-handshake"] };
+const PER_IP_KEYS = { "tcp-tls": "tcpTls", cold: "cold", "ws-handshake": "handshake" };
+
+async function runPerIP(ep, kind, config, sink) {
+  const parsed = new URL(ep.url);
+  const secure = parsed.protocol === "https:" || parsed.protocol === "wss:";
+  const port = Number(parsed.port) || (secure ? 443 : 80);
+  const phases = PER_IP_PHASES[kind].filter((p) => config.phases.includes(p) && (p !== "tcp-tls" || secure));
+  if (!config.perIp || !phases.length) return { name: ep.name, url: ep.url, skipped: true };
+
+  const addresses = await resolveAddresses(parsed.hostname, ep.family);
+  log(dim(`
+    --- Per-IP (${phases.join(", ")} × ${config.rounds} rounds on ${addresses.length} address${addresses.length === 1 ? "" : "es"}) ---`));
+  if (!addresses.length) log(red(`    Could not resolve ${parsed.hostname}.`));
+
+  const width = Math.max(16, ...addresses.map((a) => a.length));
+  const results = [];
+  for (const address of addresses) {
+    const pinned = { ...ep, address };
+    const entry = { address };
+    for (const phase of phases) {
+      const field = phase === "cold" ? "ttfb" : "total";
+      const times = [];
+      const errorTypes = [];
+      for (let i = 0; i < config.rounds; i++) {
+        const sample = { endpoint: ep.name, url: ep.url, address, phase, round: i + 1 };
+        try {
+          const t = phase === "tcp-tls"
+            ? (await measureTCPTLS(parsed.hostname, port, config.httpTimeoutMs, connectOptions(pinned))).total
+            : phase === "cold"
+              ? checkStatus(await measureHTTP(pinned, config.httpTimeoutMs)).ttfb
+              : (await measureWS(pinned, config.wsTimeoutMs)).total;
+          times.push(t);
+          sink.record({ ...sample, [field]: t });
+        } catch (err) {
+          errorTypes.push(classifyError(err));
+          sink.record({ ...sample, ...errorFields(err) });
+        }
+        await betweenRounds(config.delayBetweenMs);
+      }
+      entry[PER_IP_KEYS[phase]] = { stats: computeStats(times, config), errors: errorTypes.length, errorTypes: countErrorTypes(errorTypes), rounds: config.rounds };
+    }
+    results.push(entry);
+
+    const parts = phases.map((p) => {
+      const r = entry[PER_IP_KEYS[p]];
+      return `${p} ${r.stats ? colorLatency(r.stats.median) : red("ERR")}${r.errors ? red(` (${r.errors} err)`) : ""}`;
+    });
+    log(`    ${address.padEnd(width)} ${parts.join(dim(" | "))}`);
+  }
+
+  return { name: ep.name, url: ep.url, hostname: parsed.hostname, phases, addresses: results };
+}
+
+// ── Measured rounds (with the retry policy) ─────────────────────────
+// Every attempt is recorded (numbered once retries are on) and printed. The
+// phase's stats and error counts only use first attempts, so retrying never
+// hides a failure or makes a flaky endpoint look fast; rounds that were
+// retried are tallied apart, with their effective latency: the time lost to
+// failed attempts and backoff plus the latency of the attempt that worked.
+function createTally() {
+  return { times: [], errorTypes: [], retried: 0, recovered: 0, attempts: 0, effective: [] };
+}
+
+// Resolves with the first attempt's measurement, or null when it failed.
+async function measureRound(config, sink, sample, tally, { attempt, fields, latency, describe }) {
+  const retrying = config.retry.retries > 0;
+  let first = null;
+  const r = await withRetry(attempt, config.retry, (n, m, err) => {
+    if (n === 1) first = { m, err };
+    const row = { ...sample, ...(retrying && { attempt: n }) };
+    sink.record(err ? { ...row, ...errorFields(err) } : { ...row, ...fields(m) });
+    const prefix = n === 1 ? `    #${String(sample.round).padStart(2)}  ` : `         ${yellow(`retry ${n - 1}`)}  `;
+    write(`${prefix}${err ? red("ERROR: " + err.message) : describe(m)}\n`);
+  });
+
+  if (first.m) {
+    tally.times.push(latency(first.m));
+    tally.effective.push(latency(first.m));
+    return first.m;
+  }
+  tally.errorTypes.push(classifyError(first.err));
+  if (r.attempts > 1) {
+    tally.retried++;
+    tally.attempts += r.attempts - 1;
+    if (r.value) {
+      tally.recovered++;
+      tally.effective.push(r.lost + latency(r.value));
+    }
+  }
+  return null;
+}
+
+// The report's view of a tally; null while retries are off.
+function retrySummary(tally, config) {
+  if (!config.retry.retries) return null;
+  return {
+    retried: tally.retried,
+    recovered: tally.recovered,
+    attempts: tally.attempts,
+    effective: computeStats(tally.effective, config),
+  };
+}
+
+function logRetries(label, retry) {
+  if (!retry?.retried) return;
+  const effective = retry.effective ? ` | effective Med: ${colorLatency(retry.effective.median)} | P95: ${colorLatency(retry.effective.p95)}` : "";
+  log(yellow(`    ${label} → ${retry.retried} rounds retried (${retry.attempts} retries), ${retry.recovered} recovered`) + effective);
+}
+
+// ── Clock offset (NTP) ──────────────────────────────────────────────
+const signedMs = (v) => `${v >= 0 ? "+" : ""}${v.toFixed(2)}ms`;
+
+async function runClock(config, sink) {
+  const { ntpServer, ntpSamples } = config;
+  const source = `${net.isIPv6(ntpServer.host) ? `[${ntpServer.host}]` : ntpServer.host}:${ntpServer.port}`;
+  log(bold("\n══════════════════════════════════════════════════════════════"));
+  log(bold("  Clock Offset (SNTP)"));
+  log(bold(`  Server: ${source} | Queries: ${ntpSamples}`));
+  log(bold("══════════════════════════════════════════════════════════════\n"));
+
+  const sample = { endpoint: source, url: `ntp://${source}`, phase: "clock" };
+  const clock = await measureClockOffset(ntpServer, {
+    samples: ntpSamples,
+    timeout: config.dnsTimeoutMs,
+    onSample: ({ round, result, error }) => {
+      if (error) {
+        sink.record({ ...sample, round, ...errorFields(error) });
+        write(`    #${String(round).padStart(2)}  ${red("ERROR: " + error.message)}\n`);
+      } else {
+        sink.record({ ...sample, round, total: result.delay });
+        write(`    #${String(round).padStart(2)}  offset ${signedMs(result.offset)}  delay ${colorLatency(result.delay)}  ${dim(`stratum ${result.stratum}`)}\n`);
+      }
+    },
+  });
+
+  log(`    ${dim("────────────────────────────────────────────────")}`);
+  if (clock.offset == null) {
+    log(red(`    No NTP replies: one-way delays are not estimated.`));
+  } else {
+    log(`    Offset → ${bold(signedMs(clock.offset))} ± ${clock.uncertainty.toFixed(2)}ms ${dim(`(server − local, best of ${clock.samples}; spread ${clock.spread.toFixed(2)}ms)`)}`);
+  }
+  log("");
+  return clock;
+}
+
+function logOneWay(label, oneWay) {
+  if (!oneWay) return;
+  if (!oneWay.samples) {
+    log(yellow(`    ${label} → no usable Date headers${oneWay.inconsistent ? ` (${oneWay.inconsistent} outside their own round trip: is the server's clock off?)` : ""}`));
+    return;
+  }
+  const dir = (b) => `~${b.estimate.toFixed(1)}ms ${dim(`(${b.low.toFixed(1)}–${b.high.toFixed(1)})`)}`;
+  const note = `${oneWay.samples} Date headers${oneWay.inconsistent ? `, ${oneWay.inconsistent} inconsistent` : ""}`;
+  log(`    ${label} → Up: ${dir(oneWay.upstream)} | Down: ${dir(oneWay.downstream)} ${dim(`(${note})`)}`);
+}
+
+// ── Run API tests (cold + keep-alive) ───────────────────────────────
+// With a clock offset, the Date headers of first attempts also give one-way
+// delay estimates.
+async function runAPITests(config, sink, clock = null) {
+  const { warmupRounds, rounds, delayBetweenMs, httpTimeoutMs } = config;
+
+  log(bold("\n══════════════════════════════════════════════════════════════"));
+  log(bold("  REST API Latency Test (Cold Connection)"));
+  log(bold(`  Warmup: ${warmupRounds} | Measured rounds: ${rounds} | Delay: ${delayBetweenMs}ms`));
+  log(bold("══════════════════════════════════════════════════════════════\n"));
+
+  const coldResults = [];
+  const keepAliveResults = [];
+  const perIpResults = [];
+  const tlsResults = [];
+  const h2Results = [];
+  const payloadResults = [];
+
+  for (const ep of config.api) {
+    log(`  ${cyan(ep.name)} ${dim(ep.url + (ep.path || ""))}`);
+
+    const { dns: dnsAvg, tls: tlsDetails } = await probeConnection(ep, config, sink);
+    tlsResults.push(await runTLS(ep, config, sink, tlsDetails));
+    const skipped = { name: ep.name, url: ep.url, dns: dnsAvg, stats: null, errors: 0, rounds: 0, skipped: true };
+
+    // ── COLD (no keep-alive) ──
+    let coldStats = null;
+    if (config.phases.includes("cold")) {
+      log(dim(`\n    --- Cold (new connection each request) ---`));
+      write(dim(`    Warming up (${warmupRounds} requests)...`));
+      for (let i = 0; i < warmupRounds; i++) {
+        try { await measureHTTP(ep, httpTimeoutMs); } catch {}
+        await betweenRounds(delayBetweenMs);
+      }
+      log(dim(" done"));
+
+      const cold = createTally();
+      const coldFamilies = {};
+      const coldTimings = Object.fromEntries(TIMING_PHASES.map((p) => [p, []]));
+      const coldDates = [];
+
+      for (let i = 0; i < rounds; i++) {
+        const m = await measureRound(config, sink, { endpoint: ep.name, url: ep.url, phase: "cold", round: i + 1 }, cold, {
+          attempt: async () => checkStatus(await measureHTTP(ep, httpTimeoutMs)),
+          fields: (m) => ({ ...m, ...m.timings }),
+          latency: (m) => m.ttfb,
+          describe: (m) => `TTFB: ${colorLatency(m.ttfb)}  ${dim(`[${m.status}]`)}  ${dim(TIMING_PHASES.map((p) => `${p} ${m.timings[p].toFixed(1)}`).join(" "))}`,
+        });
+        if (m) {
+          countFamily(coldFamilies, m.family);
+          for (const p of TIMING_PHASES) coldTimings[p].push(m.timings[p]);
+          coldDates.push(m);
+        }
+        await betweenRounds(delayBetweenMs);
+      }
+
+      coldStats = computeStats(cold.times, config);
+      const breakdown = coldStats ? Object.fromEntries(TIMING_PHASES.map((p) => [p, computeStats(coldTimings[p], config)])) : null;
+      const retry = retrySummary(cold, config);
+      const oneWay = oneWayFromDates(coldDates, clock);
+      coldResults.push({ name: ep.name, url: ep.url, dns: dnsAvg, stats: coldStats, breakdown, families: coldFamilies, errors: cold.errorTypes.length, errorTypes: countErrorTypes(cold.errorTypes), retry, oneWay, responseBytes: median(coldDates.map((m) => m.size)), rounds });
+      logRetries("Cold retries", retry);
+      if (coldStats) {
+        log(`    ${dim("────────────────────────────────────────────────")}`);
+        log(`    Cold  → Avg: ${colorLatency(coldStats.avg)} | Med: ${colorLatency(coldStats.median)} | P95: ${colorLatency(coldStats.p95)} | StdDev: ${dim(coldStats.stddev.toFixed(2) + "ms")}`);
+        log(dim(`    Median breakdown → ${TIMING_PHASES.map((p) => `${p} ${breakdown[p].median.toFixed(2)}`).join(" | ")}`));
+        log(dim(`    Connected over ${familySummary(coldFamilies)}${ep.family ? "" : " (autoSelectFamily)"}`));
+        logOneWay("One-way", oneWay);
+      } else {
+        log(red(`    All cold rounds failed.`));
+      }
+    } else {
+      coldResults.push(skipped);
+    }
+
+    // ── KEEP-ALIVE (persistent connection) ──
+    let kaStats = null;
+    if (config.phases.includes("keepalive")) {
+      log(dim(`\n    --- Keep-Alive (reused connection) ---`));
+      const agent = createKeepAliveAgent(ep);
+
+      // Warmup keep-alive (establishes the connection)
+      write(dim(`    Establishing connection...`));
+      for (let i = 0; i < warmupRounds; i++) {
+        try { await measureHTTPKeepAlive(ep, agent, httpTimeoutMs); } catch {}
+        await betweenRounds(delayBetweenMs);
+      }
+      log(dim(" done"));
+
+      const ka = createTally();
+      const kaFamilies = {};
+      const kaDates = [];
+
+      for (let i = 0; i < rounds; i++) {
+        const m = await measureRound(config, sink, { endpoint: ep.name, url: ep.url, phase: "keepalive", round: i + 1 }, ka, {
+          attempt: async () => checkStatus(await measureHTTPKeepAlive(ep, agent, httpTimeoutMs)),
+          fields: (m) => m,
+          latency: (m) => m.ttfb,
+          describe: (m) => `TTFB: ${colorLatency(m.ttfb)}  ${dim(`[${m.status}]`)}`,
+        });
+        if (m) {
+          countFamily(kaFamilies, m.family);
+          kaDates.push(m);
+        }
+        await betweenRounds(delayBetweenMs);
+      }
+
+      agent.destroy();
+
+      kaStats = computeStats(ka.times, config);
+      const retry = retrySummary(ka, config);
+      const oneWay = oneWayFromDates(kaDates, clock);
+      keepAliveResults.push({ name: ep.name, url: ep.url, dns: dnsAvg, stats: kaStats, families: kaFamilies, errors: ka.errorTypes.length, errorTypes: countErrorTypes(ka.errorTypes), retry, oneWay, responseBytes: median(kaDates.map((m) => m.size)), rounds });
+      logRetries("KA retries", retry);
+      if (kaStats) {
+        log(`    ${dim("────────────────────────────────────────────────")}`);
+        log(`    KA    → Avg: ${colorLatency(kaStats.avg)} | Med: ${colorLatency(kaStats.median)} | P95: ${colorLatency(kaStats.p95)} | StdDev: ${dim(kaStats.stddev.toFixed(2) + "ms")}`);
+        logOneWay("One-way", oneWay);
+      } else {
+        log(red(`    All keep-alive rounds failed.`));
+      }
+    } else {
+      keepAliveResults.push(skipped);
+    }
+
+    // ── HTTP/2 (single session) ──
+    const h2 = config.phases.includes("h2")
+      ? await runH2(ep, config, sink)
+      : { name: ep.name, url: ep.url, stats: null, errors: 0, rounds: 0, skipped: true };
+    h2Results.push(h2);
+
+    payloadResults.push(config.phases.includes("payload")
+      ? await runPayload(ep, config, sink)
+      : { name: ep.name, url: ep.url, targets: [], skipped: true });
+
+    perIpResults.push(await runPerIP(ep, "api", config, sink));
+
+    // Comparison
+    if (coldStats && kaStats) {
+      const improvement = ((coldStats.median - kaStats.median) / coldStats.median * 100).toFixed(1);
+      log(`\n    ${bold(`Improvement: ${improvement}% faster with keep-alive (${coldStats.median.toFixed(1)}ms → ${kaStats.median.toFixed(1)}ms median)`)}`);
+    }
+    if (kaStats && h2.stats) {
+      log(`    ${bold(`HTTP/2 vs keep-alive: ${h2.stats.median.toFixed(1)}ms vs ${kaStats.median.toFixed(1)}ms median`)}`);
+    }
+    log("");
+  }
+
+  return { coldResults, keepAliveResults, h2Results, payloadResults, perIpResults, tlsResults };
+}
+
+// ── HTTP/2 (one session, optional multiplexing, PING RTT) ───────────
+async function runH2(ep, config, sink) {
+  const { warmupRounds, rounds, delayBetweenMs, httpTimeoutMs, h2Streams } = config;
+  const base = { name: ep.name, url: ep.url, stats: null, multiplexed: null, ping: null, errors: 0, rounds };
+  log(dim(`\n    --- HTTP/2 (single session${h2Streams > 1 ? `, batches of ${h2Streams} streams` : ""}) ---`));
+
+  if (new URL(ep.url).protocol !== "https:") {
+    log(dim("    Skipped: HTTP/2 is negotiated with ALPN, which needs https."));
+    return { ...base, rounds: 0, skipped: true };
+  }
+
+  let opened;
+  try {
+    opened = await openH2Session(ep, httpTimeoutMs);
+  } catch (err) {
+    sink.record({ endpoint: ep.name, url: ep.url, phase: "h2", round: 0, ...errorFields(err) });
+    log(red(`    ERROR: ${err.message}`));
+    return { ...base, supported: null, alpn: null, errors: rounds, errorTypes: { [classifyError(err)]: rounds } };
+  }
+  const { session, alpn, connect, family } = opened;
+  if (!session) {
+    log(yellow(`    Not supported: the server negotiated ${alpn || "no ALPN protocol"} instead of h2.`));
+    return { ...base, supported: false, alpn, connect, rounds: 0 };
+  }
+  log(dim(`    Session open in ${connect.toFixed(1)}ms (ALPN h2, ${FAMILY_LABELS[family] || "?"})`));
+
+  const h2 = createTally();
+  const muxTimes = [];
+  const muxErrors = [];
+  const pings = [];
+  const pingErrors = [];
+  try {
+    write(dim(`    Warming up (${warmupRounds} requests)...`));
+    for (let i = 0; i < warmupRounds; i++) {
+      try { await measureH2Request(session, ep, httpTimeoutMs); } catch {}
+      await betweenRounds(delayBetweenMs);
+    }
+    log(dim(" done"));
+
+    for (let i = 0; i < rounds; i++) {
+      await measureRound(config, sink, { endpoint: ep.name, url: ep.url, phase: "h2", round: i + 1 }, h2, {
+        attempt: async () => checkStatus(await measureH2Request(session, ep, httpTimeoutMs)),
+        fields: (m) => ({ family, ...m }),
+        latency: (m) => m.ttfb,
+        describe: (m) => `TTFB: ${colorLatency(m.ttfb)}  ${dim(`[${m.status}]`)}`,
+      });
+      await betweenRounds(delayBetweenMs);
+    }
+
+    // Batches of concurrent streams: each stream's TTFB from its own start.
+    if (h2Streams > 1) {
+      for (let i = 0; i < rounds; i++) {
+        const batch = await Promise.allSettled(Array.from({ length: h2Streams }, async () => checkStatus(await measureH2Request(session, ep, httpTimeoutMs))));
+        for (const r of batch) {
+          if (r.status === "fulfilled") {
+            muxTimes.push(r.value.ttfb);
+            sink.record({ endpoint: ep.name, url: ep.url, phase: "h2-mux", round: i + 1, family, ...r.value });
+          } else {
+            muxErrors.push(classifyError(r.reason));
+            sink.record({ endpoint: ep.name, url: ep.url, phase: "h2-mux", round: i + 1, ...errorFields(r.reason) });
+          }
+        }
+        await betweenRounds(delayBetweenMs);
+      }
+    }
+
+    for (let i = 0; i < rounds; i++) {
+      try {
+        const rtt = await measureH2Ping(session, config.wsPingTimeoutMs);
+        pings.push(rtt);
+        sink.record({ endpoint: ep.name, url: ep.url, phase: "h2-ping", round: i + 1, total: rtt });
+      } catch (err) {
+        pingErrors.push(classifyError(err));
+        sink.record({ endpoint: ep.name, url: ep.url, phase: "h2-ping", round: i + 1, ...errorFields(err) });
+      }
+      await betweenRounds(delayBetweenMs);
+    }
+  } finally {
+    session.close();
+  }
+
+  const stats = computeStats(h2.times, config);
+  const retry = retrySummary(h2, config);
+  const multiplexed = h2Streams > 1
+    ? { streams: h2Streams, stats: computeStats(muxTimes, config), errors: muxErrors.length, errorTypes: countErrorTypes(muxErrors), requests: rounds * h2Streams }
+    : null;
+  const ping = { stats: computeStats(pings, config), errors: pingErrors.length, errorTypes: countErrorTypes(pingErrors), rounds };
+
+  log(`    ${dim("────────────────────────────────────────────────")}`);
+  log(stats
+    ? `    H2    → Avg: ${colorLatency(stats.avg)} | Med: ${colorLatency(stats.median)} | P95: ${colorLatency(stats.p95)} | StdDev: ${dim(stats.stddev.toFixed(2) + "ms")}`
+    : red("    All HTTP/2 requests failed."));
+  logRetries("H2 retries", retry);
+  if (multiplexed) {
+    log(multiplexed.stats
+      ? `    H2 ×${h2Streams} → Med: ${colorLatency(multiplexed.stats.median)} | P95: ${colorLatency(multiplexed.stats.p95)} per stream${multiplexed.errors ? red(` (${multiplexed.errors} errors)`) : ""}`
+      : red(`    All multiplexed streams failed.`));
+  }
+  if (ping.stats) log(`    PING  → Med: ${colorLatency(ping.stats.median)} | P95: ${colorLatency(ping.stats.p95)}${ping.errors ? red(` (${ping.errors} errors)`) : ""}`);
+
+  return { ...base, supported: true, alpn, connect, family, stats, multiplexed, ping, errors: h2.errorTypes.length, errorTypes: countErrorTypes(h2.errorTypes), retry };
+}
+
+// ── Payload (compression, body size, throughput) ────────────────────
+// Each target (the endpoint's own path, its payloadPaths, then payload.paths)
+// is fetched once per encoding asked for, interleaved round by round so
+// network drift affects them equally. Every encoding has its own keep-alive
+// connection, opened before the first round, so handshakes stay out of it.
+//
+// Effective time = total + decode: what a client waits for before it can
+// use the body. Payload share = (transfer + decode) / effective, per request;
+// over half of it means the body, not the round trip, dominates. Compression
+// pays off when an encoding's median effective time beats identity's.
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const fmtBytes = (n) => (n == null ? "N/A" : n >= 1048576 ? `${(n / 1048576).toFixed(2)} MB` : n >= 1024 ? `${(n / 1024).toFixed(1)} KB` : `${n} B`);
+
+async function runPayload(ep, config, sink) {
+  const { encodings, rounds, paths: extra } = config.payload;
+  const ownPath = ep.path || (() => { const u = new URL(ep.url); return `${u.pathname || "/"}${u.search}`; })();
+  const paths = [...new Set([ownPath, ...(ep.payloadPaths || []), ...extra])];
+  const targets = [];
+
+  for (const path of paths) {
+    const target = { ...ep, path };
+    log(dim(`\n    --- Payload ${path} (${encodings.join(", ")} × ${rounds} rounds) ---`));
+
+    const modes = Object.fromEntries(encodings.map((e) => [e, { agent: createKeepAliveAgent(target), results: [], errors: [] }]));
+    for (const m of Object.values(modes)) {
+      try { await measurePayload(target, m.agent, "identity", config.httpTimeoutMs); } catch {}
+    }
+
+    for (let i = 0; i < rounds; i++) {
+      for (const [encoding, m] of Object.entries(modes)) {
+        const sample = { endpoint: ep.name, url: ep.url + path, phase: `payload-${encoding}`, round: i + 1 };
+        try {
+          const r = checkStatus(await measurePayload(target, m.agent, encoding, config.httpTimeoutMs));
+          m.results.push(r);
+          sink.record({ ...sample, ttfb: r.ttfb, total: r.total, status: r.status, size: r.size, family: r.family });
+        } catch (err) {
+          m.errors.push(classifyError(err));
+          sink.record({ ...sample, ...errorFields(err) });
+        }
+        await betweenRounds(config.delayBetweenMs);
+      }
+    }
+
+    const rows = encodings.map((encoding) => {
+      const { agent, results: rs, errors } = modes[encoding];
+      agent.destroy();
+      const served = {};
+      const cfCacheStatus = {};
+      for (const r of rs) {
+        served[r.encoding] = (served[r.encoding] || 0) + 1;
+        if (r.cache.cfCacheStatus) cfCacheStatus[r.cache.cfCacheStatus] = (cfCacheStatus[r.cache.cfCacheStatus] || 0) + 1;
+      }
+      const decoded = rs.filter((r) => r.decodedSize != null);
+      const transferMs = rs.reduce((n, r) => n + r.transfer, 0);
+      const last = rs[rs.length - 1];
+      return {
+        encoding,
+        served,
+        compressed: rs.some((r) => r.encoding !== "identity"),
+        size: median(rs.map((r) => r.size)),
+        decodedSize: median(decoded.map((r) => r.decodedSize)),
+        ttfb: computeStats(rs.map((r) => r.ttfb), config),
+        transfer: computeStats(rs.map((r) => r.transfer), config),
+        decode: computeStats(decoded.map((r) => r.decodeMs), config),
+        total: computeStats(rs.map((r) => r.total), config),
+        effective: computeStats(decoded.map((r) => r.total + r.decodeMs), config),
+        payloadShare: median(decoded.map((r) => (r.transfer + r.decodeMs) / (r.total + r.decodeMs))),
+        // Bytes per second on the wire while the body streamed in; none when
+        // it came in one read.
+        throughput: transferMs >= 1 ? rs.reduce((n, r) => n + r.size, 0) / (transferMs / 1000) : null,
+        contentType: last?.contentType ?? null,
+        cache: { age: last?.cache.age ?? null, cfCacheStatus, cacheControl: last?.cache.cacheControl ?? null },
+        errors: errors.length,
+        errorTypes: countErrorTypes(errors),
+        rounds,
+      };
+    });
+
+    const identity = rows.find((r) => r.encoding === "identity" && r.effective);
+    for (const r of rows) {
+      r.savedMs = identity && r !== identity && r.compressed && r.effective ? identity.effective.median - r.effective.median : null;
+      const ratio = r.size && r.decodedSize ? ` (${((r.size / r.decodedSize) * 100).toFixed(0)}%)` : "";
+      const servedAs = Object.keys(r.served).filter((e) => e !== r.encoding);
+      log(`    ${r.encoding.padEnd(8)} ${r.total
+        ? `${fmtBytes(r.size).padStart(9)} → ${fmtBytes(r.decodedSize).padEnd(9)}${dim(ratio.padEnd(7))} | TTFB ${colorLatency(r.ttfb.median)} | transfer ${r.transfer.median.toFixed(1)}ms | decode ${r.decode ? r.decode.median.toFixed(2) : "N/A"}ms | total ${colorLatency(r.total.median)}${r.throughput ? dim(` | ${fmtBytes(Math.round(r.throughput))}/s`) : ""}`
+        : red("all failed")}${servedAs.length ? yellow(` (served ${servedAs.join(", ")})`) : ""}${r.errors ? red(` (${r.errors} errors)`) : ""}`);
+    }
+
+    const ok = rows.filter((r) => r.effective);
+    const best = ok.reduce((a, b) => (!a || b.effective.median < a.effective.median ? b : a), null);
+    const any = ok[0];
+    if (any) {
+      const cf = Object.entries(any.cache.cfCacheStatus).map(([s, n]) => `${s}×${n}`).join(" ");
+      log(dim(`    ${any.contentType || "no content-type"} | Age ${any.cache.age ?? "none"} | CF-Cache-Status ${cf || "none"} | Cache-Control ${any.cache.cacheControl || "none"}`));
+    }
+    if (best) {
+      const share = (best.payloadShare * 100).toFixed(0);
+      log(`    ${bold(best.payloadShare > 0.5
+        ? `Payload dominates: transfer + decode is ${share}% of the time with ${best.encoding}`
+        : `Round trip dominates: transfer + decode is ${share}% of the time with ${best.encoding}`)}`);
+      const pays = ok.filter((r) => r.savedMs != null).sort((a, b) => b.savedMs - a.savedMs);
+      if (!identity) {
+        // Nothing to compare against.
+      } else if (!pays.length) {
+        log(yellow(`    The server compressed none of the responses.`));
+      } else if (pays[0].savedMs > 0) {
+        log(`    ${bold(`Compression pays off: ${pays[0].encoding} saves ${pays[0].savedMs.toFixed(1)}ms (${((pays[0].savedMs / identity.effective.median) * 100).toFixed(1)}%) per request`)}`);
+      } else {
+        log(yellow(`    Compression does not pay off: the best, ${pays[0].encoding}, is ${(-pays[0].savedMs).toFixed(1)}ms slower than identity`));
+      }
+    }
+
+    targets.push({ path, rows, best: best?.encoding ?? null, dominant: best ? (best.payloadShare > 0.5 ? "payload" : "rtt") : null });
+  }
+  return { name: ep.name, url: ep.url, targets };
+}
+
+// ── Run WS tests (handshake + ping/pong) ────────────────────────────
+async function runWSTests(config, sink, clock = null) {
+  const { warmupRounds, rounds, delayBetweenMs, wsTimeoutMs, wsPingRounds } = config;
+
+  log(bold("\n══════════════════════════════════════════════════════════════"));
+  log(bold("  WebSocket Latency Test"));
+  log(bold(`  Handshake: ${rounds} rounds | Ping/Pong: ${wsPingRounds} pings per connection`));
+  log(bold("══════════════════════════════════════════════════════════════\n"));
+
+  const handshakeResults = [];
+  const pingResults = [];
+  const subscribeResults = [];
+  const perIpResults = [];
+  const tlsResults = [];
+
+  for (const ep of config.ws) {
+    log(`  ${cyan(ep.name)} ${dim(ep.url)}`);
+
+    const { dns: dnsAvg, tls: tlsDetails } = await probeConnection(ep, config, sink);
+    tlsResults.push(await runTLS(ep, config, sink, tlsDetails));
+
+    // ── HANDSHAKE (new connection each time) ──
+    let hsStats = null;
+    if (config.phases.includes("ws-handshake")) {
+      log(dim(`\n    --- Handshake (new connection each time) ---`));
+      write(dim(`    Warming up (${warmupRounds} connections)...`));
+      for (let i = 0; i < warmupRounds; i++) {
+        try { await measureWS(ep, wsTimeoutMs); } catch {}
+        await betweenRounds(delayBetweenMs);
+      }
+      log(dim(" done"));
+
+      const hs = createTally();
+      const hsFamilies = {};
+
+      for (let i = 0; i < rounds; i++) {
+        const m = await measureRound(config, sink, { endpoint: ep.name, url: ep.url, phase: "ws-handshake", round: i + 1 }, hs, {
+          attempt: () => measureWS(ep, wsTimeoutMs),
+          fields: (m) => m,
+          latency: (m) => m.total,
+          describe: (m) => `Handshake: ${colorLatency(m.total)}`,
+        });
+        if (m) countFamily(hsFamilies, m.family);
+        await betweenRounds(delayBetweenMs);
+      }
+
+      hsStats = computeStats(hs.times, config);
+      const retry = retrySummary(hs, config);
+      handshakeResults.push({ name: ep.name, url: ep.url, dns: dnsAvg, stats: hsStats, families: hsFamilies, errors: hs.errorTypes.length, errorTypes: countErrorTypes(hs.errorTypes), retry, rounds });
+      logRetries("Handshake retries", retry);
+      if (hsStats) {
+        log(`    ${dim("────────────────────────────────────────────────")}`);
+        log(`    Handshake → Avg: ${colorLatency(hsStats.avg)} | Med: ${colorLatency(hsStats.median)} | P95: ${colorLatency(hsStats.p95)}`);
+        log(dim(`    Connected over ${familySummary(hsFamilies)}${ep.family ? "" : " (autoSelectFamily)"}`));
+      } else {
+        log(red(`    All handshake rounds failed.`));
+      }
+    } else {
+      handshakeResults.push({ name: ep.name, url: ep.url, dns: dnsAvg, stats: null, errors: 0, rounds: 0, skipped: true });
+    }
+
+    // ── PING/PONG (persistent connection RTT) ──
+    if (config.phases.includes("ws-ping")) {
+      log(dim(`\n    --- Ping/Pong RTT (persistent connection) ---`));
+      const pingErrors = [];
+      const pingTimes = [];
+      let pinged = 0;
+      try {
+        await measureWSPingPong(ep, {
+          rounds: wsPingRounds,
+          interval: config.wsPingIntervalMs,
+          timeout: wsTimeoutMs,
+          pingTimeout: config.wsPingTimeoutMs,
+          onPing: (round, rtt, err) => {
+            pinged = round;
+            const sample = { endpoint: ep.name, url: ep.url, phase: "ws-ping", round };
+            if (err) {
+              pingErrors.push(classifyError(err));
+              sink.record({ ...sample, ...errorFields(err) });
+            } else {
+              pingTimes.push(rtt);
+              sink.record({ ...sample, total: rtt });
+            }
+            write(`    #${String(round).padStart(2)}  ${err ? red("ERROR: " + err.message) : `RTT: ${colorLatency(rtt)}`}\n`);
+          },
+        });
+      } catch (err) {
+        // The connection failed or dropped: the pings left fail with its error.
+        log(`    ${red("ERROR: " + err.message)}`);
+        const type = classifyError(err);
+        for (let round = pinged + 1; round <= wsPingRounds; round++) {
+          pingErrors.push(type);
+          sink.record({ endpoint: ep.name, url: ep.url, phase: "ws-ping", round, ...errorFields(err) });
+        }
+      }
+
+      const pingStats = computeStats(pingTimes, config);
+      pingResults.push({ name: ep.name, url: ep.url, stats: pingStats, errors: pingErrors.length, errorTypes: countErrorTypes(pingErrors), rounds: wsPingRounds });
+      if (pingStats) {
+        log(`    ${dim("────────────────────────────────────────────────")}`);
+        log(`    Ping RTT → Avg: ${colorLatency(pingStats.avg)} | Med: ${colorLatency(pingStats.median)} | P95: ${colorLatency(pingStats.p95)}`);
+      }
+
+      // Comparison
+      if (hsStats && pingStats) {
+        const improvement = ((hsStats.median - pingStats.median) / hsStats.median * 100).toFixed(1);
+        log(`\n    ${bold(`Improvement: ${improvement}% faster persistent vs handshake (${hsStats.median.toFixed(1)}ms → ${pingStats.median.toFixed(1)}ms median)`)}\n`);
+      }
+    } else {
+      pingResults.push({ name: ep.name, url: ep.url, stats: null, errors: 0, rounds: 0, skipped: true });
+    }
+
+    // ── SUBSCRIBE (application-level message latency) ──
+    if (config.phases.includes("ws-subscribe") && ep.subscribe) {
+      subscribeResults.push(await runSubscribe(ep, config, sink, clock));
+    } else {
+      if (config.phases.includes("ws-subscribe")) log(dim(`\n    --- Subscribe: skipped (no "subscribe" config for this endpoint) ---`));
+      subscribeResults.push({ name: ep.name, url: ep.url, skipped: true });
+    }
+
+    perIpResults.push(await runPerIP(ep, "ws", config, sink));
+    log("");
+  }
+
+  return { handshakeResults, pingResults, subscribeResults, perIpResults, tlsResults };
+}
+
+// ── WS subscribe (application-level latency) ────────────────────────
+async function runSubscribe(ep, config, sink, clock) {
+  log(dim(`\n    --- Subscribe (application messages for ${config.subscribeDurationMs}ms) ---`));
+  const base = { name: ep.name, url: ep.url, durationMs: config.subscribeDurationMs };
+  try {
+    const r = await measureWSSubscribe(ep, {
+      durationMs: config.subscribeDurationMs,
+      timeout: config.wsTimeoutMs,
+      onMessage: (m) =>
+        sink.record({ endpoint: ep.name, url: ep.url, phase: "ws-message", round: m.index, total: m.delay, size: m.size, error: m.error }),
+    });
+    if (r.firstMessage != null) {
+      sink.record({ endpoint: ep.name, url: ep.url, phase: "ws-subscribe", round: 1, total: r.firstMessage });
+    }
+
+    const delay = computeStats(r.delays, config);
+    const gap = computeStats(r.gaps, config);
+    const oneWay = oneWayFromTimestamps(r.delays, clock, config);
+    log(`    First message: ${r.firstMessage != null ? colorLatency(r.firstMessage) : red("none")} | ${r.messages} messages, ${r.events} events, ${(r.bytes / 1024).toFixed(1)} KB`);
+    if (oneWay) {
+      const { downstream: d, uncertainty } = oneWay;
+      log(`    Delivery delay → Med: ${colorLatency(d.median)} | P95: ${colorLatency(d.p95)} | Min: ${colorLatency(d.min)} ${dim(`(clock-corrected, ± ${uncertainty.toFixed(2)}ms)`)}`);
+    } else if (delay) {
+      log(`    Delivery delay → Med: ${colorLatency(delay.median)} | P95: ${colorLatency(delay.p95)} | Min: ${colorLatency(delay.min)} ${dim("(includes clock offset)")}`);
+    }
+    else if (r.messages) log(dim(`    No server timestamps found in messages.`));
+    if (gap) log(`    Message gap    → Med: ${colorLatency(gap.median)} | P95: ${colorLatency(gap.p95)} | Max: ${colorLatency(gap.max)}`);
+    if (r.close) log(yellow(`    Server closed the socket early (${r.close.code}${r.close.reason ? ` ${r.close.reason}` : ""})`));
+
+    return {
+      ...base,
+      firstMessage: r.firstMessage,
+      messages: r.messages,
+      events: r.events,
+      bytes: r.bytes,
+      delay,
+      gap,
+      oneWay,
+      errors: r.parseErrors,
+      missingTimestamps: r.missingTimestamps,
+      close: r.close,
+    };
+  } catch (err) {
+    sink.record({ endpoint: ep.name, url: ep.url, phase: "ws-subscribe", round: 1, ...errorFields(err) });
+    log(`    ${red("ERROR: " + err.message)}`);
+    return { ...base, firstMessage: null, messages: 0, events: 0, bytes: 0, delay: null, gap: null, errors: 1, error: err.message };
+  }
+}
+
+// ── Authenticated CLOB (L2 headers, market data, order round trip) ──
+const shortToken = (t) => (t && t.length > 14 ? `${t.slice(0, 6)}…${t.slice(-4)}` : t);
+
+async function runCLOBTests(config, sink) {
+  let clob = config.clob;
+  let mock = null;
+
+  log(bold("\n══════════════════════════════════════════════════════════════"));
+  log(bold("  CLOB API (authenticated)"));
+  log(bold(`  Market data: ${config.rounds} rounds per token | Orders: post → cancel`));
+  log(bold("══════════════════════════════════════════════════════════════\n"));
+
+  // Dry run: a local mock with throwaway credentials and dummy orders.
+  if (clob.dryRun) {
+    const credentials = {
+      apiKey: crypto.randomUUID(),
+      secret: crypto.randomBytes(32).toString("base64"),
+      passphrase: crypto.randomBytes(16).toString("hex"),
+    };
+    mock = createMockClobServer({ port: 0, credentials });
+    const { address, port } = await mock.start();
+    const tokenIds = clob.tokenIds.length ? clob.tokenIds : ["mock-token"];
+    clob = {
+      ...clob,
+      ...credentials,
+      address: clob.address || `0x${"0".repeat(40)}`,
+      url: `http://${address}:${port}`,
+      tokenIds,
+      orders: clob.orders.length ? clob.orders : Array.from({ length: config.rounds }, (_, i) => sampleOrder(tokenIds[0], i)),
+    };
+    log(dim(`  Dry run against a local mock CLOB at ${clob.url}`));
+  } else if (!clob.tokenIds.length && !hasCredentials(clob)) {
+    log(yellow("  Nothing to probe: set clob.tokenIds (--token) and/or API credentials, or use --clob-dry-run.\n"));
+    return { name: clob.name, url: clob.url, skipped: true };
+  }
+
+  log(`  ${cyan(clob.name)} ${dim(clob.url)} ${dim(hasCredentials(clob) ? "(L2 signed)" : "(unsigned)")}`);
+  if (clob.orders.length && !clob.dryRun) {
+    log(yellow(`  Posting ${clob.orders.length} live order(s); each is cancelled as soon as it is acknowledged.`));
+  }
+
+  let r;
+  try {
+    r = await runClob(clob, {
+      rounds: config.rounds,
+      warmupRounds: config.warmupRounds,
+      delayMs: config.delayBetweenMs,
+      timeout: config.httpTimeoutMs,
+      onSample: ({ step, ...sample }) => sink.record({ endpoint: clob.name, url: clob.url, phase: `clob-${step}`, ...sample }),
+    });
+  } finally {
+    if (mock) await mock.stop();
+  }
+
+  const steps = r.steps.map((e) => ({ ...e, stats: computeStats(e.times, config), rounds: config.rounds }));
+  for (const e of steps) {
+    const label = `${e.step}${e.tokenId ? ` ${shortToken(e.tokenId)}` : ""}`.padEnd(24);
+    log(`    ${label} ${e.stats ? `Med: ${colorLatency(e.stats.median)} | P95: ${colorLatency(e.stats.p95)}` : red("all failed")}${e.errors.length ? red(` (${e.errors.length} errors: ${e.errors[0]})`) : ""}`);
+  }
+
+  const { post, cancel, roundTrip, rejected, leftOpen } = r.orders;
+  const orders = clob.orders.length ? {
+    count: clob.orders.length,
+    post: computeStats(post.times, config),
+    cancel: computeStats(cancel.times, config),
+    roundTrip: computeStats(roundTrip, config),
+    errors: { post: post.errors, cancel: cancel.errors },
+    rejected,
+    leftOpen,
+  } : null;
+  if (orders) {
+    log(dim(`\n    --- Order round trip (${orders.count} order${orders.count === 1 ? "" : "s"}) ---`));
+    for (const [label, stats] of [["Submit", orders.post], ["Cancel", orders.cancel], ["Submit+cancel", orders.roundTrip]]) {
+      log(`    ${label.padEnd(14)} ${stats ? `Med: ${colorLatency(stats.median)} | Min: ${colorLatency(stats.min)} | Max: ${colorLatency(stats.max)}` : red("no data")}`);
+    }
+    for (const err of [...post.errors, ...cancel.errors]) log(red(`    ERROR: ${err}`));
+    for (const msg of rejected) log(yellow(`    Rejected: ${msg}`));
+    if (leftOpen.length) log(red(bold(`    WARNING: ${leftOpen.length} order(s) may still be open: ${leftOpen.join(", ")}`)));
+  }
+  log("");
+
+  return { name: r.name, url: r.dryRun ? "mock" : r.url, signed: r.signed, dryRun: r.dryRun, steps, orders };
+}
+
+// ── Network path (TCP traceroute per resolved address) ──────────────
+// Endpoints that share a host, port and family are traced once.
+async function runPathTests(config, sink) {
+  const { pathProbes: probes, pathMaxHops: maxHops } = config;
+  log(bold("\n══════════════════════════════════════════════════════════════"));
+  log(bold("  Network Path (TCP traceroute)"));
+  log(bold(`  ${probes} probes per hop | max ${maxHops} hops`));
+  log(bold("══════════════════════════════════════════════════════════════\n"));
+
+  const tool = findPathTool();
+  if (!tool) {
+    log(yellow(`  Skipped: no traceroute tool found (install ${PATH_TOOLS.join(" or ")}).\n`));
+    return { skipped: true };
+  }
+  log(dim(`  Using ${tool.file}`));
+
+  const targets = new Map();
+  for (const ep of [...config.api, ...config.ws]) {
+    const parsed = new URL(ep.url);
+    const port = Number(parsed.port) || (["https:", "wss:"].includes(parsed.protocol) ? 443 : 80);
+    const key = `${parsed.hostname}:${port}:${ep.family ?? "auto"}`;
+    if (!targets.has(key)) targets.set(key, { hostname: parsed.hostname, port, family: ep.family ?? null, url: ep.url, endpoints: [] });
+    targets.get(key).endpoints.push(ep.name);
+  }
+
+  const results = [];
+  for (const target of targets.values()) {
+    log(`\n  ${cyan(`${target.hostname}:${target.port}`)} ${dim(`(${target.endpoints.join(", ")})`)}`);
+    const addresses = await resolveAddresses(target.hostname, target.family);
+    if (!addresses.length) log(red(`    Could not resolve ${target.hostname}.`));
+
+    const entry = { ...target, addresses: [] };
+    for (const address of addresses) {
+      const sample = { endpoint: target.hostname, url: target.url, address, family: net.isIP(address), phase: "path" };
+      write(dim(`    ${address}: tracing...`));
+      try {
+        const trace = await tracePath(address, { port: target.port, probes, maxHops, tool });
+        entry.addresses.push({ address, ...trace });
+        log(dim(` ${trace.hops.length} hops${trace.reached ? "" : red(", destination not reached")}`));
+        for (const h of trace.hops) {
+          sink.record({ ...sample, round: h.hop, total: h.avg, error: h.address ? null : "no reply" });
+          const who = h.address ? `${h.address}${h.hostname ? dim(` ${h.hostname}`) : ""}` : dim("???");
+          const loss = h.loss ? (h.loss === 100 ? red(" 100% loss") : yellow(` ${h.loss}% loss`)) : "";
+          log(`     ${String(h.hop).padStart(2)}  ${h.avg != null ? colorLatency(h.avg) : dim("   -    ")}  ${dim((h.asn || "").padEnd(8))} ${who}${loss}`);
+        }
+      } catch (err) {
+        entry.addresses.push({ address, tool: tool.name, hops: [], reached: false, error: err.message });
+        sink.record({ ...sample, ...errorFields(err) });
+        log(red(` ERROR: ${err.message}`));
+      }
+    }
+    results.push(entry);
+  }
+  log("");
+  return { tool: tool.name, targets: results };
+}
+
+// ── JSON report ─────────────────────────────────────────────────────
+function buildReport(serverInfo, config, apiData, wsData, clobData, pathData, clockData = null) {
+  const fmt = (v) => (v == null || isNaN(v)) ? null : +v.toFixed(2);
+  const withHistogram = { histogram: true };
+  const familyOf = (ep) => FAMILY_LABELS[ep?.family ?? "auto"];
+  const fmtPerIp = (r) => r && !r.skipped ? r.addresses.map((a) => ({
+    address: a.address,
+    ...Object.fromEntries(Object.values(PER_IP_KEYS).filter((k) => a[k]).map((k) => [k, { ...formatStats(a[k].stats), errors: a[k].errors, errorTypes: a[k].errorTypes, rounds: a[k].rounds }])),
+  })) : null;
+  const fmtTLS = (r) => r && (r.details || r.modes) ? {
+    ...r.details,
+    ...(r.details && { total: fmt(r.details.total), tcp: fmt(r.details.tcp), tls: fmt(r.details.tls) }),
+    modes: r.modes && Object.fromEntries(Object.entries(r.modes).map(([mode, m]) => [mode, {
+      ...formatStats(m.stats), errors: m.errors.length, ...(mode === "resumed" && { reused: m.reused }),
+    }])),
+  } : null;
+  const fmtH2Support = (r) => r && !r.skipped ? { supported: r.supported, alpn: r.alpn, connect_ms: fmt(r.connect) } : null;
+  const fmtH2Multiplexed = (r) => r?.multiplexed ? {
+    streams: r.multiplexed.streams, ...formatStats(r.multiplexed.stats), errors: r.multiplexed.errors, requests: r.multiplexed.requests,
+  } : null;
+  const fmtRetry = (r) => r?.retry ? { ...r.retry, effective: formatStats(r.retry.effective) } : null;
+  const fmtSubscribe = (r) => r && !r.skipped ? {
+    durationMs: r.durationMs, firstMessageMs: fmt(r.firstMessage), messages: r.messages, events: r.events, bytes: r.bytes,
+    delay: formatStats(r.delay), gap: formatStats(r.gap), parseErrors: r.errors, missingTimestamps: r.missingTimestamps ?? 0,
+    oneWay: r.oneWay ? { downstream: formatStats(r.oneWay.downstream), uncertainty: fmt(r.oneWay.uncertainty) } : null,
+    close: r.close || null, error: r.error || null,
+  } : null;
+  const fmtPayload = (r) => r && !r.skipped ? r.targets.map((t) => ({
+    path: t.path, best: t.best, dominant: t.dominant,
+    encodings: Object.fromEntries(t.rows.map((row) => [row.encoding, {
+      served: row.served, size: row.size, decodedSize: row.decodedSize,
+      ratio: row.size && row.decodedSize ? fmt(row.size / row.decodedSize) : null,
+      ttfb: formatStats(row.ttfb), transfer: formatStats(row.transfer), decode: formatStats(row.decode),
+      total: formatStats(row.total), effective: formatStats(row.effective),
+      payloadShare: fmt(row.payloadShare), throughputBps: row.throughput == null ? null : Math.round(row.throughput),
+      savedMs: fmt(row.savedMs), contentType: row.contentType, cache: row.cache,
+      errors: row.errors, errorTypes: row.errorTypes, rounds: row.rounds,
+    }])),
+  })) : null;
+  const fmtBounds = (b) => b && { estimate: fmt(b.estimate), low: fmt(b.low), high: fmt(b.high), intersected: b.intersected };
+  const fmtOneWay = (o) => o ? { samples: o.samples, inconsistent: o.inconsistent, upstream: fmtBounds(o.upstream), downstream: fmtBounds(o.downstream) } : null;
+  const fmtClock = (c) => ({
+    server: c.server, offset: fmt(c.offset), uncertainty: fmt(c.uncertainty), delay: fmt(c.delay), stratum: c.stratum ?? null,
+    spread: fmt(c.spread), samples: c.samples, errors: c.errors.length, error: c.error || null,
+  });
+
+  return {
+    timestamp: new Date().toISOString(),
+    server: clockData ? { ...serverInfo, clock: fmtClock(clockData) } : serverInfo,
+    config: { warmupRounds: config.warmupRounds, measuredRounds: config.rounds, delayBetweenMs: config.delayBetweenMs, wsPingRounds: config.wsPingRounds, phases: config.phases, percentiles: config.percentiles, perIp: config.perIp, families: config.families.map((f) => FAMILY_LABELS[f]), retry: config.retry },
+    results: {
+      api: apiData.coldResults.map((r, i) => ({
+        name: r.name, url: r.url, family: familyOf(config.api[i]), dns_ms: fmt(r.dns),
+        cold: formatStats(r.stats, withHistogram),
+        coldBreakdown: r.breakdown
+          ? Object.fromEntries(TIMING_PHASES.map((p) => [p, formatStats(r.breakdown[p])]))
+          : null,
+        keepAlive: formatStats(apiData.keepAliveResults[i]?.stats, withHistogram),
+        h2: formatStats(apiData.h2Results[i]?.stats, withHistogram),
+        h2Multiplexed: fmtH2Multiplexed(apiData.h2Results[i]),
+        h2Ping: formatStats(apiData.h2Results[i]?.ping?.stats, withHistogram),
+        h2Support: fmtH2Support(apiData.h2Results[i]),
+        tls: fmtTLS(apiData.tlsResults[i]),
+        perIp: fmtPerIp(apiData.perIpResults[i]),
+        payload: fmtPayload(apiData.payloadResults[i]),
+        responseBytes: { cold: r.responseBytes ?? null, keepAlive: apiData.keepAliveResults[i]?.responseBytes ?? null },
+        connectedOver: { cold: r.families ?? null, keepAlive: apiData.keepAliveResults[i]?.families ?? null },
+        errors: { cold: r.errors, keepAlive: apiData.keepAliveResults[i]?.errors || 0, h2: apiData.h2Results[i]?.errors || 0 },
+        errorTypes: {
+          cold: r.errorTypes ?? {},
+          keepAlive: apiData.keepAliveResults[i]?.errorTypes ?? {},
+          h2: apiData.h2Results[i]?.errorTypes ?? {},
+          h2Multiplexed: apiData.h2Results[i]?.multiplexed?.errorTypes ?? {},
+          h2Ping: apiData.h2Results[i]?.ping?.errorTypes ?? {},
+        },
+        retries: { cold: fmtRetry(r), keepAlive: fmtRetry(apiData.keepAliveResults[i]), h2: fmtRetry(apiData.h2Results[i]) },
+        oneWay: { cold: fmtOneWay(r.oneWay), keepAlive: fmtOneWay(apiData.keepAliveResults[i]?.oneWay) },
+        rounds: r.rounds,
+      })),
+      websocket: wsData.handshakeResults.map((r, i) => ({
+        name: r.name, url: r.url, family: familyOf(config.ws[i]), dns_ms: fmt(r.dns),
+        handshake: formatStats(r.stats, withHistogram),
+        pingRTT: formatStats(wsData.pingResults[i]?.stats, withHistogram),
+        subscribe: fmtSubscribe(wsData.subscribeResults[i]),
+        tls: fmtTLS(wsData.tlsResults[i]),
+        perIp: fmtPerIp(wsData.perIpResults[i]),
+        connectedOver: { handshake: r.families ?? null },
+        errors: { handshake: r.errors, ping: wsData.pingResults[i]?.errors || 0 },
+        errorTypes: { handshake: r.errorTypes ?? {}, ping: wsData.pingResults[i]?.errorTypes ?? {} },
+        retries: { handshake: fmtRetry(r) },
+        rounds: { handshake: r.rounds, ping: wsData.pingResults[i]?.rounds || 0 },
+      })),
+      path: pathData && !pathData.skipped ? {
+        tool: pathData.tool,
+        targets: pathData.targets.map((t) => ({
+          hostname: t.hostname, port: t.port, family: FAMILY_LABELS[t.family ?? "auto"], endpoints: t.endpoints,
+          addresses: t.addresses.map((a) => ({ address: a.address, reached: a.reached, asPath: asPath(a.hops), hops: a.hops, error: a.error || null })),
+        })),
+      } : null,
+      clob: clobData && !clobData.skipped ? {
+        name: clobData.name, url: clobData.url, signed: clobData.signed, dryRun: clobData.dryRun,
+        steps: clobData.steps.map((e) => ({ step: e.step, tokenId: e.tokenId, ...formatStats(e.stats), errors: e.errors.length, rounds: e.rounds })),
+        orders: clobData.orders ? {
+          count: clobData.orders.count,
+          post: formatStats(clobData.orders.post),
+          cancel: formatStats(clobData.orders.cancel),
+          roundTrip: formatStats(clobData.orders.roundTrip),
+          errors: clobData.orders.errors,
+          rejected: clobData.orders.rejected,
+          leftOpen: clobData.orders.leftOpen,
+        } : null,
+      } : null,
+    },
+  };
+}
+
+// ── Full run ────────────────────────────────────────────────────────
+// Every configured phase in order. Progress goes to the log stream and raw
+// samples to the sink; resolves with the per-phase data and the report.
+async function measure(config, sink) {
+  const serverInfo = getServerInfo();
+
+  log(bold("\n  Polymarket Latency Tester v3.0"));
+  log(dim(`  ${serverInfo.hostname} | ${serverInfo.platform} | Node ${serverInfo.nodeVersion}`));
+  log(dim(`  Started at ${new Date().toISOString()}`));
+  log(dim(`  Config: ${config.warmupRounds} warmup + ${config.rounds} measured rounds, ${config.delayBetweenMs}ms delay`));
+  log(dim(`  WS Ping: ${config.wsPingRounds} pings per connection, ${config.wsPingIntervalMs}ms interval`));
+  log(dim(`  Phases: ${config.phases.join(", ")}\n`));
+
+  const runWS = config.ws.length > 0 && config.phases.some((p) => WS_PHASES.includes(p));
+  const runAPI = config.api.length > 0 && config.phases.some((p) => API_PHASES.includes(p));
+
+  const clockData = config.phases.includes("clock") ? await runClock(config, sink) : null;
+  const apiData = runAPI ? await runAPITests(config, sink, clockData) : { coldResults: [], keepAliveResults: [], h2Results: [], payloadResults: [], perIpResults: [], tlsResults: [] };
+  const wsData = runWS ? await runWSTests(config, sink, clockData) : { handshakeResults: [], pingResults: [], subscribeResults: [], perIpResults: [], tlsResults: [] };
+  const clobData = config.phases.includes("clob") ? await runCLOBTests(config, sink) : null;
+  const pathData = config.phases.includes("path") ? await runPathTests(config, sink) : null;
+
+  return { serverInfo, clockData, apiData, wsData, clobData, pathData, report: buildReport(serverInfo, config, apiData, wsData, clobData, pathData, clockData) };
+}
+
+module.exports = { getServerInfo, familySummary, shortToken, setPaused, buildReport, measure };
@@ -0,0 +1,244 @@
+const WebSocket = require("ws");
+const { createHistogram, summarize, computeStats } = require("./stats");
+const { WSCloseError, classifyError } = require("./errors");
+const { connectOptions, pingOnce } = require("./measure");
+
+// ── Soak ────────────────────────────────────────────────────────────
+// Holds one connection to an endpoint for durationSec, the way a bot does,
+// and reconnects whenever it is lost. A connection counts as lost when it
+// closes or errors, when a heartbeat ping gets no pong within pingTimeout
+// (a stalled socket), or, for endpoints with a subscription, when no
+// message has arrived for staleMs (a feed gone quiet while the socket stays
+// up). Reconnects wait backoffMs, doubling after every failed attempt up to
+// maxBackoffMs; a successful open resets it.
+//
+// Reconnect time runs from the loss to the next open, backoff included;
+// resubscribe time from that open to the first message. The longest message
+// gap is over the whole soak, so a gap spanning a reconnect counts too, and
+// so does a feed still silent when the soak ends (trailing).
+//
+// onEvent sees { type, ... } as things happen: "connected" (handshake,
+// reconnect), "connect-failed" (error, retryInMs), "disconnected" (reason,
+// code, error), "resubscribed" (ms), "heartbeat" (rtt).
+const DISCONNECT_REASONS = ["close", "error", "pong-timeout", "stale"];
+
+const now = () => Number(process.hrtime.bigint()) / 1e6;
+
+function createSoak(ep, soak, { timeout = 10000, pingTimeout = 5000, percentiles, onEvent = () => {} } = {}) {
+  const state = {
+    connected: false,
+    connects: 0,
+    failedConnects: 0,
+    disconnects: 0,
+    reasons: Object.fromEntries(DISCONNECT_REASONS.map((r) => [r, 0])),
+    closeCodes: {},
+    errorTypes: {},
+    messages: 0,
+    upMs: 0,
+    longestGap: null,
+  };
+  const handshakes = [];
+  const reconnects = [];
+  const resubscribes = [];
+  const heartbeats = createHistogram();
+  const gaps = createHistogram();
+
+  let stopped = false;
+  let startedAt = null;
+  let openedAt = null;
+  let lastMessageAt = null;
+  let lastMessageConnection = 0;
+  let wake = () => {};
+  let drop = () => {};
+
+  const wait = (ms) => new Promise((resolve) => {
+    if (stopped) return resolve();
+    const timer = setTimeout(resolve, ms);
+    wake = () => { clearTimeout(timer); resolve(); };
+  });
+
+  function connect() {
+    return new Promise((resolve, reject) => {
+      const start = now();
+      const ws = new WebSocket(ep.url, {
+        handshakeTimeout: timeout,
+        headers: { "User-Agent": "latency-tester/2.0", ...ep.headers },
+        ...connectOptions(ep),
+      });
+      const fail = (err) => {
+        ws.removeAllListeners();
+        ws.on("error", () => {});
+        ws.terminate();
+        reject(err);
+      };
+      ws.once("open", () => {
+        ws.removeListener("error", fail);
+        ws.removeListener("close", onClose);
+        resolve({ ws, handshake: now() - start });
+      });
+      const onClose = (code, reason) => fail(new WSCloseError(code, reason.toString()));
+      ws.once("error", fail);
+      ws.once("close", onClose);
+      drop = () => fail(new Error("Soak stopped"));
+    });
+  }
+
+  // Resolves with how the connection ended once it has.
+  function hold(ws, connection) {
+    return new Promise((resolve) => {
+      const { subscribe } = ep;
+      const timers = [];
+      let gotMessage = false;
+      let ended = false;
+
+      const end = (how) => {
+        if (ended) return;
+        ended = true;
+        for (const t of timers) { clearTimeout(t); clearInterval(t); }
+        ws.removeAllListeners();
+        ws.on("error", () => {});
+        ws.terminate();
+        resolve({ at: now(), ...how });
+      };
+      drop = () => end(null);
+
+      ws.on("close", (code, reason) => end({ reason: "close", code, error: new WSCloseError(code, reason.toString()) }));
+      ws.on("error", (err) => end({ reason: "error", error: err }));
+
+      timers.push(setInterval(() => {
+        pingOnce(ws, pingTimeout)
+          .then((rtt) => {
+            heartbeats.record(rtt);
+            onEvent({ type: "heartbeat", rtt });
+          })
+          .catch((err) => end(/^Ping timeout/.test(err.message)
+            ? { reason: "pong-timeout", error: new Error(`No pong within ${pingTimeout}ms`) }
+            : { reason: "error", error: err }));
+      }, soak.heartbeatMs));
+
+      if (!subscribe) return;
+      let stale = null;
+      if (soak.staleMs) {
+        stale = setTimeout(() => end({ reason: "stale", error: new Error(`No message for ${soak.staleMs}ms`) }), soak.staleMs);
+        timers.push(stale);
+      }
+
+      ws.on("message", (data, isBinary) => {
+        const at = now();
+        if (subscribe.heartbeat && !isBinary && data.toString().trim().toUpperCase() === "PONG") return;
+        state.messages++;
+        stale?.refresh();
+        if (!gotMessage) {
+          gotMessage = true;
+          resubscribes.push(at - openedAt);
+          onEvent({ type: "resubscribed", ms: at - openedAt });
+        }
+        if (lastMessageAt != null) recordGap(at - lastMessageAt, connection, false);
+        lastMessageAt = at;
+        lastMessageConnection = connection;
+      });
+
+      ws.send(subscribe.message);
+      if (subscribe.heartbeat) timers.push(setInterval(() => ws.send(subscribe.heartbeat.message), subscribe.heartbeat.intervalMs));
+    });
+  }
+
+  function recordGap(gap, connection, trailing) {
+    gaps.record(gap);
+    if (gap > (state.longestGap?.ms ?? -1)) {
+      state.longestGap = { ms: gap, at: new Date().toISOString(), acrossReconnect: lastMessageConnection !== connection, trailing };
+    }
+  }
+
+  // Ends the soak early; the connection is closed and run() resolves.
+  function stop() {
+    stopped = true;
+    wake();
+    drop();
+  }
+
+  return {
+    state,
+    stop,
+
+    // Resolves with the result once durationSec has passed or stop() was called.
+    async run() {
+      startedAt = now();
+      const deadline = setTimeout(stop, soak.durationSec * 1000);
+      let lostAt = null;
+      let backoff = soak.backoffMs;
+
+      while (!stopped) {
+        let conn;
+        try {
+          conn = await connect();
+        } catch (err) {
+          if (stopped) break;
+          state.failedConnects++;
+          const type = classifyError(err);
+          state.errorTypes[type] = (state.errorTypes[type] || 0) + 1;
+          onEvent({ type: "connect-failed", error: err, retryInMs: backoff });
+          await wait(backoff);
+          backoff = Math.min(backoff * 2, soak.maxBackoffMs);
+          continue;
+        }
+        if (stopped) {
+          conn.ws.terminate();
+          break;
+        }
+
+        openedAt = now();
+        state.connected = true;
+        state.connects++;
+        handshakes.push(conn.handshake);
+        const reconnect = lostAt == null ? null : openedAt - lostAt;
+        if (reconnect != null) reconnects.push(reconnect);
+        onEvent({ type: "connected", handshake: conn.handshake, reconnect });
+        backoff = soak.backoffMs;
+
+        const lost = await hold(conn.ws, state.connects);
+        state.connected = false;
+        state.upMs += lost.at - openedAt;
+        if (!lost.reason) break;
+
+        lostAt = lost.at;
+        state.disconnects++;
+        state.reasons[lost.reason]++;
+        if (lost.code != null) state.closeCodes[lost.code] = (state.closeCodes[lost.code] || 0) + 1;
+        if (lost.reason === "error") {
+          const type = classifyError(lost.error);
+          state.errorTypes[type] = (state.errorTypes[type] || 0) + 1;
+        }
+        onEvent({ type: "disconnected", reason: lost.reason, code: lost.code ?? null, error: lost.error, retryInMs: backoff });
+        await wait(backoff);
+      }
+      clearTimeout(deadline);
+
+      const endedAt = now();
+      if (ep.subscribe && lastMessageAt != null) recordGap(endedAt - lastMessageAt, state.connects, true);
+      const durationMs = endedAt - startedAt;
+      return {
+        name: ep.name,
+        url: ep.url,
+        durationMs,
+        uptime: durationMs ? state.upMs / durationMs : null,
+        connects: state.connects,
+        failedConnects: state.failedConnects,
+        disconnects: state.disconnects,
+        reasons: state.reasons,
+        closeCodes: state.closeCodes,
+        errorTypes: state.errorTypes,
+        handshake: computeStats(handshakes, { percentiles }),
+        reconnect: computeStats(reconnects, { percentiles }),
+        resubscribe: computeStats(resubscribes, { percentiles }),
+        heartbeat: summarize(heartbeats, { percentiles }),
+        subscribed: !!ep.subscribe,
+        messages: state.messages,
+        gap: summarize(gaps, { percentiles }),
+        longestGap: state.longestGap,
+      };
+    },
+  };
+}
+
+module.exports = { DISCONNECT_REASONS, createSoak };
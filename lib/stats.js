@@ -0,0 +1,291 @@
+// ── HDR histogram ───────────────────────────────────────────────────
+// Log-linear buckets in the style of HdrHistogram: values are recorded in
+// whole microseconds and every bucket is narrower than 10^-digits of its
+// value, so percentiles keep ~3 significant digits from 1µs up to an hour
+// in a fixed-size array. Count, min, max, mean and variance are tracked
+// exactly next to the buckets. Histograms with the same settings merge by
+// adding counts, which is how runs and workers are combined.
+const DEFAULT_PERCENTILES = [50, 90, 99, 99.9];
+
+const HISTOGRAM_DEFAULTS = { highestMs: 3600000, significantDigits: 3 };
+
+// Two-sided 95% normal quantile, for the confidence intervals.
+const Z95 = 1.959964;
+
+// Number of bits needed to represent n (n < 2^53).
+function bitLength(n) {
+  return n < 2 ** 32 ? 32 - Math.clz32(n) : 64 - Math.clz32(Math.floor(n / 2 ** 32));
+}
+
+function createHistogram({ highestMs = HISTOGRAM_DEFAULTS.highestMs, significantDigits = HISTOGRAM_DEFAULTS.significantDigits } = {}) {
+  if (!Number.isInteger(significantDigits) || significantDigits < 1 || significantDigits > 5) {
+    throw new RangeError(`significantDigits must be 1-5, got ${significantDigits}`);
+  }
+  const highest = Math.ceil(highestMs * 1000);
+  const subBucketMagnitude = Math.ceil(Math.log2(2 * 10 ** significantDigits));
+  const subBucketHalfMagnitude = subBucketMagnitude - 1;
+  const subBucketCount = 2 ** subBucketMagnitude;
+  const subBucketHalfCount = subBucketCount / 2;
+
+  let bucketCount = 1;
+  for (let untrackable = subBucketCount; untrackable <= highest; untrackable *= 2) bucketCount++;
+  const counts = new Float64Array((bucketCount + 1) * subBucketHalfCount);
+
+  const indexOf = (us) => {
+    const bucket = bitLength(Math.max(us, subBucketCount - 1)) - subBucketMagnitude;
+    const sub = Math.floor(us / 2 ** bucket);
+    return (bucket + 1) * subBucketHalfCount + (sub - subBucketHalfCount);
+  };
+
+  // [lowest, next) range of values, in µs, that share counts[index].
+  const rangeOf = (index) => {
+    let bucket = Math.floor(index / subBucketHalfCount) - 1;
+    let sub = (index % subBucketHalfCount) + subBucketHalfCount;
+    if (bucket < 0) {
+      sub -= subBucketHalfCount;
+      bucket = 0;
+    }
+    const lowest = sub * 2 ** bucket;
+    return [lowest, lowest + 2 ** bucket];
+  };
+
+  const h = {
+    highestMs,
+    significantDigits,
+    count: 0,
+    min: Infinity,
+    max: -Infinity,
+    mean: 0,
+    m2: 0, // sum of squared deviations from the mean (Welford)
+
+    // Adds a value in ms. Values beyond highestMs land in the top bucket but
+    // still count towards the exact min/max/mean.
+    record(ms, n = 1) {
+      if (!Number.isFinite(ms) || n <= 0) return h;
+      const us = Math.min(Math.max(0, Math.round(ms * 1000)), highest);
+      counts[indexOf(us)] += n;
+      const total = h.count + n;
+      const delta = ms - h.mean;
+      h.mean += (delta * n) / total;
+      h.m2 += delta * delta * (h.count * n) / total;
+      h.count = total;
+      if (ms < h.min) h.min = ms;
+      if (ms > h.max) h.max = ms;
+      return h;
+    },
+
+    merge(other) {
+      if (other.highestMs !== h.highestMs || other.significantDigits !== h.significantDigits) {
+        throw new RangeError("Cannot merge histograms with different settings");
+      }
+      if (!other.count) return h;
+      for (const [index, n] of other.entries()) counts[index] += n;
+      const total = h.count + other.count;
+      const delta = other.mean - h.mean;
+      h.mean += (delta * other.count) / total;
+      h.m2 += other.m2 + delta * delta * (h.count * other.count) / total;
+      h.count = total;
+      h.min = Math.min(h.min, other.min);
+      h.max = Math.max(h.max, other.max);
+      return h;
+    },
+
+    // Non-empty buckets in value order, as [index, count].
+    *entries() {
+      for (let i = 0; i < counts.length; i++) if (counts[i]) yield [i, counts[i]];
+    },
+
+    // Non-empty buckets in value order, as [representative ms, count]. The
+    // representative is the bucket midpoint, clamped to the exact min/max.
+    *values() {
+      for (const [index, n] of h.entries()) {
+        const [lowest, next] = rangeOf(index);
+        yield [Math.min(h.max, Math.max(h.min, (lowest + (next - lowest) / 2) / 1000)), n];
+      }
+    },
+
+    // Value of the rank-th smallest sample (1-based), to bucket precision.
+    valueAtRank(rank) {
+      if (!h.count) return null;
+      if (rank <= 1) return h.min;
+      if (rank >= h.count) return h.max;
+      let seen = 0;
+      for (const [value, n] of h.values()) {
+        seen += n;
+        if (seen >= rank) return value;
+      }
+      return h.max;
+    },
+
+    // Nearest-rank percentile, p in (0, 100].
+    percentile(p) {
+      return h.valueAtRank(Math.max(1, Math.ceil((p / 100) * h.count)));
+    },
+
+    // Mean of the samples left after dropping `fraction` from each end.
+    trimmedMean(fraction = 0.1) {
+      if (!h.count) return null;
+      const drop = Math.floor(h.count * fraction);
+      const keepFrom = drop;
+      const keepTo = h.count - drop;
+      if (keepTo <= keepFrom) return h.percentile(50);
+      let seen = 0;
+      let sum = 0;
+      for (const [value, n] of h.values()) {
+        const kept = Math.min(seen + n, keepTo) - Math.max(seen, keepFrom);
+        if (kept > 0) sum += value * kept;
+        seen += n;
+        if (seen >= keepTo) break;
+      }
+      return sum / (keepTo - keepFrom);
+    },
+
+    // Samples outside [low, high].
+    countOutside(low, high) {
+      let below = 0;
+      let above = 0;
+      for (const [value, n] of h.values()) {
+        if (value < low) below += n;
+        else if (value > high) above += n;
+      }
+      return { low: below, high: above };
+    },
+
+    // Compact, settings-tagged form for reports: bucket values as [µs, count].
+    toJSON() {
+      return {
+        highestMs: h.highestMs,
+        significantDigits: h.significantDigits,
+        count: h.count,
+        min: h.count ? h.min : null,
+        max: h.count ? h.max : null,
+        mean: h.mean,
+        m2: h.m2,
+        buckets: [...h.entries()].map(([index, n]) => [rangeOf(index)[0], n]),
+      };
+    },
+  };
+
+  return h;
+}
+
+function histogramFromJSON(json) {
+  const h = createHistogram({ highestMs: json.highestMs, significantDigits: json.significantDigits });
+  for (const [us, n] of json.buckets) h.record(us / 1000, n);
+  // Restore the exact moments that bucket values only approximate.
+  if (json.count) Object.assign(h, { count: json.count, min: json.min, max: json.max, mean: json.mean, m2: json.m2 });
+  return h;
+}
+
+function mergeHistograms(histograms, options) {
+  const merged = createHistogram(options ?? (histograms[0] && {
+    highestMs: histograms[0].highestMs,
+    significantDigits: histograms[0].significantDigits,
+  }));
+  for (const h of histograms) merged.merge(h);
+  return merged;
+}
+
+// ── Summary ─────────────────────────────────────────────────────────
+const percentileKey = (p) => `p${p}`;
+
+// Distribution-free CI for a percentile: the ranks that bracket n*q with
+// 95% probability under the binomial's normal approximation. A bound is
+// null when it would fall outside the samples, e.g. p99 from 30 rounds.
+function percentileCI(h, p) {
+  const q = p / 100;
+  const spread = Z95 * Math.sqrt(h.count * q * (1 - q));
+  const lo = Math.floor(h.count * q - spread);
+  const hi = Math.ceil(h.count * q + spread) + 1;
+  return [lo >= 1 ? h.valueAtRank(lo) : null, hi <= h.count ? h.valueAtRank(hi) : null];
+}
+
+// Stats from a histogram: exact avg/min/max/stddev, HDR percentiles, 95%
+// CIs for the mean and each percentile, a 10% trimmed mean and IQR outlier
+// counts (Tukey fences at 1.5 × IQR). Jitter needs sample order, so only
+// computeStats fills it in.
+function summarize(h, { percentiles = DEFAULT_PERCENTILES } = {}) {
+  if (!h.count) return null;
+  const stddev = Math.sqrt(h.m2 / h.count);
+  const sem = h.count > 1 ? Math.sqrt(h.m2 / (h.count - 1) / h.count) : null;
+  const q1 = h.percentile(25);
+  const q3 = h.percentile(75);
+  const iqr = q3 - q1;
+  const fences = [q1 - 1.5 * iqr, q3 + 1.5 * iqr];
+
+  const ci = { mean: sem == null ? [null, null] : [h.mean - Z95 * sem, h.mean + Z95 * sem] };
+  for (const p of percentiles) ci[percentileKey(p)] = percentileCI(h, p);
+
+  return {
+    avg: h.mean,
+    min: h.min,
+    max: h.max,
+    median: h.percentile(50),
+    p95: h.percentile(95),
+    p99: h.percentile(99),
+    stddev,
+    jitter: null,
+    samples: h.count,
+    percentiles: Object.fromEntries(percentiles.map((p) => [percentileKey(p), h.percentile(p)])),
+    ci,
+    trimmedMean: h.trimmedMean(0.1),
+    iqr,
+    outliers: { ...h.countOutside(...fences), fences },
+    histogram: h,
+  };
+}
+
+// Stats for one ordered series of samples in ms.
+function computeStats(times, options) {
+  if (!times.length) return null;
+  const h = createHistogram();
+  for (const t of times) h.record(t);
+  const stats = summarize(h, options);
+
+  let jitter = 0;
+  if (times.length > 1) {
+    for (let i = 1; i < times.length; i++) {
+      jitter += Math.abs(times[i] - times[i - 1]);
+    }
+    jitter /= times.length - 1;
+  }
+  stats.jitter = jitter;
+  return stats;
+}
+
+// Rounded, JSON-ready stats for reports. The histogram is included when
+// asked so reports can later be merged.
+function formatStats(s, { histogram = false } = {}) {
+  if (!s) return null;
+  const fmt = (v) => (v == null || isNaN(v) ? null : +v.toFixed(2));
+  const pair = ([lo, hi]) => [fmt(lo), fmt(hi)];
+  return {
+    avg: fmt(s.avg),
+    median: fmt(s.median),
+    min: fmt(s.min),
+    max: fmt(s.max),
+    p95: fmt(s.p95),
+    p99: fmt(s.p99),
+    stddev: fmt(s.stddev),
+    jitter: fmt(s.jitter),
+    samples: s.samples,
+    percentiles: Object.fromEntries(Object.entries(s.percentiles).map(([k, v]) => [k, fmt(v)])),
+    ci95: Object.fromEntries(Object.entries(s.ci).map(([k, v]) => [k, pair(v)])),
+    trimmedMean: fmt(s.trimmedMean),
+    iqr: fmt(s.iqr),
+    outliers: { low: s.outliers.low, high: s.outliers.high, fences: pair(s.outliers.fences) },
+    ...(histogram && { histogram: s.histogram.toJSON() }),
+  };
+}
+
+module.exports = {
+  DEFAULT_PERCENTILES,
+  HISTOGRAM_DEFAULTS,
+  createHistogram,
+  histogramFromJSON,
+  mergeHistograms,
+  percentileKey,
+  summarize,
+  computeStats,
+  formatStats,
+};
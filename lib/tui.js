@@ -0,0 +1,179 @@
+const os = require("os");
+const { computeStats } = require("./stats");
+const { sparkline } = require("./history");
+const { yellow, red, cyan, bold, dim, colorLatency } = require("./output");
+
+// ── Rows ────────────────────────────────────────────────────────────
+// Phases with one latency per sample, in display order; keys 1-9 toggle them.
+const TUI_MODES = ["dns", "tcp-tls", "cold", "keepalive", "h2", "h2-mux", "h2-ping", "ws-handshake", "ws-ping"];
+const TTFB_MODES = ["cold", "keepalive", "h2", "h2-mux"];
+
+const WINDOW = 1000;   // values per row the stats are computed from
+const HISTORY = 120;   // values per row kept for the sparkline
+const REDRAW_MS = 250;
+
+const valueOf = (s) => (TTFB_MODES.includes(s.phase) ? s.ttfb : s.total);
+
+// ── Screen ──────────────────────────────────────────────────────────
+const ESC = "\x1b[";
+const ENTER = `${ESC}?1049h${ESC}?25l`;  // alternate screen, hide cursor
+const LEAVE = `${ESC}?25h${ESC}?1049l`;
+
+const visibleLength = (s) => s.replace(/\x1b\[[0-9;]*m/g, "").length;
+const padEnd = (s, width) => s + " ".repeat(Math.max(0, width - visibleLength(s)));
+const padStart = (s, width) => " ".repeat(Math.max(0, width - visibleLength(s))) + s;
+const clip = (text, width) => (text.length > width ? `${text.slice(0, width - 1)}…` : text);
+
+function elapsed(ms) {
+  const s = Math.floor(ms / 1000);
+  return [Math.floor(s / 3600), Math.floor(s / 60) % 60, s % 60].map((n) => String(n).padStart(2, "0")).join(":");
+}
+
+// Columns: [title, width, align]; History takes what is left.
+const COLUMNS = [["Endpoint", 22, "left"], ["Mode", 13, "left"], ["N", 6, "right"], ["Last", 11, "right"], ["Median", 11, "right"], ["P95", 11, "right"], ["Jitter", 8, "right"], ["Err", 6, "right"]];
+
+// ── Dashboard ───────────────────────────────────────────────────────
+// Full-screen view of a run, fed the sink's rows through record(). Stats
+// cover the samples since the start or the last reset, up to WINDOW per row;
+// per-IP samples and retries are left out as in the report. The keys only
+// change what is shown, except p, which calls onPause(paused).
+function createDashboard(config, { stdout = process.stdout, stdin = process.stdin, onPause = () => {}, onQuit = () => {} } = {}) {
+  const rows = new Map();
+  const endpoints = [];
+  const hidden = new Set();
+  const started = Date.now();
+  let paused = false;
+  let samples = 0;
+  let current = null;
+  let lastError = null;
+  let timer = null;
+  let active = false;
+
+  function record(s) {
+    if (s.address || s.attempt > 1 || !TUI_MODES.includes(s.phase)) return;
+    const key = `${s.endpoint}\u0000${s.phase}`;
+    if (!rows.has(key)) rows.set(key, { endpoint: s.endpoint, phase: s.phase, values: [], history: [], errors: 0, total: 0, last: null });
+    if (!endpoints.includes(s.endpoint)) endpoints.push(s.endpoint);
+    const row = rows.get(key);
+    samples++;
+    current = s;
+    row.total++;
+    if (s.error) {
+      row.errors++;
+      row.last = null;
+      row.history.push(null);
+      lastError = `${s.endpoint} ${s.phase}: ${s.error}`;
+    } else {
+      const v = valueOf(s);
+      if (v == null) return;
+      row.last = v;
+      row.values.push(v);
+      row.history.push(v);
+      if (row.values.length > WINDOW) row.values.shift();
+    }
+    if (row.history.length > HISTORY) row.history.shift();
+  }
+
+  function reset() {
+    for (const row of rows.values()) Object.assign(row, { values: [], history: [], errors: 0, total: 0, last: null });
+    lastError = null;
+  }
+
+  function renderRow(row, label, historyWidth) {
+    const stats = computeStats(row.values, config);
+    const ms = (v) => (v == null ? dim("N/A") : colorLatency(v));
+    const cells = [
+      clip(label, 21),
+      row.phase,
+      String(row.total),
+      row.last == null && row.errors ? red("ERR") : ms(row.last),
+      ms(stats?.median),
+      ms(stats?.p95),
+      stats ? stats.jitter.toFixed(2) : dim("N/A"),
+      row.errors ? red(String(row.errors)) : "0",
+    ];
+    const line = cells.map((c, i) => (COLUMNS[i][2] === "right" ? padStart(c, COLUMNS[i][1]) : padEnd(c, COLUMNS[i][1]))).join(" ");
+    return historyWidth > 0 ? `${line}  ${cyan(sparkline(row.history, historyWidth))}` : line;
+  }
+
+  function render() {
+    if (!active) return;
+    const width = stdout.columns || 120;
+    const height = stdout.rows || 40;
+    const fixed = COLUMNS.reduce((n, [, w]) => n + w + 1, 0) + 1;
+    const historyWidth = Math.min(HISTORY, width - fixed - 2);
+
+    const lines = [];
+    const state = paused ? yellow(" PAUSED (after the current round)") : "";
+    lines.push(`${bold(" Latency Tester · live")}${dim(`  ${os.hostname()} · ${elapsed(Date.now() - started)} · ${samples} samples`)}${state}`);
+    lines.push(current ? dim(` Now: ${current.endpoint} ${current.phase}${current.round ? ` #${current.round}` : ""}`) : dim(" Starting..."));
+    lines.push("");
+    lines.push(bold(COLUMNS.map(([title, w, align]) => (align === "right" ? title.padStart(w) : title.padEnd(w))).join(" ") + (historyWidth > 0 ? "  History" : "")));
+
+    const shown = [...rows.values()]
+      .filter((r) => !hidden.has(r.phase))
+      .sort((a, b) => endpoints.indexOf(a.endpoint) - endpoints.indexOf(b.endpoint) || TUI_MODES.indexOf(a.phase) - TUI_MODES.indexOf(b.phase));
+    const room = Math.max(1, height - lines.length - 4);
+    shown.slice(0, room).forEach((row, i) => {
+      lines.push(renderRow(row, row.endpoint === shown[i - 1]?.endpoint ? "" : row.endpoint, historyWidth));
+    });
+    if (shown.length > room) lines.push(dim(` … ${shown.length - room} more rows; hide modes with 1-9`));
+
+    lines.push("");
+    lines.push(lastError ? red(` Last error: ${clip(lastError, width - 14)}`) : "");
+    const toggles = TUI_MODES.map((m, i) => (hidden.has(m) ? dim(`${i + 1} ${m}`) : `${i + 1} ${m}`)).join(" ");
+    lines.push(dim(` p ${paused ? "resume" : "pause"} · r reset · q quit · `) + toggles);
+
+    stdout.write(`${ESC}H${lines.slice(0, height).map((l) => `${l}${ESC}K`).join("\n")}${ESC}J`);
+  }
+
+  function onKey(key) {
+    const k = key.toString();
+    if (k === "q" || k === "\u0003") return onQuit();
+    if (k === "p") {
+      paused = !paused;
+      onPause(paused);
+    } else if (k === "r") {
+      reset();
+    } else if (/^[1-9]$/.test(k) && TUI_MODES[Number(k) - 1]) {
+      const mode = TUI_MODES[Number(k) - 1];
+      if (hidden.has(mode)) hidden.delete(mode);
+      else hidden.add(mode);
+    }
+    render();
+  }
+
+  // The terminal is restored even when the process exits mid-run.
+  const restore = () => stdout.write(LEAVE);
+
+  return {
+    record,
+    reset,
+
+    start() {
+      active = true;
+      stdout.write(ENTER);
+      process.once("exit", restore);
+      stdin.setRawMode(true);
+      stdin.resume();
+      stdin.on("data", onKey);
+      stdout.on("resize", render);
+      timer = setInterval(render, REDRAW_MS);
+      render();
+    },
+
+    stop() {
+      if (!active) return;
+      active = false;
+      clearInterval(timer);
+      stdout.removeListener("resize", render);
+      stdin.removeListener("data", onKey);
+      stdin.setRawMode(false);
+      stdin.pause();
+      process.removeListener("exit", restore);
+      restore();
+    },
+  };
+}
+
+module.exports = { TUI_MODES, createDashboard };
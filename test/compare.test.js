@@ -0,0 +1,96 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { computeStats, formatStats } = require("../lib/stats");
+const { parseThresholds, mannWhitneyU, compareReports } = require("../lib/compare");
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+// A saved report with cold TTFBs for one endpoint: the stats and the raw
+// samples compare reads them from.
+function report(ttfbs) {
+  return {
+    results: { api: [{ name: "API", cold: formatStats(computeStats(ttfbs)) }], websocket: [] },
+    samples: ttfbs.map((ttfb, i) => ({ endpoint: "API", phase: "cold", round: i + 1, ttfb, error: null })),
+  };
+}
+
+// Latencies around `median`, with the same spread every time.
+const around = (median) => range(-10, 10).map((d) => median + d * 0.5);
+
+const compare = (baseline, current, specs) => compareReports(baseline, current, { thresholds: parseThresholds(specs), alpha: 0.05 });
+
+test("mannWhitneyU: a clear shift, no shift, and too few samples", () => {
+  const shifted = mannWhitneyU(range(1, 10), range(11, 20));
+  assert.equal(shifted.u, 100);
+  assert.ok(shifted.p < 0.001, `p = ${shifted.p}`);
+  assert.ok(mannWhitneyU(range(11, 20), range(1, 10)).p > 0.999);
+
+  const same = mannWhitneyU(range(1, 10), range(1, 10));
+  assert.equal(same.u, 50);
+  assert.ok(same.p > 0.4, `p = ${same.p}`);
+
+  // All values tied: no spread to rank.
+  assert.deepEqual(mannWhitneyU([5, 5, 5, 5, 5], [5, 5, 5, 5, 5]), { u: 12.5, z: 0, p: 1 });
+  assert.equal(mannWhitneyU([1, 2, 3, 4], range(1, 10)), null);
+});
+
+test("compareReports: a clear regression is flagged and significant", () => {
+  const [row] = compare(report(around(50)), report(around(80)));
+  assert.equal(row.mode, "cold");
+  assert.equal(row.regression, true);
+  assert.equal(row.improvement, false);
+  assert.ok(row.test.pWorse < 0.001);
+  assert.deepEqual(row.test.n, [21, 21]);
+  assert.equal(row.metrics.median.exceeded, true);
+  assert.ok(row.metrics.median.pct > 50, `${row.metrics.median.pct}%`);
+});
+
+test("compareReports: identical runs neither regress nor improve", () => {
+  const [row] = compare(report(around(50)), report(around(50)));
+  assert.equal(row.regression, false);
+  assert.equal(row.improvement, false);
+  assert.ok(row.test.pWorse > 0.05);
+  assert.equal(row.metrics.median.delta, 0);
+});
+
+test("compareReports: a threshold only counts when the samples agree", () => {
+  // The median moves 20%, but one outlier per side is all that differs.
+  const baseline = report([...around(50), 40]);
+  const current = report([...around(50), 60, 60, 60, 60, 60]);
+  const [row] = compare(baseline, current, ["median=1%"]);
+  assert.ok(row.metrics.median.pct > 1);
+  assert.ok(row.test.pWorse >= 0.05);
+  assert.equal(row.regression, false);
+
+  // Without raw samples the threshold alone decides.
+  const [bare] = compare({ results: baseline.results }, { results: current.results }, ["median=1%"]);
+  assert.equal(bare.test, null);
+  assert.equal(bare.regression, true);
+});
+
+test("compare command: exits 1 on a breached threshold, 0 otherwise", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "latency-compare-"));
+  const write = (name, r) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(r));
+    return file;
+  };
+  const cli = (...args) => spawnSync(process.execPath, [path.join(__dirname, "..", "index.js"), "compare", ...args], { encoding: "utf8", env: { ...process.env, NO_COLOR: "1" } });
+  try {
+    const baseline = write("baseline.json", report(around(50)));
+    const slower = write("slower.json", report(around(56)));
+    const same = write("same.json", report(around(50)));
+
+    // +12% median: over the default 10%, and well under an absolute 10ms.
+    assert.equal(cli(baseline, slower).status, 1);
+    assert.equal(cli(baseline, slower, "--threshold", "median=10ms", "--threshold", "p95=10ms").status, 0);
+    assert.equal(cli(baseline, same).status, 0);
+    assert.equal(cli(baseline, path.join(dir, "missing.json")).status, 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
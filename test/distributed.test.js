@@ -0,0 +1,138 @@
+const http = require("http");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ConfigError, resolveConfig } = require("../lib/config");
+const { setProgressStream } = require("../lib/output");
+const { shareableConfig, createAgent, runAgents, nameLocations, aggregateReports, rankLocations } = require("../lib/distributed");
+
+// Agents run the measurements in-process; their progress lines would end up
+// in the test output.
+setProgressStream(process.stderr, true);
+
+let api;
+let config;
+const agents = [];
+
+// Starts an agent on a free port and returns its URL.
+async function startAgent(options) {
+  const agent = createAgent({ port: 0, ...options });
+  agents.push(agent);
+  const { port } = await agent.start();
+  return { agent, url: `http://127.0.0.1:${port}` };
+}
+
+test.before(async () => {
+  api = http.createServer((req, res) => res.writeHead(200, { "Content-Type": "application/json" }).end("{}"));
+  await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+  config = {
+    api: [{ name: "API", url: `http://127.0.0.1:${api.address().port}` }],
+    ws: [],
+    phases: ["cold", "keepalive"],
+    warmupRounds: 1,
+    rounds: 3,
+    delayBetweenMs: 0,
+  };
+});
+
+test.after(async () => {
+  await Promise.all(agents.map((a) => a.stop()));
+  api.closeAllConnections();
+  await new Promise((resolve) => api.close(resolve));
+});
+
+test("two agents on localhost: reports, names and rankings", async () => {
+  const east = await startAgent({ region: "east" });
+  const west = await startAgent({ region: "west" });
+  const done = [];
+  const results = await runAgents([{ name: null, url: east.url }, { name: null, url: west.url }], { config }, { onDone: (r) => done.push(r.source) });
+
+  assert.deepEqual(done.sort(), [east.url, west.url].sort());
+  for (const r of results) {
+    assert.equal(r.error, undefined, r.error);
+    assert.equal(r.report.results.api[0].cold.samples, 3);
+    assert.equal(r.report.samples.filter((s) => s.phase === "keepalive").length, 3);
+  }
+  assert.equal(east.agent.state.runs, 1);
+  assert.equal(west.agent.state.runs, 1);
+
+  const locations = nameLocations(results);
+  assert.deepEqual(locations.map((l) => l.name), ["east", "west"]);
+
+  const rows = aggregateReports(locations);
+  assert.deepEqual(rows.map((r) => r.mode), ["cold", "keepAlive"]);
+  for (const row of rows) {
+    assert.deepEqual(row.locations.map((e) => e.rank), [1, 2]);
+    assert.ok(row.locations[0].median <= row.locations[1].median);
+    assert.equal(row.spread, +(row.locations[1].median - row.locations[0].median).toFixed(2));
+  }
+
+  const ranking = rankLocations(rows);
+  assert.deepEqual(ranking.map((r) => r.location).sort(), ["east", "west"]);
+  assert.equal(ranking[0].wins, 1);
+});
+
+test("the same region twice is told apart", () => {
+  const report = { server: { region: "east" } };
+  assert.deepEqual(nameLocations([{ report }, { report }, { name: "lab", report }]).map((l) => l.name), ["east", "east #2", "lab"]);
+});
+
+test("agents answer /info and refuse a second run while busy", async () => {
+  const { url } = await startAgent({ region: "busy" });
+  const info = await (await fetch(`${url}/info`)).json();
+  assert.equal(info.region, "busy");
+  assert.equal(info.running, null);
+
+  const slow = { ...config, rounds: 20 };
+  const results = await runAgents([{ name: "a", url }, { name: "b", url }], { config: slow });
+  // Either request may reach the agent first.
+  assert.equal(results.filter((r) => r.report).length, 1);
+  assert.match(results.find((r) => r.error).error, /^HTTP 409: busy/);
+});
+
+test("secrets, bad configs and unreachable agents fail per agent", async () => {
+  const { url } = await startAgent({ secret: "s3cret" });
+  const [missing] = await runAgents([{ name: "a", url }], { config });
+  assert.match(missing.error, /^HTTP 401/);
+  const [ok] = await runAgents([{ name: "a", url }], { config }, { secret: "s3cret" });
+  assert.ok(ok.report);
+
+  const [bad] = await runAgents([{ name: "a", url }], { config: { ...config, rounds: 0 } }, { secret: "s3cret" });
+  assert.match(bad.error, /^HTTP 400: rounds/);
+
+  const [down] = await runAgents([{ name: "down", url: "http://127.0.0.1:1" }], { config }, { timeoutMs: 2000 });
+  assert.match(down.error, /ECONNREFUSED/);
+});
+
+test("agents never get local settings, certificate paths or the clob section", () => {
+  const shared = shareableConfig({
+    ...config,
+    api: [{ ...config.api[0], ca: "/tmp/proxy-ca.pem" }],
+    output: "csv",
+    out: "/tmp/x.csv",
+    alerts: { rules: ["cold p99 > 1"] },
+    soak: { durationSec: 10 },
+    clob: { apiKey: "key", secret: "secret", passphrase: "pass", address: "0x1", orders: "/tmp/orders.json" },
+  });
+  assert.deepEqual(shared, config);
+});
+
+test("agents refuse configs that reach into their machine", async () => {
+  const { url } = await startAgent({});
+  const [ca] = await runAgents([{ name: "a", url }], { config: { ...config, api: [{ ...config.api[0], ca: "/etc/hostname" }] } });
+  assert.match(ca.error, /^HTTP 400: api\[0\]\.ca: /);
+  const [clob] = await runAgents([{ name: "a", url }], { config: { ...config, phases: ["clob"] } });
+  assert.match(clob.error, /^HTTP 400: phases: agents do not run the clob phase/);
+});
+
+test("a remote config never takes CLOB credentials from the environment", () => {
+  const env = { POLY_API_KEY: "key", POLY_SECRET: "secret", POLY_PASSPHRASE: "pass" };
+  assert.equal(resolveConfig(config, { env }).clob.apiKey, "key");
+  assert.equal(resolveConfig(config, { env: {} }).clob.apiKey, null);
+});
+
+test("agents need a secret to listen beyond loopback", async () => {
+  await assert.rejects(createAgent({ host: "0.0.0.0", port: 0 }).start(), ConfigError);
+  const agent = createAgent({ host: "0.0.0.0", port: 0, secret: "s3cret" });
+  agents.push(agent);
+  assert.ok((await agent.start()).port > 0);
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTester, createImpairmentProxy } = require("../lib");
+
+// One TLS proxy answering by itself (JSON and WebSocket echo); each test sets
+// its impairments. Rates of 1 make every connection or request fail the same
+// way, so counts are exact.
+let proxy;
+let api;
+let ws;
+
+test.before(async () => {
+  proxy = createImpairmentProxy({ port: 0 });
+  const { port, certFile } = await proxy.start();
+  api = { name: "Impaired", url: `https://127.0.0.1:${port}`, ca: certFile };
+  ws = { name: "Impaired WS", url: `wss://127.0.0.1:${port}/`, ca: certFile };
+});
+
+test.after(() => proxy.stop());
+
+// Runs the tester with these impairments and returns the proxy's counters
+// for the run, the report and the samples by phase.
+async function runImpaired(settings, options) {
+  proxy.settings = settings;
+  const before = JSON.parse(JSON.stringify(proxy.counters));
+  const tester = createTester({ warmupRounds: 0, rounds: 4, delayBetweenMs: 0, httpTimeoutMs: 2000, wsTimeoutMs: 2000, ...options });
+  const { report, samples } = await tester.run();
+  const counters = Object.fromEntries(["connections", "resets", "tlsFailures", "stalls", "requests", "upgrades"].map((k) => [k, proxy.counters[k] - before[k]]));
+  const byPhase = {};
+  for (const s of samples) (byPhase[s.phase] ??= []).push(s);
+  return { counters, report, byPhase };
+}
+
+const errorTypes = (samples) => samples.map((s) => s.errorType);
+
+test("resets are network errors", async () => {
+  const { counters, report, byPhase } = await runImpaired({ resetRate: 1 }, { api: [api], ws: [], phases: ["cold"] });
+  assert.equal(counters.resets, 4);
+  assert.deepEqual(errorTypes(byPhase.cold), ["network", "network", "network", "network"]);
+  assert.equal(report.results.api[0].cold, null);
+  assert.equal(report.results.api[0].errors.cold, 4);
+  assert.deepEqual(report.results.api[0].errorTypes.cold, { network: 4 });
+});
+
+test("failed handshakes are TLS errors", async () => {
+  const { counters, report, byPhase } = await runImpaired({ tlsFailRate: 1 }, { api: [api], ws: [ws], phases: ["cold", "ws-handshake"] });
+  assert.equal(counters.tlsFailures, 8);
+  assert.deepEqual(errorTypes(byPhase.cold), ["tls", "tls", "tls", "tls"]);
+  assert.deepEqual(errorTypes(byPhase["ws-handshake"]), ["tls", "tls", "tls", "tls"]);
+  assert.deepEqual(report.results.websocket[0].errorTypes.handshake, { tls: 4 });
+});
+
+test("injected statuses are counted by type, with their timings", async () => {
+  const { counters, report, byPhase } = await runImpaired({ errorRate: 1, statuses: [503] }, { api: [api], ws: [], phases: ["cold", "keepalive"] });
+  assert.equal(counters.requests, 8);
+  for (const s of [...byPhase.cold, ...byPhase.keepalive]) {
+    assert.equal(s.status, 503);
+    assert.equal(s.errorType, "http-5xx");
+    assert.ok(s.ttfb > 0);
+  }
+  const { errors, errorTypes: types } = report.results.api[0];
+  assert.deepEqual([errors.cold, errors.keepAlive], [4, 4]);
+  assert.deepEqual([types.cold, types.keepAlive], [{ "http-5xx": 4 }, { "http-5xx": 4 }]);
+
+  const upgrades = await runImpaired({ errorRate: 1, statuses: [429] }, { api: [], ws: [ws], phases: ["ws-handshake"] });
+  assert.equal(upgrades.counters.upgrades, 4);
+  assert.deepEqual(errorTypes(upgrades.byPhase["ws-handshake"]), ["rate-limited", "rate-limited", "rate-limited", "rate-limited"]);
+});
+
+test("a stall shorter than the timeout shows in the latency", async () => {
+  const { counters, report, byPhase } = await runImpaired({ stallRate: 1, stallMs: 100 }, { api: [api], ws: [], phases: ["keepalive"] });
+  assert.ok(counters.stalls >= 8, `${counters.stalls} stalls`);
+  assert.ok(byPhase.keepalive.every((s) => s.error === null));
+  // Request and response each wait out a stall.
+  assert.ok(report.results.api[0].keepAlive.min >= 200, `min ${report.results.api[0].keepAlive.min}`);
+});
+
+test("a stall longer than the timeout is a timeout", async () => {
+  const { report, byPhase } = await runImpaired({ stallRate: 1, stallMs: 1000 }, { api: [api], ws: [], phases: ["cold"], rounds: 2, httpTimeoutMs: 300 });
+  assert.deepEqual(errorTypes(byPhase.cold), ["timeout", "timeout"]);
+  assert.deepEqual(report.results.api[0].errorTypes.cold, { timeout: 2 });
+});
@@ -0,0 +1,142 @@
+const http = require("http");
+const { WebSocketServer } = require("ws");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTester, ConfigError, createMockWSServer } = require("../lib");
+
+// A local HTTP API (200 on /, 503 on /down) and the mock WebSocket feed.
+let api;
+let feed;
+let apiURL;
+let wsURL;
+
+test.before(async () => {
+  api = http.createServer((req, res) => {
+    if (req.url === "/down") return res.writeHead(503).end("down");
+    res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify({ ok: true }));
+  });
+  await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+  apiURL = `http://127.0.0.1:${api.address().port}`;
+  feed = createMockWSServer({ port: 0 });
+  wsURL = `ws://127.0.0.1:${(await feed.start()).port}/`;
+});
+
+test.after(async () => {
+  api.closeAllConnections();
+  await new Promise((resolve) => api.close(resolve));
+  await feed.stop();
+});
+
+const options = (extra) => ({
+  warmupRounds: 1,
+  rounds: 3,
+  delayBetweenMs: 0,
+  wsPingRounds: 3,
+  wsPingIntervalMs: 10,
+  ...extra,
+});
+
+// Runs a tester and returns its report with every emitted sample by phase.
+async function runTester(opts) {
+  const tester = createTester(options(opts));
+  const emitted = [];
+  let reported = null;
+  tester.on("sample", (s) => emitted.push(s));
+  tester.on("report", (r) => { reported = r; });
+  const { report, samples } = await tester.run();
+  assert.equal(reported, report);
+  assert.deepEqual(emitted, samples);
+  const byPhase = {};
+  for (const s of emitted) (byPhase[s.phase] ??= []).push(s);
+  return { report, byPhase };
+}
+
+test("emits a sample per measurement and resolves with the report", async () => {
+  const { report, byPhase } = await runTester({
+    api: [{ name: "API", url: apiURL }],
+    ws: [{ name: "WS", url: wsURL }],
+    phases: ["cold", "keepalive", "ws-handshake", "ws-ping"],
+  });
+
+  for (const phase of ["cold", "keepalive", "ws-handshake", "ws-ping"]) {
+    assert.equal(byPhase[phase]?.length, 3, phase);
+    for (const s of byPhase[phase]) {
+      assert.equal(s.error, null);
+      assert.ok(s.total > 0);
+    }
+  }
+  assert.deepEqual(byPhase.cold.map((s) => s.round), [1, 2, 3]);
+  for (const s of [...byPhase.cold, ...byPhase.keepalive]) {
+    assert.equal(s.endpoint, "API");
+    assert.equal(s.status, 200);
+    assert.ok(s.ttfb > 0 && s.ttfb <= s.total);
+  }
+  // Cold requests carry the per-phase breakdown.
+  assert.ok(["dns", "tcp", "tls", "write", "server", "transfer"].every((p) => p in byPhase.cold[0]));
+
+  const [apiResult] = report.results.api;
+  const [wsResult] = report.results.websocket;
+  assert.equal(apiResult.cold.samples, 3);
+  assert.equal(apiResult.keepAlive.samples, 3);
+  assert.deepEqual(apiResult.errors, { cold: 0, keepAlive: 0, h2: 0 });
+  assert.equal(wsResult.handshake.samples, 3);
+  assert.equal(wsResult.pingRTT.samples, 3);
+});
+
+test("failed requests are samples too, with their type and timings", async () => {
+  const { report, byPhase } = await runTester({
+    api: [{ name: "Down", url: apiURL, path: "/down" }],
+    ws: [{ name: "Refused", url: "ws://127.0.0.1:1/" }],
+    phases: ["cold", "ws-handshake", "ws-ping"],
+  });
+
+  assert.equal(byPhase.cold.length, 3);
+  for (const s of byPhase.cold) {
+    assert.equal(s.error, "HTTP 503");
+    assert.equal(s.errorType, "http-5xx");
+    assert.equal(s.status, 503);
+    assert.ok(s.ttfb > 0);
+  }
+  assert.deepEqual(byPhase["ws-handshake"].map((s) => [s.round, s.errorType]), [[1, "refused"], [2, "refused"], [3, "refused"]]);
+  // A feed that cannot be reached fails every ping round.
+  assert.deepEqual(byPhase["ws-ping"].map((s) => [s.round, s.errorType]), [[1, "refused"], [2, "refused"], [3, "refused"]]);
+
+  assert.equal(report.results.api[0].cold, null);
+  assert.deepEqual(report.results.api[0].errorTypes.cold, { "http-5xx": 3 });
+  assert.deepEqual(report.results.websocket[0].errorTypes.handshake, { refused: 3 });
+  assert.deepEqual(report.results.websocket[0].errorTypes.ping, { refused: 3 });
+});
+
+test("a feed that breaks mid-run keeps the pings that made it", async () => {
+  // Answers two pings, then sends a frame with a reserved opcode instead.
+  const broken = new WebSocketServer({ host: "127.0.0.1", port: 0, autoPong: false });
+  await new Promise((resolve) => broken.once("listening", resolve));
+  broken.on("connection", (ws) => {
+    let pings = 0;
+    ws.on("ping", (data) => {
+      if (++pings <= 2) ws.pong(data);
+      else ws._socket.write(Buffer.from([0x83, 0x00]));
+    });
+  });
+  try {
+    const { report, byPhase } = await runTester({
+      ws: [{ name: "Broken", url: `ws://127.0.0.1:${broken.address().port}/` }],
+      phases: ["ws-ping"],
+      wsPingRounds: 5,
+    });
+    const pings = byPhase["ws-ping"];
+    assert.deepEqual(pings.map((s) => s.round), [1, 2, 3, 4, 5]);
+    assert.deepEqual(pings.map((s) => s.error === null), [true, true, false, false, false]);
+    const [ws] = report.results.websocket;
+    assert.equal(ws.pingRTT.samples, 2);
+    assert.equal(ws.errors.ping, 3);
+  } finally {
+    broken.clients.forEach((c) => c.terminate());
+    await new Promise((resolve) => broken.close(resolve));
+  }
+});
+
+test("rejects bad options before running", () => {
+  assert.throws(() => createTester({ rounds: 0 }), ConfigError);
+  assert.throws(() => createTester({ api: [{ name: "API", url: apiURL }], unknownKey: 1 }), ConfigError);
+});
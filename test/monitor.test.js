@@ -0,0 +1,59 @@
+const http = require("http");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ConfigError, resolveConfig } = require("../lib/config");
+const { setProgressStream, createSampleSink } = require("../lib/output");
+const { createMonitor } = require("../lib/monitor");
+
+setProgressStream(process.stderr, true);
+
+let api;
+let apiURL;
+
+test.before(async () => {
+  api = http.createServer((req, res) => res.writeHead(200).end("ok"));
+  await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+  apiURL = `http://127.0.0.1:${api.address().port}`;
+});
+
+test.after(async () => {
+  api.closeAllConnections();
+  await new Promise((resolve) => api.close(resolve));
+});
+
+const monitorConfig = (extra) => resolveConfig({
+  api: [{ name: "API", url: apiURL }],
+  ws: [],
+  phases: ["keepalive"],
+  monitor: { intervalMs: 10, listen: "127.0.0.1:0" },
+  ...extra,
+});
+
+// Resolves once the monitor has finished `cycles` cycles.
+async function runCycles(mon, cycles) {
+  const deadline = Date.now() + 5000;
+  while (mon.state.cycles < cycles) {
+    if (Date.now() > deadline) throw new Error(`only ${mon.state.cycles} cycles in 5s`);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test("keeps cycling when the alert state cannot be written", async () => {
+  const config = monitorConfig({ alerts: { rules: ["keepalive p50 > 0ms"], stateFile: "/nonexistent/alert-state.json" } });
+  const mon = createMonitor(config, createSampleSink("human", null, { retain: false }));
+  await mon.start();
+  try {
+    await runCycles(mon, 3);
+  } finally {
+    await mon.stop();
+  }
+  assert.ok(mon.state.cycles >= 3);
+});
+
+test("refuses alert rules on phases it does not probe", () => {
+  const sink = createSampleSink("human", null, { retain: false });
+  for (const rule of ["h2 p95 > 50ms", "h2-ping median > 10ms"]) {
+    assert.throws(() => createMonitor(monitorConfig({ alerts: { rules: [rule] } }), sink), (err) => err instanceof ConfigError && err.message.includes("could never fire"));
+  }
+  assert.doesNotThrow(() => createMonitor(monitorConfig({ alerts: { rules: ["ws-ping loss > 0"] } }), sink));
+});
@@ -0,0 +1,110 @@
+const dgram = require("dgram");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseResolver, runResolver } = require("../lib/resolvers");
+const { createMockDNSServer } = require("../lib/mock-dns");
+
+const TTL = 30;
+
+// One stub server for all tests: UDP and TCP on one port, DoH on another.
+let server;
+let resolvers;
+
+test.before(async () => {
+  server = createMockDNSServer({
+    port: 0,
+    doh: { host: "127.0.0.1", port: 0 },
+    records: { "api.test": ["10.0.0.1", "10.0.0.2", "fd00::1"] },
+    servfail: ["broken.test"],
+    ttl: TTL,
+    missDelayMs: 5,
+  });
+  const { port, doh } = await server.start();
+  const resolver = (url) => ({ name: url, url, ...parseResolver(url) });
+  resolvers = [
+    resolver(`udp://127.0.0.1:${port}`),
+    resolver(`tcp://127.0.0.1:${port}`),
+    resolver(`http://127.0.0.1:${doh.port}/dns-query`),
+  ];
+});
+
+test.after(() => server.stop());
+
+const run = (resolver, hostname, options = {}) => {
+  const samples = [];
+  return runResolver(resolver, [hostname], { lookups: 3, timeout: 2000, onSample: (s) => samples.push(s), ...options })
+    .then((result) => ({ result, samples }));
+};
+
+test("every transport gets the same answers", async () => {
+  const answers = [];
+  for (const resolver of resolvers) {
+    const { result } = await run(resolver, "api.test", { types: ["A", "AAAA"] });
+    assert.equal(result.error, null, resolver.url);
+    const [a, aaaa] = result.hosts;
+    assert.deepEqual(a.answers, ["10.0.0.1", "10.0.0.2"]);
+    assert.deepEqual(aaaa.answers, ["fd00::1"]);
+    for (const host of result.hosts) {
+      assert.equal(host.answerSets, 1);
+      assert.deepEqual(host.rcodes, {});
+      assert.deepEqual(host.errors, {});
+      assert.equal(host.first.rcode, "NOERROR");
+      assert.equal(host.cached.length, 3);
+    }
+    answers.push(result.hosts.map((h) => h.answers));
+  }
+  assert.deepEqual(answers[1], answers[0]);
+  assert.deepEqual(answers[2], answers[0]);
+});
+
+test("TTL counts down from the zone's", async () => {
+  const { result } = await run(resolvers[0], "api.test");
+  const { ttl } = result.hosts[0];
+  assert.ok(ttl.max <= TTL && ttl.min >= TTL - 2, JSON.stringify(ttl));
+});
+
+test("cold lookups of random names: NXDOMAIN is the expected answer", async () => {
+  const { result, samples } = await run(resolvers[0], "api.test");
+  const cold = samples.filter((s) => s.phase === "dns-cold");
+  assert.equal(cold.length, 3);
+  for (const s of cold) {
+    assert.equal(s.error, null);
+    assert.ok(s.total > 0);
+  }
+  assert.equal(result.hosts[0].cold.length, 3);
+});
+
+test("NXDOMAIN for a name the zone does not have", async () => {
+  const { result, samples } = await run(resolvers[0], "missing.test");
+  const [host] = result.hosts;
+  assert.equal(host.first.rcode, "NXDOMAIN");
+  assert.deepEqual(host.answers, []);
+  assert.equal(host.ttl, null);
+  assert.deepEqual(host.rcodes, { NXDOMAIN: 4 });
+  assert.deepEqual(host.cached, []);
+  assert.ok(samples.filter((s) => s.phase !== "dns-cold").every((s) => s.error === "NXDOMAIN"));
+});
+
+test("SERVFAIL is counted, not answered", async () => {
+  for (const resolver of resolvers) {
+    const { result, samples } = await run(resolver, "broken.test");
+    const [host] = result.hosts;
+    assert.equal(host.first.rcode, "SERVFAIL", resolver.url);
+    assert.equal(host.rcodes.SERVFAIL, 4);
+    assert.equal(host.answerSets, 0);
+    assert.ok(samples.some((s) => s.phase === "dns-first" && s.error === "SERVFAIL"));
+  }
+});
+
+test("a resolver that does not answer times out", async () => {
+  const silent = dgram.createSocket("udp4");
+  await new Promise((resolve) => silent.bind(0, "127.0.0.1", resolve));
+  try {
+    const url = `udp://127.0.0.1:${silent.address().port}`;
+    const resolver = { name: "silent", url, ...parseResolver(url) };
+    const { result } = await run(resolver, "api.test", { lookups: 1, timeout: 100 });
+    assert.deepEqual(result.hosts[0].errors, { TIMEOUT: 3 });
+  } finally {
+    silent.close();
+  }
+});
@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createHistogram, histogramFromJSON, mergeHistograms, summarize, computeStats, formatStats } = require("../lib/stats");
+
+// Bucket values are within 10^-significantDigits of the recorded value.
+const near = (actual, expected, rel = 1e-3) =>
+  assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * rel, `expected ${actual} to be within ${rel * 100}% of ${expected}`);
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+test("computeStats: nearest-rank percentiles and exact moments", () => {
+  const s = computeStats(range(1, 100), { percentiles: [50, 75, 90, 99] });
+  assert.equal(s.samples, 100);
+  assert.equal(s.min, 1);
+  assert.equal(s.max, 100);
+  assert.equal(s.avg, 50.5);
+  near(s.stddev, Math.sqrt(9999 / 12), 1e-9);
+  near(s.median, 50);
+  near(s.percentiles.p75, 75);
+  near(s.percentiles.p90, 90);
+  near(s.percentiles.p99, 99);
+  near(s.p95, 95);
+  assert.equal(s.jitter, 1);
+});
+
+test("computeStats: nothing to summarize", () => {
+  assert.equal(computeStats([]), null);
+  assert.equal(formatStats(null), null);
+});
+
+test("computeStats: jitter follows sample order", () => {
+  assert.equal(computeStats([10, 20, 10, 20]).jitter, 10);
+  assert.equal(computeStats([10, 10, 20, 20]).jitter, 10 / 3);
+});
+
+test("histogram: keeps three significant digits across the range", () => {
+  for (const value of [0.004, 1.234, 98.76, 1234.5, 987654]) {
+    const h = createHistogram();
+    h.record(value);
+    h.record(value * 2);
+    near(h.percentile(50), value);
+  }
+  assert.throws(() => createHistogram({ significantDigits: 0 }), RangeError);
+});
+
+test("confidence intervals: bracketing ranks, null past the samples", () => {
+  const s = computeStats(range(1, 100), { percentiles: [50, 99] });
+  // n = 100, q = 0.5: ranks floor(50 - 9.8) = 40 and ceil(50 + 9.8) + 1 = 61.
+  near(s.ci.p50[0], 40);
+  near(s.ci.p50[1], 61);
+  // q = 0.99: the upper rank would be 102 of 100.
+  near(s.ci.p99[0], 97);
+  assert.equal(s.ci.p99[1], null);
+  // Mean: symmetric around the exact mean.
+  near(s.avg - s.ci.mean[0], s.ci.mean[1] - s.avg, 1e-9);
+  near(s.ci.mean[1] - s.avg, 1.959964 * Math.sqrt(9999 / 12 * 100 / 99 / 100), 1e-9);
+  // One sample: no interval for the mean.
+  assert.deepEqual(computeStats([5]).ci.mean, [null, null]);
+});
+
+test("outliers: Tukey fences at 1.5 × IQR", () => {
+  const s = computeStats([...Array(9).fill(10), 1000]);
+  assert.deepEqual({ low: s.outliers.low, high: s.outliers.high }, { low: 0, high: 1 });
+});
+
+test("mergeHistograms: same summary as recording everything in one", () => {
+  const a = createHistogram();
+  const b = createHistogram();
+  const all = createHistogram();
+  for (const v of range(1, 50)) { a.record(v); all.record(v); }
+  for (const v of range(51, 100)) { b.record(v * 1.5); all.record(v * 1.5); }
+
+  const merged = summarize(mergeHistograms([a, b]), { percentiles: [50, 90, 99] });
+  const single = summarize(all, { percentiles: [50, 90, 99] });
+  assert.equal(merged.samples, single.samples);
+  assert.equal(merged.min, single.min);
+  assert.equal(merged.max, single.max);
+  near(merged.avg, single.avg, 1e-12);
+  near(merged.stddev, single.stddev, 1e-9);
+  assert.deepEqual(merged.percentiles, single.percentiles);
+  for (const key of ["p50", "p90", "p99"]) assert.deepEqual(merged.ci[key], single.ci[key]);
+  merged.ci.mean.forEach((bound, i) => near(bound, single.ci.mean[i], 1e-12));
+});
+
+test("mergeHistograms: refuses histograms with other settings", () => {
+  const a = createHistogram({ significantDigits: 2 });
+  const b = createHistogram({ significantDigits: 3 });
+  a.record(1);
+  b.record(1);
+  assert.throws(() => mergeHistograms([a, b]));
+});
+
+test("histogramFromJSON: round trip through a report", () => {
+  const s = computeStats(range(1, 200).map((v) => v * 0.37), { percentiles: [50, 99.9] });
+  const json = JSON.parse(JSON.stringify(formatStats(s, { histogram: true }).histogram));
+  const restored = summarize(histogramFromJSON(json), { percentiles: [50, 99.9] });
+  assert.equal(restored.samples, s.samples);
+  assert.equal(restored.min, s.min);
+  assert.equal(restored.max, s.max);
+  assert.equal(restored.avg, s.avg);
+  assert.equal(restored.stddev, s.stddev);
+  assert.deepEqual(restored.percentiles, s.percentiles);
+});